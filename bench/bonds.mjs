@@ -0,0 +1,152 @@
+/**
+ * bonds.mjs - Timing of bond and hydrogen bond perception
+ * Runs BondCalculator on random atoms in a box and on lattice copies of
+ * crambin (1CRN) of growing size, so the near-linear scaling of the
+ * spatial grid can be reproduced. Run with `npm run bench`.
+ */
+
+import { performance } from 'node:perf_hooks';
+import { readFileSync } from 'node:fs';
+import * as THREE from 'three';
+import { BondCalculator } from '../js/utils/BondCalculator.js';
+import { PDBLoader } from '../js/loaders/PDBLoader.js';
+
+// Heavy-atom density of a folded protein, in atoms per cubic angstrom
+const DENSITY = 0.05;
+const BOX_SIZES = [1000, 5000, 10000, 25000, 50000, 100000];
+const LATTICE_COPIES = [1, 8, 27, 64, 125, 150];
+const REPEATS = 3;
+
+/**
+ * Seeded random numbers, so every run sees the same atoms
+ * @param {number} seed - Seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random amino acid atoms filling a cube at protein density
+ * @param {number} count - Number of atoms
+ * @returns {Array} Atoms
+ */
+function randomBox(count) {
+  const next = random(count);
+  const edge = Math.cbrt(count / DENSITY);
+  const elements = ['C', 'C', 'C', 'N', 'O', 'O', 'S'];
+  const atoms = [];
+  
+  for (let i = 0; i < count; i++) {
+    atoms.push({
+      name: 'X',
+      element: elements[Math.floor(next() * elements.length)],
+      altLoc: '',
+      chainID: 'A',
+      resSeq: i,
+      residueId: `A:UNK:${i}:`,
+      position: new THREE.Vector3(next() * edge, next() * edge, next() * edge),
+      isAminoAcid: true,
+      isActiveConformer: true
+    });
+  }
+  
+  return atoms;
+}
+
+/**
+ * Copies of a structure on a cubic lattice, one chain per copy
+ * @param {Object} structure - Parsed structure
+ * @param {number} copies - Number of copies
+ * @returns {Array} Atoms
+ */
+function lattice(structure, copies) {
+  const size = new THREE.Vector3();
+  structure.boundingBox.getSize(size);
+  
+  const side = Math.ceil(Math.cbrt(copies));
+  const atoms = [];
+  
+  for (let copy = 0; copy < copies; copy++) {
+    const offset = new THREE.Vector3(
+      copy % side,
+      Math.floor(copy / side) % side,
+      Math.floor(copy / (side * side))
+    ).multiply(size);
+    const chainID = `C${copy}`;
+    
+    structure.atoms.forEach(atom => {
+      atoms.push({
+        ...atom,
+        chainID,
+        residueId: `${chainID}:${atom.resName}:${atom.resSeq}:${atom.iCode}`,
+        position: atom.position.clone().add(offset)
+      });
+    });
+  }
+  
+  return atoms;
+}
+
+/**
+ * Best time of a few runs
+ * @param {Function} run - Work to time; returns the number of results
+ * @returns {Object} { ms, count }
+ */
+function time(run) {
+  let best = Infinity;
+  let count = 0;
+  
+  for (let i = 0; i < REPEATS; i++) {
+    const start = performance.now();
+    count = run();
+    best = Math.min(best, performance.now() - start);
+  }
+  
+  return { ms: best, count };
+}
+
+/**
+ * Time each kind of perception on a set of atoms
+ * @param {string} label - Row label
+ * @param {Array} atoms - Atoms
+ * @param {boolean} templates - Also time template bonds
+ * @returns {Object} Table row
+ */
+function measure(label, atoms, templates) {
+  const calculator = new BondCalculator();
+  const row = { set: label, atoms: atoms.length };
+  const columns = {
+    distance: () => calculator.calculateBonds(atoms).length,
+    hbonds: () => calculator.calculateHydrogenBonds(atoms).length
+  };
+  
+  if (templates) {
+    columns.template = () => calculator.calculateTemplateBonds(atoms).length;
+  }
+  
+  Object.entries(columns).forEach(([name, run]) => {
+    const { ms, count } = time(run);
+    row[`${name} ms`] = +ms.toFixed(1);
+    row[`${name} µs/atom`] = +(1000 * ms / atoms.length).toFixed(2);
+    row[`${name} found`] = count;
+  });
+  
+  return row;
+}
+
+const crambin = new PDBLoader().parse(
+  readFileSync(new URL('../data/examples/1crn.pdb', import.meta.url), 'utf8'),
+  '1crn.pdb'
+);
+
+console.log('Random atoms in a box');
+console.table(BOX_SIZES.map(count => measure('box', randomBox(count), false)));
+
+console.log('Lattice copies of 1CRN');
+console.table(LATTICE_COPIES.map(copies => measure(`1crn x${copies}`, lattice(crambin, copies), true)));
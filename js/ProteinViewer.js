@@ -8,7 +8,23 @@ import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/exampl
 import { WebGLDetector } from './utils/WebGLDetector.js';
 import { RendererFactory } from './app/RendererFactory.js';
 import { PDBLoader } from './loaders/PDBLoader.js';
+import { MapLoader } from './loaders/MapLoader.js';
+import { TrajectoryLoader } from './loaders/TrajectoryLoader.js';
 import { ProteinShader } from './shaders/ProteinShader.js';
+import { ProteinModel } from './visualization/ProteinModel.js';
+import { Assembly } from './visualization/Assembly.js';
+import { UnitCell } from './visualization/UnitCell.js';
+import { Isosurface } from './visualization/Isosurface.js';
+import { ColorLegend } from './visualization/ColorLegend.js';
+import { Crystal } from './utils/Crystal.js';
+import { Trajectory } from './utils/Trajectory.js';
+import { ResidueProperties } from './utils/ResidueProperties.js';
+import { NucleicAcids } from './utils/NucleicAcids.js';
+import { BFactors } from './utils/BFactors.js';
+import { Confidence } from './utils/Confidence.js';
+import { Electrostatics } from './utils/Electrostatics.js';
+import { WorkerPool } from './utils/WorkerPool.js';
+import { CONFIG } from './config.js';
 
 export class ProteinViewer {
   /**
@@ -52,6 +68,33 @@ export class ProteinViewer {
       hasContextLoss: false,
       pendingLoad: null,
       lastProteinUrl: null,
+      currentModel: 0,
+      isPlayingModels: false,
+      modelFrameRate: 5,
+      lastModelFrameTime: 0,
+      currentAssembly: null,
+      showUnitCell: false,
+      symmetryRadius: null,
+      mapLevel: CONFIG.VISUALIZATION.DENSITY.LEVEL,
+      mapStyle: CONFIG.VISUALIZATION.DENSITY.STYLE,
+      mapCarveRadius: null,
+      mapCarveSelection: null,
+      currentFrame: 0,
+      isPlayingTrajectory: false,
+      trajectoryFrameRate: CONFIG.TRAJECTORY.FRAME_RATE,
+      trajectoryPosition: 0,
+      lastTrajectoryFrameTime: 0,
+      trajectoryInterpolate: CONFIG.TRAJECTORY.INTERPOLATE,
+      trajectoryAlign: CONFIG.TRAJECTORY.ALIGN,
+      surfaceType: CONFIG.VISUALIZATION.SURFACE.TYPE,
+      surfaceHighlight: null,
+      surfaceHighlightColor: CONFIG.VISUALIZATION.SURFACE.HIGHLIGHT_COLOR,
+      colorScheme: CONFIG.VISUALIZATION.DEFAULT_COLOR_SCHEME,
+      electrostatics: false,
+      potentialRange: CONFIG.VISUALIZATION.ELECTROSTATICS.RANGE,
+      predictedModel: null,
+      lowConfidence: CONFIG.VISUALIZATION.CONFIDENCE.LOW_CONFIDENCE,
+      confidenceThreshold: CONFIG.VISUALIZATION.CONFIDENCE.THRESHOLD,
     };
     
     // Storage for rendering objects
@@ -64,16 +107,46 @@ export class ProteinViewer {
     // Error display element
     this.errorDisplay = null;
     
+    // Color bar of the electrostatic potential, created when first shown
+    this.potentialLegend = null;
+    
+    // Color bar of the pLDDT bands, created when first shown
+    this.confidenceLegend = null;
+    
     // Recovery timer
     this.recoveryTimer = null;
     this.frameLimiter = null;
     
     // Visualization objects
     this.activeVisualization = null;
+    this.assembly = null;
+    this.symmetryMates = null;
+    this.unitCell = null;
+    
+    // Structures shown on top of the protein, such as docked ligands
+    this.ligands = [];
+    
+    // Density map shown around the protein, and its name
+    this.densityMap = null;
+    this.densityMapName = null;
+    this.isosurface = null;
+    
+    // MD trajectory played over the protein, the coordinates the protein had
+    // before it was loaded, and whether a frame is still being drawn
+    this.trajectory = null;
+    this.trajectoryBaseCoordinates = null;
+    this.trajectoryBuffer = null;
+    this.isUpdatingFrame = false;
     
     // Event listeners
     this.eventListeners = {};
     
+    // Workers for parsing and surface building; without them both run
+    // on the main thread
+    this.workerPool = CONFIG.PERFORMANCE.USE_WORKER_THREADS && WorkerPool.isSupported()
+      ? new WorkerPool({ url: new URL('./workers/StructureWorker.js', import.meta.url) })
+      : null;
+    
     // Bind methods to ensure correct this context
     this._handleResize = this._handleResize.bind(this);
     this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
@@ -389,6 +462,16 @@ export class ProteinViewer {
       this.controls.update();
     }
     
+    // Step through models while playback is running
+    if (this.state.isPlayingModels) {
+      this._advanceModelPlayback(time);
+    }
+    
+    // Step through trajectory frames while playback is running
+    if (this.state.isPlayingTrajectory) {
+      this._advanceTrajectoryPlayback(time);
+    }
+    
     // Render scene
     if (this.renderer && this.scene && this.camera) {
       try {
@@ -442,11 +525,11 @@ export class ProteinViewer {
       this._clearProtein();
       
       // Create loader
-      const loader = new PDBLoader();
+      const loader = new PDBLoader({ workerPool: this.workerPool });
       
       // Load PDB file
-      const pdbData = await loader.load(url, (progress) => {
-        this._emitEvent('loadProgress', { progress: progress * 100 });
+      const pdbData = await loader.load(url, (progress, status) => {
+        this._emitEvent('loadProgress', { progress: progress * 100, status });
       });
       
       // Apply atom limit for safety
@@ -501,11 +584,11 @@ export class ProteinViewer {
       this._clearProtein();
       
       // Create loader
-      const loader = new PDBLoader();
+      const loader = new PDBLoader({ workerPool: this.workerPool });
       
       // Load file
-      const pdbData = await loader.loadFromFile(file, (progress) => {
-        this._emitEvent('loadProgress', { progress: progress * 100 });
+      const pdbData = await loader.loadFromFile(file, (progress, status) => {
+        this._emitEvent('loadProgress', { progress: progress * 100, status });
       });
       
       // Apply atom limit for safety
@@ -546,11 +629,38 @@ export class ProteinViewer {
         atoms: pdbData.atoms,
         bonds: pdbData.bonds,
         residues: pdbData.residueList,
+        residueMap: new Map(pdbData.residueList.map(residue => [residue.id, residue])),
         chains: pdbData.chainList,
+        models: pdbData.models || [],
+        altLocs: pdbData.altLocs || [],
+        assemblies: pdbData.assemblies || [],
+        crystal: pdbData.crystal ? new Crystal(pdbData.crystal) : null,
         boundingBox: pdbData.boundingBox,
-        centerOfMass: pdbData.centerOfMass
+        centerOfMass: pdbData.centerOfMass,
+        bfactorRange: BFactors.getRange(pdbData.atoms),
+        isPredicted: !!(pdbData.metadata && pdbData.metadata.isPredicted),
+        // Per-residue values (conservation and other scores) for the property color schemes
+        residueProperties: new ResidueProperties()
       };
       
+      // Start on the first model
+      this.state.currentModel = 0;
+      
+      // Predicted models open in the confidence colors; the toggle follows
+      // the detection again for each new structure
+      this.state.predictedModel = null;
+      if (this.protein.isPredicted) {
+        this.state.colorScheme = 'plddt';
+      } else if (this.state.colorScheme === 'plddt') {
+        this.state.colorScheme = CONFIG.VISUALIZATION.DEFAULT_COLOR_SCHEME;
+      }
+      
+      // Residue properties belong to the structure they were attached to
+      if (this.state.colorScheme.startsWith(ResidueProperties.getScheme(''))) {
+        this.state.colorScheme = CONFIG.VISUALIZATION.DEFAULT_COLOR_SCHEME;
+      }
+      this._emitEvent('residuePropertiesChange', { names: [] });
+      
       // Create visualization
       await this._createVisualization();
       
@@ -593,6 +703,8 @@ export class ProteinViewer {
     
     try {
       // Remove previous visualization if exists
+      this._clearAssembly();
+      this._clearSymmetryMates();
       if (this.activeVisualization) {
         this.proteinGroup.remove(this.activeVisualization.object);
         if (this.activeVisualization.dispose) {
@@ -620,25 +732,56 @@ export class ProteinViewer {
           VisualizationClass = SurfaceModule.Surface;
           break;
           
+        case 'spacefill':
+          const SpacefillModule = await import('./visualization/Spacefill.js');
+          VisualizationClass = SpacefillModule.Spacefill;
+          break;
+          
+        case 'licorice':
+          const LicoriceModule = await import('./visualization/Licorice.js');
+          VisualizationClass = LicoriceModule.Licorice;
+          break;
+          
+        case 'trace':
+          const TraceModule = await import('./visualization/BackboneTrace.js');
+          VisualizationClass = TraceModule.BackboneTrace;
+          break;
+          
+        case 'putty':
+          const PuttyModule = await import('./visualization/Putty.js');
+          VisualizationClass = PuttyModule.Putty;
+          break;
+          
         default:
           console.warn(`Unknown visualization style: ${this.state.currentStyle}, falling back to ball-stick`);
           const FallbackModule = await import('./visualization/BallAndStick.js');
           VisualizationClass = FallbackModule.BallAndStick;
       }
       
-      // Create the visualization
+      // Create the visualization, without the hidden low-confidence residues
+      const confidence = this._getConfidenceDisplay();
+      const shown = confidence && confidence.mode === 'hide'
+        ? this._filterLowConfidence(confidence.threshold)
+        : this.protein;
+      
       this.activeVisualization = new VisualizationClass({
         proteinModel: {
-          atoms: this.protein.atoms,
-          bonds: this.protein.bonds,
-          residues: this.protein.residues,
+          atoms: shown.atoms,
+          bonds: shown.bonds,
+          residues: shown.residues,
           chains: this.protein.chains,
           centerOfMass: this.protein.centerOfMass,
           boundingBox: this.protein.boundingBox,
+          residueProperties: this.protein.residueProperties,
+          confidence,
           getAtomColor: this._getAtomColor.bind(this)
         },
-        colorScheme: 'element',
-        shader: this.shader
+        colorScheme: this._isShowingPotential() ? 'electrostatic' : this.state.colorScheme,
+        shader: this.shader,
+        surfaceType: this.state.surfaceType,
+        potentialRange: this.state.potentialRange,
+        source: this.isPredictedModel() ? 'plddt' : 'bfactor',
+        workerPool: this.workerPool
       });
       
       // Create and add to scene
@@ -647,6 +790,20 @@ export class ProteinViewer {
       
       // Apply effect strength
       this.activeVisualization.updateEffectStrength(this.state.effectStrength);
+      
+      this._updatePotentialLegend();
+      this._updateConfidenceLegend();
+      
+      // Repaint the highlighted surface patch
+      if (this.state.surfaceHighlight !== null && this.activeVisualization.setHighlight) {
+        this.activeVisualization.setHighlight(
+          this._selectAtoms(this.state.surfaceHighlight),
+          this.state.surfaceHighlightColor
+        );
+      }
+      
+      // Repeat the new visualization for the assembly and symmetry mates
+      this._updateCopies();
     } catch (error) {
       console.error('Error updating visualization:', error);
       this._createFallbackVisualization();
@@ -676,6 +833,7 @@ export class ProteinViewer {
       // Process atoms
       for (let i = 0; i < atoms.length; i += stride) {
         const atom = atoms[i];
+        if (atom.isActiveConformer === false) continue;
         
         positions.push(
           atom.position.x - this.protein.centerOfMass.x,
@@ -723,13 +881,56 @@ export class ProteinViewer {
   }
   
   /**
-   * Get color for atom based on scheme
+   * Get color for atom based on scheme, faded for a low-confidence residue
+   * of a predicted model when those are faded
    * @private
    * @param {Object} atom - Atom object
    * @param {string} scheme - Color scheme name
    * @returns {THREE.Color} Color
    */
   _getAtomColor(atom, scheme) {
+    const color = this._getSchemeColor(atom, scheme);
+    const confidence = this._getConfidenceDisplay();
+    
+    if (confidence && confidence.mode === 'fade') {
+      const residue = this.protein.residueMap.get(atom.residueId);
+      if (Confidence.isLow(residue, confidence.threshold)) {
+        color.setHex(Confidence.fade(color.getHex()));
+      }
+    }
+    
+    return color;
+  }
+  
+  /**
+   * Get the color of an atom in a scheme
+   * @private
+   * @param {Object} atom - Atom object
+   * @param {string} scheme - Color scheme name
+   * @returns {THREE.Color} Color
+   */
+  _getSchemeColor(atom, scheme) {
+    // Hydrophobicity scales and attached residue properties
+    if (this.protein && this.protein.residueProperties.handles(scheme)) {
+      return ProteinModel.getPropertyColor(this.protein, atom, scheme);
+    }
+    
+    if (scheme === 'nucleotide') {
+      return new THREE.Color(NucleicAcids.getColor(atom.resName));
+    }
+    
+    if (scheme === 'bfactor' && this.protein) {
+      return new THREE.Color(BFactors.getColor(atom.tempFactor, this.protein.bfactorRange));
+    }
+    
+    if (scheme === 'plddt') {
+      return new THREE.Color(Confidence.getColor(atom.tempFactor));
+    }
+    
+    if (scheme === 'charge') {
+      return new THREE.Color(Electrostatics.getChargeColor(atom));
+    }
+    
     // Get element-based color
     const elementColors = {
       'H': '#FFFFFF', // White
@@ -758,7 +959,9 @@ export class ProteinViewer {
   _centerCamera() {
     if (!this.protein) return;
     
-    const boundingBox = this.protein.boundingBox;
+    // Frame the whole assembly when one is shown
+    const assemblyBox = this.assembly ? this.assembly.boundingBox : null;
+    const boundingBox = assemblyBox && !assemblyBox.isEmpty() ? assemblyBox : this.protein.boundingBox;
     
     if (boundingBox) {
       // Get center and size
@@ -766,7 +969,10 @@ export class ProteinViewer {
       boundingBox.getCenter(center);
       
       // Center is already offset by protein center of mass
-      center.sub(this.protein.centerOfMass);
+      // (assembly bounds are computed relative to it)
+      if (boundingBox !== assemblyBox) {
+        center.sub(this.protein.centerOfMass);
+      }
       
       const size = new THREE.Vector3();
       boundingBox.getSize(size);
@@ -796,8 +1002,20 @@ export class ProteinViewer {
    * @private
    */
   _clearProtein() {
+    this.pauseModels();
+    this.state.currentModel = 0;
+    this.state.currentAssembly = null;
+    this.state.symmetryRadius = null;
+    this.state.showUnitCell = false;
+    this.state.surfaceHighlight = null;
+    this._clearUnitCell();
+    this._clearLigands();
+    this._clearMap();
+    this._clearTrajectory();
     this.protein = null;
     this._clearVisualization();
+    this._updatePotentialLegend();
+    this._updateConfidenceLegend();
   }
   
   /**
@@ -805,6 +1023,10 @@ export class ProteinViewer {
    * @private
    */
   _clearVisualization() {
+    // Remove assembly copies, which share the visualization's resources
+    this._clearAssembly();
+    this._clearSymmetryMates();
+    
     // Remove active visualization if any
     if (this.activeVisualization) {
       if (this.activeVisualization.dispose) {
@@ -1104,7 +1326,8 @@ export class ProteinViewer {
   
   /**
    * Set the visualization style
-   * @param {string} style - Style name: 'ball-stick', 'ribbon', or 'surface'
+   * @param {string} style - Style name: 'ball-stick', 'spacefill', 'licorice',
+   *   'trace' (backbone trace), 'ribbon', 'putty' (B-factor putty), or 'surface'
    * @returns {Promise<boolean>} Success status
    */
   async setStyle(style) {
@@ -1117,7 +1340,7 @@ export class ProteinViewer {
     }
     
     // Valid styles
-    const validStyles = ['ball-stick', 'ribbon', 'surface'];
+    const validStyles = ['ball-stick', 'spacefill', 'licorice', 'trace', 'ribbon', 'putty', 'surface'];
     
     if (!validStyles.includes(style)) {
       console.warn(`Invalid style: ${style}. Using 'ball-stick' instead.`);
@@ -1142,241 +1365,1853 @@ export class ProteinViewer {
   }
   
   /**
-   * Set the shader type
-   * @param {string} shader - Shader name: 'standard', 'toon', 'glow', or 'outline'
-   * @returns {boolean} Success status
+   * Set the kind of molecular surface drawn by the surface style
+   * @param {string} type - 'vdw' (van der Waals), 'sas' (solvent-accessible)
+   *   or 'ses' (solvent-excluded)
+   * @returns {Promise<boolean>} Success status
    */
-  setShader(shader) {
-    if (!this.state.isInitialized || !this.rendererActive) {
+  async setSurfaceType(type) {
+    const validTypes = ['vdw', 'sas', 'ses'];
+    
+    if (!validTypes.includes(type)) {
+      console.warn(`Invalid surface type: ${type}`);
       return false;
     }
     
-    if (this.state.currentShader === shader) {
-      return true; // Already using this shader
+    this.state.surfaceType = type;
+    
+    // Rebuild a surface that is currently shown
+    if (this.activeVisualization && this.activeVisualization.setSurfaceType) {
+      try {
+        await this.activeVisualization.setSurfaceType(type);
+        this._updateCopies();
+      } catch (error) {
+        console.error('Error changing surface type:', error);
+        return false;
+      }
     }
     
-    // Valid shaders
-    const validShaders = ['standard', 'toon', 'glow', 'outline'];
+    return true;
+  }
+  
+  /**
+   * Highlight the surface over a selection as a colored patch
+   * @param {string|Array<string>|Function|null} selection - Atoms whose part of
+   *   the surface to paint: 'ligands', residue IDs, or a filter function called
+   *   with each atom (see setMapCarve); null removes the highlight
+   * @param {string|number} [color] - Highlight color
+   * @returns {boolean} Success status
+   */
+  setSurfaceHighlight(selection, color = CONFIG.VISUALIZATION.SURFACE.HIGHLIGHT_COLOR) {
+    this.state.surfaceHighlight = selection;
+    this.state.surfaceHighlightColor = color;
     
-    if (!validShaders.includes(shader)) {
-      console.warn(`Invalid shader: ${shader}. Using 'standard' instead.`);
-      shader = 'standard';
+    if (!this.protein || !this.activeVisualization || !this.activeVisualization.setHighlight) {
+      return true;
     }
     
-    // Update state
-    this.state.currentShader = shader;
+    try {
+      const atoms = selection === null ? null : this._selectAtoms(selection);
+      this.activeVisualization.setHighlight(atoms, color);
+      return true;
+    } catch (error) {
+      console.error('Error highlighting surface:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Color the molecular surface by electrostatic potential, switching to
+   * the surface style if needed. Charges come from the file (PQR, MOL2) or
+   * from residue templates.
+   * @param {boolean} enabled - Whether to show the potential
+   * @returns {Promise<boolean>} Success status
+   */
+  async setElectrostatics(enabled) {
+    this.state.electrostatics = enabled;
     
-    // Update shader if initialized
-    if (this.shader) {
+    // The potential is drawn on the surface
+    if (enabled && this.state.currentStyle !== 'surface') {
+      return this.setStyle('surface');
+    }
+    
+    if (this.activeVisualization && this.state.currentStyle === 'surface') {
       try {
-        this.shader.setType(shader);
-        
-        // Update visualization if protein is loaded
-        if (this.activeVisualization) {
-          this.activeVisualization.updateShader(this.shader);
-          this.activeVisualization.updateEffectStrength(this.state.effectStrength);
-        }
-        
-        return true;
+        await this.activeVisualization.updateColorScheme(enabled ? 'electrostatic' : this.state.colorScheme);
       } catch (error) {
-        console.error('Error changing shader:', error);
+        console.error('Error computing electrostatic potential:', error);
         return false;
       }
     }
     
+    this._updatePotentialLegend();
     return true;
   }
   
   /**
-   * Set effect strength
-   * @param {number} strength - Effect strength (0.0 - 1.0)
-   * @returns {boolean} Success status
+   * Set the color scheme of the structure
+   * @param {string} scheme - 'element', 'chain', 'residue', 'rainbow',
+   *   'secondary', 'charge', 'nucleotide', 'bfactor', 'plddt' (confidence of a
+   *   predicted model), a hydrophobicity scale ('kyte-doolittle', 'eisenberg')
+   *   or an attached property ('property:<name>')
+   * @returns {Promise<boolean>} Success status
    */
-  setEffectStrength(strength) {
-    if (!this.state.isInitialized || !this.rendererActive) {
+  async setColorScheme(scheme) {
+    const validSchemes = ['element', 'chain', 'residue', 'rainbow', 'secondary', 'charge', 'nucleotide', 'bfactor', 'plddt'];
+    
+    const isProperty = this.protein
+      ? this.protein.residueProperties.handles(scheme)
+      : ResidueProperties.getHydrophobicityScales().includes(scheme);
+    
+    if (!validSchemes.includes(scheme) && !isProperty) {
+      console.warn(`Invalid color scheme: ${scheme}`);
       return false;
     }
     
-    // Clamp to valid range
-    strength = Math.max(0, Math.min(1, strength));
-    
-    // Update state
-    this.state.effectStrength = strength;
+    this.state.colorScheme = scheme;
     
-    // Update visualization if active
-    if (this.activeVisualization) {
+    // The electrostatic surface keeps its coloring
+    if (this.activeVisualization && this.activeVisualization.updateColorScheme && !this._isShowingPotential()) {
       try {
-        this.activeVisualization.updateEffectStrength(strength);
-        return true;
+        await this.activeVisualization.updateColorScheme(scheme);
+        this._updateCopies();
       } catch (error) {
-        console.error('Error changing effect strength:', error);
+        console.error('Error changing color scheme:', error);
         return false;
       }
     }
     
+    this._updateConfidenceLegend();
     return true;
   }
   
   /**
-   * Set background color
-   * @param {string} color - Background color
-   * @returns {boolean} Success status
+   * Attach numeric per-residue values (conservation, mutational tolerance or
+   * any other score) that every representation can color by through the
+   * 'property:<name>' color scheme. The values belong to the loaded
+   * structure and are dropped when another one is loaded.
+   * @param {string} name - Property name
+   * @param {Map<string, number>|Object<string, number>} values - Values by
+   *   residue ID, "chain:resSeq" or "resSeq"
+   * @param {Object} [options] - Display options
+   * @param {string|Array<string|number>} [options.gradient] - Gradient name
+   *   (e.g. 'conservation', 'blue-white-red', 'viridis') or colors from low to high
+   * @param {number} [options.min] - Value at the low end of the gradient
+   * @param {number} [options.max] - Value at the high end of the gradient
+   * @returns {Promise<string>} Color scheme of the property
    */
-  setBackgroundColor(color) {
-    if (!this.state.isInitialized || !this.rendererActive) {
-      return false;
+  async setResidueProperty(name, values, options = {}) {
+    if (!this.protein) {
+      throw new Error('Load a structure before attaching residue properties');
     }
     
-    try {
-      // Update renderer clear color
-      this.renderer.setClearColor(new THREE.Color(color), 1.0);
-      
-      // Update scene background
-      if (this.scene) {
-        this.scene.background = new THREE.Color(color);
+    const properties = this.protein.residueProperties;
+    properties.set(name, values, options);
+    
+    const scheme = ResidueProperties.getScheme(name);
+    this._emitEvent('residuePropertiesChange', { names: properties.getNames() });
+    
+    // Repaint with the new values; the scheme itself is unchanged, so the
+    // visualization has to be told to rebuild
+    if (this.state.colorScheme === scheme && this.activeVisualization && !this._isShowingPotential()) {
+      try {
+        await this.activeVisualization.updateColorScheme(scheme, true);
+        this._updateCopies();
+      } catch (error) {
+        console.error('Error repainting residue property:', error);
       }
-      
-      // Store in config
-      this.config.backgroundColor = color;
-      
-      return true;
-    } catch (error) {
-      console.error('Error changing background color:', error);
-      return false;
     }
+    
+    return scheme;
   }
   
   /**
-   * Take a screenshot of the current view
-   * @param {Object} [options] - Screenshot options
-   * @param {number} [options.width] - Width of screenshot
-   * @param {number} [options.height] - Height of screenshot
-   * @param {number} [options.scale=2] - Scale factor
-   * @returns {string|null} Data URL of the screenshot or null if failed
+   * Attach a per-residue property from a side file (see ResidueProperties.parse())
+   * @param {File} file - Text file of residues and values
+   * @param {Object} [options] - Display options (see setResidueProperty)
+   * @param {string} [options.name] - Property name; defaults to the file name
+   * @returns {Promise<string|null>} Color scheme of the property, or null on failure
    */
-  takeScreenshot(options = {}) {
-    if (!this.state.isInitialized || !this.rendererActive) {
-      console.warn('Cannot take screenshot: viewer not initialized or inactive');
-      return null;
-    }
-    
+  async loadResidueProperty(file, options = {}) {
     try {
-      // Get current size
-      const currentSize = {
-        width: this.canvas.width,
-        height: this.canvas.height
-      };
-      
-      // Calculate screenshot size
-      const width = options.width || currentSize.width;
-      const height = options.height || currentSize.height;
-      const scale = options.scale || 2;
-      
-      // Resize renderer temporarily
-      const targetWidth = options.width || (currentSize.width * scale);
-      const targetHeight = options.height || (currentSize.height * scale);
-      
-      this.renderer.setSize(targetWidth, targetHeight, false);
-      
-      // Render scene
-      this.renderer.render(this.scene, this.camera);
-      
-      // Get image data
-      const imageDataURL = this.renderer.domElement.toDataURL('image/png');
-      
-      // Restore original size
-      this.renderer.setSize(currentSize.width, currentSize.height, false);
-      
-      // Render at original size
-      this.renderer.render(this.scene, this.camera);
+      const values = ResidueProperties.parse(await file.text());
+      const name = options.name || file.name.replace(/\.[^.]*$/, '');
       
-      return imageDataURL;
+      return await this.setResidueProperty(name, values, options);
     } catch (error) {
-      console.error('Error taking screenshot:', error);
+      console.error('Error loading residue property:', error);
+      this._emitEvent('loadError', { error });
       return null;
     }
   }
   
   /**
-   * Register an event listener
-   * @param {string} event - Event name
-   * @param {Function} callback - Event callback
+   * Remove a per-residue property, going back to element colors if it was shown
+   * @param {string} name - Property name
+   * @returns {Promise<boolean>} True if the property existed
    */
-  on(event, callback) {
-    if (!this.eventListeners[event]) {
-      this.eventListeners[event] = [];
+  async removeResidueProperty(name) {
+    const scheme = ResidueProperties.getScheme(name);
+    const wasShown = this.state.colorScheme === scheme;
+    
+    if (!this.protein || !this.protein.residueProperties.remove(name)) {
+      return false;
     }
     
-    this.eventListeners[event].push(callback);
-  }
-  
-  /**
-   * Remove an event listener
-   * @param {string} event - Event name
-   * @param {Function} callback - Event callback
-   */
-  off(event, callback) {
-    if (!this.eventListeners[event]) {
-      return;
+    this._emitEvent('residuePropertiesChange', { names: this.protein.residueProperties.getNames() });
+    
+    if (wasShown) {
+      await this.setColorScheme('element');
     }
     
-    this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    return true;
   }
   
   /**
-   * Emit an event
-   * @private
-   * @param {string} event - Event name
-   * @param {Object} [data] - Event data
+   * Get the names of the attached per-residue properties
+   * @returns {Array<string>} Property names
    */
-  _emitEvent(event, data = {}) {
-    if (!this.eventListeners[event]) {
-      return;
-    }
-    
-    const eventObject = { type: event, detail: data };
-    
-    this.eventListeners[event].forEach(callback => {
-      try {
-        callback(eventObject);
-      } catch (error) {
-        console.error(`Error in ${event} event handler:`, error);
-      }
-    });
+  getResidueProperties() {
+    return this.protein ? this.protein.residueProperties.getNames() : [];
   }
   
   /**
-   * Reset the camera view to show the entire protein
+   * Set the potential at which the electrostatic colors saturate
+   * @param {number} range - Potential in kT/e; colors run from -range to +range
    * @returns {boolean} Success status
    */
-  resetView() {
-    if (!this.state.isInitialized || !this.rendererActive || !this.protein) {
+  setPotentialRange(range) {
+    if (!(range > 0)) {
+      console.warn(`Invalid potential range: ${range}`);
       return false;
     }
     
-    try {
-      this._centerCamera();
-      return true;
-    } catch (error) {
-      console.error('Error resetting view:', error);
-      return false;
+    this.state.potentialRange = range;
+    
+    if (this.activeVisualization && this.activeVisualization.setPotentialRange) {
+      this.activeVisualization.setPotentialRange(range);
     }
+    
+    this._updatePotentialLegend();
+    return true;
   }
   
   /**
-   * Get the current state of the viewer
-   * @returns {Object} Viewer state
+   * Check whether the surface is colored by electrostatic potential
+   * @private
+   * @returns {boolean} True if the potential is shown
    */
-  getState() {
-    return {
-      isInitialized: this.state.isInitialized,
-      isLoading: this.state.isLoading,
-      isReady: this.state.isReady,
-      currentStyle: this.state.currentStyle,
-      currentShader: this.state.currentShader,
-      effectStrength: this.state.effectStrength,
-      hasContextLoss: this.state.hasContextLoss
-    };
+  _isShowingPotential() {
+    return this.state.electrostatics && this.state.currentStyle === 'surface' && !!this.protein;
+  }
+  
+  /**
+   * Show the potential color bar while the potential is shown
+   * @private
+   */
+  _updatePotentialLegend() {
+    const visible = this._isShowingPotential();
+    
+    if (!this.potentialLegend) {
+      if (!visible) return;
+      
+      const colors = CONFIG.VISUALIZATION.ELECTROSTATICS;
+      this.potentialLegend = new ColorLegend({
+        title: 'Potential (kT/e)',
+        colors: [colors.NEGATIVE_COLOR, colors.NEUTRAL_COLOR, colors.POSITIVE_COLOR],
+        min: -this.state.potentialRange,
+        max: this.state.potentialRange
+      });
+      
+      // A canvas cannot hold the overlay, so it goes next to it
+      this.potentialLegend.attach(this.container === this.canvas ? this.canvas.parentNode : this.container);
+    }
+    
+    this.potentialLegend.setRange(-this.state.potentialRange, this.state.potentialRange);
+    this.potentialLegend.setVisible(visible);
+  }
+  
+  /**
+   * Check whether the loaded structure is treated as a predicted model, whose
+   * B-factor column holds pLDDT: as detected from its header and remarks,
+   * unless set with setPredictedModel()
+   * @returns {boolean} True for a predicted model
+   */
+  isPredictedModel() {
+    if (!this.protein) return false;
+    
+    return this.state.predictedModel !== null ? this.state.predictedModel : this.protein.isPredicted;
+  }
+  
+  /**
+   * Treat the loaded structure as a predicted model or not, overriding the
+   * detection. Predicted models are colored by pLDDT, and their
+   * low-confidence residues faded or hidden (see setLowConfidence).
+   * @param {boolean} enabled - Whether the structure is a predicted model
+   * @returns {Promise<boolean>} Success status
+   */
+  async setPredictedModel(enabled) {
+    if (!this.protein) {
+      return false;
+    }
+    
+    this.state.predictedModel = enabled;
+    
+    if (enabled) {
+      this.state.colorScheme = 'plddt';
+    } else if (this.state.colorScheme === 'plddt') {
+      this.state.colorScheme = CONFIG.VISUALIZATION.DEFAULT_COLOR_SCHEME;
+    }
+    
+    try {
+      await this._updateVisualization();
+    } catch (error) {
+      console.error('Error changing predicted model mode:', error);
+      return false;
+    }
+    
+    this._emitEvent('confidenceChange', {
+      predicted: enabled,
+      colorScheme: this.state.colorScheme
+    });
+    return true;
+  }
+  
+  /**
+   * Set how the residues of a predicted model below a pLDDT threshold are shown
+   * @param {string} mode - 'show', 'fade' (colors washed out) or 'hide'
+   * @param {number} [threshold] - pLDDT below which a residue has low confidence
+   * @returns {Promise<boolean>} Success status
+   */
+  async setLowConfidence(mode, threshold = this.state.confidenceThreshold) {
+    const validModes = ['show', 'fade', 'hide'];
+    
+    if (!validModes.includes(mode)) {
+      console.warn(`Invalid low-confidence mode: ${mode}`);
+      return false;
+    }
+    
+    if (!(threshold >= 0 && threshold <= 100)) {
+      console.warn(`Invalid pLDDT threshold: ${threshold}`);
+      return false;
+    }
+    
+    this.state.lowConfidence = mode;
+    this.state.confidenceThreshold = threshold;
+    
+    if (this.isPredictedModel()) {
+      try {
+        await this._updateVisualization();
+      } catch (error) {
+        console.error('Error changing low-confidence display:', error);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get how low-confidence residues are currently drawn
+   * @private
+   * @returns {Object|null} Display ({ mode, threshold }), or null when every
+   *   residue is drawn normally
+   */
+  _getConfidenceDisplay() {
+    if (!this.isPredictedModel() || this.state.lowConfidence === 'show') {
+      return null;
+    }
+    
+    return { mode: this.state.lowConfidence, threshold: this.state.confidenceThreshold };
+  }
+  
+  /**
+   * Leave out the residues below a pLDDT threshold, with the bonds renumbered
+   * for the atoms that remain
+   * @private
+   * @param {number} threshold - pLDDT below which residues are left out
+   * @returns {Object} Remaining atoms, bonds and residues
+   */
+  _filterLowConfidence(threshold) {
+    const residues = [];
+    const hidden = new Set();
+    
+    this.protein.residues.forEach(residue => {
+      if (Confidence.isLow(residue, threshold)) {
+        hidden.add(residue.id);
+      } else {
+        residues.push(residue);
+      }
+    });
+    
+    const atoms = [];
+    const indexes = new Map();
+    
+    this.protein.atoms.forEach((atom, i) => {
+      if (hidden.has(atom.residueId)) return;
+      
+      indexes.set(i, atoms.length);
+      atoms.push(atom);
+    });
+    
+    const bonds = [];
+    
+    this.protein.bonds.forEach(bond => {
+      if (!indexes.has(bond.atomIndex1) || !indexes.has(bond.atomIndex2)) return;
+      
+      bonds.push({
+        ...bond,
+        atomIndex1: indexes.get(bond.atomIndex1),
+        atomIndex2: indexes.get(bond.atomIndex2)
+      });
+    });
+    
+    return { atoms, bonds, residues };
+  }
+  
+  /**
+   * Show the pLDDT color bar while the structure is colored by confidence
+   * @private
+   */
+  _updateConfidenceLegend() {
+    const visible = !!this.protein && this.state.colorScheme === 'plddt' && !this._isShowingPotential();
+    
+    if (!this.confidenceLegend) {
+      if (!visible) return;
+      
+      const bands = CONFIG.VISUALIZATION.CONFIDENCE.BANDS;
+      this.confidenceLegend = new ColorLegend({
+        title: 'pLDDT',
+        colors: bands.map(band => band.COLOR),
+        min: 0,
+        max: 100,
+        breaks: bands.slice(1).map(band => band.MIN),
+        signed: false
+      });
+      
+      this.confidenceLegend.attach(this.container === this.canvas ? this.canvas.parentNode : this.container);
+    }
+    
+    this.confidenceLegend.setVisible(visible);
+  }
+  
+  /**
+   * Set the shader type
+   * @param {string} shader - Shader name: 'standard', 'toon', 'glow', or 'outline'
+   * @returns {boolean} Success status
+   */
+  setShader(shader) {
+    if (!this.state.isInitialized || !this.rendererActive) {
+      return false;
+    }
+    
+    if (this.state.currentShader === shader) {
+      return true; // Already using this shader
+    }
+    
+    // Valid shaders
+    const validShaders = ['standard', 'toon', 'glow', 'outline'];
+    
+    if (!validShaders.includes(shader)) {
+      console.warn(`Invalid shader: ${shader}. Using 'standard' instead.`);
+      shader = 'standard';
+    }
+    
+    // Update state
+    this.state.currentShader = shader;
+    
+    // Update shader if initialized
+    if (this.shader) {
+      try {
+        this.shader.setType(shader);
+        
+        // Update visualization if protein is loaded
+        if (this.activeVisualization) {
+          this.activeVisualization.updateShader(this.shader);
+          this.activeVisualization.updateEffectStrength(this.state.effectStrength);
+        }
+        
+        this.ligands.forEach(ligand => {
+          ligand.visualization.updateShader(this.shader);
+          ligand.visualization.updateEffectStrength(this.state.effectStrength);
+        });
+        
+        return true;
+      } catch (error) {
+        console.error('Error changing shader:', error);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Set effect strength
+   * @param {number} strength - Effect strength (0.0 - 1.0)
+   * @returns {boolean} Success status
+   */
+  setEffectStrength(strength) {
+    if (!this.state.isInitialized || !this.rendererActive) {
+      return false;
+    }
+    
+    // Clamp to valid range
+    strength = Math.max(0, Math.min(1, strength));
+    
+    // Update state
+    this.state.effectStrength = strength;
+    
+    // Update visualization if active
+    if (this.activeVisualization) {
+      try {
+        this.activeVisualization.updateEffectStrength(strength);
+        this.ligands.forEach(ligand => ligand.visualization.updateEffectStrength(strength));
+        return true;
+      } catch (error) {
+        console.error('Error changing effect strength:', error);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the number of models in the loaded structure
+   * @returns {number} Model count (0 if nothing is loaded)
+   */
+  getModelCount() {
+    if (!this.protein) return 0;
+    return Math.max(1, this.protein.models.length);
+  }
+  
+  /**
+   * Show a model of a multi-model structure (e.g. an NMR ensemble)
+   * @param {number} index - Zero-based model index
+   * @returns {boolean} Success status
+   */
+  setModel(index) {
+    if (!this.protein || this.protein.models.length === 0) {
+      return false;
+    }
+    
+    const models = this.protein.models;
+    if (!Number.isInteger(index) || index < 0 || index >= models.length) {
+      console.warn(`Invalid model index: ${index}`);
+      return false;
+    }
+    
+    try {
+      this._applyCoordinates(models[index].coordinates);
+      this.state.currentModel = index;
+      
+      this._emitEvent('modelChange', { index, count: models.length });
+      return true;
+    } catch (error) {
+      console.error('Error changing model:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Move the atoms to new coordinates and update the shown geometry
+   * @private
+   * @param {Float32Array|Array<number>} coordinates - Coordinates as x, y, z
+   *   triples, in the order of the protein's atoms
+   * @returns {Promise<void>} Promise that resolves when the geometry is updated
+   */
+  _applyCoordinates(coordinates) {
+    // Move atoms in place so bonds, residues and chains stay valid
+    this.protein.atoms.forEach((atom, i) => {
+      atom.x = coordinates[i * 3];
+      atom.y = coordinates[i * 3 + 1];
+      atom.z = coordinates[i * 3 + 2];
+      atom.position.set(atom.x, atom.y, atom.z);
+    });
+    
+    // Carving follows the atoms
+    if (this.isosurface && this.state.mapCarveRadius !== null) {
+      this._updateMapCarve().catch(error => console.warn('Error carving density map:', error));
+    }
+    
+    // Update geometry in place where supported, otherwise rebuild;
+    // surfaces update asynchronously, so the copies follow when done
+    if (this.activeVisualization && this.activeVisualization.updatePositions) {
+      return Promise.resolve(this.activeVisualization.updatePositions())
+        .then(() => this._updateCopies());
+    }
+    
+    if (this.activeVisualization) {
+      return this._updateVisualization();
+    }
+    
+    return Promise.resolve();
+  }
+  
+  /**
+   * Start cycling through models
+   * @param {number} [fps] - Models shown per second
+   * @returns {boolean} Success status
+   */
+  playModels(fps) {
+    if (this.getModelCount() < 2) {
+      return false;
+    }
+    
+    if (fps > 0) {
+      this.state.modelFrameRate = fps;
+    }
+    
+    this.pauseTrajectory();
+    this.state.isPlayingModels = true;
+    this.state.lastModelFrameTime = 0;
+    this._emitEvent('modelPlaybackChange', { playing: true });
+    return true;
+  }
+  
+  /**
+   * Stop cycling through models
+   */
+  pauseModels() {
+    if (!this.state.isPlayingModels) return;
+    
+    this.state.isPlayingModels = false;
+    this._emitEvent('modelPlaybackChange', { playing: false });
+  }
+  
+  /**
+   * Show the next model once the playback interval has elapsed
+   * @private
+   * @param {number} time - Current timestamp
+   */
+  _advanceModelPlayback(time) {
+    const interval = 1000 / this.state.modelFrameRate;
+    
+    if (!this.state.lastModelFrameTime) {
+      this.state.lastModelFrameTime = time;
+      return;
+    }
+    
+    if (time - this.state.lastModelFrameTime < interval) {
+      return;
+    }
+    
+    this.state.lastModelFrameTime = time;
+    
+    const next = (this.state.currentModel + 1) % this.protein.models.length;
+    if (!this.setModel(next)) {
+      this.pauseModels();
+    }
+  }
+  
+  /**
+   * Get the alternate location identifiers of the loaded structure
+   * @returns {Array<string>} Alternate locations (empty if there are none)
+   */
+  getAltLocs() {
+    return this.protein ? this.protein.altLocs : [];
+  }
+  
+  /**
+   * Select the alternate location to display, for one residue or globally
+   * @param {string} altLoc - Alternate location identifier (e.g. 'B')
+   * @param {string} [residueId] - Residue identifier; all residues if omitted
+   * @returns {Promise<boolean>} Success status
+   */
+  async setAltLoc(altLoc, residueId = null) {
+    if (!this.protein) {
+      return false;
+    }
+    
+    try {
+      const changed = ProteinModel.selectAltLoc(this.protein.residues, altLoc, residueId);
+      
+      if (changed && this.activeVisualization) {
+        if (this.activeVisualization.updateConformers) {
+          await this.activeVisualization.updateConformers();
+          this.activeVisualization.updateEffectStrength(this.state.effectStrength);
+          this._updateCopies();
+        } else {
+          await this._updateVisualization();
+        }
+      }
+      
+      this._emitEvent('altLocChange', { altLoc, residueId });
+      return true;
+    } catch (error) {
+      console.error('Error changing alternate location:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the biological assemblies of the loaded structure
+   * @returns {Array<Object>} Assemblies ({ id, details, generators })
+   */
+  getAssemblies() {
+    return this.protein ? this.protein.assemblies : [];
+  }
+  
+  /**
+   * Show a biological assembly, or the asymmetric unit
+   * @param {string|null} id - Assembly identifier; null for the asymmetric unit
+   * @returns {boolean} Success status
+   */
+  setAssembly(id) {
+    if (!this.protein) {
+      return false;
+    }
+    
+    const assembly = id === null || id === undefined ? null :
+      this.protein.assemblies.find(a => a.id === String(id));
+    
+    if (id !== null && id !== undefined && !assembly) {
+      console.warn(`Unknown assembly: ${id}`);
+      return false;
+    }
+    
+    try {
+      this.state.currentAssembly = assembly ? assembly.id : null;
+      this._updateAssembly();
+      this._centerCamera();
+      
+      this._emitEvent('assemblyChange', {
+        id: this.state.currentAssembly,
+        operatorCount: this.assembly ? this.assembly.getOperatorCount() : 1
+      });
+      return true;
+    } catch (error) {
+      console.error('Error changing assembly:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Rebuild the instanced copies of the selected assembly from the active
+   * visualization, or show the asymmetric unit if none is selected
+   * @private
+   */
+  _updateAssembly() {
+    this._clearAssembly();
+    
+    if (!this.activeVisualization || !this.activeVisualization.object) return;
+    
+    const source = this.activeVisualization.object;
+    const assembly = this.state.currentAssembly !== null ?
+      this.protein.assemblies.find(a => a.id === this.state.currentAssembly) : null;
+    
+    if (!assembly) {
+      source.visible = true;
+      return;
+    }
+    
+    this.assembly = new Assembly({
+      assembly,
+      atoms: this.protein.atoms,
+      centerOfMass: this.protein.centerOfMass
+    });
+    this.assembly.create(source);
+    
+    // The identity operator is part of the assembly, so hide the original
+    source.visible = false;
+    this.proteinGroup.add(this.assembly.object);
+  }
+  
+  /**
+   * Rebuild the instanced copies of the active visualization
+   * @private
+   */
+  _updateCopies() {
+    this._updateAssembly();
+    this._updateSymmetryMates();
+  }
+  
+  /**
+   * Remove the instanced copies of the current assembly
+   * @private
+   */
+  _clearAssembly() {
+    if (!this.assembly) return;
+    
+    this.proteinGroup.remove(this.assembly.object);
+    this.assembly.dispose();
+    this.assembly = null;
+  }
+  
+  /**
+   * Get the crystal (unit cell and space group) of the loaded structure
+   * @returns {Crystal|null} Crystal, or null for structures without a unit cell
+   */
+  getCrystal() {
+    return this.protein ? this.protein.crystal : null;
+  }
+  
+  /**
+   * Show or hide the unit cell as a wireframe box
+   * @param {boolean} visible - Whether the unit cell is shown
+   * @returns {boolean} Success status
+   */
+  setUnitCellVisible(visible) {
+    if (!this.protein || !this.protein.crystal) {
+      return false;
+    }
+    
+    try {
+      this._clearUnitCell();
+      
+      if (visible) {
+        this.unitCell = new UnitCell({
+          crystal: this.protein.crystal,
+          centerOfMass: this.protein.centerOfMass
+        });
+        this.unitCell.create();
+        this.proteinGroup.add(this.unitCell.object);
+      }
+      
+      this.state.showUnitCell = !!visible;
+      this._emitEvent('unitCellChange', { visible: this.state.showUnitCell });
+      return true;
+    } catch (error) {
+      console.error('Error changing unit cell display:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove the unit cell wireframe
+   * @private
+   */
+  _clearUnitCell() {
+    if (!this.unitCell) return;
+    
+    this.proteinGroup.remove(this.unitCell.object);
+    this.unitCell.dispose();
+    this.unitCell = null;
+  }
+  
+  /**
+   * Show the symmetry mates that come within a distance of the asymmetric
+   * unit, to inspect crystal contacts
+   * @param {number} [radius] - Contact distance in Angstroms
+   * @returns {number|boolean} Number of symmetry mates, or false on failure
+   */
+  showSymmetryMates(radius = CONFIG.VISUALIZATION.CRYSTAL.SYMMETRY_RADIUS) {
+    if (!this.protein || !this.protein.crystal) {
+      return false;
+    }
+    
+    if (!(radius > 0)) {
+      console.warn(`Invalid symmetry radius: ${radius}`);
+      return false;
+    }
+    
+    try {
+      this.state.symmetryRadius = radius;
+      this._updateSymmetryMates();
+      
+      const count = this.symmetryMates ? this.symmetryMates.getOperatorCount() : 0;
+      this._emitEvent('symmetryMatesChange', { radius, count });
+      return count;
+    } catch (error) {
+      console.error('Error generating symmetry mates:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Hide the symmetry mates
+   */
+  hideSymmetryMates() {
+    if (this.state.symmetryRadius === null) return;
+    
+    this.state.symmetryRadius = null;
+    this._clearSymmetryMates();
+    this._emitEvent('symmetryMatesChange', { radius: null, count: 0 });
+  }
+  
+  /**
+   * Find the symmetry mates for the current radius and repeat the active
+   * visualization for each of them
+   * @private
+   */
+  _updateSymmetryMates() {
+    this._clearSymmetryMates();
+    
+    if (this.state.symmetryRadius === null || !this.protein || !this.protein.crystal) return;
+    if (!this.activeVisualization || !this.activeVisualization.object) return;
+    
+    const operators = this.protein.crystal.findSymmetryMates(
+      this.protein.atoms,
+      this.state.symmetryRadius
+    );
+    
+    if (operators.length === 0) return;
+    
+    // Symmetry mates use the same instancing as biological assemblies
+    this.symmetryMates = new Assembly({
+      assembly: {
+        id: 'symmetry',
+        details: `${this.protein.crystal.spaceGroup} contacts within ${this.state.symmetryRadius} Å`,
+        generators: [{ chains: [], operators }]
+      },
+      atoms: this.protein.atoms,
+      centerOfMass: this.protein.centerOfMass
+    });
+    this.symmetryMates.create(this.activeVisualization.object);
+    this.proteinGroup.add(this.symmetryMates.object);
+  }
+  
+  /**
+   * Remove the instanced copies of the symmetry mates
+   * @private
+   */
+  _clearSymmetryMates() {
+    if (!this.symmetryMates) return;
+    
+    this.proteinGroup.remove(this.symmetryMates.object);
+    this.symmetryMates.dispose();
+    this.symmetryMates = null;
+  }
+  
+  /**
+   * Add a structure from a URL to the scene, keeping the loaded protein.
+   * Meant for ligands (SDF, MOL2, ...), which are drawn as ball and stick in
+   * the protein's coordinate frame. Without a protein the structure is
+   * loaded as the protein instead.
+   * @param {string} url - URL to the structure file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async addLigand(url) {
+    if (!this.protein) {
+      return this.loadProtein(url);
+    }
+    
+    return this._addLigand({ url }, (loader, onProgress) => loader.load(url, onProgress));
+  }
+  
+  /**
+   * Add a structure from a File object to the scene, keeping the loaded protein
+   * @param {File} file - Structure file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async addLigandFromFile(file) {
+    if (!this.protein) {
+      return this.loadProteinFromFile(file);
+    }
+    
+    return this._addLigand({ file }, (loader, onProgress) => loader.loadFromFile(file, onProgress));
+  }
+  
+  /**
+   * Load a ligand and add its visualization
+   * @private
+   * @param {Object} source - Event detail naming the source ({ url } or { file })
+   * @param {Function} load - Called with a PDBLoader and a progress callback; returns
+   *   a promise of the parsed data
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async _addLigand(source, load) {
+    if (this.state.isLoading) {
+      console.warn('Already loading a structure, please wait');
+      return false;
+    }
+    
+    this.state.isLoading = true;
+    this._hideError();
+    this._emitEvent('loadStart', Object.assign({ isLigand: true }, source));
+    
+    try {
+      const data = await load(new PDBLoader({ workerPool: this.workerPool }), (progress, status) => {
+        this._emitEvent('loadProgress', { progress: progress * 100, status });
+      });
+      
+      const BallStickModule = await import('./visualization/BallAndStick.js');
+      const visualization = new BallStickModule.BallAndStick({
+        proteinModel: {
+          atoms: data.atoms,
+          bonds: data.bonds,
+          residues: data.residueList,
+          chains: data.chainList,
+          // Positions are relative to the protein so the two line up
+          centerOfMass: this.protein.centerOfMass,
+          boundingBox: data.boundingBox,
+          getAtomColor: this._getAtomColor.bind(this)
+        },
+        colorScheme: 'element',
+        shader: this.shader
+      });
+      
+      await visualization.create();
+      visualization.updateEffectStrength(this.state.effectStrength);
+      
+      // The protein may have been replaced while loading
+      if (!this.protein) {
+        visualization.dispose();
+        throw new Error('The protein was removed while the ligand was loading');
+      }
+      
+      this.proteinGroup.add(visualization.object);
+      this.ligands.push({
+        name: (data.metadata && data.metadata.title) || (source.file ? source.file.name : source.url),
+        data,
+        visualization,
+        currentPose: 0
+      });
+      
+      this.state.isLoading = false;
+      this._emitEvent('ligandsChange', { ligands: this.getLigands() });
+      this._emitEvent('loadComplete', Object.assign({ isLigand: true }, source));
+      return true;
+    } catch (error) {
+      console.error('Error adding ligand:', error);
+      this.state.isLoading = false;
+      this._emitEvent('loadError', { error });
+      this._showError(`Failed to add ligand: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the ligands added to the scene
+   * @returns {Array<Object>} Ligands ({ name, atomCount, poseCount, currentPose })
+   */
+  getLigands() {
+    return this.ligands.map(ligand => ({
+      name: ligand.name,
+      atomCount: ligand.data.atoms.length,
+      poseCount: Math.max(1, ligand.data.models.length),
+      currentPose: ligand.currentPose
+    }));
+  }
+  
+  /**
+   * Show a pose of a ligand whose file holds several (e.g. docking results)
+   * @param {number} index - Index of the ligand
+   * @param {number} pose - Zero-based pose index
+   * @returns {boolean} Success status
+   */
+  setLigandPose(index, pose) {
+    const ligand = this.ligands[index];
+    if (!ligand) {
+      console.warn(`Invalid ligand index: ${index}`);
+      return false;
+    }
+    
+    const models = ligand.data.models;
+    if (!Number.isInteger(pose) || pose < 0 || pose >= models.length) {
+      console.warn(`Invalid pose index: ${pose}`);
+      return false;
+    }
+    
+    const coordinates = models[pose].coordinates;
+    ligand.data.atoms.forEach((atom, i) => {
+      atom.x = coordinates[i * 3];
+      atom.y = coordinates[i * 3 + 1];
+      atom.z = coordinates[i * 3 + 2];
+      atom.position.set(atom.x, atom.y, atom.z);
+    });
+    
+    ligand.currentPose = pose;
+    ligand.visualization.updatePositions();
+    
+    this._emitEvent('ligandsChange', { ligands: this.getLigands() });
+    return true;
+  }
+  
+  /**
+   * Remove all ligands from the scene
+   */
+  removeLigands() {
+    if (this.ligands.length === 0) return;
+    
+    this._clearLigands();
+    this._emitEvent('ligandsChange', { ligands: [] });
+  }
+  
+  /**
+   * Remove the ligand visualizations
+   * @private
+   */
+  _clearLigands() {
+    this.ligands.forEach(ligand => {
+      this.proteinGroup.remove(ligand.visualization.object);
+      ligand.visualization.dispose();
+    });
+    
+    this.ligands = [];
+  }
+  
+  /**
+   * Load a density map (CCP4/MRC or cube) from a URL and contour it
+   * around the loaded protein
+   * @param {string} url - URL to the map file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async loadMap(url) {
+    return this._loadMap({ url }, (loader, onProgress) => loader.load(url, onProgress));
+  }
+  
+  /**
+   * Load a density map from a File object
+   * @param {File} file - Map file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async loadMapFromFile(file) {
+    return this._loadMap({ file }, (loader, onProgress) => loader.loadFromFile(file, onProgress));
+  }
+  
+  /**
+   * Load a density map and replace the shown one
+   * @private
+   * @param {Object} source - Event detail naming the source ({ url } or { file })
+   * @param {Function} load - Called with a MapLoader and a progress callback; returns
+   *   a promise of the map
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async _loadMap(source, load) {
+    if (!this.protein) {
+      this._showError('Load a structure before its density map');
+      return false;
+    }
+    
+    if (this.state.isLoading) {
+      console.warn('Already loading a structure, please wait');
+      return false;
+    }
+    
+    this.state.isLoading = true;
+    this._hideError();
+    this._emitEvent('loadStart', Object.assign({ isMap: true }, source));
+    
+    try {
+      const map = await load(new MapLoader(), (progress, status) => {
+        this._emitEvent('loadProgress', { progress: progress * 100, status });
+      });
+      
+      // The protein may have been replaced while loading
+      if (!this.protein) {
+        throw new Error('The protein was removed while the map was loading');
+      }
+      
+      this._clearMap();
+      this.densityMap = map;
+      this.densityMapName = source.file ? source.file.name : source.url;
+      
+      this.isosurface = new Isosurface({
+        map,
+        centerOfMass: this.protein.centerOfMass,
+        level: this.state.mapLevel,
+        style: this.state.mapStyle,
+        workerPool: this.workerPool
+      });
+      this.proteinGroup.add(this.isosurface.object);
+      
+      this._emitEvent('loadProgress', { progress: 100, status: 'Contouring map' });
+      
+      if (this.state.mapCarveRadius !== null) {
+        await this._updateMapCarve();
+      } else {
+        await this.isosurface.create();
+      }
+      
+      this.state.isLoading = false;
+      this._emitEvent('mapChange', { map: this.getMap() });
+      this._emitEvent('loadComplete', Object.assign({ isMap: true }, source));
+      return true;
+    } catch (error) {
+      console.error('Error loading density map:', error);
+      this.state.isLoading = false;
+      this._emitEvent('loadError', { error });
+      this._showError(`Failed to load density map: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the loaded density map and its display settings
+   * @returns {Object|null} Map ({ name, format, dims, stats, level, style,
+   *   carveRadius }), or null if none is loaded
+   */
+  getMap() {
+    if (!this.densityMap) return null;
+    
+    return {
+      name: this.densityMapName,
+      format: this.densityMap.metadata.format,
+      dims: this.densityMap.dims.slice(),
+      stats: Object.assign({}, this.densityMap.stats),
+      level: this.state.mapLevel,
+      style: this.state.mapStyle,
+      carveRadius: this.state.mapCarveRadius
+    };
+  }
+  
+  /**
+   * Contour the density map at another level
+   * @param {number} sigma - Level in standard deviations above the map mean
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async setMapLevel(sigma) {
+    if (!isFinite(sigma)) {
+      console.warn(`Invalid map level: ${sigma}`);
+      return false;
+    }
+    
+    this.state.mapLevel = sigma;
+    if (!this.isosurface) return true;
+    
+    try {
+      await this.isosurface.setLevel(sigma);
+      this._emitEvent('mapChange', { map: this.getMap() });
+      return true;
+    } catch (error) {
+      console.error('Error contouring density map:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Draw the density map as a wire mesh or a see-through solid
+   * @param {string} style - 'mesh' or 'solid'
+   * @returns {boolean} Success status
+   */
+  setMapStyle(style) {
+    if (style !== 'mesh' && style !== 'solid') {
+      console.warn(`Invalid map style: ${style}`);
+      return false;
+    }
+    
+    this.state.mapStyle = style;
+    
+    if (this.isosurface) {
+      this.isosurface.setStyle(style);
+      this._emitEvent('mapChange', { map: this.getMap() });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Show the density map only within a distance of a selection
+   * @param {number|null} radius - Distance in Angstroms, or null to show the whole map
+   * @param {string|Array<string>|Function|null} [selection=null] - Atoms to carve
+   *   around: null for the whole structure, 'ligands' for ligands (including
+   *   added ones), residue IDs, or a filter function called with each atom
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async setMapCarve(radius, selection = null) {
+    if (radius !== null && !(radius > 0)) {
+      console.warn(`Invalid carve radius: ${radius}`);
+      return false;
+    }
+    
+    this.state.mapCarveRadius = radius;
+    this.state.mapCarveSelection = radius === null ? null : selection;
+    if (!this.isosurface) return true;
+    
+    try {
+      await this._updateMapCarve();
+      this._emitEvent('mapChange', { map: this.getMap() });
+      return true;
+    } catch (error) {
+      console.error('Error carving density map:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Carve the isosurface around the current selection's atoms
+   * @private
+   * @returns {Promise<void>} Promise that resolves when the surface is rebuilt
+   */
+  _updateMapCarve() {
+    if (this.state.mapCarveRadius === null) {
+      return this.isosurface.setCarve(null);
+    }
+    
+    const atoms = this._selectAtoms(this.state.mapCarveSelection);
+    return this.isosurface.setCarve(atoms, this.state.mapCarveRadius);
+  }
+  
+  /**
+   * Find the atoms of a selection among the shown conformers
+   * @private
+   * @param {string|Array<string>|Function|null} selection - Selection (see setMapCarve)
+   * @returns {Array<Object>} Atoms
+   */
+  _selectAtoms(selection) {
+    const atoms = this.protein.atoms.filter(atom => atom.isActiveConformer !== false);
+    
+    if (selection === 'ligands') {
+      return atoms.filter(atom => atom.isLigand)
+        .concat(...this.ligands.map(ligand => ligand.data.atoms));
+    }
+    
+    if (Array.isArray(selection)) {
+      const residueIds = new Set(selection);
+      return atoms.filter(atom => residueIds.has(atom.residueId));
+    }
+    
+    if (typeof selection === 'function') {
+      return atoms.filter(selection);
+    }
+    
+    return atoms;
+  }
+  
+  /**
+   * Remove the density map
+   */
+  removeMap() {
+    if (!this.densityMap) return;
+    
+    this._clearMap();
+    this._emitEvent('mapChange', { map: null });
+  }
+  
+  /**
+   * Remove the density map isosurface
+   * @private
+   */
+  _clearMap() {
+    if (this.isosurface) {
+      this.proteinGroup.remove(this.isosurface.object);
+      this.isosurface.dispose();
+      this.isosurface = null;
+    }
+    
+    this.densityMap = null;
+    this.densityMapName = null;
+  }
+  
+  /**
+   * Load an MD trajectory for the loaded structure from a URL
+   * @param {string} url - URL of a DCD, XTC or multi-model PDB file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async loadTrajectory(url) {
+    return this._loadTrajectory({ url }, (loader, onProgress) => loader.load(url, onProgress));
+  }
+  
+  /**
+   * Load an MD trajectory from a File object; frames are read from the
+   * file as they are shown
+   * @param {File} file - Trajectory file
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async loadTrajectoryFromFile(file) {
+    return this._loadTrajectory({ file }, (loader, onProgress) => loader.loadFromFile(file, onProgress));
+  }
+  
+  /**
+   * Load a trajectory and show its first frame
+   * @private
+   * @param {Object} source - Event detail naming the source ({ url } or { file })
+   * @param {Function} load - Called with a TrajectoryLoader and a progress callback;
+   *   returns a promise of the trajectory
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async _loadTrajectory(source, load) {
+    if (!this.protein) {
+      this._showError('Load a topology structure before its trajectory');
+      return false;
+    }
+    
+    if (this.state.isLoading) {
+      console.warn('Already loading a structure, please wait');
+      return false;
+    }
+    
+    this.state.isLoading = true;
+    this._hideError();
+    this._emitEvent('loadStart', Object.assign({ isTrajectory: true }, source));
+    
+    try {
+      const trajectory = await load(new TrajectoryLoader(), (progress, status) => {
+        this._emitEvent('loadProgress', { progress: progress * 100, status });
+      });
+      
+      // The protein may have been replaced while loading
+      if (!this.protein) {
+        throw new Error('The structure was removed while the trajectory was loading');
+      }
+      
+      const atoms = this.protein.atoms;
+      if (trajectory.atomCount !== atoms.length) {
+        throw new Error(`The trajectory has ${trajectory.atomCount} atoms but the structure has ${atoms.length}`);
+      }
+      
+      this.pauseModels();
+      this._restoreTrajectoryBase();
+      this._clearTrajectory();
+      
+      // Keep the topology coordinates to return to when the trajectory is removed
+      this.trajectoryBaseCoordinates = new Float64Array(atoms.length * 3);
+      atoms.forEach((atom, i) => {
+        this.trajectoryBaseCoordinates[i * 3] = atom.x;
+        this.trajectoryBaseCoordinates[i * 3 + 1] = atom.y;
+        this.trajectoryBaseCoordinates[i * 3 + 2] = atom.z;
+      });
+      
+      trajectory.name = source.file ? source.file.name : source.url;
+      trajectory.setTopology(atoms);
+      this.trajectory = trajectory;
+      this.state.trajectoryAlign = await trajectory.setAlignment(this.state.trajectoryAlign);
+      
+      this._emitEvent('loadProgress', { progress: 100, status: 'Reading first frame' });
+      await this.setFrame(0);
+      
+      this.state.isLoading = false;
+      this._emitEvent('trajectoryChange', { trajectory: this.getTrajectory() });
+      this._emitEvent('loadComplete', Object.assign({ isTrajectory: true }, source));
+      return true;
+    } catch (error) {
+      console.error('Error loading trajectory:', error);
+      this.state.isLoading = false;
+      this._emitEvent('loadError', { error });
+      this._showError(`Failed to load trajectory: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the loaded trajectory and its playback settings
+   * @returns {Object|null} Trajectory ({ name, frameCount, atomCount, timeStep,
+   *   currentFrame, isPlaying, frameRate, interpolate, align }), or null if none is loaded
+   */
+  getTrajectory() {
+    if (!this.trajectory) return null;
+    
+    return {
+      name: this.trajectory.name,
+      frameCount: this.trajectory.frameCount,
+      atomCount: this.trajectory.atomCount,
+      timeStep: this.trajectory.timeStep,
+      currentFrame: this.state.currentFrame,
+      isPlaying: this.state.isPlayingTrajectory,
+      frameRate: this.state.trajectoryFrameRate,
+      interpolate: this.state.trajectoryInterpolate,
+      align: this.state.trajectoryAlign
+    };
+  }
+  
+  /**
+   * Show a trajectory frame
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<boolean>} Promise resolving to success status
+   */
+  async setFrame(index) {
+    const trajectory = this.trajectory;
+    if (!trajectory) return false;
+    
+    if (!Number.isInteger(index) || index < 0 || index >= trajectory.frameCount) {
+      console.warn(`Invalid trajectory frame: ${index}`);
+      return false;
+    }
+    
+    try {
+      const coordinates = await trajectory.getFrame(index);
+      
+      // Another trajectory may have been loaded in the meantime
+      if (trajectory !== this.trajectory) return false;
+      
+      this.state.currentFrame = index;
+      this.state.trajectoryPosition = index;
+      await this._applyCoordinates(coordinates);
+      
+      this._emitFrameChange();
+      return true;
+    } catch (error) {
+      console.error('Error reading trajectory frame:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Start playing the trajectory, looping at the end
+   * @param {number} [fps] - Frames shown per second
+   * @returns {boolean} Success status
+   */
+  playTrajectory(fps) {
+    if (!this.trajectory || this.trajectory.frameCount < 2) {
+      return false;
+    }
+    
+    if (fps > 0) {
+      this.state.trajectoryFrameRate = fps;
+    }
+    
+    this.pauseModels();
+    this.state.isPlayingTrajectory = true;
+    this.state.lastTrajectoryFrameTime = 0;
+    this._emitEvent('trajectoryPlaybackChange', { playing: true });
+    return true;
+  }
+  
+  /**
+   * Stop playing the trajectory
+   */
+  pauseTrajectory() {
+    if (!this.state.isPlayingTrajectory) return;
+    
+    this.state.isPlayingTrajectory = false;
+    this._emitEvent('trajectoryPlaybackChange', { playing: false });
+  }
+  
+  /**
+   * Blend between frames during playback so motion looks continuous
+   * @param {boolean} enabled - Whether to interpolate
+   */
+  setTrajectoryInterpolation(enabled) {
+    this.state.trajectoryInterpolate = !!enabled;
+    
+    if (this.trajectory) {
+      this._emitEvent('trajectoryChange', { trajectory: this.getTrajectory() });
+    }
+  }
+  
+  /**
+   * Superimpose each frame on the first by its C-alpha atoms
+   * @param {boolean} enabled - Whether to align frames
+   * @returns {Promise<boolean>} Promise resolving to success status; alignment
+   *   fails for structures with fewer than three C-alpha atoms
+   */
+  async setTrajectoryAlignment(enabled) {
+    if (!this.trajectory) {
+      this.state.trajectoryAlign = !!enabled;
+      return true;
+    }
+    
+    try {
+      this.state.trajectoryAlign = await this.trajectory.setAlignment(!!enabled);
+      
+      // Redraw the current frame with the new alignment
+      await this.setFrame(this.state.currentFrame);
+      this._emitEvent('trajectoryChange', { trajectory: this.getTrajectory() });
+      return this.state.trajectoryAlign === !!enabled;
+    } catch (error) {
+      console.error('Error aligning trajectory:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Remove the trajectory and put the atoms back at their structure coordinates
+   */
+  removeTrajectory() {
+    if (!this.trajectory) return;
+    
+    this._restoreTrajectoryBase();
+    this._clearTrajectory();
+    this._emitEvent('trajectoryChange', { trajectory: null });
+  }
+  
+  /**
+   * Move to the next frame once enough time has passed, interpolating between
+   * frames when enabled. Frames are decoded ahead; playback waits for frames
+   * that are not ready and for the previous frame to be drawn.
+   * @private
+   * @param {number} time - Current timestamp
+   */
+  _advanceTrajectoryPlayback(time) {
+    const trajectory = this.trajectory;
+    if (!trajectory) {
+      this.pauseTrajectory();
+      return;
+    }
+    
+    const lastTime = this.state.lastTrajectoryFrameTime;
+    this.state.lastTrajectoryFrameTime = time;
+    
+    if (!lastTime || this.isUpdatingFrame) return;
+    
+    const count = trajectory.frameCount;
+    const frameRate = this.state.trajectoryFrameRate;
+    const position = (this.state.trajectoryPosition + (time - lastTime) / 1000 * frameRate) % count;
+    const index = Math.floor(position);
+    
+    // Keep about a second of frames decoded ahead
+    trajectory.prefetch(index, Math.ceil(frameRate) + 2);
+    
+    const from = trajectory.getCachedFrame(index);
+    if (!from) return;
+    
+    let coordinates = from;
+    
+    if (this.state.trajectoryInterpolate && index + 1 < count) {
+      const to = trajectory.getCachedFrame(index + 1);
+      
+      if (to) {
+        if (!this.trajectoryBuffer || this.trajectoryBuffer.length !== from.length) {
+          this.trajectoryBuffer = new Float32Array(from.length);
+        }
+        coordinates = Trajectory.interpolate(from, to, position - index, this.trajectoryBuffer);
+      }
+    }
+    
+    // Without blending, the atoms only move when the frame changes
+    if (coordinates === from && index === this.state.currentFrame) {
+      this.state.trajectoryPosition = position;
+      return;
+    }
+    
+    const frameChanged = index !== this.state.currentFrame;
+    this.state.trajectoryPosition = position;
+    this.state.currentFrame = index;
+    
+    this.isUpdatingFrame = true;
+    this._applyCoordinates(coordinates)
+      .catch(error => console.warn('Error updating trajectory frame:', error))
+      .finally(() => {
+        this.isUpdatingFrame = false;
+      });
+    
+    if (frameChanged) {
+      this._emitFrameChange();
+    }
+  }
+  
+  /**
+   * Notify listeners of the shown frame
+   * @private
+   */
+  _emitFrameChange() {
+    const index = this.state.currentFrame;
+    const timeStep = this.trajectory.timeStep;
+    
+    this._emitEvent('frameChange', {
+      index,
+      count: this.trajectory.frameCount,
+      time: timeStep !== null ? index * timeStep : null
+    });
+  }
+  
+  /**
+   * Move the atoms back to the coordinates they had before the trajectory
+   * @private
+   */
+  _restoreTrajectoryBase() {
+    if (this.trajectoryBaseCoordinates && this.protein) {
+      this._applyCoordinates(this.trajectoryBaseCoordinates)
+        .catch(error => console.warn('Error restoring structure coordinates:', error));
+    }
+  }
+  
+  /**
+   * Drop the trajectory and its decoded frames
+   * @private
+   */
+  _clearTrajectory() {
+    this.pauseTrajectory();
+    
+    if (this.trajectory) {
+      this.trajectory.dispose();
+      this.trajectory = null;
+    }
+    
+    this.trajectoryBaseCoordinates = null;
+    this.trajectoryBuffer = null;
+    this.isUpdatingFrame = false;
+    this.state.currentFrame = 0;
+    this.state.trajectoryPosition = 0;
+  }
+  
+  /**
+   * Set background color
+   * @param {string} color - Background color
+   * @returns {boolean} Success status
+   */
+  setBackgroundColor(color) {
+    if (!this.state.isInitialized || !this.rendererActive) {
+      return false;
+    }
+    
+    try {
+      // Update renderer clear color
+      this.renderer.setClearColor(new THREE.Color(color), 1.0);
+      
+      // Update scene background
+      if (this.scene) {
+        this.scene.background = new THREE.Color(color);
+      }
+      
+      // Store in config
+      this.config.backgroundColor = color;
+      
+      return true;
+    } catch (error) {
+      console.error('Error changing background color:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Take a screenshot of the current view
+   * @param {Object} [options] - Screenshot options
+   * @param {number} [options.width] - Width of screenshot
+   * @param {number} [options.height] - Height of screenshot
+   * @param {number} [options.scale=2] - Scale factor
+   * @returns {string|null} Data URL of the screenshot or null if failed
+   */
+  takeScreenshot(options = {}) {
+    if (!this.state.isInitialized || !this.rendererActive) {
+      console.warn('Cannot take screenshot: viewer not initialized or inactive');
+      return null;
+    }
+    
+    try {
+      // Get current size
+      const currentSize = {
+        width: this.canvas.width,
+        height: this.canvas.height
+      };
+      
+      // Calculate screenshot size
+      const width = options.width || currentSize.width;
+      const height = options.height || currentSize.height;
+      const scale = options.scale || 2;
+      
+      // Resize renderer temporarily
+      const targetWidth = options.width || (currentSize.width * scale);
+      const targetHeight = options.height || (currentSize.height * scale);
+      
+      this.renderer.setSize(targetWidth, targetHeight, false);
+      
+      // Render scene
+      this.renderer.render(this.scene, this.camera);
+      
+      // Get image data, with the color bar drawn over it when one is shown
+      let imageDataURL;
+      const legends = [this.potentialLegend, this.confidenceLegend].filter(legend => legend && legend.visible);
+      
+      if (legends.length > 0) {
+        const image = document.createElement('canvas');
+        image.width = targetWidth;
+        image.height = targetHeight;
+        
+        const context = image.getContext('2d');
+        context.drawImage(this.renderer.domElement, 0, 0);
+        legends.forEach(legend => {
+          legend.draw(context, targetWidth, targetHeight, targetWidth / (this.canvas.clientWidth || currentSize.width));
+        });
+        
+        imageDataURL = image.toDataURL('image/png');
+      } else {
+        imageDataURL = this.renderer.domElement.toDataURL('image/png');
+      }
+      
+      // Restore original size
+      this.renderer.setSize(currentSize.width, currentSize.height, false);
+      
+      // Render at original size
+      this.renderer.render(this.scene, this.camera);
+      
+      return imageDataURL;
+    } catch (error) {
+      console.error('Error taking screenshot:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Register an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    
+    this.eventListeners[event].push(callback);
+  }
+  
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Event callback
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) {
+      return;
+    }
+    
+    this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+  }
+  
+  /**
+   * Emit an event
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} [data] - Event data
+   */
+  _emitEvent(event, data = {}) {
+    if (!this.eventListeners[event]) {
+      return;
+    }
+    
+    const eventObject = { type: event, detail: data };
+    
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(eventObject);
+      } catch (error) {
+        console.error(`Error in ${event} event handler:`, error);
+      }
+    });
+  }
+  
+  /**
+   * Reset the camera view to show the entire protein
+   * @returns {boolean} Success status
+   */
+  resetView() {
+    if (!this.state.isInitialized || !this.rendererActive || !this.protein) {
+      return false;
+    }
+    
+    try {
+      this._centerCamera();
+      return true;
+    } catch (error) {
+      console.error('Error resetting view:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the current state of the viewer
+   * @returns {Object} Viewer state
+   */
+  getState() {
+    return {
+      isInitialized: this.state.isInitialized,
+      isLoading: this.state.isLoading,
+      isReady: this.state.isReady,
+      currentStyle: this.state.currentStyle,
+      currentShader: this.state.currentShader,
+      surfaceType: this.state.surfaceType,
+      colorScheme: this.state.colorScheme,
+      electrostatics: this.state.electrostatics,
+      potentialRange: this.state.potentialRange,
+      predictedModel: this.isPredictedModel(),
+      lowConfidence: this.state.lowConfidence,
+      confidenceThreshold: this.state.confidenceThreshold,
+      effectStrength: this.state.effectStrength,
+      hasContextLoss: this.state.hasContextLoss,
+      currentModel: this.state.currentModel,
+      modelCount: this.getModelCount(),
+      isPlayingModels: this.state.isPlayingModels,
+      currentAssembly: this.state.currentAssembly,
+      showUnitCell: this.state.showUnitCell,
+      symmetryRadius: this.state.symmetryRadius,
+      mapLevel: this.state.mapLevel,
+      mapStyle: this.state.mapStyle,
+      mapCarveRadius: this.state.mapCarveRadius,
+      currentFrame: this.state.currentFrame,
+      isPlayingTrajectory: this.state.isPlayingTrajectory
+    };
   }
   
   /**
@@ -1398,6 +3233,12 @@ export class ProteinViewer {
     // Clear protein
     this._clearProtein();
     
+    // Stop the workers
+    if (this.workerPool) {
+      this.workerPool.terminate();
+      this.workerPool = null;
+    }
+    
     // Dispose of Three.js resources
     if (this.controls) {
       this.controls.dispose();
@@ -1416,6 +3257,16 @@ export class ProteinViewer {
       this.errorDisplay.parentNode.removeChild(this.errorDisplay);
     }
     
+    if (this.potentialLegend) {
+      this.potentialLegend.dispose();
+      this.potentialLegend = null;
+    }
+    
+    if (this.confidenceLegend) {
+      this.confidenceLegend.dispose();
+      this.confidenceLegend = null;
+    }
+    
     // Clear event listeners
     this.eventListeners = {};
     
@@ -15,7 +15,7 @@ export const CONFIG = {
   RENDERER: {
     ANTIALIAS: true,
     ALPHA: true,
-    PIXEL_RATIO: window.devicePixelRatio || 1,
+    PIXEL_RATIO: (typeof window !== 'undefined' && window.devicePixelRatio) || 1,
     MAX_PIXEL_RATIO: 2, // Limit for performance on high-DPI displays
     SHADOW_MAP_ENABLED: true,
     SHADOW_MAP_TYPE: 'PCFSoftShadowMap', // PCFShadowMap, PCFSoftShadowMap, VSMShadowMap
@@ -55,8 +55,8 @@ export const CONFIG = {
   
   // Visualization defaults
   VISUALIZATION: {
-    DEFAULT_STYLE: 'ball-stick', // ball-stick, ribbon, surface
-    DEFAULT_COLOR_SCHEME: 'element', // element, chain, residue, rainbow
+    DEFAULT_STYLE: 'ball-stick', // ball-stick, spacefill, licorice, trace, ribbon, putty, surface
+    DEFAULT_COLOR_SCHEME: 'element', // element, chain, residue, rainbow, secondary, charge, nucleotide, bfactor, plddt, kyte-doolittle, eisenberg, property:<name>
     DEFAULT_SHADER: 'standard', // standard, toon, glow, outline
     DEFAULT_EFFECT_STRENGTH: 50,
     
@@ -67,29 +67,162 @@ export const CONFIG = {
       SEGMENT_COUNT: 16, // Level of detail for spheres and cylinders
       HYDROGEN_SCALE: 0.2,
       SHOW_HYDROGENS: false, // Whether to display hydrogen atoms
-      INSTANCING_ENABLED: true // Use instanced rendering for performance
+      INSTANCING_ENABLED: true, // Use instanced rendering for performance
+      GHOST_CONFORMERS: true, // Draw non-selected alternate locations see-through
+      GHOST_OPACITY: 0.3, // Opacity of ghosted conformers
+      SHOW_BOND_ORDERS: true // Draw double, triple and aromatic bonds with several cylinders
+    },
+    
+    // Spacefill (CPK) settings
+    SPACEFILL: {
+      RADII: { // Van der Waals radii (in Angstroms, Bondi 1964)
+        H: 1.20, C: 1.70, N: 1.55, O: 1.52, S: 1.80, P: 1.80, SE: 1.90,
+        F: 1.47, CL: 1.75, BR: 1.85, I: 1.98, HE: 1.40, NE: 1.54, AR: 1.88,
+        KR: 2.02, XE: 2.16, NA: 2.27, K: 2.75, MG: 1.73, CU: 1.40, ZN: 1.39
+      },
+      DEFAULT_RADIUS: 1.80, // Elements without a radius above
+      SPHERE_DETAIL: 2, // Icosahedron subdivisions of the atom spheres
+      MAX_ATOMS: 20000
+    },
+    
+    // Licorice settings
+    LICORICE: {
+      RADIUS: 0.25 // Radius of the atom spheres and of the bonds joining them
+    },
+    
+    // Backbone trace settings
+    TRACE: {
+      RADIUS: 0.4, // Radius of the trace spheres and sticks
+      MAX_CA_DISTANCE: 4.2, // Longest C-alpha step drawn; longer ones are chain breaks
+      MAX_P_DISTANCE: 8.0 // Longest phosphate step drawn
     },
     
     // Ribbon settings
     RIBBON: {
-      THICKNESS: 0.4,
+      THICKNESS: 0.4, // Thickness of helix and sheet ribbons (in Angstroms)
       TENSION: 0.5,
-      SUBDIVISION: 8,
-      CURVE_SEGMENTS: 32,
-      HELIX_WIDTH: 1.3,
+      SUBDIVISION: 8, // Cross-sections per residue
+      CURVE_SEGMENTS: 32, // Vertices around each cross-section
+      HELIX_WIDTH: 2.4,
       SHEET_WIDTH: 2.0,
-      COIL_WIDTH: 0.3
+      ARROW_WIDTH: 3.2, // Width at the base of strand arrowheads
+      COIL_WIDTH: 0.5, // Diameter of the coil tube
+      HELIX_MODE: 'ribbon', // ribbon or cylinder
+      CYLINDER_RADIUS: 1.6,
+      NUCLEIC_WIDTH: 1.0, // Diameter of the nucleic acid backbone tube
+      BASE_MODE: 'slab', // slab or ladder
+      BASE_WIDTH: 2.0, // Width of base slabs
+      LADDER_RADIUS: 0.3, // Radius of base rungs and of the sticks joining slabs to the backbone
+      MAX_CA_DISTANCE: 4.2, // Longer C-alpha steps are chain breaks, where the ribbon is cut
+      MAX_P_DISTANCE: 8.0 // Longest phosphate step of the nucleic acid backbone
+    },
+    
+    // B-factor putty settings (tube thickness follows flexibility)
+    PUTTY: {
+      MIN_RADIUS: 0.2, // Tube radius of the most rigid residues (in Angstroms)
+      MAX_RADIUS: 2.0, // Tube radius of the most flexible residues
+      SOURCE: 'bfactor', // bfactor, or plddt for predicted models
+      PLDDT_RANGE: [50, 90] // pLDDT drawn at the maximum and at the minimum radius
     },
     
     // Surface settings
     SURFACE: {
+      TYPE: 'ses', // vdw (van der Waals), sas (solvent-accessible), ses (solvent-excluded)
       PROBE_RADIUS: 1.4, // Standard solvent radius (in Angstroms)
-      ISO_VALUE: 0.5,
-      RESOLUTION: 1.0, // Resolution of the volumetric data (lower is more detailed but slower)
-      SMOOTHING: 1, // Number of smoothing iterations
+      RESOLUTION: 0.6, // Finest grid spacing (lower is more detailed but slower)
+      MAX_GRID_POINTS: 2000000, // Grid point budget; large structures get a coarser grid
+      MAX_GRID_POINTS_MOBILE: 250000,
+      SMOOTHING: 0, // Number of smoothing iterations
+      HIGHLIGHT_COLOR: '#FFD700', // Surface patches over highlighted atoms
       WIREFRAME: false
     },
     
+    // Charge coloring (red negative, white neutral, blue positive)
+    CHARGE: {
+      RANGE: 1.0, // Charge (e) at which the colors saturate
+      NEGATIVE_COLOR: 0xE62020,
+      NEUTRAL_COLOR: 0xFFFFFF,
+      POSITIVE_COLOR: 0x2040E6
+    },
+    
+    // Electrostatic surface coloring (red negative, white neutral, blue positive)
+    ELECTROSTATICS: {
+      RANGE: 3.0, // Potential (kT/e) at which the colors saturate
+      DIELECTRIC: 78.5, // Relative permittivity of water
+      IONIC_STRENGTH: 0.15, // Salt concentration (mol/L) screening the charges; 0 for plain Coulomb
+      TEMPERATURE: 298.15, // Kelvin
+      CUTOFF: 20.0, // Charges farther than this (in Angstroms) from a vertex are ignored
+      NEGATIVE_COLOR: 0xE62020,
+      NEUTRAL_COLOR: 0xFFFFFF,
+      POSITIVE_COLOR: 0x2040E6
+    },
+    
+    // B-factor coloring (blue rigid, white, red flexible)
+    BFACTOR: {
+      MIN: null, // B-factor at the low end of the gradient; null for the smallest in the structure
+      MAX: null, // B-factor at the high end; null for the largest (outliers can be clamped here)
+      GRADIENT: ['#2040E6', '#FFFFFF', '#E62020'],
+      MISSING_COLOR: '#808080' // Atoms and residues without a B-factor
+    },
+    
+    // Predicted model confidence (pLDDT in the B-factor column of AlphaFold,
+    // ESMFold and similar models)
+    CONFIDENCE: {
+      BANDS: [ // pLDDT bands from the lowest up, each from its MIN
+        { MIN: 0, COLOR: '#FF7D45', LABEL: 'Very low' },
+        { MIN: 50, COLOR: '#FFDB13', LABEL: 'Low' },
+        { MIN: 70, COLOR: '#65CBF3', LABEL: 'Confident' },
+        { MIN: 90, COLOR: '#0053D6', LABEL: 'Very high' }
+      ],
+      MISSING_COLOR: '#808080', // Atoms and residues without a pLDDT
+      LOW_CONFIDENCE: 'show', // Residues below the threshold: show, fade or hide
+      THRESHOLD: 70, // pLDDT below which residues are faded or hidden
+      FADE_COLOR: '#808080', // Color that faded residues are blended towards
+      FADE_AMOUNT: 0.75, // Fraction of the way faded colors move towards FADE_COLOR
+      PREDICTORS: ['AlphaFold', 'ESMFold', 'ColabFold', 'OpenFold', 'RoseTTAFold'] // Names in titles and remarks of predicted models
+    },
+    
+    // Per-residue properties (hydrophobicity, conservation, user scores)
+    RESIDUE_PROPERTIES: {
+      DEFAULT_GRADIENT: 'blue-white-red', // Gradient of properties attached without one
+      MISSING_COLOR: '#808080', // Residues without a value
+      GRADIENTS: { // Colors from low to high values
+        HYDROPHOBICITY: ['#008B8B', '#FFFFFF', '#B8860B'], // Hydrophilic cyan to hydrophobic gold
+        CONSERVATION: ['#10C8D1', '#FFFFFF', '#A02560'], // Variable cyan to conserved maroon
+        BLUE_WHITE_RED: ['#2040E6', '#FFFFFF', '#E62020'],
+        WHITE_RED: ['#FFFFFF', '#E62020'],
+        VIRIDIS: ['#440154', '#3B528B', '#21908C', '#5DC963', '#FDE725']
+      }
+    },
+    
+    // Unit cell and crystal packing settings
+    CRYSTAL: {
+      CELL_COLOR: '#FFFFFF',
+      AXIS_COLORS: ['#FF4040', '#40FF40', '#4080FF'], // Edges along a, b and c from the origin
+      CELL_OPACITY: 0.8,
+      SYMMETRY_RADIUS: 5.0 // Contact distance (in Angstroms) for symmetry mates
+    },
+    
+    // Density map isosurface settings
+    DENSITY: {
+      LEVEL: 1.5, // Contour level in standard deviations above the mean
+      STYLE: 'mesh', // mesh, solid
+      COLOR: '#3FA0FF',
+      OPACITY: 0.5, // Opacity of the solid style
+      CARVE_RADIUS: 2.0, // Distance (in Angstroms) kept around the carving atoms
+      MAX_GRID_SIZE: 160 // Grid points per axis; larger maps are sampled more coarsely
+    },
+    
+    // Nucleotide colors (A red, C yellow, G green, T blue, U cyan)
+    NUCLEOTIDE_COLORS: {
+      A: '#E63C3C',
+      C: '#F0D23C',
+      G: '#3CB43C',
+      T: '#3C64E6',
+      U: '#3CC8D2',
+      DEFAULT: '#B4B4B4' // Other residues
+    },
+    
     // Element colors (CPK coloring)
     ELEMENT_COLORS: {
       H: '#FFFFFF', // White
@@ -116,6 +249,14 @@ export const CONFIG = {
     }
   },
   
+  // Trajectory playback settings
+  TRAJECTORY: {
+    FRAME_RATE: 10, // Frames shown per second during playback
+    CACHE_SIZE: 32, // Decoded frames kept in memory
+    INTERPOLATE: false, // Blend between frames for smoother playback
+    ALIGN: false // Superimpose each frame on the first by its C-alpha atoms
+  },
+  
   // Export settings
   EXPORT: {
     DEFAULT_FORMAT: 'png', // png, jpg
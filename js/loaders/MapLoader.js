@@ -0,0 +1,60 @@
+/**
+ * MapLoader.js - Loader for volumetric density maps
+ * Fetches or reads CCP4/MRC and Gaussian cube files, gzipped or not, the
+ * same way PDBLoader does for structures, and parses them into DensityMaps
+ */
+
+import { PDBLoader } from './PDBLoader.js';
+import { CCP4Parser } from '../utils/CCP4Parser.js';
+import { CubeParser } from '../utils/CubeParser.js';
+
+// Map formats by file extension
+const MAP_FORMATS = {
+  ccp4: 'ccp4',
+  map: 'ccp4',
+  mrc: 'ccp4',
+  cube: 'cube',
+  cub: 'cube'
+};
+
+export class MapLoader extends PDBLoader {
+  /**
+   * Get the file extensions of the supported map formats
+   * @returns {Array<string>} Extensions, lowercase and without the dot
+   */
+  static getExtensions() {
+    return Object.keys(MAP_FORMATS);
+  }
+  
+  /**
+   * Parse map file content in its format
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} [name] - File name or URL, used for format detection
+   * @returns {DensityMap} Density map
+   */
+  parseMap(buffer, name) {
+    const extension = name ? name.split(/[?#]/)[0].split('.').pop().toLowerCase() : '';
+    
+    // Binary maps carry a tag; anything else is taken for a cube file
+    const format = MAP_FORMATS[extension] || (CCP4Parser.isCCP4(buffer) ? 'ccp4' : 'cube');
+    
+    if (format === 'ccp4') {
+      return new CCP4Parser().parse(buffer);
+    }
+    
+    return new CubeParser().parse(new TextDecoder().decode(buffer));
+  }
+  
+  /**
+   * Parse raw file content on the main thread; maps are read in one pass
+   * @protected
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} name - File name or URL
+   * @param {Function} [onProgress] - Progress callback
+   * @returns {Promise<DensityMap>} Density map
+   */
+  async _parseBuffer(buffer, name, onProgress) {
+    if (onProgress) onProgress(0.75, 'Parsing map');
+    return this.parseMap(buffer, name);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * TrajectoryLoader.js - Loader for MD trajectories
+ * Opens DCD, XTC and multi-model PDB trajectories. Local files are read in
+ * slices as frames are needed; downloaded and gzipped files are held in
+ * memory and decoded frame by frame.
+ */
+
+import { PDBLoader } from './PDBLoader.js';
+import { TrajectoryReader } from '../utils/TrajectoryReader.js';
+import { DCDReader } from '../utils/DCDReader.js';
+import { XTCReader } from '../utils/XTCReader.js';
+import { PDBTrajectoryReader } from '../utils/PDBTrajectoryReader.js';
+import { Trajectory } from '../utils/Trajectory.js';
+import { GzipDecoder } from '../utils/GzipDecoder.js';
+
+// Trajectory readers by file extension
+const TRAJECTORY_FORMATS = {
+  dcd: DCDReader,
+  xtc: XTCReader,
+  pdb: PDBTrajectoryReader,
+  ent: PDBTrajectoryReader
+};
+
+export class TrajectoryLoader extends PDBLoader {
+  /**
+   * Get the file extensions of the supported trajectory formats
+   * @returns {Array<string>} Extensions, lowercase and without the dot
+   */
+  static getExtensions() {
+    return Object.keys(TRAJECTORY_FORMATS);
+  }
+  
+  /**
+   * Load a trajectory from a File object, reading frames from it as needed
+   * @param {File} file - File object
+   * @param {Function} onProgress - Progress callback, called with (progress 0-1, status)
+   * @returns {Promise<Trajectory>} Promise resolving to the trajectory
+   */
+  async loadFromFile(file, onProgress = null) {
+    // Compressed files have to be read and inflated in full
+    if (/\.gz$/i.test(file.name)) {
+      return super.loadFromFile(file, onProgress);
+    }
+    
+    if (onProgress) onProgress(0.5, 'Indexing frames');
+    return this.open(TrajectoryReader.fromBlob(file), file.name);
+  }
+  
+  /**
+   * Open a trajectory in its format
+   * @param {Object} source - File access (see TrajectoryReader.fromBuffer() and fromBlob())
+   * @param {string} [name] - File name or URL, used for format detection
+   * @returns {Promise<Trajectory>} Trajectory
+   */
+  async open(source, name) {
+    const Reader = await this._getReader(source, name);
+    const reader = await new Reader(source).open();
+    
+    return new Trajectory(reader, { name });
+  }
+  
+  /**
+   * Pick the reader by extension, or by the first bytes of the file
+   * @private
+   * @param {Object} source - File access
+   * @param {string} [name] - File name or URL
+   * @returns {Promise<Function>} Reader class
+   */
+  async _getReader(source, name) {
+    const extension = name ? GzipDecoder.stripExtension(name).split(/[?#]/)[0].split('.').pop().toLowerCase() : '';
+    
+    if (TRAJECTORY_FORMATS[extension]) {
+      return TRAJECTORY_FORMATS[extension];
+    }
+    
+    const head = new DataView(await source.read(0, Math.min(8, source.size)));
+    
+    if (head.byteLength >= 8) {
+      const tag = String.fromCharCode(head.getUint8(4), head.getUint8(5), head.getUint8(6), head.getUint8(7));
+      if (tag === 'CORD') return DCDReader;
+      if (head.getInt32(0) === 1995) return XTCReader;
+    }
+    
+    return PDBTrajectoryReader;
+  }
+  
+  /**
+   * Open downloaded or decompressed content
+   * @protected
+   * @param {ArrayBuffer} buffer - File content
+   * @param {string} name - File name or URL
+   * @param {Function} [onProgress] - Progress callback
+   * @returns {Promise<Trajectory>} Trajectory
+   */
+  async _parseBuffer(buffer, name, onProgress) {
+    if (onProgress) onProgress(0.75, 'Indexing frames');
+    return this.open(TrajectoryReader.fromBuffer(buffer), name);
+  }
+}
@@ -14,10 +14,16 @@ import { UIManager } from './ui/UIManager.js';
 import { PDBLoader } from './loaders/PDBLoader.js';
 import { ProteinModel } from './visualization/ProteinModel.js';
 import { BallAndStick } from './visualization/BallAndStick.js';
+import { Spacefill } from './visualization/Spacefill.js';
+import { Licorice } from './visualization/Licorice.js';
+import { BackboneTrace } from './visualization/BackboneTrace.js';
 import { Ribbon } from './visualization/Ribbon.js';
+import { Putty } from './visualization/Putty.js';
 import { Surface } from './visualization/Surface.js';
 import { ShaderManager } from './shaders/ShaderManager.js';
 import { ExportUtils } from './utils/ExportUtils.js';
+import { WorkerPool } from './utils/WorkerPool.js';
+import { GzipDecoder } from './utils/GzipDecoder.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -35,6 +41,11 @@ class ProteinVisualizer {
     this.activeShader = 'standard';
     this.loadedProtein = null;
     
+    // Workers for parsing and surface building
+    this.workerPool = CONFIG.PERFORMANCE.USE_WORKER_THREADS && WorkerPool.isSupported()
+      ? new WorkerPool({ url: new URL('./workers/StructureWorker.js', import.meta.url) })
+      : null;
+    
     // Initialize loading screen
     this.loadingScreen = new LoadingScreen({
       element: document.getElementById('loading-screen'),
@@ -265,10 +276,11 @@ class ProteinVisualizer {
     if (!CONFIG.DEFAULT_PROTEIN_URL) return;
     
     try {
-      const pdbLoader = new PDBLoader();
+      const pdbLoader = new PDBLoader({ workerPool: this.workerPool });
       const pdbData = await pdbLoader.load(CONFIG.DEFAULT_PROTEIN_URL, 
-        progress => {
+        (progress, status) => {
           this.loadingScreen.updateProgress(70 + progress * 20);
+          if (status) this.loadingScreen.updateStatus(`${status}...`);
         }
       );
       
@@ -336,6 +348,30 @@ class ProteinVisualizer {
           });
           break;
           
+        case 'spacefill':
+          this.activeVisualization = new Spacefill({
+            proteinModel: this.loadedProtein,
+            colorScheme: this.uiManager.getColorScheme(),
+            shader: this.shaderManager.getShader(this.activeShader)
+          });
+          break;
+          
+        case 'licorice':
+          this.activeVisualization = new Licorice({
+            proteinModel: this.loadedProtein,
+            colorScheme: this.uiManager.getColorScheme(),
+            shader: this.shaderManager.getShader(this.activeShader)
+          });
+          break;
+          
+        case 'trace':
+          this.activeVisualization = new BackboneTrace({
+            proteinModel: this.loadedProtein,
+            colorScheme: this.uiManager.getColorScheme(),
+            shader: this.shaderManager.getShader(this.activeShader)
+          });
+          break;
+          
         case 'ribbon':
           this.activeVisualization = new Ribbon({
             proteinModel: this.loadedProtein,
@@ -344,11 +380,20 @@ class ProteinVisualizer {
           });
           break;
           
+        case 'putty':
+          this.activeVisualization = new Putty({
+            proteinModel: this.loadedProtein,
+            colorScheme: this.uiManager.getColorScheme(),
+            shader: this.shaderManager.getShader(this.activeShader)
+          });
+          break;
+          
         case 'surface':
           this.activeVisualization = new Surface({
             proteinModel: this.loadedProtein,
             colorScheme: this.uiManager.getColorScheme(),
-            shader: this.shaderManager.getShader(this.activeShader)
+            shader: this.shaderManager.getShader(this.activeShader),
+            workerPool: this.workerPool
           });
           break;
           
@@ -539,10 +584,13 @@ class ProteinVisualizer {
   async _handleFileUpload(file) {
     if (!file) return;
     
-    // Check file extension
-    const fileExtension = file.name.split('.').pop().toLowerCase();
-    if (fileExtension !== 'pdb') {
-      alert('Please upload a valid PDB file (.pdb)');
+    const pdbLoader = new PDBLoader({ workerPool: this.workerPool });
+    
+    // Check file extension against the supported formats; gzipped files are allowed
+    const extensions = pdbLoader.formats.getExtensions();
+    const fileExtension = GzipDecoder.stripExtension(file.name).split('.').pop().toLowerCase();
+    if (!extensions.includes(fileExtension)) {
+      alert(`Please upload a valid structure file (${extensions.map(extension => '.' + extension).join(', ')})`);
       return;
     }
     
@@ -553,9 +601,9 @@ class ProteinVisualizer {
       this.loadingScreen.updateProgress(0);
       
       // Read and parse file
-      const pdbLoader = new PDBLoader();
-      const pdbData = await pdbLoader.loadFromFile(file, (progress) => {
-        this.loadingScreen.updateProgress(progress * 100);
+      const pdbData = await pdbLoader.loadFromFile(file, (progress, status) => {
+        this.loadingScreen.updateProgress(progress * 80);
+        if (status) this.loadingScreen.updateStatus(`${status}...`);
       });
       
       // Create protein model
@@ -6,10 +6,17 @@
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', function() {
   // 1. Import our modules
-  import('./ProteinViewer.js')    
-    .then(module => {
+  Promise.all([import('./ProteinViewer.js'), import('./ui/LoadingScreen.js')])
+    .then(([module, loadingModule]) => {
       const ProteinViewer = module.ProteinViewer;
       
+      // Progress bar and status of the loading screen
+      const loadingScreen = new loadingModule.LoadingScreen({
+        element: document.getElementById('loading-screen'),
+        progressBar: document.getElementById('loading-progress-bar'),
+        statusElement: document.getElementById('loading-status')
+      });
+      
       // 2. Initialize the viewer
       const viewer = new ProteinViewer({
         container: 'protein-viewport', // ID of your canvas element
@@ -23,7 +30,7 @@ document.addEventListener('DOMContentLoaded', function() {
       setupUIControls(viewer);
       
       // 4. Handle viewer events
-      handleViewerEvents(viewer);
+      handleViewerEvents(viewer, loadingScreen);
     })
 });
 
@@ -47,6 +54,109 @@ function setupUIControls(viewer) {
     });
   });
   
+  // Surface type select
+  const surfaceType = document.getElementById('surface-type');
+  if (surfaceType) {
+    surfaceType.addEventListener('change', () => {
+      viewer.setSurfaceType(surfaceType.value);
+    });
+  }
+  
+  // Color scheme select (also handled by the application in main.js)
+  const colorScheme = document.getElementById('color-scheme');
+  if (colorScheme) {
+    colorScheme.addEventListener('change', () => {
+      viewer.setColorScheme(colorScheme.value);
+    });
+  }
+  
+  // Per-residue property upload; the property is shown once loaded
+  const propertyUploadBtn = document.getElementById('property-upload-btn');
+  const propertyInput = document.getElementById('property-file-input');
+  const propertyGradient = document.getElementById('property-gradient');
+  
+  if (propertyUploadBtn && propertyInput) {
+    propertyUploadBtn.addEventListener('click', () => {
+      propertyInput.click();
+    });
+    
+    propertyInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (file) {
+        const gradient = propertyGradient ? propertyGradient.value : undefined;
+        
+        viewer.loadResidueProperty(file, { gradient }).then(scheme => {
+          if (!scheme) return;
+          
+          if (colorScheme) colorScheme.value = scheme;
+          viewer.setColorScheme(scheme);
+        });
+      }
+      
+      // Allow loading the same file again
+      propertyInput.value = '';
+    });
+  }
+  
+  // Electrostatic surface toggle; the surface style is selected with it
+  const electrostaticsBtn = document.getElementById('electrostatics-btn');
+  if (electrostaticsBtn) {
+    electrostaticsBtn.addEventListener('click', () => {
+      const enabled = !viewer.getState().electrostatics;
+      
+      viewer.setElectrostatics(enabled).then(success => {
+        if (!success) {
+          showErrorMessage('Failed to compute the electrostatic potential');
+          return;
+        }
+        
+        updateElectrostaticsControls(enabled);
+        document.querySelectorAll('.style-btn').forEach(btn => {
+          btn.classList.toggle('active', btn.getAttribute('data-style') === viewer.getState().currentStyle);
+        });
+      });
+    });
+  }
+  
+  // Potential color range slider
+  const potentialRangeSlider = document.getElementById('potential-range-slider');
+  if (potentialRangeSlider) {
+    potentialRangeSlider.addEventListener('input', () => {
+      updatePotentialRangeLabel(parseFloat(potentialRangeSlider.value));
+      viewer.setPotentialRange(parseFloat(potentialRangeSlider.value));
+    });
+  }
+  
+  // Predicted model toggle, overriding the detection from the file header;
+  // the color scheme follows it
+  const predictedModelBtn = document.getElementById('predicted-model-btn');
+  if (predictedModelBtn) {
+    predictedModelBtn.addEventListener('click', () => {
+      viewer.setPredictedModel(!viewer.getState().predictedModel);
+    });
+  }
+  
+  // Display of the residues below the pLDDT threshold
+  const lowConfidenceSelect = document.getElementById('low-confidence-select');
+  const confidenceThresholdSlider = document.getElementById('confidence-threshold-slider');
+  
+  if (lowConfidenceSelect) {
+    lowConfidenceSelect.addEventListener('change', () => {
+      viewer.setLowConfidence(lowConfidenceSelect.value);
+    });
+  }
+  
+  if (confidenceThresholdSlider) {
+    confidenceThresholdSlider.addEventListener('input', () => {
+      updateConfidenceThresholdLabel(parseFloat(confidenceThresholdSlider.value));
+    });
+    
+    // Rebuild only once the slider is released
+    confidenceThresholdSlider.addEventListener('change', () => {
+      viewer.setLowConfidence(viewer.getState().lowConfidence, parseFloat(confidenceThresholdSlider.value));
+    });
+  }
+  
   // Shader effect select
   const shaderEffect = document.getElementById('shader-effect');
   if (shaderEffect) {
@@ -98,6 +208,252 @@ function setupUIControls(viewer) {
     });
   }
   
+  // Ligand upload, added on top of the loaded protein
+  const ligandUploadBtn = document.getElementById('ligand-upload-btn');
+  const ligandInput = document.getElementById('ligand-file-input');
+  
+  if (ligandUploadBtn && ligandInput) {
+    ligandUploadBtn.addEventListener('click', () => {
+      ligandInput.click();
+    });
+    
+    ligandInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (file) {
+        viewer.addLigandFromFile(file);
+      }
+      
+      // Allow adding the same file again
+      ligandInput.value = '';
+    });
+  }
+  
+  // Pose slider of the last added ligand
+  const ligandPoseSlider = document.getElementById('ligand-pose-slider');
+  if (ligandPoseSlider) {
+    ligandPoseSlider.addEventListener('input', () => {
+      viewer.setLigandPose(viewer.getLigands().length - 1, parseInt(ligandPoseSlider.value) - 1);
+    });
+  }
+  
+  // Remove ligands button
+  const ligandRemoveBtn = document.getElementById('ligand-remove-btn');
+  if (ligandRemoveBtn) {
+    ligandRemoveBtn.addEventListener('click', () => {
+      viewer.removeLigands();
+    });
+  }
+  
+  // Density map upload, contoured around the loaded protein
+  const mapUploadBtn = document.getElementById('map-upload-btn');
+  const mapInput = document.getElementById('map-file-input');
+  
+  if (mapUploadBtn && mapInput) {
+    mapUploadBtn.addEventListener('click', () => {
+      mapInput.click();
+    });
+    
+    mapInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (file) {
+        viewer.loadMapFromFile(file);
+      }
+      
+      // Allow loading the same file again
+      mapInput.value = '';
+    });
+  }
+  
+  // Map contour level slider; contouring waits until the slider is released
+  const mapLevelSlider = document.getElementById('map-level-slider');
+  if (mapLevelSlider) {
+    mapLevelSlider.addEventListener('input', () => {
+      updateMapLevelLabel(parseFloat(mapLevelSlider.value));
+    });
+    
+    mapLevelSlider.addEventListener('change', () => {
+      viewer.setMapLevel(parseFloat(mapLevelSlider.value));
+    });
+  }
+  
+  // Map rendering select
+  const mapStyleSelect = document.getElementById('map-style-select');
+  if (mapStyleSelect) {
+    mapStyleSelect.addEventListener('change', () => {
+      viewer.setMapStyle(mapStyleSelect.value);
+    });
+  }
+  
+  // Map carving select and radius
+  const mapCarveSelect = document.getElementById('map-carve-select');
+  const mapCarveRadius = document.getElementById('map-carve-radius');
+  
+  const applyMapCarve = () => {
+    const target = mapCarveSelect ? mapCarveSelect.value : '';
+    const radius = mapCarveRadius ? parseFloat(mapCarveRadius.value) : 2;
+    
+    viewer.setMapCarve(target ? radius : null, target === 'ligands' ? 'ligands' : null);
+  };
+  
+  if (mapCarveSelect) {
+    mapCarveSelect.addEventListener('change', applyMapCarve);
+  }
+  
+  if (mapCarveRadius) {
+    mapCarveRadius.addEventListener('input', () => {
+      updateMapCarveLabel(parseFloat(mapCarveRadius.value));
+    });
+    
+    mapCarveRadius.addEventListener('change', applyMapCarve);
+  }
+  
+  // Remove map button
+  const mapRemoveBtn = document.getElementById('map-remove-btn');
+  if (mapRemoveBtn) {
+    mapRemoveBtn.addEventListener('click', () => {
+      viewer.removeMap();
+    });
+  }
+  
+  // Trajectory upload, played over the loaded structure
+  const trajectoryUploadBtn = document.getElementById('trajectory-upload-btn');
+  const trajectoryInput = document.getElementById('trajectory-file-input');
+  
+  if (trajectoryUploadBtn && trajectoryInput) {
+    trajectoryUploadBtn.addEventListener('click', () => {
+      trajectoryInput.click();
+    });
+    
+    trajectoryInput.addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (file) {
+        viewer.loadTrajectoryFromFile(file);
+      }
+      
+      // Allow loading the same file again
+      trajectoryInput.value = '';
+    });
+  }
+  
+  // Trajectory frame slider
+  const frameSlider = document.getElementById('frame-slider');
+  if (frameSlider) {
+    frameSlider.addEventListener('input', () => {
+      viewer.pauseTrajectory();
+      viewer.setFrame(parseInt(frameSlider.value) - 1);
+    });
+  }
+  
+  // Trajectory play/pause button
+  const trajectoryPlayBtn = document.getElementById('trajectory-play-btn');
+  if (trajectoryPlayBtn) {
+    trajectoryPlayBtn.addEventListener('click', () => {
+      if (viewer.getState().isPlayingTrajectory) {
+        viewer.pauseTrajectory();
+      } else {
+        viewer.playTrajectory();
+      }
+    });
+  }
+  
+  // Trajectory interpolation and alignment toggles
+  const trajectoryInterpolateBtn = document.getElementById('trajectory-interpolate-btn');
+  if (trajectoryInterpolateBtn) {
+    trajectoryInterpolateBtn.addEventListener('click', () => {
+      const trajectory = viewer.getTrajectory();
+      if (trajectory) viewer.setTrajectoryInterpolation(!trajectory.interpolate);
+    });
+  }
+  
+  const trajectoryAlignBtn = document.getElementById('trajectory-align-btn');
+  if (trajectoryAlignBtn) {
+    trajectoryAlignBtn.addEventListener('click', () => {
+      const trajectory = viewer.getTrajectory();
+      if (trajectory) viewer.setTrajectoryAlignment(!trajectory.align);
+    });
+  }
+  
+  // Remove trajectory button
+  const trajectoryRemoveBtn = document.getElementById('trajectory-remove-btn');
+  if (trajectoryRemoveBtn) {
+    trajectoryRemoveBtn.addEventListener('click', () => {
+      viewer.removeTrajectory();
+    });
+  }
+  
+  // Model slider
+  const modelSlider = document.getElementById('model-slider');
+  if (modelSlider) {
+    modelSlider.addEventListener('input', () => {
+      viewer.pauseModels();
+      viewer.setModel(parseInt(modelSlider.value) - 1);
+    });
+  }
+  
+  // Model play/pause button
+  const modelPlayBtn = document.getElementById('model-play-btn');
+  if (modelPlayBtn) {
+    modelPlayBtn.addEventListener('click', () => {
+      if (viewer.getState().isPlayingModels) {
+        viewer.pauseModels();
+      } else {
+        viewer.playModels();
+      }
+    });
+  }
+  
+  // Alternate location select
+  const altLocSelect = document.getElementById('altloc-select');
+  if (altLocSelect) {
+    altLocSelect.addEventListener('change', () => {
+      viewer.setAltLoc(altLocSelect.value);
+    });
+  }
+  
+  // Biological assembly select
+  const assemblySelect = document.getElementById('assembly-select');
+  if (assemblySelect) {
+    assemblySelect.addEventListener('change', () => {
+      viewer.setAssembly(assemblySelect.value || null);
+    });
+  }
+  
+  // Unit cell button
+  const unitCellBtn = document.getElementById('unit-cell-btn');
+  if (unitCellBtn) {
+    unitCellBtn.addEventListener('click', () => {
+      viewer.setUnitCellVisible(!viewer.getState().showUnitCell);
+    });
+  }
+  
+  // Symmetry mate radius slider
+  const symmetryRadius = document.getElementById('symmetry-radius');
+  if (symmetryRadius) {
+    symmetryRadius.addEventListener('input', () => {
+      const radius = parseFloat(symmetryRadius.value);
+      updateSymmetryControls(radius, viewer.getState().symmetryRadius !== null);
+    });
+    
+    // Regenerate the mates once the slider is released
+    symmetryRadius.addEventListener('change', () => {
+      if (viewer.getState().symmetryRadius !== null) {
+        viewer.showSymmetryMates(parseFloat(symmetryRadius.value));
+      }
+    });
+  }
+  
+  // Symmetry mates button
+  const symmetryBtn = document.getElementById('symmetry-btn');
+  if (symmetryBtn) {
+    symmetryBtn.addEventListener('click', () => {
+      if (viewer.getState().symmetryRadius !== null) {
+        viewer.hideSymmetryMates();
+      } else {
+        viewer.showSymmetryMates(parseFloat(symmetryRadius ? symmetryRadius.value : 5));
+      }
+    });
+  }
+  
   // Export button
   const exportBtn = document.getElementById('export-btn');
   if (exportBtn) {
@@ -118,19 +474,106 @@ function setupUIControls(viewer) {
 /**
  * Handle events from the protein viewer
  * @param {ProteinViewer} viewer - The protein viewer instance
+ * @param {LoadingScreen} loadingScreen - Loading screen showing the load progress
  */
-function handleViewerEvents(viewer) {
+function handleViewerEvents(viewer, loadingScreen) {
   // Handle loading events
   viewer.on('loadStart', () => {
     showLoadingMessage('Loading protein...');
+    loadingScreen.updateProgress(0);
   });
   
   viewer.on('loadProgress', (event) => {
-    updateLoadingProgress(event.detail.progress);
+    loadingScreen.updateProgress(event.detail.progress);
+    
+    if (event.detail.status) {
+      loadingScreen.updateStatus(`${event.detail.status}...`);
+    }
   });
   
-  viewer.on('loadComplete', () => {
+  viewer.on('loadComplete', (event) => {
     hideLoadingMessage();
+    
+    // Adding a ligand, a map or a trajectory leaves the protein controls as they are
+    if (event.detail.isLigand || event.detail.isMap || event.detail.isTrajectory) return;
+    
+    updateLigandControls(viewer.getLigands());
+    updateMapControls(viewer.getMap());
+    updateTrajectoryControls(viewer.getTrajectory());
+    updateModelControls(viewer.getState().currentModel, viewer.getModelCount());
+    updateAltLocControls(viewer.getAltLocs());
+    updateAssemblyControls(viewer.getAssemblies());
+    updateCrystalControls(viewer.getCrystal());
+    updateConfidenceControls(viewer.getState());
+  });
+  
+  // Handle the predicted model toggle
+  viewer.on('confidenceChange', () => {
+    updateConfidenceControls(viewer.getState());
+  });
+  
+  viewer.on('ligandsChange', (event) => {
+    updateLigandControls(event.detail.ligands);
+  });
+  
+  viewer.on('mapChange', (event) => {
+    updateMapControls(event.detail.map);
+  });
+  
+  // Handle trajectory changes
+  viewer.on('trajectoryChange', (event) => {
+    updateTrajectoryControls(event.detail.trajectory);
+  });
+  
+  viewer.on('frameChange', (event) => {
+    updateFrameControls(event.detail.index, event.detail.count, event.detail.time);
+  });
+  
+  viewer.on('trajectoryPlaybackChange', (event) => {
+    const trajectoryPlayBtn = document.getElementById('trajectory-play-btn');
+    
+    if (trajectoryPlayBtn) {
+      trajectoryPlayBtn.innerHTML = event.detail.playing ?
+        '<span class="btn-icon">❚❚</span> Pause' :
+        '<span class="btn-icon">▶</span> Play';
+    }
+  });
+  
+  // Handle attached residue properties
+  viewer.on('residuePropertiesChange', (event) => {
+    updatePropertyOptions(event.detail.names);
+  });
+  
+  // Handle crystal display changes
+  viewer.on('unitCellChange', (event) => {
+    const unitCellBtn = document.getElementById('unit-cell-btn');
+    
+    if (unitCellBtn) {
+      unitCellBtn.innerHTML = event.detail.visible ?
+        '<span class="btn-icon">□</span> Hide Unit Cell' :
+        '<span class="btn-icon">□</span> Show Unit Cell';
+    }
+  });
+  
+  viewer.on('symmetryMatesChange', (event) => {
+    const symmetryRadius = document.getElementById('symmetry-radius');
+    const radius = symmetryRadius ? parseFloat(symmetryRadius.value) : event.detail.radius;
+    updateSymmetryControls(radius, event.detail.radius !== null, event.detail.count);
+  });
+  
+  // Handle model changes
+  viewer.on('modelChange', (event) => {
+    updateModelControls(event.detail.index, event.detail.count);
+  });
+  
+  viewer.on('modelPlaybackChange', (event) => {
+    const modelPlayBtn = document.getElementById('model-play-btn');
+    
+    if (modelPlayBtn) {
+      modelPlayBtn.innerHTML = event.detail.playing ?
+        '<span class="btn-icon">❚❚</span> Pause' :
+        '<span class="btn-icon">▶</span> Play';
+    }
   });
   
   viewer.on('loadError', (event) => {
@@ -147,6 +590,359 @@ function handleViewerEvents(viewer) {
   });
 }
 
+/**
+ * Update the model scrubber, showing it only for multi-model structures
+ * @param {number} index - Current model index
+ * @param {number} count - Number of models
+ */
+function updateModelControls(index, count) {
+  const modelSection = document.getElementById('model-section');
+  const modelSlider = document.getElementById('model-slider');
+  const modelLabel = document.getElementById('model-label');
+  
+  if (modelSection) {
+    modelSection.style.display = count > 1 ? 'block' : 'none';
+  }
+  
+  if (modelSlider) {
+    modelSlider.max = Math.max(1, count);
+    modelSlider.value = index + 1;
+  }
+  
+  if (modelLabel) {
+    modelLabel.textContent = `Model ${index + 1} / ${Math.max(1, count)}`;
+  }
+}
+
+/**
+ * Fill the alternate location select, showing it only when there are altLocs
+ * @param {Array<string>} altLocs - Alternate location identifiers
+ */
+function updateAltLocControls(altLocs) {
+  const altLocSection = document.getElementById('altloc-section');
+  const altLocSelect = document.getElementById('altloc-select');
+  
+  if (altLocSection) {
+    altLocSection.style.display = altLocs.length > 0 ? 'block' : 'none';
+  }
+  
+  if (altLocSelect) {
+    altLocSelect.innerHTML = '';
+    altLocs.forEach(altLoc => {
+      const option = document.createElement('option');
+      option.value = altLoc;
+      option.textContent = altLoc;
+      altLocSelect.appendChild(option);
+    });
+  }
+}
+
+/**
+ * Fill the assembly select, showing it only when the file defines assemblies
+ * @param {Array<Object>} assemblies - Biological assemblies
+ */
+function updateAssemblyControls(assemblies) {
+  const assemblySection = document.getElementById('assembly-section');
+  const assemblySelect = document.getElementById('assembly-select');
+  
+  if (assemblySection) {
+    assemblySection.style.display = assemblies.length > 0 ? 'block' : 'none';
+  }
+  
+  if (assemblySelect) {
+    assemblySelect.innerHTML = '';
+    
+    const asymmetricUnit = document.createElement('option');
+    asymmetricUnit.value = '';
+    asymmetricUnit.textContent = 'Asymmetric unit';
+    assemblySelect.appendChild(asymmetricUnit);
+    
+    assemblies.forEach(assembly => {
+      const copies = assembly.generators.reduce((sum, generator) => sum + generator.operators.length, 0);
+      const option = document.createElement('option');
+      option.value = assembly.id;
+      option.textContent = `Assembly ${assembly.id}` +
+        (assembly.details ? ` (${assembly.details.toLowerCase()})` : '') +
+        ` - ${copies} ${copies === 1 ? 'copy' : 'copies'}`;
+      assemblySelect.appendChild(option);
+    });
+  }
+}
+
+/**
+ * Describe the added ligands, with a pose slider for the last one if its
+ * file holds several poses
+ * @param {Array<Object>} ligands - Ligands ({ name, atomCount, poseCount, currentPose })
+ */
+function updateLigandControls(ligands) {
+  const ligandSection = document.getElementById('ligand-section');
+  const ligandLabel = document.getElementById('ligand-label');
+  const poseGroup = document.getElementById('ligand-pose-group');
+  const poseSlider = document.getElementById('ligand-pose-slider');
+  const poseLabel = document.getElementById('ligand-pose-label');
+  
+  if (ligandSection) {
+    ligandSection.style.display = ligands.length > 0 ? 'block' : 'none';
+  }
+  
+  if (ligandLabel) {
+    ligandLabel.textContent = ligands.map(ligand => `${ligand.name} (${ligand.atomCount} atoms)`).join(', ');
+  }
+  
+  const last = ligands[ligands.length - 1];
+  const poseCount = last ? last.poseCount : 1;
+  
+  if (poseGroup) {
+    poseGroup.style.display = poseCount > 1 ? 'block' : 'none';
+  }
+  
+  if (poseSlider && last) {
+    poseSlider.max = poseCount;
+    poseSlider.value = last.currentPose + 1;
+  }
+  
+  if (poseLabel && last) {
+    poseLabel.textContent = `Pose ${last.currentPose + 1} / ${poseCount}`;
+  }
+}
+
+/**
+ * Describe the loaded density map and show its contour settings
+ * @param {Object|null} map - Map ({ name, format, dims, stats, level, style, carveRadius })
+ */
+function updateMapControls(map) {
+  const mapSection = document.getElementById('map-section');
+  const mapLabel = document.getElementById('map-label');
+  const mapLevelSlider = document.getElementById('map-level-slider');
+  const mapStyleSelect = document.getElementById('map-style-select');
+  
+  if (mapSection) {
+    mapSection.style.display = map ? 'block' : 'none';
+  }
+  
+  if (!map) return;
+  
+  if (mapLabel) {
+    mapLabel.textContent = `${map.name} (${map.dims.join(' × ')})`;
+  }
+  
+  if (mapLevelSlider) {
+    mapLevelSlider.value = map.level;
+  }
+  
+  if (mapStyleSelect) {
+    mapStyleSelect.value = map.style;
+  }
+  
+  updateMapLevelLabel(map.level);
+}
+
+/**
+ * Update the map contour level label
+ * @param {number} level - Level in standard deviations
+ */
+function updateMapLevelLabel(level) {
+  const mapLevelLabel = document.getElementById('map-level-label');
+  
+  if (mapLevelLabel) {
+    mapLevelLabel.textContent = `Level ${level.toFixed(1)} σ`;
+  }
+}
+
+/**
+ * List the attached residue properties in the color scheme select
+ * @param {Array<string>} names - Property names
+ */
+function updatePropertyOptions(names) {
+  const colorScheme = document.getElementById('color-scheme');
+  if (!colorScheme) return;
+  
+  const schemes = names.map(name => `property:${name}`);
+  
+  // Drop removed properties, then add new ones
+  Array.from(colorScheme.options).forEach(option => {
+    if (option.value.startsWith('property:') && !schemes.includes(option.value)) {
+      option.remove();
+    }
+  });
+  
+  names.forEach((name, i) => {
+    if (!Array.from(colorScheme.options).some(option => option.value === schemes[i])) {
+      colorScheme.add(new Option(`Property: ${name}`, schemes[i]));
+    }
+  });
+}
+
+/**
+ * Update the electrostatics toggle button
+ * @param {boolean} enabled - Whether the potential is shown
+ */
+function updateElectrostaticsControls(enabled) {
+  const electrostaticsBtn = document.getElementById('electrostatics-btn');
+  
+  if (electrostaticsBtn) {
+    electrostaticsBtn.innerHTML = `<span class="btn-icon">±</span> Electrostatics: ${enabled ? 'On' : 'Off'}`;
+  }
+}
+
+/**
+ * Update the predicted model toggle and the color scheme it switches
+ * @param {Object} state - Viewer state
+ */
+function updateConfidenceControls(state) {
+  const predictedModelBtn = document.getElementById('predicted-model-btn');
+  const colorScheme = document.getElementById('color-scheme');
+  
+  if (predictedModelBtn) {
+    predictedModelBtn.innerHTML = `<span class="btn-icon">◐</span> Predicted Model: ${state.predictedModel ? 'On' : 'Off'}`;
+  }
+  
+  if (colorScheme) {
+    colorScheme.value = state.colorScheme;
+  }
+}
+
+/**
+ * Update the pLDDT threshold label
+ * @param {number} threshold - pLDDT below which confidence is low
+ */
+function updateConfidenceThresholdLabel(threshold) {
+  const confidenceThresholdLabel = document.getElementById('confidence-threshold-label');
+  
+  if (confidenceThresholdLabel) {
+    confidenceThresholdLabel.textContent = `Below pLDDT ${threshold}`;
+  }
+}
+
+/**
+ * Update the potential range label
+ * @param {number} range - Potential in kT/e
+ */
+function updatePotentialRangeLabel(range) {
+  const potentialRangeLabel = document.getElementById('potential-range-label');
+  
+  if (potentialRangeLabel) {
+    potentialRangeLabel.textContent = `Range ±${range.toFixed(1)} kT/e`;
+  }
+}
+
+/**
+ * Update the map carve radius label
+ * @param {number} radius - Distance in Angstroms
+ */
+function updateMapCarveLabel(radius) {
+  const mapCarveRadiusLabel = document.getElementById('map-carve-radius-label');
+  
+  if (mapCarveRadiusLabel) {
+    mapCarveRadiusLabel.textContent = `Within ${radius.toFixed(1)} Å`;
+  }
+}
+
+/**
+ * Describe the loaded trajectory and show its playback settings
+ * @param {Object|null} trajectory - Trajectory ({ name, frameCount, atomCount, timeStep,
+ *   currentFrame, isPlaying, frameRate, interpolate, align })
+ */
+function updateTrajectoryControls(trajectory) {
+  const trajectorySection = document.getElementById('trajectory-section');
+  const trajectoryLabel = document.getElementById('trajectory-label');
+  const interpolateBtn = document.getElementById('trajectory-interpolate-btn');
+  const alignBtn = document.getElementById('trajectory-align-btn');
+  
+  if (trajectorySection) {
+    trajectorySection.style.display = trajectory ? 'block' : 'none';
+  }
+  
+  if (!trajectory) return;
+  
+  if (trajectoryLabel) {
+    trajectoryLabel.textContent = `${trajectory.name.split('/').pop()} (${trajectory.frameCount} frames)`;
+  }
+  
+  if (interpolateBtn) {
+    interpolateBtn.innerHTML = `<span class="btn-icon">≈</span> Interpolate: ${trajectory.interpolate ? 'On' : 'Off'}`;
+  }
+  
+  if (alignBtn) {
+    alignBtn.innerHTML = `<span class="btn-icon">⊕</span> Align on Cα: ${trajectory.align ? 'On' : 'Off'}`;
+  }
+  
+  const time = trajectory.timeStep !== null ? trajectory.currentFrame * trajectory.timeStep : null;
+  updateFrameControls(trajectory.currentFrame, trajectory.frameCount, time);
+}
+
+/**
+ * Update the trajectory frame slider and label
+ * @param {number} index - Current frame index
+ * @param {number} count - Number of frames
+ * @param {number|null} time - Simulation time of the frame in picoseconds, if known
+ */
+function updateFrameControls(index, count, time) {
+  const frameSlider = document.getElementById('frame-slider');
+  const frameLabel = document.getElementById('frame-label');
+  
+  if (frameSlider) {
+    frameSlider.max = Math.max(1, count);
+    frameSlider.value = index + 1;
+  }
+  
+  if (frameLabel) {
+    frameLabel.textContent = time !== null ?
+      `Frame ${index + 1} / ${count} (${time.toFixed(1)} ps)` :
+      `Frame ${index + 1} / ${count}`;
+  }
+}
+
+/**
+ * Describe the unit cell, showing the crystal tools only for crystal structures
+ * @param {Crystal|null} crystal - Crystal of the loaded structure
+ */
+function updateCrystalControls(crystal) {
+  const crystalSection = document.getElementById('crystal-section');
+  const crystalLabel = document.getElementById('crystal-label');
+  const unitCellBtn = document.getElementById('unit-cell-btn');
+  const symmetryRadius = document.getElementById('symmetry-radius');
+  
+  if (crystalSection) {
+    crystalSection.style.display = crystal ? 'block' : 'none';
+  }
+  
+  if (!crystal) return;
+  
+  if (crystalLabel) {
+    crystalLabel.textContent = `${crystal.spaceGroup} · ` +
+      `${crystal.a.toFixed(1)} × ${crystal.b.toFixed(1)} × ${crystal.c.toFixed(1)} Å`;
+  }
+  
+  if (unitCellBtn) {
+    unitCellBtn.innerHTML = '<span class="btn-icon">□</span> Show Unit Cell';
+  }
+  
+  updateSymmetryControls(symmetryRadius ? parseFloat(symmetryRadius.value) : 5, false);
+}
+
+/**
+ * Update the symmetry mate radius label and button
+ * @param {number} radius - Contact distance in Angstroms
+ * @param {boolean} shown - Whether symmetry mates are shown
+ * @param {number} [count] - Number of symmetry mates shown
+ */
+function updateSymmetryControls(radius, shown, count) {
+  const symmetryRadiusLabel = document.getElementById('symmetry-radius-label');
+  const symmetryBtn = document.getElementById('symmetry-btn');
+  
+  if (symmetryRadiusLabel) {
+    symmetryRadiusLabel.textContent = `Contacts within ${radius.toFixed(1)} Å` +
+      (shown && count !== undefined ? ` (${count} mates)` : '');
+  }
+  
+  if (symmetryBtn) {
+    symmetryBtn.innerHTML = shown ?
+      '<span class="btn-icon">⧉</span> Hide Symmetry Mates' :
+      '<span class="btn-icon">⧉</span> Show Symmetry Mates';
+  }
+}
+
 /**
  * Show loading message
  * @param {string} message - Message to display
@@ -161,18 +957,6 @@ function showLoadingMessage(message) {
   }
 }
 
-/**
- * Update loading progress
- * @param {number} progress - Progress percentage (0-100)
- */
-function updateLoadingProgress(progress) {
-  const progressBar = document.getElementById('loading-progress-bar');
-  
-  if (progressBar) {
-    progressBar.style.width = `${progress}%`;
-  }
-}
-
 /**
  * Hide loading message
  */
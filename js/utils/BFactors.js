@@ -0,0 +1,117 @@
+/**
+ * BFactors.js - Temperature factors and their colors
+ * Finds the B-factor range of a structure, averages B-factors per residue
+ * and maps them to colors for the 'bfactor' scheme
+ */
+
+import { CONFIG } from '../config.js';
+import { ResidueProperties } from './ResidueProperties.js';
+
+export class BFactors {
+  /**
+   * Get the range the B-factor colors of atoms span: the smallest and
+   * largest B-factor of the non-solvent atoms, unless clamped by
+   * CONFIG.VISUALIZATION.BFACTOR.MIN and MAX
+   * @param {Array<Object>} atoms - Atoms
+   * @returns {Object} Range ({ min, max })
+   */
+  static getRange(atoms) {
+    const values = atoms
+      .filter(atom => !atom.isSolvent && atom.isActiveConformer !== false)
+      .map(atom => atom.tempFactor);
+    
+    return BFactors._clampRange(values);
+  }
+  
+  /**
+   * Get the range of the mean B-factors of residues, which per-residue
+   * colors and putty radii span (clamped like getRange())
+   * @param {Array<Object>} residues - Residues ({ atoms })
+   * @returns {Object} Range ({ min, max })
+   */
+  static getResidueRange(residues) {
+    const values = residues
+      .filter(residue => !residue.atoms.some(atom => atom.isSolvent))
+      .map(residue => BFactors.getResidueValue(residue));
+    
+    return BFactors._clampRange(values);
+  }
+  
+  /**
+   * Get the mean B-factor of a residue
+   * @param {Object} residue - Residue ({ atoms })
+   * @returns {number|null} Mean over the atoms of the selected conformer, or
+   *   null if none has a B-factor
+   */
+  static getResidueValue(residue) {
+    let total = 0;
+    let count = 0;
+    
+    residue.atoms.forEach(atom => {
+      if (atom.isActiveConformer === false || !Number.isFinite(atom.tempFactor)) return;
+      
+      total += atom.tempFactor;
+      count++;
+    });
+    
+    return count > 0 ? total / count : null;
+  }
+  
+  /**
+   * Get the position of a B-factor within a range
+   * @param {number} value - B-factor
+   * @param {Object} range - Range ({ min, max })
+   * @returns {number} Position from 0 (at or below the minimum) to 1 (at or
+   *   above the maximum); 0.5 for an empty range
+   */
+  static normalize(value, range) {
+    if (!(range.max > range.min)) return 0.5;
+    
+    return Math.max(0, Math.min(1, (value - range.min) / (range.max - range.min)));
+  }
+  
+  /**
+   * Get the color of a B-factor in the 'bfactor' scheme
+   * @param {number|null} value - B-factor
+   * @param {Object} range - Range ({ min, max }) from getRange()
+   * @returns {number|string} Color; missing values get the missing-value color
+   */
+  static getColor(value, range) {
+    const config = CONFIG.VISUALIZATION.BFACTOR;
+    
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+      return config.MISSING_COLOR;
+    }
+    
+    return ResidueProperties.interpolate(config.GRADIENT, BFactors.normalize(value, range));
+  }
+  
+  /**
+   * Get the range of some values, replaced by the configured bounds
+   * @private
+   * @param {Array<number|null>} values - Values; missing ones are skipped
+   * @returns {Object} Range ({ min, max }), 0 to 0 without values
+   */
+  static _clampRange(values) {
+    const config = CONFIG.VISUALIZATION.BFACTOR;
+    let min = Infinity;
+    let max = -Infinity;
+    
+    values.forEach(value => {
+      if (!Number.isFinite(value)) return;
+      
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    
+    if (min > max) {
+      min = 0;
+      max = 0;
+    }
+    
+    return {
+      min: config.MIN !== null ? config.MIN : min,
+      max: config.MAX !== null ? config.MAX : max
+    };
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * BondCalculator.js - Bond and hydrogen bond perception
+ * Assigns bonds from residue templates and explicit links, finds the bonds
+ * of other residues from per-element covalent radii, and finds backbone
+ * hydrogen bonds, using a spatial grid so large structures stay fast
+ */
+
+import { SpatialGrid } from './SpatialGrid.js';
+import { ResidueTemplates } from './ResidueTemplates.js';
+
+export class BondCalculator {
+  /**
+   * Create a new bond calculator
+   * @param {Object} [options] - Perception options
+   * @param {number} [options.tolerance=0.45] - Added to the sum of covalent radii (Å)
+   * @param {number} [options.minBondDistance=0.4] - Closer atoms are treated as overlapping, not bonded (Å)
+   * @param {number} [options.hbondDistance=3.5] - Maximum donor-acceptor distance (Å)
+   */
+  constructor(options = {}) {
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : 0.45;
+    this.minBondDistance = options.minBondDistance !== undefined ? options.minBondDistance : 0.4;
+    this.hbondDistance = options.hbondDistance !== undefined ? options.hbondDistance : 3.5;
+    
+    // Covalent radii in angstroms (Cordero et al., 2008)
+    this.covalentRadii = {
+      H: 0.31, HE: 0.28, LI: 1.28, BE: 0.96, B: 0.84, C: 0.76, N: 0.71, O: 0.66,
+      F: 0.57, NE: 0.58, NA: 1.66, MG: 1.41, AL: 1.21, SI: 1.11, P: 1.07, S: 1.05,
+      CL: 1.02, AR: 1.06, K: 2.03, CA: 1.76, MN: 1.39, FE: 1.32, CO: 1.26, NI: 1.24,
+      CU: 1.32, ZN: 1.22, GA: 1.22, AS: 1.19, SE: 1.20, BR: 1.20, KR: 1.16, RB: 2.20,
+      SR: 1.95, MO: 1.54, RU: 1.46, RH: 1.42, PD: 1.39, AG: 1.45, CD: 1.44, I: 1.39,
+      XE: 1.40, CS: 2.44, BA: 2.15, W: 1.62, OS: 1.44, IR: 1.41, PT: 1.36, AU: 1.36,
+      HG: 1.32, PB: 1.46, U: 1.96
+    };
+    
+    // Radius for elements missing from the table
+    this.defaultCovalentRadius = 0.8;
+    
+    // Templates of the standard residues
+    this.templates = new ResidueTemplates();
+  }
+  
+  /**
+   * Get the covalent radius of an element
+   * @param {string} element - Element symbol
+   * @returns {number} Covalent radius in angstroms
+   */
+  getCovalentRadius(element) {
+    return this.covalentRadii[(element || '').toUpperCase()] || this.defaultCovalentRadius;
+  }
+  
+  /**
+   * Find covalent bonds: atoms closer than the sum of their covalent radii
+   * plus the tolerance
+   * @param {Array} atoms - Atoms with position, element, altLoc, name and residueId
+   * @returns {Array} Bonds ({ atomIndex1, atomIndex2, type, distance, isPeptideBond })
+   */
+  calculateBonds(atoms) {
+    const bonds = [];
+    if (atoms.length === 0) return bonds;
+    
+    const radii = new Float32Array(atoms.length);
+    let maxRadius = 0;
+    
+    atoms.forEach((atom, index) => {
+      radii[index] = this.getCovalentRadius(atom.element);
+      maxRadius = Math.max(maxRadius, radii[index]);
+    });
+    
+    // No bond can be longer than twice the largest radius present
+    const maxDistance = 2 * maxRadius + this.tolerance;
+    const minDistanceSq = this.minBondDistance * this.minBondDistance;
+    const grid = new SpatialGrid(atoms.map(atom => atom.position), maxDistance);
+    
+    grid.forEachPair(maxDistance, (index1, index2, distanceSq) => {
+      if (distanceSq < minDistanceSq) return;
+      
+      const limit = radii[index1] + radii[index2] + this.tolerance;
+      if (distanceSq > limit * limit) return;
+      
+      const atom1 = atoms[index1];
+      const atom2 = atoms[index2];
+      
+      // Never bond atoms from different conformers
+      if (!this._altLocsCompatible(atom1, atom2)) return;
+      
+      const bond = {
+        atomIndex1: index1,
+        atomIndex2: index2,
+        type: 1, // Assume single bond
+        distance: Math.sqrt(distanceSq)
+      };
+      
+      if (this._isPeptideBond(atom1, atom2)) {
+        bond.isPeptideBond = true;
+      }
+      
+      bonds.push(bond);
+    });
+    
+    return bonds;
+  }
+  
+  /**
+   * Assign bonds from residue templates. Standard residues get the bonds
+   * and bond orders of their template, consecutive residues are joined by
+   * peptide and phosphodiester bonds, and links (SSBOND/LINK records or
+   * mmCIF struct_conn) add disulfides and covalent links. Only residues
+   * without a template fall back to distance-based perception, and not
+   * when explicit bonds (e.g. CONECT records) already cover them.
+   * @param {Array} atoms - Atoms with position, element, name, altLoc, chainID, resSeq, iCode and residueId
+   * @param {Object} [options] - Bonding options
+   * @param {Array} [options.links] - Links ({ atom1, atom2, isDisulfide }), each atom
+   *   given by chainID, resSeq, iCode, name and altLoc
+   * @param {Array} [options.bonds] - Explicit bonds to keep
+   * @returns {Array} Bonds ({ atomIndex1, atomIndex2, type, isAromatic, isPeptideBond, isDisulfide })
+   */
+  calculateTemplateBonds(atoms, options = {}) {
+    const links = options.links || [];
+    const explicitBonds = options.bonds || [];
+    
+    const bonds = [];
+    const bondKeys = new Set();
+    
+    const addBond = (index1, index2, properties) => {
+      if (index1 === index2 || !this._altLocsCompatible(atoms[index1], atoms[index2])) return;
+      
+      const key = index1 < index2 ? `${index1}-${index2}` : `${index2}-${index1}`;
+      if (bondKeys.has(key)) return;
+      
+      bondKeys.add(key);
+      bonds.push(Object.assign({ atomIndex1: index1, atomIndex2: index2, type: 1 }, properties));
+    };
+    
+    // Residues with explicit bonds between their own atoms
+    const coveredResidues = new Set();
+    explicitBonds.forEach(bond => {
+      if (atoms[bond.atomIndex1].residueId === atoms[bond.atomIndex2].residueId) {
+        coveredResidues.add(atoms[bond.atomIndex1].residueId);
+      }
+    });
+    
+    const residues = this._groupResidues(atoms);
+    const fallbackAtoms = [];
+    
+    residues.forEach((residue, i) => {
+      const template = this.templates.getTemplate(residue.resName);
+      
+      if (template) {
+        template.bonds.forEach(templateBond => {
+          const properties = { type: templateBond.order };
+          if (templateBond.isAromatic) properties.isAromatic = true;
+          
+          this._forEachNamedPair(residue, templateBond.atom1, residue, templateBond.atom2, (index1, index2) => {
+            addBond(index1, index2, properties);
+          });
+        });
+        
+        // Atoms the template does not name (hydrogens, nonstandard names)
+        // are bonded by distance within the residue
+        residue.indices.forEach(index1 => {
+          if (template.atomNames.has(atoms[index1].name)) return;
+          
+          residue.indices.forEach(index2 => {
+            if (this._isWithinBondDistance(atoms[index1], atoms[index2])) {
+              addBond(index1, index2);
+            }
+          });
+        });
+      } else if (!coveredResidues.has(residue.id)) {
+        residue.indices.forEach(index => fallbackAtoms.push(index));
+      }
+      
+      // Peptide and phosphodiester bonds to the previous residue of the chain
+      const previous = residues[i - 1];
+      if (!previous || previous.chainID !== residue.chainID) return;
+      
+      this.templates.getPolymerLinks().forEach(link => {
+        this._forEachNamedPair(previous, link.atom1, residue, link.atom2, (index1, index2) => {
+          if (this._isWithinBondDistance(atoms[index1], atoms[index2])) {
+            addBond(index1, index2, link.isPeptideBond ? { isPeptideBond: true } : {});
+          }
+        });
+      });
+    });
+    
+    // Disulfides and covalent links
+    this._resolveLinks(atoms, links).forEach(link => {
+      addBond(link.index1, link.index2, { isDisulfide: link.isDisulfide });
+    });
+    
+    // Distance-based perception for residues without a template
+    if (fallbackAtoms.length > 0) {
+      this.calculateBonds(fallbackAtoms.map(index => atoms[index])).forEach(bond => {
+        addBond(fallbackAtoms[bond.atomIndex1], fallbackAtoms[bond.atomIndex2], {
+          distance: bond.distance
+        });
+      });
+    }
+    
+    // Explicit bonds not already known from templates or links
+    explicitBonds.forEach(bond => {
+      addBond(bond.atomIndex1, bond.atomIndex2, bond);
+    });
+    
+    return bonds;
+  }
+  
+  /**
+   * Group atom indices by residue, in file order
+   * @private
+   * @param {Array} atoms - Atoms
+   * @returns {Array} Residues ({ id, resName, chainID, indices, indicesByName })
+   */
+  _groupResidues(atoms) {
+    const residues = [];
+    const residueMap = new Map();
+    
+    atoms.forEach((atom, index) => {
+      let residue = residueMap.get(atom.residueId);
+      
+      if (!residue) {
+        residue = {
+          id: atom.residueId,
+          resName: atom.resName,
+          chainID: atom.chainID,
+          indices: [],
+          indicesByName: new Map()
+        };
+        residueMap.set(atom.residueId, residue);
+        residues.push(residue);
+      }
+      
+      residue.indices.push(index);
+      
+      // Several atoms share a name when there are alternate locations
+      if (!residue.indicesByName.has(atom.name)) {
+        residue.indicesByName.set(atom.name, []);
+      }
+      residue.indicesByName.get(atom.name).push(index);
+    });
+    
+    return residues;
+  }
+  
+  /**
+   * Visit every pair of atoms with the given names in two residues
+   * @private
+   * @param {Object} residue1 - First residue from _groupResidues
+   * @param {string} name1 - Atom name in the first residue
+   * @param {Object} residue2 - Second residue from _groupResidues
+   * @param {string} name2 - Atom name in the second residue
+   * @param {Function} callback - Called with (index1, index2)
+   */
+  _forEachNamedPair(residue1, name1, residue2, name2, callback) {
+    const indices1 = residue1.indicesByName.get(name1);
+    const indices2 = residue2.indicesByName.get(name2);
+    if (!indices1 || !indices2) return;
+    
+    indices1.forEach(index1 => {
+      indices2.forEach(index2 => callback(index1, index2));
+    });
+  }
+  
+  /**
+   * Find the atoms of each link
+   * @private
+   * @param {Array} atoms - Atoms
+   * @param {Array} links - Links ({ atom1, atom2, isDisulfide })
+   * @returns {Array} Resolved links ({ index1, index2, isDisulfide })
+   */
+  _resolveLinks(atoms, links) {
+    if (links.length === 0) return [];
+    
+    // Look up atoms by chain, residue number, insertion code and name
+    const atomIndex = new Map();
+    atoms.forEach((atom, index) => {
+      const key = `${atom.chainID}:${atom.resSeq}:${atom.iCode || ''}:${atom.name}`;
+      if (!atomIndex.has(key)) {
+        atomIndex.set(key, []);
+      }
+      atomIndex.get(key).push(index);
+    });
+    
+    // Atoms of a link partner, restricted to its alternate location if given
+    const findAtoms = partner => {
+      const key = `${partner.chainID}:${partner.resSeq}:${partner.iCode || ''}:${partner.name}`;
+      return (atomIndex.get(key) || []).filter(index =>
+        !partner.altLoc || !atoms[index].altLoc || atoms[index].altLoc === partner.altLoc
+      );
+    };
+    
+    const resolved = [];
+    
+    links.forEach(link => {
+      const indices2 = findAtoms(link.atom2);
+      
+      findAtoms(link.atom1).forEach(index1 => {
+        indices2.forEach(index2 => {
+          resolved.push({ index1, index2, isDisulfide: !!link.isDisulfide });
+        });
+      });
+    });
+    
+    return resolved;
+  }
+  
+  /**
+   * Check whether two atoms are close enough to be covalently bonded
+   * @private
+   * @param {Object} atom1 - First atom
+   * @param {Object} atom2 - Second atom
+   * @returns {boolean} True if within the sum of covalent radii plus the tolerance
+   */
+  _isWithinBondDistance(atom1, atom2) {
+    const distanceSq = atom1.position.distanceToSquared(atom2.position);
+    const limit = this.getCovalentRadius(atom1.element) + this.getCovalentRadius(atom2.element) + this.tolerance;
+    
+    return distanceSq >= this.minBondDistance * this.minBondDistance && distanceSq <= limit * limit;
+  }
+  
+  /**
+   * Check whether two atoms can belong to the same conformer
+   * @private
+   * @param {Object} atom1 - First atom
+   * @param {Object} atom2 - Second atom
+   * @returns {boolean} True if the atoms can be bonded
+   */
+  _altLocsCompatible(atom1, atom2) {
+    return !atom1.altLoc || !atom2.altLoc || atom1.altLoc === atom2.altLoc;
+  }
+  
+  /**
+   * Check for a C-N bond between two residues
+   * @private
+   * @param {Object} atom1 - First atom
+   * @param {Object} atom2 - Second atom
+   * @returns {boolean} True for a peptide bond
+   */
+  _isPeptideBond(atom1, atom2) {
+    if (atom1.residueId === atom2.residueId) return false;
+    
+    return (atom1.name === 'C' && atom2.name === 'N') ||
+      (atom1.name === 'N' && atom2.name === 'C');
+  }
+  
+  /**
+   * Find hydrogen bonds between amino acid N donors and O/N acceptors
+   * of the active conformer, skipping residues close in sequence
+   * @param {Array} atoms - Atoms with position, element, chainID and resSeq
+   * @returns {Array} Hydrogen bonds ({ donorIndex, acceptorIndex, distance })
+   */
+  calculateHydrogenBonds(atoms) {
+    const hbonds = [];
+    const donors = [];
+    const acceptors = [];
+    
+    atoms.forEach((atom, index) => {
+      // Only the active conformer takes part
+      if (!atom.isActiveConformer || !atom.isAminoAcid) return;
+      
+      if (atom.element === 'N') {
+        donors.push(index);
+      }
+      
+      if (atom.element === 'O' || atom.element === 'N') {
+        acceptors.push(index);
+      }
+    });
+    
+    if (donors.length === 0 || acceptors.length === 0) return hbonds;
+    
+    const grid = new SpatialGrid(acceptors.map(index => atoms[index].position), this.hbondDistance);
+    
+    donors.forEach(donorIndex => {
+      const donor = atoms[donorIndex];
+      
+      grid.forEachWithin(donor.position, this.hbondDistance, (n, distanceSq) => {
+        const acceptorIndex = acceptors[n];
+        const acceptor = atoms[acceptorIndex];
+        
+        // Skip self and immediate neighbors (i, i+1, i+2)
+        if (donor.chainID === acceptor.chainID &&
+            Math.abs(donor.resSeq - acceptor.resSeq) <= 2) {
+          return;
+        }
+        
+        hbonds.push({
+          donorIndex,
+          acceptorIndex,
+          distance: Math.sqrt(distanceSq)
+        });
+      });
+    });
+    
+    return hbonds;
+  }
+}
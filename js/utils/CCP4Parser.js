@@ -0,0 +1,255 @@
+/**
+ * CCP4Parser.js - Parser for CCP4 and MRC density maps
+ * Reads the 1024-byte header (in either byte order), the symmetry records
+ * that follow it and the data section in modes 0, 1, 2, 6 and 12, and
+ * reorders the sections so the map runs along the cell axes a, b and c.
+ * See https://www.ccpem.ac.uk/mrc_format/mrc2014.php
+ */
+
+import { DensityMap } from './DensityMap.js';
+import { Crystal } from './Crystal.js';
+
+// Size of the fixed header in bytes
+const HEADER_SIZE = 1024;
+
+// Bytes per value of each data mode
+const MODE_SIZES = { 0: 1, 1: 2, 2: 4, 6: 2, 12: 2 };
+
+export class CCP4Parser {
+  /**
+   * Check for the 'MAP ' tag of CCP4 and MRC2000 headers
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {boolean} True if the content looks like a CCP4/MRC map
+   */
+  static isCCP4(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) return false;
+    
+    const tag = new Uint8Array(buffer, 208, 4);
+    return String.fromCharCode(...tag) === 'MAP ';
+  }
+  
+  /**
+   * Parse a CCP4/MRC map
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {DensityMap} Density map
+   */
+  parse(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) {
+      throw new Error('Invalid CCP4/MRC map: the file is shorter than its header');
+    }
+    
+    const view = new DataView(buffer);
+    const littleEndian = this._isLittleEndian(view);
+    const int = (word) => view.getInt32(word * 4, littleEndian);
+    const float = (word) => view.getFloat32(word * 4, littleEndian);
+    
+    const counts = [int(0), int(1), int(2)];
+    const mode = int(3);
+    const starts = [int(4), int(5), int(6)];
+    const sampling = [int(7), int(8), int(9)];
+    const cell = {
+      a: float(10),
+      b: float(11),
+      c: float(12),
+      alpha: float(13) || 90,
+      beta: float(14) || 90,
+      gamma: float(15) || 90
+    };
+    
+    // Axis (1 = a, 2 = b, 3 = c) along columns, rows and sections
+    const axisOrder = [int(16), int(17), int(18)].map(axis => axis - 1);
+    const symmetryBytes = int(23);
+    
+    if (!(mode in MODE_SIZES)) {
+      throw new Error(`Unsupported CCP4/MRC data mode: ${mode}`);
+    }
+    
+    if (counts.some(count => !(count > 0)) ||
+        [...axisOrder].sort().join() !== '0,1,2') {
+      throw new Error('Invalid CCP4/MRC map header');
+    }
+    
+    const dataStart = HEADER_SIZE + Math.max(0, symmetryBytes);
+    const valueCount = counts[0] * counts[1] * counts[2];
+    
+    if (dataStart + valueCount * MODE_SIZES[mode] > buffer.byteLength) {
+      throw new Error('Invalid CCP4/MRC map: the file ends inside the data section');
+    }
+    
+    const fileValues = this._readValues(view, dataStart, valueCount, mode, littleEndian);
+    
+    // Grid dimensions and start indices along a, b and c
+    const dims = [0, 0, 0];
+    const start = [0, 0, 0];
+    axisOrder.forEach((axis, n) => {
+      dims[axis] = counts[n];
+      start[axis] = starts[n];
+    });
+    
+    const values = this._reorder(fileValues, counts, axisOrder, dims);
+    
+    // Cell vectors divided by the sampling give the step along each axis
+    const sizes = sampling.map((value, axis) => (value > 0 ? value : dims[axis]));
+    const axes = this._getCellVectors(cell).map((vector, axis) => vector.map(value => value / sizes[axis]));
+    
+    let origin = [0, 1, 2].map(n => start[0] * axes[0][n] + start[1] * axes[1][n] + start[2] * axes[2][n]);
+    
+    // MRC files from EM packages place the map with the ORIGIN field instead
+    const mrcOrigin = [float(49), float(50), float(51)];
+    if (start.every(value => value === 0) && mrcOrigin.some(value => value !== 0 && isFinite(value))) {
+      origin = mrcOrigin.map(value => (isFinite(value) ? value : 0));
+    }
+    
+    return new DensityMap({
+      dims,
+      origin,
+      axes,
+      values,
+      metadata: {
+        format: 'ccp4',
+        mode,
+        cell,
+        spaceGroup: int(22),
+        labels: this._readLabels(buffer, int(55))
+      }
+    });
+  }
+  
+  /**
+   * Find the byte order from the machine stamp, or from a sane data mode
+   * @private
+   * @param {DataView} view - Header view
+   * @returns {boolean} True for little-endian files
+   */
+  _isLittleEndian(view) {
+    const stamp = view.getUint8(212);
+    if (stamp === 0x44 || stamp === 0x4 || stamp === 0x11) {
+      return stamp !== 0x11;
+    }
+    
+    // Older files lack the stamp; the mode word is small in the right order
+    const mode = view.getInt32(12, true);
+    return mode >= 0 && mode <= 16;
+  }
+  
+  /**
+   * Read the data section as floats
+   * @private
+   * @param {DataView} view - File view
+   * @param {number} offset - Byte offset of the data
+   * @param {number} count - Number of values
+   * @param {number} mode - Data mode
+   * @param {boolean} littleEndian - Byte order
+   * @returns {Float32Array} Values in file order
+   */
+  _readValues(view, offset, count, mode, littleEndian) {
+    const values = new Float32Array(count);
+    const size = MODE_SIZES[mode];
+    
+    for (let i = 0, position = offset; i < count; i++, position += size) {
+      switch (mode) {
+        case 0:
+          values[i] = view.getInt8(position);
+          break;
+        case 1:
+          values[i] = view.getInt16(position, littleEndian);
+          break;
+        case 2:
+          values[i] = view.getFloat32(position, littleEndian);
+          break;
+        case 6:
+          values[i] = view.getUint16(position, littleEndian);
+          break;
+        case 12:
+          values[i] = this._halfToFloat(view.getUint16(position, littleEndian));
+          break;
+      }
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Reorder values from column/row/section order to a, b, c order
+   * @private
+   * @param {Float32Array} source - Values in file order
+   * @param {Array<number>} counts - Columns, rows and sections
+   * @param {Array<number>} axisOrder - Cell axis of columns, rows and sections
+   * @param {Array<number>} dims - Grid dimensions along a, b and c
+   * @returns {Float32Array} Values with a fastest
+   */
+  _reorder(source, counts, axisOrder, dims) {
+    if (axisOrder[0] === 0 && axisOrder[1] === 1) {
+      return source;
+    }
+    
+    const values = new Float32Array(source.length);
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const [columnStride, rowStride, sectionStride] = axisOrder.map(axis => strides[axis]);
+    let index = 0;
+    
+    for (let s = 0; s < counts[2]; s++) {
+      for (let r = 0; r < counts[1]; r++) {
+        const base = s * sectionStride + r * rowStride;
+        
+        for (let c = 0; c < counts[0]; c++) {
+          values[base + c * columnStride] = source[index++];
+        }
+      }
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Cartesian cell vectors a, b and c
+   * @private
+   * @param {Object} cell - Cell lengths and angles
+   * @returns {Array<Array<number>>} Cell vectors
+   */
+  _getCellVectors(cell) {
+    if (!(cell.a > 0 && cell.b > 0 && cell.c > 0)) {
+      throw new Error('Invalid CCP4/MRC map: the cell has no size');
+    }
+    
+    // Columns of the orthogonalization matrix (column-major elements)
+    const elements = new Crystal(cell).orthogonalization.elements;
+    return [0, 1, 2].map(column => [elements[column * 4], elements[column * 4 + 1], elements[column * 4 + 2]]);
+  }
+  
+  /**
+   * Read the text labels of the header
+   * @private
+   * @param {ArrayBuffer} buffer - File content
+   * @param {number} count - Number of labels in use
+   * @returns {Array<string>} Labels
+   */
+  _readLabels(buffer, count) {
+    const labels = [];
+    const bytes = new Uint8Array(buffer, 224, 800);
+    
+    for (let i = 0; i < Math.min(Math.max(count, 0), 10); i++) {
+      const label = String.fromCharCode(...bytes.subarray(i * 80, (i + 1) * 80)).replace(/\0/g, '').trim();
+      if (label) labels.push(label);
+    }
+    
+    return labels;
+  }
+  
+  /**
+   * Convert an IEEE 754 half-precision value
+   * @private
+   * @param {number} half - 16-bit value
+   * @returns {number} Float value
+   */
+  _halfToFloat(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Confidence.js - Confidence of predicted structures
+ * Recognizes models from structure predictors, whose B-factor column holds
+ * the per-residue pLDDT (0-100), colors pLDDT in the four standard bands and
+ * finds the low-confidence residues to fade or hide
+ */
+
+import { CONFIG } from '../config.js';
+import { BFactors } from './BFactors.js';
+import { ResidueProperties } from './ResidueProperties.js';
+
+export class Confidence {
+  /**
+   * Check whether text (a title, classification or remark) names a
+   * structure predictor from CONFIG.VISUALIZATION.CONFIDENCE.PREDICTORS
+   * @param {string} text - Text
+   * @returns {boolean} True if a predictor is named
+   */
+  static mentionsPredictor(text) {
+    if (!text) return false;
+    
+    const upper = String(text).toUpperCase();
+    return CONFIG.VISUALIZATION.CONFIDENCE.PREDICTORS.some(name => upper.includes(name.toUpperCase()));
+  }
+  
+  /**
+   * Get the confidence band of a pLDDT value
+   * @param {number} plddt - pLDDT (0-100)
+   * @returns {Object} Band ({ MIN, COLOR, LABEL }) from CONFIG.VISUALIZATION.CONFIDENCE.BANDS
+   */
+  static getBand(plddt) {
+    const bands = CONFIG.VISUALIZATION.CONFIDENCE.BANDS;
+    let band = bands[0];
+    
+    bands.forEach(candidate => {
+      if (plddt >= candidate.MIN) band = candidate;
+    });
+    
+    return band;
+  }
+  
+  /**
+   * Get the color of a pLDDT value in the 'plddt' scheme
+   * @param {number|null} plddt - pLDDT
+   * @returns {string} Band color; missing values get the missing-value color
+   */
+  static getColor(plddt) {
+    if (plddt === null || plddt === undefined || !Number.isFinite(plddt)) {
+      return CONFIG.VISUALIZATION.CONFIDENCE.MISSING_COLOR;
+    }
+    
+    return Confidence.getBand(plddt).COLOR;
+  }
+  
+  /**
+   * Check whether a residue is predicted with low confidence
+   * @param {Object} residue - Residue ({ atoms })
+   * @param {number} threshold - pLDDT below which confidence is low
+   * @returns {boolean} True if the mean pLDDT of the residue is below the threshold
+   */
+  static isLow(residue, threshold) {
+    const plddt = residue ? BFactors.getResidueValue(residue) : null;
+    return plddt !== null && plddt < threshold;
+  }
+  
+  /**
+   * Fade a color towards CONFIG.VISUALIZATION.CONFIDENCE.FADE_COLOR
+   * @param {number} color - Color as 0xRRGGBB
+   * @returns {number} Faded color as 0xRRGGBB
+   */
+  static fade(color) {
+    const config = CONFIG.VISUALIZATION.CONFIDENCE;
+    return ResidueProperties.interpolate([color, config.FADE_COLOR], config.FADE_AMOUNT);
+  }
+}
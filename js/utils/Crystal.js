@@ -0,0 +1,431 @@
+/**
+ * Crystal.js - Unit cell geometry and crystallographic symmetry
+ * Converts between fractional and Cartesian coordinates and generates the
+ * symmetry mates of the asymmetric unit from the space group
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+// Lattice centering translations by the first letter of the space group
+const CENTERINGS = {
+  P: [[0, 0, 0]],
+  A: [[0, 0, 0], [0, 1 / 2, 1 / 2]],
+  B: [[0, 0, 0], [1 / 2, 0, 1 / 2]],
+  C: [[0, 0, 0], [1 / 2, 1 / 2, 0]],
+  I: [[0, 0, 0], [1 / 2, 1 / 2, 1 / 2]],
+  F: [[0, 0, 0], [0, 1 / 2, 1 / 2], [1 / 2, 0, 1 / 2], [1 / 2, 1 / 2, 0]],
+  H: [[0, 0, 0], [2 / 3, 1 / 3, 1 / 3], [1 / 3, 2 / 3, 2 / 3]]
+};
+
+// General positions (without centering) of the space groups that occur in
+// protein crystals, keyed by the Hermann-Mauguin symbol used in CRYST1
+const SPACE_GROUP_OPERATORS = {
+  'P 1': ['x,y,z'],
+  'P -1': ['x,y,z', '-x,-y,-z'],
+  'P 1 2 1': ['x,y,z', '-x,y,-z'],
+  'P 1 21 1': ['x,y,z', '-x,y+1/2,-z'],
+  'C 1 2 1': ['x,y,z', '-x,y,-z'],
+  'I 1 2 1': ['x,y,z', '-x,y,-z'],
+  'P 2 2 2': ['x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z'],
+  'P 2 2 21': ['x,y,z', '-x,-y,z+1/2', '-x,y,-z+1/2', 'x,-y,-z'],
+  'P 21 21 2': ['x,y,z', '-x,-y,z', '-x+1/2,y+1/2,-z', 'x+1/2,-y+1/2,-z'],
+  'P 21 21 21': ['x,y,z', '-x+1/2,-y,z+1/2', '-x,y+1/2,-z+1/2', 'x+1/2,-y+1/2,-z'],
+  'C 2 2 21': ['x,y,z', '-x,-y,z+1/2', '-x,y,-z+1/2', 'x,-y,-z'],
+  'C 2 2 2': ['x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z'],
+  'F 2 2 2': ['x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z'],
+  'I 2 2 2': ['x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z'],
+  'I 21 21 21': ['x,y,z', '-x+1/2,-y,z+1/2', '-x,y+1/2,-z+1/2', 'x+1/2,-y+1/2,-z'],
+  'P 4': ['x,y,z', '-x,-y,z', '-y,x,z', 'y,-x,z'],
+  'P 41': ['x,y,z', '-x,-y,z+1/2', '-y,x,z+1/4', 'y,-x,z+3/4'],
+  'P 42': ['x,y,z', '-x,-y,z', '-y,x,z+1/2', 'y,-x,z+1/2'],
+  'P 43': ['x,y,z', '-x,-y,z+1/2', '-y,x,z+3/4', 'y,-x,z+1/4'],
+  'I 4': ['x,y,z', '-x,-y,z', '-y,x,z', 'y,-x,z'],
+  'I 41': ['x,y,z', '-x+1/2,-y+1/2,z+1/2', '-y,x+1/2,z+1/4', 'y+1/2,-x,z+3/4'],
+  'P 4 2 2': [
+    'x,y,z', '-x,-y,z', '-y,x,z', 'y,-x,z',
+    '-x,y,-z', 'x,-y,-z', 'y,x,-z', '-y,-x,-z'
+  ],
+  'P 4 21 2': [
+    'x,y,z', '-x,-y,z', '-y+1/2,x+1/2,z', 'y+1/2,-x+1/2,z',
+    '-x+1/2,y+1/2,-z', 'x+1/2,-y+1/2,-z', 'y,x,-z', '-y,-x,-z'
+  ],
+  'P 41 2 2': [
+    'x,y,z', '-x,-y,z+1/2', '-y,x,z+1/4', 'y,-x,z+3/4',
+    '-x,y,-z', 'x,-y,-z+1/2', 'y,x,-z+3/4', '-y,-x,-z+1/4'
+  ],
+  'P 41 21 2': [
+    'x,y,z', '-x,-y,z+1/2', '-y+1/2,x+1/2,z+1/4', 'y+1/2,-x+1/2,z+3/4',
+    '-x+1/2,y+1/2,-z+1/4', 'x+1/2,-y+1/2,-z+3/4', 'y,x,-z', '-y,-x,-z+1/2'
+  ],
+  'P 42 2 2': [
+    'x,y,z', '-x,-y,z', '-y,x,z+1/2', 'y,-x,z+1/2',
+    '-x,y,-z', 'x,-y,-z', 'y,x,-z+1/2', '-y,-x,-z+1/2'
+  ],
+  'P 42 21 2': [
+    'x,y,z', '-x,-y,z', '-y+1/2,x+1/2,z+1/2', 'y+1/2,-x+1/2,z+1/2',
+    '-x+1/2,y+1/2,-z+1/2', 'x+1/2,-y+1/2,-z+1/2', 'y,x,-z', '-y,-x,-z'
+  ],
+  'P 43 2 2': [
+    'x,y,z', '-x,-y,z+1/2', '-y,x,z+3/4', 'y,-x,z+1/4',
+    '-x,y,-z', 'x,-y,-z+1/2', 'y,x,-z+1/4', '-y,-x,-z+3/4'
+  ],
+  'P 43 21 2': [
+    'x,y,z', '-x,-y,z+1/2', '-y+1/2,x+1/2,z+3/4', 'y+1/2,-x+1/2,z+1/4',
+    '-x+1/2,y+1/2,-z+3/4', 'x+1/2,-y+1/2,-z+1/4', 'y,x,-z', '-y,-x,-z+1/2'
+  ],
+  'I 4 2 2': [
+    'x,y,z', '-x,-y,z', '-y,x,z', 'y,-x,z',
+    '-x,y,-z', 'x,-y,-z', 'y,x,-z', '-y,-x,-z'
+  ],
+  'I 41 2 2': [
+    'x,y,z', '-x+1/2,-y+1/2,z+1/2', '-y,x+1/2,z+1/4', 'y+1/2,-x,z+3/4',
+    '-x+1/2,y,-z+3/4', 'x,-y+1/2,-z+1/4', 'y+1/2,x+1/2,-z+1/2', '-y,-x,-z'
+  ],
+  'P 3': ['x,y,z', '-y,x-y,z', '-x+y,-x,z'],
+  'P 31': ['x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3'],
+  'P 32': ['x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3'],
+  'H 3': ['x,y,z', '-y,x-y,z', '-x+y,-x,z'],
+  'R 3': ['x,y,z', 'z,x,y', 'y,z,x'],
+  'P 3 1 2': ['x,y,z', '-y,x-y,z', '-x+y,-x,z', '-y,-x,-z', '-x+y,y,-z', 'x,x-y,-z'],
+  'P 3 2 1': ['x,y,z', '-y,x-y,z', '-x+y,-x,z', 'y,x,-z', 'x-y,-y,-z', '-x,-x+y,-z'],
+  'P 31 1 2': ['x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3', '-y,-x,-z+2/3', '-x+y,y,-z+1/3', 'x,x-y,-z'],
+  'P 31 2 1': ['x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3', 'y,x,-z', 'x-y,-y,-z+2/3', '-x,-x+y,-z+1/3'],
+  'P 32 1 2': ['x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3', '-y,-x,-z+1/3', '-x+y,y,-z+2/3', 'x,x-y,-z'],
+  'P 32 2 1': ['x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3', 'y,x,-z', 'x-y,-y,-z+1/3', '-x,-x+y,-z+2/3'],
+  'H 3 2': ['x,y,z', '-y,x-y,z', '-x+y,-x,z', 'y,x,-z', 'x-y,-y,-z', '-x,-x+y,-z'],
+  'R 3 2': ['x,y,z', 'z,x,y', 'y,z,x', '-y,-x,-z', '-x,-z,-y', '-z,-y,-x'],
+  'P 6': ['x,y,z', '-y,x-y,z', '-x+y,-x,z', '-x,-y,z', 'y,-x+y,z', 'x-y,x,z'],
+  'P 61': ['x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3', '-x,-y,z+1/2', 'y,-x+y,z+5/6', 'x-y,x,z+1/6'],
+  'P 65': ['x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3', '-x,-y,z+1/2', 'y,-x+y,z+1/6', 'x-y,x,z+5/6'],
+  'P 62': ['x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3', '-x,-y,z', 'y,-x+y,z+2/3', 'x-y,x,z+1/3'],
+  'P 64': ['x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3', '-x,-y,z', 'y,-x+y,z+1/3', 'x-y,x,z+2/3'],
+  'P 63': ['x,y,z', '-y,x-y,z', '-x+y,-x,z', '-x,-y,z+1/2', 'y,-x+y,z+1/2', 'x-y,x,z+1/2'],
+  'P 6 2 2': [
+    'x,y,z', '-y,x-y,z', '-x+y,-x,z', '-x,-y,z', 'y,-x+y,z', 'x-y,x,z',
+    'y,x,-z', 'x-y,-y,-z', '-x,-x+y,-z', '-y,-x,-z', '-x+y,y,-z', 'x,x-y,-z'
+  ],
+  'P 61 2 2': [
+    'x,y,z', '-y,x-y,z+1/3', '-x+y,-x,z+2/3', '-x,-y,z+1/2', 'y,-x+y,z+5/6', 'x-y,x,z+1/6',
+    'y,x,-z+1/3', 'x-y,-y,-z', '-x,-x+y,-z+2/3', '-y,-x,-z+5/6', '-x+y,y,-z+1/2', 'x,x-y,-z+1/6'
+  ],
+  'P 65 2 2': [
+    'x,y,z', '-y,x-y,z+2/3', '-x+y,-x,z+1/3', '-x,-y,z+1/2', 'y,-x+y,z+1/6', 'x-y,x,z+5/6',
+    'y,x,-z+2/3', 'x-y,-y,-z', '-x,-x+y,-z+1/3', '-y,-x,-z+1/6', '-x+y,y,-z+1/2', 'x,x-y,-z+5/6'
+  ],
+  'P 63 2 2': [
+    'x,y,z', '-y,x-y,z', '-x+y,-x,z', '-x,-y,z+1/2', 'y,-x+y,z+1/2', 'x-y,x,z+1/2',
+    'y,x,-z', 'x-y,-y,-z', '-x,-x+y,-z', '-y,-x,-z+1/2', '-x+y,y,-z+1/2', 'x,x-y,-z+1/2'
+  ],
+  'P 2 3': [
+    'x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z',
+    'z,x,y', 'z,-x,-y', '-z,-x,y', '-z,x,-y',
+    'y,z,x', '-y,z,-x', 'y,-z,-x', '-y,-z,x'
+  ],
+  'P 21 3': [
+    'x,y,z', '-x+1/2,-y,z+1/2', '-x,y+1/2,-z+1/2', 'x+1/2,-y+1/2,-z',
+    'z,x,y', 'z+1/2,-x+1/2,-y', '-z+1/2,-x,y+1/2', '-z,x+1/2,-y+1/2',
+    'y,z,x', '-y,z+1/2,-x+1/2', 'y+1/2,-z+1/2,-x', '-y+1/2,-z,x+1/2'
+  ],
+  'F 2 3': [
+    'x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z',
+    'z,x,y', 'z,-x,-y', '-z,-x,y', '-z,x,-y',
+    'y,z,x', '-y,z,-x', 'y,-z,-x', '-y,-z,x'
+  ],
+  'I 2 3': [
+    'x,y,z', '-x,-y,z', '-x,y,-z', 'x,-y,-z',
+    'z,x,y', 'z,-x,-y', '-z,-x,y', '-z,x,-y',
+    'y,z,x', '-y,z,-x', 'y,-z,-x', '-y,-z,x'
+  ],
+  'I 21 3': [
+    'x,y,z', '-x+1/2,-y,z+1/2', '-x,y+1/2,-z+1/2', 'x+1/2,-y+1/2,-z',
+    'z,x,y', 'z+1/2,-x+1/2,-y', '-z+1/2,-x,y+1/2', '-z,x+1/2,-y+1/2',
+    'y,z,x', '-y,z+1/2,-x+1/2', 'y+1/2,-z+1/2,-x', '-y+1/2,-z,x+1/2'
+  ]
+};
+
+// Short symbols written by some programs
+const SPACE_GROUP_ALIASES = {
+  'P 2': 'P 1 2 1',
+  'P 21': 'P 1 21 1',
+  'C 2': 'C 1 2 1',
+  'I 2': 'I 1 2 1'
+};
+
+export class Crystal {
+  /**
+   * Create a crystal from unit cell parameters
+   * @param {Object} cell - Cell parameters as parsed from CRYST1 or _cell
+   * @param {number} cell.a - Cell length a (Angstroms)
+   * @param {number} cell.b - Cell length b (Angstroms)
+   * @param {number} cell.c - Cell length c (Angstroms)
+   * @param {number} cell.alpha - Cell angle alpha (degrees)
+   * @param {number} cell.beta - Cell angle beta (degrees)
+   * @param {number} cell.gamma - Cell angle gamma (degrees)
+   * @param {string} [cell.spaceGroup='P 1'] - Hermann-Mauguin space group symbol
+   */
+  constructor(cell) {
+    this.a = cell.a;
+    this.b = cell.b;
+    this.c = cell.c;
+    this.alpha = cell.alpha;
+    this.beta = cell.beta;
+    this.gamma = cell.gamma;
+    this.spaceGroup = (cell.spaceGroup || 'P 1').trim();
+    
+    // Fractional to Cartesian, with a along x and b in the xy plane
+    this.orthogonalization = this._createOrthogonalizationMatrix();
+    this.fractionalization = this.orthogonalization.clone().invert();
+    
+    this.symmetryOperators = null;
+  }
+  
+  /**
+   * Build the PDB convention orthogonalization matrix
+   * @private
+   * @returns {THREE.Matrix4} Fractional to Cartesian matrix
+   */
+  _createOrthogonalizationMatrix() {
+    const toRadians = Math.PI / 180;
+    const cosAlpha = Math.cos(this.alpha * toRadians);
+    const cosBeta = Math.cos(this.beta * toRadians);
+    const cosGamma = Math.cos(this.gamma * toRadians);
+    const sinGamma = Math.sin(this.gamma * toRadians);
+    
+    // Unit cell volume factor
+    const volume = Math.sqrt(
+      1 - cosAlpha * cosAlpha - cosBeta * cosBeta - cosGamma * cosGamma +
+      2 * cosAlpha * cosBeta * cosGamma
+    );
+    
+    return new THREE.Matrix4().set(
+      this.a, this.b * cosGamma, this.c * cosBeta, 0,
+      0, this.b * sinGamma, this.c * (cosAlpha - cosBeta * cosGamma) / sinGamma, 0,
+      0, 0, this.c * volume / sinGamma, 0,
+      0, 0, 0, 1
+    );
+  }
+  
+  /**
+   * Check whether the space group has a symmetry table
+   * @returns {boolean} True if the space group is known
+   */
+  isKnownSpaceGroup() {
+    return this._resolveSpaceGroup() !== null;
+  }
+  
+  /**
+   * Get the symmetry operators of the space group in fractional coordinates,
+   * including lattice centering. The identity comes first.
+   * @returns {Array<THREE.Matrix4>} Fractional symmetry operators
+   */
+  getSymmetryOperators() {
+    if (this.symmetryOperators) {
+      return this.symmetryOperators;
+    }
+    
+    let name = this._resolveSpaceGroup();
+    
+    if (!name) {
+      console.warn(`Unknown space group: ${this.spaceGroup}, using P 1`);
+      name = 'P 1';
+    }
+    
+    // Rhombohedral axes (R) need no centering
+    const operators = SPACE_GROUP_OPERATORS[name];
+    const centering = CENTERINGS[name.charAt(0)] || CENTERINGS.P;
+    
+    this.symmetryOperators = [];
+    centering.forEach(translation => {
+      operators.forEach(operator => {
+        const matrix = this._parseOperator(operator);
+        matrix.elements[12] += translation[0];
+        matrix.elements[13] += translation[1];
+        matrix.elements[14] += translation[2];
+        this.symmetryOperators.push(matrix);
+      });
+    });
+    
+    return this.symmetryOperators;
+  }
+  
+  /**
+   * Find the symmetry table entry of the space group
+   * @private
+   * @returns {string|null} Key into the operator table, or null if unknown
+   */
+  _resolveSpaceGroup() {
+    let name = this.spaceGroup.replace(/\s+/g, ' ').toUpperCase();
+    name = SPACE_GROUP_ALIASES[name] || name;
+    
+    // PDB files write rhombohedral groups in the hexagonal setting as H or R
+    if (name.charAt(0) === 'R' && this._isHexagonalSetting()) {
+      name = 'H' + name.substring(1);
+    }
+    
+    return SPACE_GROUP_OPERATORS[name] ? name : null;
+  }
+  
+  /**
+   * Check for hexagonal axes (gamma of 120 degrees)
+   * @private
+   * @returns {boolean} True for hexagonal axes
+   */
+  _isHexagonalSetting() {
+    return Math.abs(this.gamma - 120) < 0.1;
+  }
+  
+  /**
+   * Parse a symmetry operator such as '-x+1/2,y,-z+1/2'
+   * @private
+   * @param {string} operator - Operator in coordinate triplet notation
+   * @returns {THREE.Matrix4} Fractional operator
+   */
+  _parseOperator(operator) {
+    const rows = operator.split(',').map(component => {
+      const row = [0, 0, 0, 0];
+      const terms = component.replace(/\s+/g, '').match(/[+-]?[^+-]+/g) || [];
+      
+      terms.forEach(term => {
+        const sign = term.charAt(0) === '-' ? -1 : 1;
+        const value = term.replace(/^[+-]/, '');
+        const axis = 'xyz'.indexOf(value);
+        
+        if (axis >= 0) {
+          row[axis] += sign;
+        } else if (value.includes('/')) {
+          const [numerator, denominator] = value.split('/').map(parseFloat);
+          row[3] += sign * numerator / denominator;
+        } else {
+          row[3] += sign * parseFloat(value);
+        }
+      });
+      
+      return row;
+    });
+    
+    return new THREE.Matrix4().set(
+      ...rows[0],
+      ...rows[1],
+      ...rows[2],
+      0, 0, 0, 1
+    );
+  }
+  
+  /**
+   * Convert a fractional symmetry operator and lattice translation into a
+   * Cartesian transform
+   * @param {THREE.Matrix4} operator - Fractional symmetry operator
+   * @param {Array<number>} [translation=[0, 0, 0]] - Lattice translation in cells
+   * @returns {THREE.Matrix4} Cartesian transform
+   */
+  getCartesianOperator(operator, translation = [0, 0, 0]) {
+    const shift = new THREE.Matrix4().makeTranslation(translation[0], translation[1], translation[2]);
+    
+    return this.orthogonalization.clone()
+      .multiply(shift)
+      .multiply(operator)
+      .multiply(this.fractionalization);
+  }
+  
+  /**
+   * Get the Cartesian corners of the unit cell
+   * @returns {Array<THREE.Vector3>} Corners indexed by fractional bits (x + 2y + 4z)
+   */
+  getCorners() {
+    const corners = [];
+    
+    for (let i = 0; i < 8; i++) {
+      corners.push(new THREE.Vector3(i & 1, (i >> 1) & 1, (i >> 2) & 1)
+        .applyMatrix4(this.orthogonalization));
+    }
+    
+    return corners;
+  }
+  
+  /**
+   * Find the symmetry mates that come within a distance of the asymmetric unit
+   * @param {Array} atoms - Atoms of the asymmetric unit
+   * @param {number} radius - Contact distance in Angstroms
+   * @returns {Array<Object>} Operators ({ id, matrix }) in Cartesian space;
+   *   ids follow the symop_xyz convention, e.g. '2_565'
+   */
+  findSymmetryMates(atoms, radius) {
+    const positions = atoms
+      .filter(atom => atom.isActiveConformer !== false)
+      .map(atom => atom.position);
+    
+    if (positions.length === 0) return [];
+    
+    // Center and extent of the asymmetric unit
+    const center = new THREE.Vector3();
+    positions.forEach(position => center.add(position));
+    center.divideScalar(positions.length);
+    
+    const extent = Math.sqrt(positions.reduce(
+      (max, position) => Math.max(max, position.distanceToSquared(center)), 0
+    ));
+    
+    const grid = new SpatialGrid(positions, radius);
+    const fractionalCenter = center.clone().applyMatrix4(this.fractionalization);
+    const maxDistance = 2 * extent + radius;
+    const range = Math.ceil(maxDistance / Math.min(this.a, this.b, this.c));
+    const copyCenter = new THREE.Vector3();
+    const mates = [];
+    
+    this.getSymmetryOperators().forEach((operator, index) => {
+      // Lattice translation that brings this copy closest to the original
+      const moved = fractionalCenter.clone().applyMatrix4(operator);
+      const base = [
+        Math.round(fractionalCenter.x - moved.x),
+        Math.round(fractionalCenter.y - moved.y),
+        Math.round(fractionalCenter.z - moved.z)
+      ];
+      
+      for (let i = -range; i <= range; i++) {
+        for (let j = -range; j <= range; j++) {
+          for (let k = -range; k <= range; k++) {
+            const translation = [base[0] + i, base[1] + j, base[2] + k];
+            
+            // Skip the asymmetric unit itself
+            if (index === 0 && translation.every(t => t === 0)) continue;
+            
+            const matrix = this.getCartesianOperator(operator, translation);
+            
+            // Copies whose atoms cannot reach the original
+            copyCenter.copy(center).applyMatrix4(matrix);
+            if (copyCenter.distanceTo(center) > maxDistance) continue;
+            
+            if (this._hasContact(positions, matrix, grid, radius)) {
+              mates.push({
+                id: `${index + 1}_${translation.map(t => 5 + t).join('')}`,
+                matrix
+              });
+            }
+          }
+        }
+      }
+    });
+    
+    return mates;
+  }
+  
+  /**
+   * Check whether any transformed atom lies within the contact distance of
+   * an original atom
+   * @private
+   * @param {Array<THREE.Vector3>} positions - Atom positions
+   * @param {THREE.Matrix4} matrix - Cartesian transform of the copy
+   * @param {SpatialGrid} grid - Grid of original positions
+   * @param {number} radius - Contact distance
+   * @returns {boolean} True if the copy touches the original
+   */
+  _hasContact(positions, matrix, grid, radius) {
+    const point = new THREE.Vector3();
+    
+    return positions.some(position => {
+      point.copy(position).applyMatrix4(matrix);
+      return grid.forEachWithin(point, radius, () => true);
+    });
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * CubeParser.js - Parser for Gaussian cube files
+ * Reads the grid geometry (in bohr, or in Angstroms when the point counts
+ * are negative), the atom list and the values, which cube files write with
+ * the last axis fastest.
+ * See https://paulbourke.net/dataformats/cube/
+ */
+
+import { DensityMap } from './DensityMap.js';
+
+// Angstroms per bohr
+const BOHR = 0.529177210903;
+
+export class CubeParser {
+  /**
+   * Parse a cube file
+   * @param {string} text - Text content of the file
+   * @returns {DensityMap} Density map
+   */
+  parse(text) {
+    const lines = text.split(/\r?\n/);
+    
+    if (lines.length < 6) {
+      throw new Error('Invalid cube file: the header is incomplete');
+    }
+    
+    const readNumbers = (index) => lines[index].trim().split(/\s+/).map(Number);
+    
+    // Atom count and origin; a negative count announces an orbital line after the atoms
+    const originLine = readNumbers(2);
+    const atomCount = Math.abs(originLine[0]);
+    const hasOrbitals = originLine[0] < 0;
+    
+    const dims = [];
+    const axes = [];
+    let unit = BOHR;
+    
+    for (let axis = 0; axis < 3; axis++) {
+      const fields = readNumbers(3 + axis);
+      if (fields.length < 4 || fields.some(value => isNaN(value))) {
+        throw new Error(`Invalid cube file: unreadable axis line ${4 + axis}`);
+      }
+      
+      // Negative counts mean the file is in Angstroms
+      if (fields[0] < 0) unit = 1;
+      dims.push(Math.abs(fields[0]));
+      axes.push(fields.slice(1, 4));
+    }
+    
+    if (dims.some(size => !(size > 0))) {
+      throw new Error('Invalid cube file: the grid is empty');
+    }
+    
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+      const fields = readNumbers(6 + i);
+      atoms.push({
+        atomicNumber: fields[0],
+        charge: fields[1],
+        x: fields[2] * unit,
+        y: fields[3] * unit,
+        z: fields[4] * unit
+      });
+    }
+    
+    // Orbital cubes list their orbitals before the values and hold one
+    // value per orbital at each point; the first orbital is shown
+    let dataLine = 6 + atomCount;
+    let valuesPerPoint = 1;
+    
+    if (hasOrbitals) {
+      valuesPerPoint = Math.max(1, readNumbers(dataLine)[0] || 1);
+      dataLine++;
+    }
+    
+    const count = dims[0] * dims[1] * dims[2];
+    const fileValues = this._readValues(lines, dataLine, count * valuesPerPoint);
+    
+    // Cube files run z fastest; density maps run x fastest
+    const values = new Float32Array(count);
+    let index = 0;
+    
+    for (let i = 0; i < dims[0]; i++) {
+      for (let j = 0; j < dims[1]; j++) {
+        for (let k = 0; k < dims[2]; k++) {
+          values[i + dims[0] * (j + dims[1] * k)] = fileValues[index * valuesPerPoint];
+          index++;
+        }
+      }
+    }
+    
+    return new DensityMap({
+      dims,
+      origin: originLine.slice(1, 4).map(value => value * unit),
+      axes: axes.map(axis => axis.map(value => value * unit)),
+      values,
+      metadata: {
+        format: 'cube',
+        title: lines[0].trim(),
+        comment: lines[1].trim(),
+        atoms
+      }
+    });
+  }
+  
+  /**
+   * Read whitespace-separated values
+   * @private
+   * @param {Array<string>} lines - Lines of the file
+   * @param {number} start - Index of the first data line
+   * @param {number} count - Number of values expected
+   * @returns {Float32Array} Values
+   */
+  _readValues(lines, start, count) {
+    const values = new Float32Array(count);
+    let index = 0;
+    
+    for (let i = start; i < lines.length && index < count; i++) {
+      const fields = lines[i].trim().split(/\s+/);
+      
+      for (let f = 0; f < fields.length && index < count; f++) {
+        if (fields[f]) values[index++] = parseFloat(fields[f]);
+      }
+    }
+    
+    if (index < count) {
+      throw new Error(`Invalid cube file: expected ${count} values, found ${index}`);
+    }
+    
+    return values;
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * DSSP.js - Secondary structure assignment from backbone geometry
+ * Implements the Kabsch & Sander (1983) method: electrostatic backbone
+ * hydrogen bonds, then helices, bridges/ladders, turns and bends
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+export class DSSP {
+  /**
+   * Create a new DSSP assigner
+   * @param {Object} [options] - Assignment options
+   * @param {number} [options.hbondEnergyCutoff=-0.5] - Maximum energy (kcal/mol) of an H-bond
+   * @param {number} [options.bendAngle=70] - Minimum CA angle (degrees) of a bend
+   */
+  constructor(options = {}) {
+    this.hbondEnergyCutoff = options.hbondEnergyCutoff !== undefined ? options.hbondEnergyCutoff : -0.5;
+    this.bendAngle = options.bendAngle !== undefined ? options.bendAngle : 70;
+    
+    // Electrostatic constant: 0.42e * 0.20e * 332 (kcal/mol * Å)
+    this.energyConstant = 27.888;
+    this.minEnergy = -9.9;
+    
+    // Pairs whose CA atoms are further apart cannot be H-bonded
+    this.maxCADistance = 9.0;
+    
+    // C(i-1)-N(i) distance above which the chain is considered broken
+    this.maxPeptideBondLength = 2.5;
+    
+    // Mapping from DSSP codes to the coarse types used by the visualizations
+    this.structureTypes = {
+      'H': 'helix', // Alpha helix
+      'G': 'helix', // 3-10 helix
+      'I': 'helix', // Pi helix
+      'E': 'sheet', // Extended strand in a ladder
+      'B': 'coil',  // Isolated beta bridge
+      'T': 'coil',  // H-bonded turn
+      'S': 'coil',  // Bend
+      '-': 'coil'   // None
+    };
+  }
+  
+  /**
+   * Assign secondary structure to residues.
+   * Sets residue.dsspCode (one of H, G, I, E, B, T, S or '-') and
+   * residue.secondaryStructure ('helix', 'sheet' or 'coil').
+   * @param {Array} residues - Residues sorted by chain and sequence
+   * @returns {Array<string>} DSSP code per residue
+   */
+  assign(residues) {
+    // Every residue starts as coil; only complete backbones take part
+    residues.forEach(residue => {
+      residue.dsspCode = '-';
+      residue.secondaryStructure = 'coil';
+    });
+    
+    const backbone = this._getBackbone(residues);
+    
+    if (backbone.length > 0) {
+      this._calculateHBonds(backbone);
+      
+      const codes = this._assignCodes(backbone);
+      
+      backbone.forEach((entry, i) => {
+        entry.residue.dsspCode = codes[i];
+        entry.residue.secondaryStructure = this.structureTypes[codes[i]];
+      });
+    }
+    
+    return residues.map(residue => residue.dsspCode);
+  }
+  
+  /**
+   * Collect backbone atoms of amino acid residues and place amide hydrogens
+   * @private
+   * @param {Array} residues - Residues sorted by chain and sequence
+   * @returns {Array} Backbone entries
+   */
+  _getBackbone(residues) {
+    const backbone = [];
+    
+    residues.forEach(residue => {
+      const atoms = {};
+      
+      // Use the selected conformer only
+      residue.atoms.forEach(atom => {
+        if (atom.isActiveConformer === false) return;
+        if (!atoms[atom.name]) {
+          atoms[atom.name] = atom.position;
+        }
+      });
+      
+      if (!atoms.N || !atoms.CA || !atoms.C || !atoms.O) return;
+      
+      const previous = backbone[backbone.length - 1];
+      
+      // A chain break starts a new segment
+      const isBreak = !previous ||
+        previous.residue.chainID !== residue.chainID ||
+        previous.c.distanceTo(atoms.N) > this.maxPeptideBondLength;
+      
+      // Use the amide hydrogen from the file, otherwise place it opposite
+      // the previous carbonyl (proline has no amide hydrogen)
+      let h = atoms.H || atoms.HN || null;
+      
+      if (!h && !isBreak && residue.name !== 'PRO') {
+        h = new THREE.Vector3()
+          .subVectors(previous.c, previous.o)
+          .normalize()
+          .add(atoms.N);
+      }
+      
+      backbone.push({
+        residue,
+        n: atoms.N,
+        ca: atoms.CA,
+        c: atoms.C,
+        o: atoms.O,
+        h,
+        isBreak,
+        acceptors: [] // Two lowest-energy C=O partners of this N-H
+      });
+    });
+    
+    return backbone;
+  }
+  
+  /**
+   * Calculate backbone H-bond energies and keep the two best per donor
+   * @private
+   * @param {Array} backbone - Backbone entries
+   */
+  _calculateHBonds(backbone) {
+    // Only residues with nearby CA atoms can be hydrogen bonded
+    const grid = new SpatialGrid(backbone.map(entry => entry.ca), this.maxCADistance);
+    
+    for (let donor = 0; donor < backbone.length; donor++) {
+      const d = backbone[donor];
+      if (!d.h) continue;
+      
+      grid.forEachWithin(d.ca, this.maxCADistance, acceptor => {
+        // Skip the residue itself and its direct predecessor
+        if (acceptor === donor || acceptor === donor - 1) return;
+        
+        const energy = this._hbondEnergy(d, backbone[acceptor]);
+        if (energy >= this.hbondEnergyCutoff) return;
+        
+        d.acceptors.push({ index: acceptor, energy });
+      });
+      
+      // Keep the two best acceptors
+      d.acceptors.sort((x, y) => x.energy - y.energy || x.index - y.index);
+      if (d.acceptors.length > 2) {
+        d.acceptors.length = 2;
+      }
+    }
+  }
+  
+  
+  /**
+   * Electrostatic H-bond energy between an N-H donor and a C=O acceptor
+   * @private
+   * @param {Object} donor - Backbone entry providing N-H
+   * @param {Object} acceptor - Backbone entry providing C=O
+   * @returns {number} Energy in kcal/mol
+   */
+  _hbondEnergy(donor, acceptor) {
+    const rON = acceptor.o.distanceTo(donor.n);
+    const rCH = acceptor.c.distanceTo(donor.h);
+    const rOH = acceptor.o.distanceTo(donor.h);
+    const rCN = acceptor.c.distanceTo(donor.n);
+    
+    // Overlapping atoms give the strongest possible bond
+    if (rON < 0.5 || rCH < 0.5 || rOH < 0.5 || rCN < 0.5) {
+      return this.minEnergy;
+    }
+    
+    const energy = this.energyConstant * (1 / rON + 1 / rCH - 1 / rOH - 1 / rCN);
+    return Math.max(this.minEnergy, energy);
+  }
+  
+  /**
+   * Check for an H-bond from C=O of residue i to N-H of residue j
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @param {number} i - Acceptor index
+   * @param {number} j - Donor index
+   * @returns {boolean} True if the H-bond exists
+   */
+  _hasHBond(backbone, i, j) {
+    if (i < 0 || j < 0 || i >= backbone.length || j >= backbone.length) {
+      return false;
+    }
+    
+    return backbone[j].acceptors.some(acceptor => acceptor.index === i);
+  }
+  
+  /**
+   * Check that residues from i to j belong to one unbroken segment
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @param {number} i - First index
+   * @param {number} j - Last index
+   * @returns {boolean} True if there is no chain break in between
+   */
+  _isContinuous(backbone, i, j) {
+    if (i < 0 || j >= backbone.length) return false;
+    
+    for (let k = i + 1; k <= j; k++) {
+      if (backbone[k].isBreak) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Derive the DSSP code of every backbone residue
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @returns {Array<string>} DSSP codes
+   */
+  _assignCodes(backbone) {
+    const count = backbone.length;
+    const codes = new Array(count).fill(null);
+    
+    // n-turns: H-bond from C=O(i) to N-H(i+n)
+    const turns = {};
+    [3, 4, 5].forEach(n => {
+      turns[n] = new Array(count).fill(false);
+      for (let i = 0; i + n < count; i++) {
+        turns[n][i] = this._isContinuous(backbone, i, i + n) && this._hasHBond(backbone, i, i + n);
+      }
+    });
+    
+    // Strands and isolated bridges
+    this._assignBridges(backbone, codes);
+    
+    // Alpha helices: two consecutive 4-turns, highest priority
+    this._assignHelix(turns[4], 4, 'H', codes, true);
+    
+    // 3-10 and pi helices only where nothing else was assigned
+    this._assignHelix(turns[3], 3, 'G', codes, false);
+    this._assignHelix(turns[5], 5, 'I', codes, false);
+    
+    // Turns: residues enclosed by an n-turn
+    [3, 4, 5].forEach(n => {
+      for (let i = 0; i < count; i++) {
+        if (!turns[n][i]) continue;
+        
+        for (let k = i + 1; k < i + n; k++) {
+          if (codes[k] === null) codes[k] = 'T';
+        }
+      }
+    });
+    
+    // Bends: high CA curvature
+    for (let i = 2; i < count - 2; i++) {
+      if (codes[i] === null && this._isBend(backbone, i)) {
+        codes[i] = 'S';
+      }
+    }
+    
+    return codes.map(code => code || '-');
+  }
+  
+  /**
+   * Mark helices formed by consecutive n-turns
+   * @private
+   * @param {Array<boolean>} turns - n-turn flags per residue
+   * @param {number} n - Turn length
+   * @param {string} code - DSSP code to assign
+   * @param {Array<string>} codes - Codes to update
+   * @param {boolean} override - Whether to overwrite existing codes
+   */
+  _assignHelix(turns, n, code, codes, override) {
+    for (let i = 1; i < turns.length; i++) {
+      if (!turns[i - 1] || !turns[i]) continue;
+      
+      const end = Math.min(i + n, codes.length);
+      
+      // Lower-priority helices must fit entirely in unassigned residues
+      if (!override) {
+        let free = true;
+        for (let k = i; k < end; k++) {
+          if (codes[k] !== null && codes[k] !== code) {
+            free = false;
+            break;
+          }
+        }
+        if (!free) continue;
+      }
+      
+      for (let k = i; k < end; k++) {
+        codes[k] = code;
+      }
+    }
+  }
+  
+  /**
+   * Find beta bridges, group them into ladders and mark strands
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @param {Array<string>} codes - Codes to update
+   */
+  _assignBridges(backbone, codes) {
+    const count = backbone.length;
+    const hb = (i, j) => this._hasHBond(backbone, i, j);
+    const ladders = [];
+    
+    this._getBridgeCandidates(backbone).forEach(key => {
+      const i = Math.floor(key / count);
+      const j = key % count;
+      
+      if (!this._isContinuous(backbone, i - 1, i + 1)) return;
+      if (!this._isContinuous(backbone, j - 1, j + 1)) return;
+      
+      let type = null;
+      
+      if ((hb(i - 1, j) && hb(j, i + 1)) || (hb(j - 1, i) && hb(i, j + 1))) {
+        type = 'parallel';
+      } else if ((hb(i, j) && hb(j, i)) || (hb(i - 1, j + 1) && hb(j - 1, i + 1))) {
+        type = 'antiparallel';
+      }
+      
+      if (!type) return;
+      
+      // Extend a ladder ending at the previous bridge of the same type
+      const step = type === 'parallel' ? 1 : -1;
+      const ladder = ladders.find(l =>
+        l.type === type &&
+        l.iEnd === i - 1 &&
+        l.jEnd === j - step
+      );
+      
+      if (ladder) {
+        ladder.iEnd = i;
+        ladder.jEnd = j;
+        ladder.bridges++;
+      } else {
+        ladders.push({ type, iStart: i, iEnd: i, jStart: j, jEnd: j, bridges: 1, linked: false });
+      }
+    });
+    
+    // Join ladders separated by a beta bulge: a gap of at most one
+    // residue on one strand and at most four on the other
+    for (let a = 0; a < ladders.length; a++) {
+      for (let b = a + 1; b < ladders.length; b++) {
+        const first = ladders[a];
+        const second = ladders[b];
+        
+        if (first.type !== second.type) continue;
+        
+        const iGap = second.iStart - first.iEnd;
+        const jGap = first.type === 'parallel' ?
+          second.jStart - first.jEnd :
+          first.jEnd - second.jStart;
+        
+        if (iGap <= 0 || jGap <= 0) continue;
+        if (!((iGap < 3 && jGap < 6) || (jGap < 3 && iGap < 6))) continue;
+        if (!this._isContinuous(backbone, first.iEnd, second.iStart)) continue;
+        
+        first.linked = true;
+        second.linked = true;
+        
+        // Residues inside the bulge are part of the strand
+        this._fill(codes, first.iEnd, second.iStart, 'E');
+        this._fill(codes, Math.min(first.jEnd, second.jStart), Math.max(first.jEnd, second.jStart), 'E');
+      }
+    }
+    
+    // Ladders of two or more bridges (or bulge-linked) form strands
+    ladders.forEach(ladder => {
+      const code = ladder.bridges > 1 || ladder.linked ? 'E' : 'B';
+      
+      [[ladder.iStart, ladder.iEnd], [ladder.jStart, ladder.jEnd]].forEach(([start, end]) => {
+        for (let k = Math.min(start, end); k <= Math.max(start, end); k++) {
+          // Strand membership wins over an isolated bridge
+          if (code === 'E' || codes[k] !== 'E') {
+            codes[k] = code;
+          }
+        }
+      });
+    });
+  }
+  
+  /**
+   * Find the residue pairs that can form a bridge. Every bridge pattern
+   * contains an H-bond from C=O(a) to N-H(d) with the pair one of
+   * (a, d), (a + 1, d), (a, d - 1) or (a + 1, d - 1), so the candidates
+   * come from the acceptor lists instead of from all residue pairs
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @returns {Array<number>} Pairs as i * count + j with i + 3 <= j, in ascending order
+   */
+  _getBridgeCandidates(backbone) {
+    const count = backbone.length;
+    const keys = new Set();
+    
+    const add = (a, b) => {
+      const i = Math.min(a, b);
+      const j = Math.max(a, b);
+      if (i < 1 || j >= count - 1 || j - i < 3) return;
+      keys.add(i * count + j);
+    };
+    
+    backbone.forEach((entry, d) => {
+      entry.acceptors.forEach(({ index: a }) => {
+        add(a, d);
+        add(a + 1, d);
+        add(a, d - 1);
+        add(a + 1, d - 1);
+      });
+    });
+    
+    // Ladders are grown in order of i, then j
+    return Array.from(keys).sort((x, y) => x - y);
+  }
+  
+  /**
+   * Set a code on an inclusive index range
+   * @private
+   * @param {Array<string>} codes - Codes to update
+   * @param {number} start - First index
+   * @param {number} end - Last index
+   * @param {string} code - Code to assign
+   */
+  _fill(codes, start, end, code) {
+    for (let k = start; k <= end; k++) {
+      codes[k] = code;
+    }
+  }
+  
+  /**
+   * Check whether the chain bends sharply at residue i
+   * @private
+   * @param {Array} backbone - Backbone entries
+   * @param {number} i - Residue index
+   * @returns {boolean} True if the CA(i-2), CA(i), CA(i+2) angle exceeds the bend angle
+   */
+  _isBend(backbone, i) {
+    if (!this._isContinuous(backbone, i - 2, i + 2)) return false;
+    
+    const before = new THREE.Vector3().subVectors(backbone[i].ca, backbone[i - 2].ca);
+    const after = new THREE.Vector3().subVectors(backbone[i + 2].ca, backbone[i].ca);
+    
+    const angle = THREE.MathUtils.radToDeg(before.angleTo(after));
+    return angle > this.bendAngle;
+  }
+}
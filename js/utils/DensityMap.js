@@ -0,0 +1,374 @@
+/**
+ * DensityMap.js - Volumetric density on a regular grid
+ * Holds the values of a cryo-EM or electron density map with the geometry
+ * of its grid, which may be skewed (crystal cells), and extracts isosurfaces
+ * with MarchingCubes. Has no THREE.js dependency so it can run in a Web Worker.
+ */
+
+import { MarchingCubes } from './MarchingCubes.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+export class DensityMap {
+  /**
+   * Create a density map
+   * @param {Object} options - Map data
+   * @param {Array<number>} options.dims - Number of grid points along each grid axis
+   * @param {Array<number>} options.origin - Cartesian position of the first point (Angstroms)
+   * @param {Array<Array<number>>} options.axes - Cartesian step between neighboring
+   *   points along each grid axis
+   * @param {Float32Array} options.values - Values at the grid points, first axis fastest
+   * @param {Object} [options.metadata] - Format details (title, cell, ...)
+   */
+  constructor(options) {
+    this.dims = options.dims.slice();
+    this.origin = options.origin.slice();
+    this.axes = options.axes.map(axis => axis.slice());
+    this.values = options.values;
+    this.metadata = options.metadata || {};
+    
+    if (this.values.length !== this.dims[0] * this.dims[1] * this.dims[2]) {
+      throw new Error(`Density map has ${this.values.length} values for a ${this.dims.join(' x ')} grid`);
+    }
+    
+    this.stats = options.stats || this._computeStats();
+    
+    // Cartesian to grid index conversion
+    this.inverseAxes = this._invert(this.axes);
+    
+    this.marchingCubes = new MarchingCubes();
+  }
+  
+  /**
+   * Rebuild a map sent through postMessage
+   * @param {Object} data - Output of toObject()
+   * @returns {DensityMap} Map
+   */
+  static fromObject(data) {
+    return new DensityMap(data);
+  }
+  
+  /**
+   * Plain object with the map data, for postMessage
+   * @returns {Object} Map data ({ dims, origin, axes, values, stats, metadata })
+   */
+  toObject() {
+    return {
+      dims: this.dims,
+      origin: this.origin,
+      axes: this.axes,
+      values: this.values,
+      stats: this.stats,
+      metadata: this.metadata
+    };
+  }
+  
+  /**
+   * Convert a contour level in standard deviations to a density value
+   * @param {number} sigma - Level in multiples of the map RMS deviation
+   * @returns {number} Absolute density value
+   */
+  getLevel(sigma) {
+    return this.stats.mean + sigma * this.stats.rms;
+  }
+  
+  /**
+   * Cartesian position of a (possibly fractional) grid index
+   * @param {number} i - Index along the first axis
+   * @param {number} j - Index along the second axis
+   * @param {number} k - Index along the third axis
+   * @returns {Array<number>} Position [x, y, z]
+   */
+  toCartesian(i, j, k) {
+    const [a, b, c] = this.axes;
+    return [0, 1, 2].map(n => this.origin[n] + i * a[n] + j * b[n] + k * c[n]);
+  }
+  
+  /**
+   * Grid index of a Cartesian position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Array<number>} Fractional index [i, j, k]
+   */
+  toIndex(x, y, z) {
+    const d = [x - this.origin[0], y - this.origin[1], z - this.origin[2]];
+    return this.inverseAxes.map(row => row[0] * d[0] + row[1] * d[1] + row[2] * d[2]);
+  }
+  
+  /**
+   * Center of the grid
+   * @returns {Array<number>} Position [x, y, z]
+   */
+  getCenter() {
+    return this.toCartesian((this.dims[0] - 1) / 2, (this.dims[1] - 1) / 2, (this.dims[2] - 1) / 2);
+  }
+  
+  /**
+   * Extract the isosurface at a density value
+   * @param {number} level - Density value of the surface
+   * @param {Object} [options] - Extraction options
+   * @param {Object} [options.carve] - Keep only the surface near a set of atoms
+   * @param {Float32Array} options.carve.positions - Atom positions as x, y, z triples
+   * @param {number} options.carve.radius - Distance from the atoms in Angstroms
+   * @param {number} [options.maxGridSize=160] - Maximum grid points along an axis;
+   *   larger regions are sampled at every n-th point
+   * @returns {Object} Indexed triangle mesh ({ positions, normals, indices }) in
+   *   Cartesian coordinates
+   */
+  extractIsosurface(level, options = {}) {
+    const carve = options.carve && options.carve.positions.length > 0 ? options.carve : null;
+    const region = this._getRegion(carve);
+    
+    if (!region) {
+      return { positions: new Float32Array(0), normals: new Float32Array(0), indices: new Uint32Array(0) };
+    }
+    
+    // Coarsen large regions so the marching cubes buffers stay bounded
+    const maxGridSize = options.maxGridSize || 160;
+    const extent = Math.max(...region.max.map((value, axis) => value - region.min[axis] + 1));
+    const step = Math.max(1, Math.ceil(extent / maxGridSize));
+    
+    const dims = region.max.map((value, axis) => Math.floor((value - region.min[axis]) / step) + 1);
+    const field = this._sample(region.min, dims, step);
+    
+    // Polygonize in grid index units, then map to Cartesian space
+    const mesh = this.marchingCubes.polygonize(field, { dims, origin: [0, 0, 0], spacing: 1 }, level);
+    this._transformMesh(mesh, region.min, step);
+    
+    return carve ? this._carve(mesh, carve) : mesh;
+  }
+  
+  /**
+   * Grid index range to polygonize: the whole map, or the box around the
+   * carving atoms
+   * @private
+   * @param {Object|null} carve - Carve options
+   * @returns {Object|null} Inclusive index range ({ min, max }), or null if the
+   *   atoms are outside the map
+   */
+  _getRegion(carve) {
+    const min = [0, 0, 0];
+    const max = this.dims.map(size => size - 1);
+    
+    if (!carve) return { min, max };
+    
+    const low = [Infinity, Infinity, Infinity];
+    const high = [-Infinity, -Infinity, -Infinity];
+    const { positions, radius } = carve;
+    
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let axis = 0; axis < 3; axis++) {
+        low[axis] = Math.min(low[axis], positions[i + axis] - radius);
+        high[axis] = Math.max(high[axis], positions[i + axis] + radius);
+      }
+    }
+    
+    // Grid indices of the corners of the Cartesian box
+    const indexMin = [Infinity, Infinity, Infinity];
+    const indexMax = [-Infinity, -Infinity, -Infinity];
+    
+    for (let corner = 0; corner < 8; corner++) {
+      const index = this.toIndex(
+        corner & 1 ? high[0] : low[0],
+        corner & 2 ? high[1] : low[1],
+        corner & 4 ? high[2] : low[2]
+      );
+      
+      for (let axis = 0; axis < 3; axis++) {
+        indexMin[axis] = Math.min(indexMin[axis], index[axis]);
+        indexMax[axis] = Math.max(indexMax[axis], index[axis]);
+      }
+    }
+    
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.max(0, Math.floor(indexMin[axis]));
+      max[axis] = Math.min(this.dims[axis] - 1, Math.ceil(indexMax[axis]));
+      
+      // A region needs at least one cell along each axis
+      if (max[axis] - min[axis] < 1) return null;
+    }
+    
+    return { min, max };
+  }
+  
+  /**
+   * Copy every step-th value of a region
+   * @private
+   * @param {Array<number>} start - First grid index of the region
+   * @param {Array<number>} dims - Number of samples along each axis
+   * @param {number} step - Grid points between samples
+   * @returns {Float32Array} Sampled values, first axis fastest
+   */
+  _sample(start, dims, step) {
+    const [nx, ny] = this.dims;
+    const field = new Float32Array(dims[0] * dims[1] * dims[2]);
+    let index = 0;
+    
+    for (let k = 0; k < dims[2]; k++) {
+      for (let j = 0; j < dims[1]; j++) {
+        const row = ((start[2] + k * step) * ny + start[1] + j * step) * nx + start[0];
+        
+        for (let i = 0; i < dims[0]; i++) {
+          field[index++] = this.values[row + i * step];
+        }
+      }
+    }
+    
+    return field;
+  }
+  
+  /**
+   * Move a mesh from sampled grid index units to Cartesian coordinates
+   * @private
+   * @param {Object} mesh - Mesh from MarchingCubes, modified in place
+   * @param {Array<number>} start - First grid index of the sampled region
+   * @param {number} step - Grid points between samples
+   */
+  _transformMesh(mesh, start, step) {
+    const { positions, normals } = mesh;
+    const [a, b, c] = this.axes;
+    const origin = this.toCartesian(start[0], start[1], start[2]);
+    
+    // Gradients transform with the inverse transpose of the axes
+    const inverse = this.inverseAxes;
+    
+    for (let v = 0; v < positions.length; v += 3) {
+      const i = positions[v] * step;
+      const j = positions[v + 1] * step;
+      const k = positions[v + 2] * step;
+      
+      positions[v] = origin[0] + i * a[0] + j * b[0] + k * c[0];
+      positions[v + 1] = origin[1] + i * a[1] + j * b[1] + k * c[1];
+      positions[v + 2] = origin[2] + i * a[2] + j * b[2] + k * c[2];
+      
+      const ni = normals[v];
+      const nj = normals[v + 1];
+      const nk = normals[v + 2];
+      const nx = inverse[0][0] * ni + inverse[1][0] * nj + inverse[2][0] * nk;
+      const ny = inverse[0][1] * ni + inverse[1][1] * nj + inverse[2][1] * nk;
+      const nz = inverse[0][2] * ni + inverse[1][2] * nj + inverse[2][2] * nk;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+      
+      normals[v] = nx / length;
+      normals[v + 1] = ny / length;
+      normals[v + 2] = nz / length;
+    }
+  }
+  
+  /**
+   * Keep the triangles whose corners all lie within a distance of an atom
+   * @private
+   * @param {Object} mesh - Mesh in Cartesian coordinates
+   * @param {Object} carve - Carve options ({ positions, radius })
+   * @returns {Object} Carved mesh with unused vertices removed
+   */
+  _carve(mesh, carve) {
+    const atoms = [];
+    for (let i = 0; i < carve.positions.length; i += 3) {
+      atoms.push({ x: carve.positions[i], y: carve.positions[i + 1], z: carve.positions[i + 2] });
+    }
+    
+    const grid = new SpatialGrid(atoms, carve.radius);
+    const vertexCount = mesh.positions.length / 3;
+    const vertex = { x: 0, y: 0, z: 0 };
+    
+    // New index of each kept vertex, -1 for carved ones
+    const remap = new Int32Array(vertexCount).fill(-1);
+    const near = new Uint8Array(vertexCount);
+    
+    for (let v = 0; v < vertexCount; v++) {
+      vertex.x = mesh.positions[v * 3];
+      vertex.y = mesh.positions[v * 3 + 1];
+      vertex.z = mesh.positions[v * 3 + 2];
+      near[v] = grid.forEachWithin(vertex, carve.radius, () => true) ? 1 : 0;
+    }
+    
+    const indices = [];
+    let kept = 0;
+    
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+      const i1 = mesh.indices[t];
+      const i2 = mesh.indices[t + 1];
+      const i3 = mesh.indices[t + 2];
+      if (!near[i1] || !near[i2] || !near[i3]) continue;
+      
+      for (const index of [i1, i2, i3]) {
+        if (remap[index] === -1) remap[index] = kept++;
+        indices.push(remap[index]);
+      }
+    }
+    
+    const positions = new Float32Array(kept * 3);
+    const normals = new Float32Array(kept * 3);
+    
+    for (let v = 0; v < vertexCount; v++) {
+      const target = remap[v];
+      if (target === -1) continue;
+      
+      for (let axis = 0; axis < 3; axis++) {
+        positions[target * 3 + axis] = mesh.positions[v * 3 + axis];
+        normals[target * 3 + axis] = mesh.normals[v * 3 + axis];
+      }
+    }
+    
+    return { positions, normals, indices: new Uint32Array(indices) };
+  }
+  
+  /**
+   * Compute the range, mean and RMS deviation of the values
+   * @private
+   * @returns {Object} Statistics ({ min, max, mean, rms })
+   */
+  _computeStats() {
+    const values = this.values;
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (value < min) min = value;
+      if (value > max) max = value;
+      sum += value;
+    }
+    
+    const mean = values.length > 0 ? sum / values.length : 0;
+    let sumSq = 0;
+    
+    for (let i = 0; i < values.length; i++) {
+      const deviation = values[i] - mean;
+      sumSq += deviation * deviation;
+    }
+    
+    return {
+      min: values.length > 0 ? min : 0,
+      max: values.length > 0 ? max : 0,
+      mean,
+      rms: values.length > 0 ? Math.sqrt(sumSq / values.length) : 0
+    };
+  }
+  
+  /**
+   * Invert the matrix whose columns are the grid axes
+   * @private
+   * @param {Array<Array<number>>} axes - Grid axes
+   * @returns {Array<Array<number>>} Inverse matrix as rows
+   */
+  _invert(axes) {
+    const [a, b, c] = axes;
+    
+    // Rows of the inverse are the cross products of the other two columns
+    const rows = [
+      [b[1] * c[2] - b[2] * c[1], b[2] * c[0] - b[0] * c[2], b[0] * c[1] - b[1] * c[0]],
+      [c[1] * a[2] - c[2] * a[1], c[2] * a[0] - c[0] * a[2], c[0] * a[1] - c[1] * a[0]],
+      [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+    ];
+    const determinant = a[0] * rows[0][0] + a[1] * rows[0][1] + a[2] * rows[0][2];
+    
+    if (Math.abs(determinant) < 1e-12) {
+      throw new Error('Density map grid axes are degenerate');
+    }
+    
+    return rows.map(row => row.map(value => value / determinant));
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Electrostatics.js - Atomic charges and electrostatic potential
+ * Assigns charges from the file (PQR, MOL2) or from templates of the
+ * ionizable groups at neutral pH, and evaluates a screened Coulomb
+ * (Debye-Hückel) potential in units of kT/e.
+ * Has no THREE.js dependency so it can run in a Web Worker.
+ */
+
+import { CONFIG } from '../config.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { ResidueProperties } from './ResidueProperties.js';
+
+// Charges (e) of the ionizable atoms of standard residues at pH 7, by
+// residue and atom name; other atoms of these residues are neutral
+const RESIDUE_CHARGES = {
+  ASP: { OD1: -0.5, OD2: -0.5 },
+  GLU: { OE1: -0.5, OE2: -0.5 },
+  LYS: { NZ: 1 },
+  ARG: { NE: 1 / 3, NH1: 1 / 3, NH2: 1 / 3 },
+  HIP: { ND1: 0.5, NE2: 0.5 }, // Protonated histidine (AMBER name)
+  // Nucleotide phosphates, with current and legacy oxygen names
+  A: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  C: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  G: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  U: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  DA: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  DC: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  DG: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  DT: { OP1: -0.5, OP2: -0.5, O1P: -0.5, O2P: -0.5 },
+  // Common ions
+  NA: { NA: 1 },
+  K: { K: 1 },
+  MG: { MG: 2 },
+  CA: { CA: 2 },
+  MN: { MN: 2 },
+  ZN: { ZN: 2 },
+  FE: { FE: 3 },
+  FE2: { FE: 2 },
+  CU: { CU: 2 },
+  NI: { NI: 2 },
+  CO: { CO: 2 },
+  CD: { CD: 2 },
+  CL: { CL: -1 },
+  BR: { BR: -1 },
+  IOD: { I: -1 }
+};
+
+// Coulomb's constant in kcal Angstrom / (mol e^2) and Boltzmann's constant in kcal / (mol K)
+const COULOMB = 332.0636;
+const BOLTZMANN = 0.0019872041;
+
+export class Electrostatics {
+  /**
+   * Get the charge of each atom: the file's partial charge where there is
+   * one, else the residue template, else the formal charge. Chain termini
+   * are charged as at pH 7.
+   * @param {Array<Object>} atoms - Atoms
+   * @returns {Float32Array} Charges in e
+   */
+  static assignCharges(atoms) {
+    const charges = new Float32Array(atoms.length);
+    
+    // The first amino acid of each chain is the N terminus
+    const firstResidues = new Map();
+    const carboxyResidues = new Set();
+    
+    atoms.forEach(atom => {
+      if (!atom.isAminoAcid) return;
+      if (!firstResidues.has(atom.chainID)) firstResidues.set(atom.chainID, atom.residueId);
+      if (atom.name === 'OXT') carboxyResidues.add(atom.residueId);
+    });
+    
+    atoms.forEach((atom, i) => {
+      if (atom.charge !== undefined) {
+        charges[i] = atom.charge;
+        return;
+      }
+      
+      const template = RESIDUE_CHARGES[atom.resName];
+      let charge = template ? (template[atom.name] || 0) : (atom.formalCharge || 0);
+      
+      if (atom.isAminoAcid) {
+        if (atom.name === 'N' && firstResidues.get(atom.chainID) === atom.residueId) {
+          charge += 1;
+        }
+        if ((atom.name === 'O' || atom.name === 'OXT') && carboxyResidues.has(atom.residueId)) {
+          charge -= 0.5;
+        }
+      }
+      
+      charges[i] = charge;
+    });
+    
+    return charges;
+  }
+  
+  /**
+   * Get the color of an atom in the 'charge' scheme: a red-white-blue ramp
+   * over its partial charge (PQR, MOL2) or else its formal charge
+   * @param {Object} atom - Atom
+   * @returns {number} Color as 0xRRGGBB
+   */
+  static getChargeColor(atom) {
+    const config = CONFIG.VISUALIZATION.CHARGE;
+    const charge = atom.charge !== undefined ? atom.charge : (atom.formalCharge || 0);
+    
+    return ResidueProperties.interpolate(
+      [config.NEGATIVE_COLOR, config.NEUTRAL_COLOR, config.POSITIVE_COLOR],
+      (charge / config.RANGE + 1) / 2
+    );
+  }
+  
+  /**
+   * Inverse Debye length of a salt solution
+   * @param {Object} [options] - Solvent settings (see computePotential)
+   * @returns {number} Inverse Debye length in 1/Angstrom (0 without salt)
+   */
+  static getKappa(options = {}) {
+    const ionicStrength = options.ionicStrength || 0;
+    const dielectric = options.dielectric || 78.5;
+    const temperature = options.temperature || 298.15;
+    
+    // 3.04 Angstrom is the Debye length of 1 M salt in water at 298 K
+    return Math.sqrt(ionicStrength * (78.5 * 298.15) / (dielectric * temperature)) / 3.04;
+  }
+  
+  /**
+   * Evaluate the potential of a set of charges at some points, summing
+   * screened Coulomb terms q exp(-kappa r) / (dielectric r) out to a cutoff
+   * @param {Float32Array} points - Points as x, y, z triples
+   * @param {Float32Array} positions - Charge positions as x, y, z triples
+   * @param {Float32Array} charges - Charges in e
+   * @param {Object} [options] - Solvent settings
+   * @param {number} [options.dielectric=78.5] - Relative permittivity of the solvent
+   * @param {number} [options.ionicStrength=0.15] - Salt concentration in mol/L;
+   *   0 gives plain Coulomb
+   * @param {number} [options.temperature=298.15] - Temperature in K
+   * @param {number} [options.cutoff=20] - Charges farther away are ignored (Angstroms)
+   * @returns {Float32Array} Potential at each point in kT/e
+   */
+  static computePotential(points, positions, charges, options = {}) {
+    const dielectric = options.dielectric || 78.5;
+    const temperature = options.temperature || 298.15;
+    const cutoff = options.cutoff || 20;
+    const kappa = Electrostatics.getKappa({
+      ionicStrength: options.ionicStrength !== undefined ? options.ionicStrength : 0.15,
+      dielectric,
+      temperature
+    });
+    
+    // Only the charged atoms contribute
+    const charged = [];
+    for (let i = 0; i < charges.length; i++) {
+      if (charges[i] !== 0) {
+        charged.push({ x: positions[i * 3], y: positions[i * 3 + 1], z: positions[i * 3 + 2], charge: charges[i] });
+      }
+    }
+    
+    const count = points.length / 3;
+    const potential = new Float32Array(count);
+    if (charged.length === 0) return potential;
+    
+    const grid = new SpatialGrid(charged, cutoff / 2);
+    const scale = COULOMB / (BOLTZMANN * temperature * dielectric);
+    const point = { x: 0, y: 0, z: 0 };
+    
+    for (let p = 0; p < count; p++) {
+      point.x = points[p * 3];
+      point.y = points[p * 3 + 1];
+      point.z = points[p * 3 + 2];
+      
+      let sum = 0;
+      grid.forEachWithin(point, cutoff, (index, distanceSq) => {
+        // Keep points that fall on a charge finite
+        const distance = Math.max(Math.sqrt(distanceSq), 1.0);
+        sum += charged[index].charge * Math.exp(-kappa * distance) / distance;
+      });
+      
+      potential[p] = sum * scale;
+    }
+    
+    return potential;
+  }
+}
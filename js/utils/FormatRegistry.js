@@ -0,0 +1,163 @@
+/**
+ * FormatRegistry.js - Registry of structure file formats
+ * Maps each format to its file extensions, a content sniffer and a parser,
+ * so the loader can pick the parser for a file and new formats can be
+ * plugged in without touching the loader
+ */
+
+import { PDBParser } from './PDBParser.js';
+import { MMCIFParser } from './MMCIFParser.js';
+import { SDFParser } from './SDFParser.js';
+import { MOL2Parser } from './MOL2Parser.js';
+import { XYZParser } from './XYZParser.js';
+import { PQRParser } from './PQRParser.js';
+
+export class FormatRegistry {
+  /**
+   * Create an empty registry
+   * @param {Object} [options] - Registry options
+   * @param {string} [options.defaultFormat='pdb'] - Format used when neither the
+   *   extension nor the content identifies the file
+   */
+  constructor(options = {}) {
+    this.formats = new Map();
+    this.defaultFormat = options.defaultFormat || 'pdb';
+  }
+  
+  /**
+   * Create a registry with the built-in formats
+   * @returns {FormatRegistry} Registry with PDB, PQR, mmCIF, SDF/MOL, MOL2 and XYZ
+   */
+  static createDefault() {
+    const registry = new FormatRegistry();
+    
+    registry.register('pdb', {
+      extensions: ['pdb', 'ent'],
+      createParser: () => new PDBParser()
+    });
+    
+    // PQR files look like PDB files, so only the extension or the
+    // PDB2PQR header identifies them
+    registry.register('pqr', {
+      extensions: ['pqr'],
+      detect: (text) => /^REMARK\s+1\s+PQR file generated by/m.test(text.substring(0, 4096)),
+      createParser: () => new PQRParser()
+    });
+    
+    // mmCIF files open with a data block
+    registry.register('mmcif', {
+      extensions: ['cif', 'mmcif'],
+      detect: (text) => {
+        const head = text.substring(0, 4096);
+        const firstLine = head.split(/\r?\n/).find(line => {
+          const trimmed = line.trim();
+          return trimmed && !trimmed.startsWith('#');
+        });
+        
+        return (firstLine && firstLine.trim().startsWith('data_')) || text.includes('_atom_site.');
+      },
+      createParser: () => new MMCIFParser()
+    });
+    
+    // Molfiles have a counts line ending in V2000 or V3000 as their fourth line
+    registry.register('sdf', {
+      extensions: ['sdf', 'sd', 'mol'],
+      detect: (text) => {
+        const lines = text.substring(0, 4096).split(/\r?\n/);
+        return lines.length > 3 && /V[23]000\s*$/.test(lines[3]);
+      },
+      createParser: () => new SDFParser()
+    });
+    
+    registry.register('mol2', {
+      extensions: ['mol2'],
+      detect: (text) => text.substring(0, 4096).includes('@<TRIPOS>MOLECULE'),
+      createParser: () => new MOL2Parser()
+    });
+    
+    // XYZ files start with an atom count, a comment and "element x y z" lines
+    registry.register('xyz', {
+      extensions: ['xyz'],
+      detect: (text) => {
+        const lines = text.substring(0, 4096).split(/\r?\n/);
+        return lines.length > 2 && /^\s*\d+\s*$/.test(lines[0]) &&
+          /^\s*[A-Za-z]{1,3}(\s+[-+]?[\d.]+([eE][-+]?\d+)?){3}/.test(lines[2]);
+      },
+      createParser: () => new XYZParser()
+    });
+    
+    return registry;
+  }
+  
+  /**
+   * Register a format, replacing any format of the same name
+   * @param {string} name - Format name
+   * @param {Object} format - Format description
+   * @param {Array<string>} format.extensions - File extensions, lowercase and without the dot
+   * @param {Function} format.createParser - Returns a parser whose parse(text, options)
+   *   returns a Structure (see PDBParser.js)
+   * @param {Function} [format.detect] - Called with the file text; returns true
+   *   if the content is in this format
+   */
+  register(name, format) {
+    this.formats.set(name, {
+      name,
+      extensions: format.extensions.map(extension => extension.toLowerCase()),
+      detect: format.detect || null,
+      createParser: format.createParser
+    });
+  }
+  
+  /**
+   * Get a registered format
+   * @param {string} name - Format name
+   * @returns {Object|null} Format ({ name, extensions, detect, createParser }), or null
+   */
+  get(name) {
+    return this.formats.get(name) || null;
+  }
+  
+  /**
+   * Get the file extensions of all registered formats
+   * @returns {Array<string>} Extensions without the dot
+   */
+  getExtensions() {
+    const extensions = [];
+    this.formats.forEach(format => extensions.push(...format.extensions));
+    return extensions;
+  }
+  
+  /**
+   * Find the format of a file from its name, or from its content when the
+   * extension is unknown
+   * @param {string} text - Text content of the file
+   * @param {string} [name] - File name or URL
+   * @returns {Object} Format ({ name, extensions, detect, createParser })
+   */
+  detect(text, name) {
+    // Trust a known file extension first
+    if (name) {
+      const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+      
+      for (const format of this.formats.values()) {
+        if (format.extensions.includes(extension)) {
+          return format;
+        }
+      }
+    }
+    
+    // Otherwise sniff the content
+    for (const format of this.formats.values()) {
+      if (format.detect && format.detect(text)) {
+        return format;
+      }
+    }
+    
+    const fallback = this.get(this.defaultFormat);
+    if (!fallback) {
+      throw new Error(`Unknown structure file format: ${name || 'unnamed file'}`);
+    }
+    
+    return fallback;
+  }
+}
@@ -0,0 +1,572 @@
+/**
+ * GzipDecoder.js - Decompression of gzip-compressed structure files
+ * Streams through the native DecompressionStream where available and falls
+ * back to a JavaScript inflater (RFC 1951/1952), which also handles
+ * multi-member files such as bgzip output. The inflater is incremental: it
+ * hands out the content in chunks as it goes and keeps only the 32 KB window
+ * that back-references can reach, not the whole output.
+ */
+
+// Base values and extra bits of the DEFLATE length and distance codes
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order in which code length code lengths are stored in a dynamic block
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Bytes back-references can reach, the longest match and the size of the
+// chunks the inflater hands out (a match may run past it)
+const WINDOW_SIZE = 1 << 15;
+const MAX_MATCH = 258;
+const CHUNK_SIZE = 1 << 16;
+
+// Gzip header flags
+const FLAG_HCRC = 0x02;
+const FLAG_EXTRA = 0x04;
+const FLAG_NAME = 0x08;
+const FLAG_COMMENT = 0x10;
+
+// CRC-32 lookup table, built on first use
+let crcTable = null;
+
+export class GzipDecoder {
+  /**
+   * Create a new gzip decoder
+   * @param {Object} [options] - Decoder options
+   * @param {boolean} [options.useNative=true] - Use DecompressionStream when available
+   */
+  constructor(options = {}) {
+    this.useNative = options.useNative !== undefined ? options.useNative : true;
+    
+    // Huffman tables of the fixed-code blocks, built on first use
+    this.fixedTables = null;
+  }
+  
+  /**
+   * Check for the gzip magic bytes
+   * @param {ArrayBuffer|Uint8Array} data - File content
+   * @returns {boolean} True if the content is gzip-compressed
+   */
+  static isGzip(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return bytes.length >= 18 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+  }
+  
+  /**
+   * Remove a trailing .gz from a file name or URL
+   * @param {string} name - File name or URL
+   * @returns {string} Name of the uncompressed file
+   */
+  static stripExtension(name) {
+    return name ? name.replace(/\.gz(?=$|[?#])/i, '') : name;
+  }
+  
+  /**
+   * Decompress gzip data
+   * @param {ArrayBuffer} buffer - Compressed content
+   * @returns {Promise<ArrayBuffer>} Promise resolving to the decompressed content
+   */
+  async decompress(buffer) {
+    if (this.useNative && typeof DecompressionStream !== 'undefined') {
+      try {
+        return await this._decompressNative(buffer);
+      } catch (error) {
+        // Some implementations stop at the first member of multi-member files
+        console.warn('Native gzip decompression failed, using the JavaScript inflater:', error);
+      }
+    }
+    
+    return this.decompressSync(buffer);
+  }
+  
+  /**
+   * Decompress gzip data with the JavaScript inflater
+   * @param {ArrayBuffer|Uint8Array} buffer - Compressed content
+   * @returns {ArrayBuffer} Decompressed content
+   */
+  decompressSync(buffer) {
+    const chunks = Array.from(this.decompressChunks(buffer));
+    const content = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    
+    let offset = 0;
+    chunks.forEach(chunk => {
+      content.set(chunk, offset);
+      offset += chunk.length;
+    });
+    
+    return content.buffer;
+  }
+  
+  /**
+   * Decompress gzip data incrementally with the JavaScript inflater. Each
+   * chunk is checked against the member checksum only once the member ends,
+   * so a consumer that must not see corrupt data should wait for the end.
+   * @param {ArrayBuffer|Uint8Array} buffer - Compressed content
+   * @yields {Uint8Array} Decompressed content, in order, in chunks of about 64 KB
+   */
+  *decompressChunks(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const output = {
+      bytes: new Uint8Array(WINDOW_SIZE + CHUNK_SIZE + MAX_MATCH),
+      length: 0,
+      flushed: 0,
+      crc: 0,
+      size: 0
+    };
+    let offset = 0;
+    
+    // Concatenated members decompress to the concatenation of their contents
+    do {
+      offset = yield* this._inflateMember(bytes, offset, output);
+      
+      // Skip zero padding after the last member
+      while (offset < bytes.length && bytes[offset] === 0) offset++;
+    } while (offset < bytes.length && GzipDecoder.isGzip(bytes.subarray(offset)));
+  }
+  
+  /**
+   * Decompress through the platform DecompressionStream
+   * @private
+   * @param {ArrayBuffer} buffer - Compressed content
+   * @returns {Promise<ArrayBuffer>} Promise resolving to the decompressed content
+   */
+  async _decompressNative(buffer) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+  
+  /**
+   * Decompress one gzip member
+   * @private
+   * @param {Uint8Array} bytes - Compressed content
+   * @param {number} offset - Start of the member
+   * @param {Object} output - Output window ({ bytes, length, flushed, crc, size })
+   * @yields {Uint8Array} Decompressed content of the member
+   * @returns {number} Offset after the member
+   */
+  *_inflateMember(bytes, offset, output) {
+    if (!GzipDecoder.isGzip(bytes.subarray(offset)) || bytes[offset + 2] !== 8) {
+      throw new Error('Invalid gzip data: unsupported header');
+    }
+    
+    const flags = bytes[offset + 3];
+    let position = offset + 10;
+    
+    if (flags & FLAG_EXTRA) {
+      position += 2 + (bytes[position] | (bytes[position + 1] << 8));
+    }
+    if (flags & FLAG_NAME) {
+      while (position < bytes.length && bytes[position] !== 0) position++;
+      position++;
+    }
+    if (flags & FLAG_COMMENT) {
+      while (position < bytes.length && bytes[position] !== 0) position++;
+      position++;
+    }
+    if (flags & FLAG_HCRC) {
+      position += 2;
+    }
+    
+    // Back-references do not reach into the previous member
+    output.length = 0;
+    output.flushed = 0;
+    output.crc = 0xffffffff;
+    output.size = 0;
+    
+    position = yield* this._inflate(bytes, position, output);
+    
+    const rest = this._flush(output);
+    if (rest.length > 0) {
+      yield rest;
+    }
+    
+    if (position + 8 > bytes.length) {
+      throw new Error('Invalid gzip data: truncated file');
+    }
+    
+    // Trailer: CRC-32 and size modulo 2^32 of the member content
+    const crc = this._readUint32(bytes, position);
+    const size = this._readUint32(bytes, position + 4);
+    
+    if (size !== (output.size >>> 0) || crc !== ((output.crc ^ 0xffffffff) >>> 0)) {
+      throw new Error('Invalid gzip data: checksum mismatch');
+    }
+    
+    return position + 8;
+  }
+  
+  /**
+   * Hand out the bytes inflated since the last flush, keeping the window
+   * that later back-references can reach
+   * @private
+   * @param {Object} output - Output window
+   * @returns {Uint8Array} New content (possibly empty)
+   */
+  _flush(output) {
+    const chunk = output.bytes.slice(output.flushed, output.length);
+    
+    output.crc = this._updateCrc(output.crc, chunk);
+    output.size += chunk.length;
+    
+    if (output.length > WINDOW_SIZE) {
+      output.bytes.copyWithin(0, output.length - WINDOW_SIZE, output.length);
+      output.length = WINDOW_SIZE;
+    }
+    output.flushed = output.length;
+    
+    return chunk;
+  }
+  
+  /**
+   * Inflate a raw DEFLATE stream
+   * @private
+   * @param {Uint8Array} bytes - Compressed content
+   * @param {number} offset - Start of the stream
+   * @param {Object} output - Output window
+   * @yields {Uint8Array} Decompressed content, whenever the window fills up
+   * @returns {number} Offset of the first byte after the stream
+   */
+  *_inflate(bytes, offset, output) {
+    const reader = { bytes, position: offset, bitBuffer: 0, bitCount: 0 };
+    let isFinal = false;
+    
+    while (!isFinal) {
+      isFinal = this._readBits(reader, 1) === 1;
+      const type = this._readBits(reader, 2);
+      
+      if (type === 0) {
+        yield* this._copyStored(reader, output);
+      } else if (type === 1) {
+        if (!this.fixedTables) {
+          this.fixedTables = this._createFixedTables();
+        }
+        yield* this._inflateBlock(reader, output, this.fixedTables.literals, this.fixedTables.distances);
+      } else if (type === 2) {
+        const tables = this._readDynamicTables(reader);
+        yield* this._inflateBlock(reader, output, tables.literals, tables.distances);
+      } else {
+        throw new Error('Invalid gzip data: unknown block type');
+      }
+      
+      if (reader.position - (reader.bitCount >> 3) > bytes.length) {
+        throw new Error('Invalid gzip data: truncated file');
+      }
+    }
+    
+    // Return whole bytes read ahead into the bit buffer
+    return reader.position - (reader.bitCount >> 3);
+  }
+  
+  /**
+   * Copy an uncompressed block
+   * @private
+   * @param {Object} reader - Bit reader
+   * @param {Object} output - Output window
+   * @yields {Uint8Array} Decompressed content, whenever the window fills up
+   */
+  *_copyStored(reader, output) {
+    // Stored blocks start at a byte boundary
+    reader.position -= reader.bitCount >> 3;
+    reader.bitBuffer = 0;
+    reader.bitCount = 0;
+    
+    const { bytes } = reader;
+    const length = bytes[reader.position] | (bytes[reader.position + 1] << 8);
+    const check = bytes[reader.position + 2] | (bytes[reader.position + 3] << 8);
+    reader.position += 4;
+    
+    if ((length ^ 0xffff) !== check || reader.position + length > bytes.length) {
+      throw new Error('Invalid gzip data: corrupt stored block');
+    }
+    
+    const end = reader.position + length;
+    
+    while (reader.position < end) {
+      if (output.length - output.flushed >= CHUNK_SIZE) {
+        yield this._flush(output);
+      }
+      
+      const count = Math.min(end - reader.position, output.flushed + CHUNK_SIZE - output.length);
+      output.bytes.set(bytes.subarray(reader.position, reader.position + count), output.length);
+      output.length += count;
+      reader.position += count;
+    }
+  }
+  
+  /**
+   * Decode the literal/length and distance codes of a compressed block
+   * @private
+   * @param {Object} reader - Bit reader
+   * @param {Object} output - Output window
+   * @param {Object} literals - Literal/length code table
+   * @param {Object} distances - Distance code table
+   * @yields {Uint8Array} Decompressed content, whenever the window fills up
+   */
+  *_inflateBlock(reader, output, literals, distances) {
+    for (;;) {
+      if (output.length - output.flushed >= CHUNK_SIZE) {
+        yield this._flush(output);
+      }
+      
+      const symbol = this._decodeSymbol(reader, literals);
+      
+      if (symbol < 256) {
+        output.bytes[output.length++] = symbol;
+      } else if (symbol === 256) {
+        return;
+      } else {
+        const lengthCode = symbol - 257;
+        if (lengthCode >= LENGTH_BASE.length) {
+          throw new Error('Invalid gzip data: bad length code');
+        }
+        const length = LENGTH_BASE[lengthCode] + this._readBits(reader, LENGTH_EXTRA[lengthCode]);
+        
+        const distanceCode = this._decodeSymbol(reader, distances);
+        if (distanceCode >= DISTANCE_BASE.length) {
+          throw new Error('Invalid gzip data: bad distance code');
+        }
+        const distance = DISTANCE_BASE[distanceCode] + this._readBits(reader, DISTANCE_EXTRA[distanceCode]);
+        
+        if (distance > output.length) {
+          throw new Error('Invalid gzip data: distance too far back');
+        }
+        
+        // Byte by byte, since the match may overlap the bytes it produces
+        const out = output.bytes;
+        let from = output.length - distance;
+        for (let i = 0; i < length; i++) {
+          out[output.length++] = out[from++];
+        }
+      }
+    }
+  }
+  
+  /**
+   * Read the code tables of a dynamic block
+   * @private
+   * @param {Object} reader - Bit reader
+   * @returns {Object} Code tables ({ literals, distances })
+   */
+  _readDynamicTables(reader) {
+    const literalCount = this._readBits(reader, 5) + 257;
+    const distanceCount = this._readBits(reader, 5) + 1;
+    const codeLengthCount = this._readBits(reader, 4) + 4;
+    
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = this._readBits(reader, 3);
+    }
+    const codeLengthTable = this._createTable(codeLengthLengths);
+    
+    // Literal/length and distance code lengths share one run-length coded sequence
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+    
+    while (index < lengths.length) {
+      const symbol = this._decodeSymbol(reader, codeLengthTable);
+      let value = 0;
+      let repeat = 1;
+      
+      if (symbol < 16) {
+        value = symbol;
+      } else if (symbol === 16) {
+        if (index === 0) {
+          throw new Error('Invalid gzip data: repeat with no previous length');
+        }
+        value = lengths[index - 1];
+        repeat = 3 + this._readBits(reader, 2);
+      } else if (symbol === 17) {
+        repeat = 3 + this._readBits(reader, 3);
+      } else {
+        repeat = 11 + this._readBits(reader, 7);
+      }
+      
+      if (index + repeat > lengths.length) {
+        throw new Error('Invalid gzip data: too many code lengths');
+      }
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+    
+    return {
+      literals: this._createTable(lengths.subarray(0, literalCount)),
+      distances: this._createTable(lengths.subarray(literalCount))
+    };
+  }
+  
+  /**
+   * Build the code tables of fixed-code blocks
+   * @private
+   * @returns {Object} Code tables ({ literals, distances })
+   */
+  _createFixedTables() {
+    const literalLengths = new Uint8Array(288);
+    literalLengths.fill(8, 0, 144);
+    literalLengths.fill(9, 144, 256);
+    literalLengths.fill(7, 256, 280);
+    literalLengths.fill(8, 280, 288);
+    
+    return {
+      literals: this._createTable(literalLengths),
+      distances: this._createTable(new Uint8Array(30).fill(5))
+    };
+  }
+  
+  /**
+   * Build a lookup table for a canonical Huffman code. The table is indexed
+   * by the next maxBits input bits (least significant first) and holds
+   * symbol << 4 | code length.
+   * @private
+   * @param {Uint8Array} lengths - Code length of each symbol (0 if unused)
+   * @returns {Object} Code table ({ table, maxBits })
+   */
+  _createTable(lengths) {
+    let maxBits = 0;
+    const counts = new Uint16Array(16);
+    
+    for (let i = 0; i < lengths.length; i++) {
+      counts[lengths[i]]++;
+      maxBits = Math.max(maxBits, lengths[i]);
+    }
+    counts[0] = 0;
+    
+    // First code of each length
+    const nextCode = new Uint16Array(16);
+    let code = 0;
+    for (let bits = 1; bits <= 15; bits++) {
+      code = (code + counts[bits - 1]) << 1;
+      nextCode[bits] = code;
+    }
+    
+    const size = 1 << maxBits;
+    const table = new Uint32Array(size);
+    
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+      const length = lengths[symbol];
+      if (length === 0) continue;
+      
+      // Codes are stored most significant bit first, so reverse them
+      let reversed = 0;
+      let value = nextCode[length]++;
+      for (let i = 0; i < length; i++) {
+        reversed = (reversed << 1) | (value & 1);
+        value >>= 1;
+      }
+      
+      for (let i = reversed; i < size; i += 1 << length) {
+        table[i] = (symbol << 4) | length;
+      }
+    }
+    
+    return { table, maxBits };
+  }
+  
+  /**
+   * Decode one symbol
+   * @private
+   * @param {Object} reader - Bit reader
+   * @param {Object} code - Code table from _createTable
+   * @returns {number} Decoded symbol
+   */
+  _decodeSymbol(reader, code) {
+    this._fillBits(reader, code.maxBits);
+    const entry = code.table[reader.bitBuffer & ((1 << code.maxBits) - 1)];
+    const length = entry & 15;
+    
+    if (length === 0) {
+      throw new Error('Invalid gzip data: bad Huffman code');
+    }
+    
+    reader.bitBuffer >>>= length;
+    reader.bitCount -= length;
+    return entry >> 4;
+  }
+  
+  /**
+   * Read bits, least significant first
+   * @private
+   * @param {Object} reader - Bit reader
+   * @param {number} count - Number of bits (0-16)
+   * @returns {number} Value of the bits
+   */
+  _readBits(reader, count) {
+    if (count === 0) return 0;
+    
+    this._fillBits(reader, count);
+    const value = reader.bitBuffer & ((1 << count) - 1);
+    reader.bitBuffer >>>= count;
+    reader.bitCount -= count;
+    return value;
+  }
+  
+  /**
+   * Load bytes into the bit buffer until it holds at least count bits.
+   * Huffman lookups may read a few bytes past the end, which yield zeros;
+   * whether they were consumed is checked at the end of each block.
+   * @private
+   * @param {Object} reader - Bit reader
+   * @param {number} count - Number of bits needed
+   */
+  _fillBits(reader, count) {
+    while (reader.bitCount < count) {
+      if (reader.position >= reader.bytes.length + 4) {
+        throw new Error('Invalid gzip data: truncated file');
+      }
+      const byte = reader.position < reader.bytes.length ? reader.bytes[reader.position] : 0;
+      reader.position++;
+      reader.bitBuffer |= byte << reader.bitCount;
+      reader.bitCount += 8;
+    }
+  }
+  
+  /**
+   * Read a little-endian 32-bit unsigned integer
+   * @private
+   * @param {Uint8Array} bytes - Data
+   * @param {number} offset - Offset of the integer
+   * @returns {number} Value
+   */
+  _readUint32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+  }
+  
+  /**
+   * Run bytes through a CRC-32, started at 0xffffffff and finished by
+   * inverting the bits
+   * @private
+   * @param {number} crc - Running checksum
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Running checksum after the bytes
+   */
+  _updateCrc(crc, bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+  }
+}
@@ -0,0 +1,677 @@
+/**
+ * MMCIFParser.js - Parser for the PDBx/mmCIF file format
+ * Reads the atom_site, struct_conf, struct_sheet_range, struct_conn,
+ * pdbx_struct_assembly, cell and symmetry categories and returns the same
+ * data model as PDBParser.parse().
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+import { PDBParser } from './PDBParser.js';
+import { Confidence } from './Confidence.js';
+
+export class MMCIFParser extends PDBParser {
+  /**
+   * Create a new mmCIF parser
+   */
+  constructor() {
+    super();
+    
+    // struct_conn connection types that describe covalent bonds
+    this.covalentConnTypes = new Set([
+      'covale', 'covale_base', 'covale_phosphate', 'covale_sugar', 'disulf'
+    ]);
+  }
+  
+  /**
+   * Parse mmCIF file content
+   * @param {string} cifText - Text content of an mmCIF file
+   * @param {Object} [options] - Parse options
+   * @param {Function} [options.onProgress] - Called with (progress 0-1, status)
+   * @returns {Structure} Parsed structure data (same shape as PDBParser.parse())
+   */
+  parse(cifText, options = {}) {
+    this.onProgress = options.onProgress || null;
+    
+    // Read the first data block into categories
+    this._reportProgress(0, 'Parsing mmCIF');
+    const categories = this._parseCategories(cifText);
+    
+    // Initialize the result object
+    const result = this._createResult();
+    
+    this._parseMetadata(categories, result);
+    this._reportProgress(0.4, 'Parsing atoms');
+    this._parseAtomSite(categories, result);
+    this._parseStructConf(categories, result);
+    this._parseStructSheetRange(categories, result);
+    this._parseStructAssembly(categories, result);
+    this._parseCell(categories, result);
+    this._parseStructConn(categories, result);
+    
+    // Post-processing steps shared with the PDB format
+    this._postProcess(result);
+    
+    this.onProgress = null;
+    
+    return result;
+  }
+  
+  /**
+   * Split mmCIF text into whitespace-separated values
+   * @private
+   * @param {string} cifText - Text content of an mmCIF file
+   * @returns {Object} Token values and a parallel list of quoted flags
+   */
+  _tokenize(cifText) {
+    const values = [];
+    const quoted = [];
+    const lines = cifText.split(/\r?\n/);
+    
+    for (let l = 0; l < lines.length; l++) {
+      const line = lines[l];
+      
+      // Semicolon-delimited multi-line text field
+      if (line.charAt(0) === ';') {
+        const parts = [line.substring(1)];
+        l++;
+        
+        while (l < lines.length && lines[l].charAt(0) !== ';') {
+          parts.push(lines[l]);
+          l++;
+        }
+        
+        values.push(parts.join('\n').trim());
+        quoted.push(true);
+        continue;
+      }
+      
+      let pos = 0;
+      const length = line.length;
+      
+      while (pos < length) {
+        const ch = line.charAt(pos);
+        
+        // Skip whitespace
+        if (ch === ' ' || ch === '\t') {
+          pos++;
+          continue;
+        }
+        
+        // Comments run to the end of the line
+        if (ch === '#') break;
+        
+        // Quoted value - the closing quote must be followed by whitespace
+        if (ch === '\'' || ch === '"') {
+          let end = pos + 1;
+          while (end < length) {
+            const next = line.charAt(end + 1);
+            if (line.charAt(end) === ch && (end + 1 === length || next === ' ' || next === '\t')) {
+              break;
+            }
+            end++;
+          }
+          
+          values.push(line.substring(pos + 1, end));
+          quoted.push(true);
+          pos = end + 1;
+          continue;
+        }
+        
+        // Bare value
+        let end = pos;
+        while (end < length && line.charAt(end) !== ' ' && line.charAt(end) !== '\t') {
+          end++;
+        }
+        
+        const value = line.substring(pos, end);
+        
+        // '.' (inapplicable) and '?' (unknown) both mean no value
+        values.push(value === '.' || value === '?' ? null : value);
+        quoted.push(false);
+        pos = end;
+      }
+    }
+    
+    return { values, quoted };
+  }
+  
+  /**
+   * Parse the first data block of an mmCIF file into categories
+   * @private
+   * @param {string} cifText - Text content of an mmCIF file
+   * @returns {Map<string, Object>} Category name to { fields, rows }
+   */
+  _parseCategories(cifText) {
+    const { values, quoted } = this._tokenize(cifText);
+    const categories = new Map();
+    
+    // Unquoted tokens that start a new syntactic element
+    const isReserved = (index) => {
+      if (quoted[index] || values[index] === null) return false;
+      const token = values[index];
+      const lower = token.toLowerCase();
+      return token.charAt(0) === '_' ||
+        lower === 'loop_' ||
+        lower === 'stop_' ||
+        lower.startsWith('data_') ||
+        lower.startsWith('save_') ||
+        lower.startsWith('global_');
+    };
+    
+    let blockCount = 0;
+    let i = 0;
+    
+    while (i < values.length) {
+      if (!isReserved(i)) {
+        i++;
+        continue;
+      }
+      
+      const token = values[i];
+      const lower = token.toLowerCase();
+      
+      // Only the first data block is read
+      if (lower.startsWith('data_')) {
+        blockCount++;
+        if (blockCount > 1) break;
+        i++;
+        continue;
+      }
+      
+      if (lower === 'loop_') {
+        i++;
+        
+        // Read the loop header
+        const fields = [];
+        let categoryName = null;
+        
+        while (i < values.length && !quoted[i] && values[i] !== null && values[i].charAt(0) === '_') {
+          const [category, field] = this._splitTag(values[i]);
+          categoryName = category;
+          fields.push(field);
+          i++;
+        }
+        
+        // Read the loop body
+        const rows = [];
+        let row = [];
+        
+        while (i < values.length && !isReserved(i)) {
+          row.push(values[i]);
+          
+          if (row.length === fields.length) {
+            rows.push(row);
+            row = [];
+          }
+          
+          i++;
+        }
+        
+        if (categoryName) {
+          categories.set(categoryName, { fields, rows });
+        }
+        continue;
+      }
+      
+      if (token.charAt(0) === '_') {
+        // Single key-value pair; pairs of one category form a single row
+        const [category, field] = this._splitTag(token);
+        
+        if (!categories.has(category)) {
+          categories.set(category, { fields: [], rows: [[]] });
+        }
+        
+        const entry = categories.get(category);
+        entry.fields.push(field);
+        entry.rows[0].push(i + 1 < values.length ? values[i + 1] : null);
+        
+        i += 2;
+        continue;
+      }
+      
+      i++;
+    }
+    
+    return categories;
+  }
+  
+  /**
+   * Split a data name such as _atom_site.Cartn_x into category and field
+   * @private
+   * @param {string} tag - mmCIF data name
+   * @returns {Array<string>} Category and field names
+   */
+  _splitTag(tag) {
+    const dot = tag.indexOf('.');
+    
+    if (dot === -1) {
+      return [tag.substring(1), ''];
+    }
+    
+    return [tag.substring(1, dot), tag.substring(dot + 1)];
+  }
+  
+  /**
+   * Get the rows of a category as objects keyed by field name
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {string} name - Category name
+   * @returns {Array<Object>} Rows of the category
+   */
+  _getRows(categories, name) {
+    const category = categories.get(name);
+    if (!category) return [];
+    
+    return category.rows.map(row => {
+      const item = {};
+      category.fields.forEach((field, index) => {
+        item[field] = row[index];
+      });
+      return item;
+    });
+  }
+  
+  /**
+   * Parse header information from entry, struct and related categories
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseMetadata(categories, result) {
+    try {
+      const entry = this._getRows(categories, 'entry')[0] || {};
+      const keywords = this._getRows(categories, 'struct_keywords')[0] || {};
+      const status = this._getRows(categories, 'pdbx_database_status')[0] || {};
+      const struct = this._getRows(categories, 'struct')[0] || {};
+      
+      result.header = {
+        classification: keywords.pdbx_keywords || '',
+        depDate: status.recvd_initial_deposition_date || '',
+        idCode: entry.id || ''
+      };
+      
+      result.metadata.title = struct.title || result.header.classification;
+      result.metadata.pdbId = result.header.idCode;
+      
+      // Authors
+      const authors = this._getRows(categories, 'audit_author')
+        .map(row => row.name)
+        .filter(name => name);
+      
+      if (authors.length > 0) {
+        result.metadata.authors = authors;
+        result.metadata.author = authors.join(', ');
+      }
+      
+      // Resolution from refinement, reflections or EM reconstruction
+      const refine = this._getRows(categories, 'refine')[0] || {};
+      const reflns = this._getRows(categories, 'reflns')[0] || {};
+      const em = this._getRows(categories, 'em_3d_reconstruction')[0] || {};
+      const resolution = parseFloat(refine.ls_d_res_high || reflns.d_resolution_high || em.resolution);
+      
+      if (!isNaN(resolution)) {
+        result.metadata.resolution = resolution;
+      }
+      
+      // ModelCIF files of predicted models carry local quality scores (pLDDT)
+      const software = this._getRows(categories, 'software').map(row => row.name).join(' ');
+      if (categories.has('ma_qa_metric_local') || Confidence.mentionsPredictor(software)) {
+        result.metadata.isPredicted = true;
+      }
+    } catch (error) {
+      console.warn('Error parsing mmCIF header categories', error);
+    }
+  }
+  
+  /**
+   * Parse the atom_site category
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseAtomSite(categories, result) {
+    const rows = this._getRows(categories, 'atom_site');
+    let currentModel;
+    
+    rows.forEach(row => {
+      try {
+        // A change of model number starts a new coordinate set
+        const model = row.pdbx_PDB_model_num;
+        if (model !== currentModel) {
+          currentModel = model;
+          this._beginModel(parseInt(model) || result.models.length + 1, result);
+        }
+        
+        // Atoms after the first model only carry coordinates
+        if (result.models.length > 1) {
+          this._setModelAtomCoordinates(
+            row.auth_asym_id || row.label_asym_id || '',
+            parseInt(row.auth_seq_id || row.label_seq_id),
+            row.pdbx_PDB_ins_code || '',
+            row.auth_atom_id || row.label_atom_id || '',
+            row.label_alt_id || '',
+            parseFloat(row.Cartn_x),
+            parseFloat(row.Cartn_y),
+            parseFloat(row.Cartn_z),
+            result
+          );
+          return;
+        }
+        
+        // Author numbering matches what PDB files contain
+        const atom = {
+          id: parseInt(row.id),
+          name: row.auth_atom_id || row.label_atom_id || '',
+          altLoc: row.label_alt_id || '',
+          resName: row.auth_comp_id || row.label_comp_id || '',
+          chainID: row.auth_asym_id || row.label_asym_id || '',
+          resSeq: parseInt(row.auth_seq_id || row.label_seq_id),
+          iCode: row.pdbx_PDB_ins_code || '',
+          x: parseFloat(row.Cartn_x),
+          y: parseFloat(row.Cartn_y),
+          z: parseFloat(row.Cartn_z),
+          occupancy: parseFloat(row.occupancy || '1.0'),
+          tempFactor: parseFloat(row.B_iso_or_equiv || '0.0'),
+          type: row.group_PDB || this.recordTypes.ATOM,
+          isHetAtm: row.group_PDB === this.recordTypes.HETATM,
+          formalCharge: parseInt(row.pdbx_formal_charge || '0') || 0
+        };
+        
+        if (isNaN(atom.x) || isNaN(atom.y) || isNaN(atom.z)) {
+          throw new Error('Invalid atom coordinates');
+        }
+        
+        // Element symbol, guessed from the atom name if missing
+        atom.element = (row.type_symbol || this._guessElementFromName(atom.name)).toUpperCase();
+        
+        this._addAtom(atom, result);
+      } catch (error) {
+        console.warn(`Error parsing atom_site row: ${row.id}`, error);
+      }
+    });
+  }
+  
+  /**
+   * Parse helices from the struct_conf category
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseStructConf(categories, result) {
+    this._getRows(categories, 'struct_conf').forEach((row, index) => {
+      try {
+        // struct_conf also lists turns and strands; only helices are kept
+        if (!row.conf_type_id || !row.conf_type_id.startsWith('HELX')) return;
+        
+        result.helices.push({
+          serialNumber: parseInt(row.pdbx_PDB_helix_id) || index + 1,
+          id: row.pdbx_PDB_helix_id || row.id,
+          startResName: row.beg_auth_comp_id || row.beg_label_comp_id,
+          startChainID: row.beg_auth_asym_id || row.beg_label_asym_id,
+          startResSeq: parseInt(row.beg_auth_seq_id || row.beg_label_seq_id),
+          startICode: row.pdbx_beg_PDB_ins_code || '',
+          endResName: row.end_auth_comp_id || row.end_label_comp_id,
+          endChainID: row.end_auth_asym_id || row.end_label_asym_id,
+          endResSeq: parseInt(row.end_auth_seq_id || row.end_label_seq_id),
+          endICode: row.pdbx_end_PDB_ins_code || '',
+          helixClass: parseInt(row.pdbx_PDB_helix_class || '1'),
+          comment: row.details || '',
+          length: parseInt(row.pdbx_PDB_helix_length || '0')
+        });
+      } catch (error) {
+        console.warn(`Error parsing struct_conf row: ${row.id}`, error);
+      }
+    });
+  }
+  
+  /**
+   * Parse strands from the struct_sheet_range category
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseStructSheetRange(categories, result) {
+    // Number of strands per sheet
+    const strandCounts = {};
+    this._getRows(categories, 'struct_sheet').forEach(row => {
+      strandCounts[row.id] = parseInt(row.number_strands);
+    });
+    
+    // Sense of each strand relative to the previous one
+    const senses = {};
+    this._getRows(categories, 'struct_sheet_order').forEach(row => {
+      senses[`${row.sheet_id}:${row.range_id_2}`] = row.sense === 'parallel' ? 1 : -1;
+    });
+    
+    const ranges = this._getRows(categories, 'struct_sheet_range');
+    
+    ranges.forEach(row => {
+      try {
+        const numStrands = strandCounts[row.sheet_id] ||
+          ranges.filter(r => r.sheet_id === row.sheet_id).length;
+        
+        result.sheets.push({
+          strand: parseInt(row.id),
+          id: row.sheet_id,
+          numStrands: numStrands,
+          startResName: row.beg_auth_comp_id || row.beg_label_comp_id,
+          startChainID: row.beg_auth_asym_id || row.beg_label_asym_id,
+          startResSeq: parseInt(row.beg_auth_seq_id || row.beg_label_seq_id),
+          startICode: row.pdbx_beg_PDB_ins_code || '',
+          endResName: row.end_auth_comp_id || row.end_label_comp_id,
+          endChainID: row.end_auth_asym_id || row.end_label_asym_id,
+          endResSeq: parseInt(row.end_auth_seq_id || row.end_label_seq_id),
+          endICode: row.pdbx_end_PDB_ins_code || '',
+          sense: senses[`${row.sheet_id}:${row.id}`] || 0
+        });
+      } catch (error) {
+        console.warn(`Error parsing struct_sheet_range row: ${row.id}`, error);
+      }
+    });
+  }
+  
+  /**
+   * Parse covalent connections from the struct_conn category into links,
+   * the counterpart of PDB SSBOND and LINK records
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseStructConn(categories, result) {
+    const rows = this._getRows(categories, 'struct_conn');
+    
+    // Link partner in author numbering, as used for the atoms
+    const getPartner = (row, n) => ({
+      name: row[`ptnr${n}_label_atom_id`],
+      altLoc: row[`pdbx_ptnr${n}_label_alt_id`] || '',
+      resName: row[`ptnr${n}_auth_comp_id`] || row[`ptnr${n}_label_comp_id`],
+      chainID: row[`ptnr${n}_auth_asym_id`] || row[`ptnr${n}_label_asym_id`],
+      resSeq: parseInt(row[`ptnr${n}_auth_seq_id`] || row[`ptnr${n}_label_seq_id`]),
+      iCode: row[`pdbx_ptnr${n}_PDB_ins_code`] || ''
+    });
+    
+    rows.forEach(row => {
+      if (!this.covalentConnTypes.has(row.conn_type_id)) return;
+      
+      // Skip connections to a symmetry mate
+      const symmetry1 = row.ptnr1_symmetry || '1_555';
+      const symmetry2 = row.ptnr2_symmetry || '1_555';
+      if (symmetry1 !== symmetry2) return;
+      
+      result.links.push({
+        atom1: getPartner(row, 1),
+        atom2: getPartner(row, 2),
+        isDisulfide: row.conn_type_id === 'disulf'
+      });
+    });
+  }
+  
+  /**
+   * Parse the unit cell and space group from the cell and symmetry categories
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseCell(categories, result) {
+    const cell = this._getRows(categories, 'cell')[0];
+    if (!cell) return;
+    
+    const symmetry = this._getRows(categories, 'symmetry')[0] || {};
+    const spaceGroup = this._getRows(categories, 'space_group')[0] || {};
+    
+    const crystal = {
+      a: parseFloat(cell.length_a),
+      b: parseFloat(cell.length_b),
+      c: parseFloat(cell.length_c),
+      alpha: parseFloat(cell.angle_alpha),
+      beta: parseFloat(cell.angle_beta),
+      gamma: parseFloat(cell.angle_gamma),
+      spaceGroup: symmetry['space_group_name_H-M'] || spaceGroup['name_H-M_alt'] || 'P 1',
+      z: parseInt(cell.Z_PDB) || 1
+    };
+    
+    if ([crystal.a, crystal.b, crystal.c, crystal.alpha, crystal.beta, crystal.gamma].some(isNaN)) {
+      return;
+    }
+    
+    // NMR and EM entries carry a 1 x 1 x 1 placeholder cell
+    if (crystal.a === 1 && crystal.b === 1 && crystal.c === 1) return;
+    
+    result.crystal = crystal;
+  }
+  
+  /**
+   * Parse biological assemblies from the pdbx_struct_assembly,
+   * pdbx_struct_assembly_gen and pdbx_struct_oper_list categories
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @param {Object} result - Result object to update
+   */
+  _parseStructAssembly(categories, result) {
+    const generatorRows = this._getRows(categories, 'pdbx_struct_assembly_gen');
+    if (generatorRows.length === 0) return;
+    
+    try {
+      // Operators by id
+      const operators = new Map();
+      this._getRows(categories, 'pdbx_struct_oper_list').forEach(row => {
+        const matrix = new THREE.Matrix4();
+        matrix.set(
+          parseFloat(row['matrix[1][1]']), parseFloat(row['matrix[1][2]']), parseFloat(row['matrix[1][3]']), parseFloat(row['vector[1]']),
+          parseFloat(row['matrix[2][1]']), parseFloat(row['matrix[2][2]']), parseFloat(row['matrix[2][3]']), parseFloat(row['vector[2]']),
+          parseFloat(row['matrix[3][1]']), parseFloat(row['matrix[3][2]']), parseFloat(row['matrix[3][3]']), parseFloat(row['vector[3]']),
+          0, 0, 0, 1
+        );
+        operators.set(row.id, matrix);
+      });
+      
+      // Assembly generators list label chain ids; the viewer uses author ids
+      const chainMap = this._getLabelToAuthChainMap(categories);
+      
+      this._getRows(categories, 'pdbx_struct_assembly').forEach(row => {
+        result.assemblies.push({
+          id: row.id,
+          details: row.oligomeric_details || row.details || '',
+          generators: []
+        });
+      });
+      
+      generatorRows.forEach(row => {
+        let assembly = result.assemblies.find(a => a.id === row.assembly_id);
+        if (!assembly) {
+          assembly = { id: row.assembly_id, details: '', generators: [] };
+          result.assemblies.push(assembly);
+        }
+        
+        // Expand products such as (1-60)(61) into single operators
+        const generatorOperators = this._parseOperatorExpression(row.oper_expression || '')
+          .reduce((products, ids) => {
+            const expanded = [];
+            products.forEach(product => {
+              ids.forEach(id => {
+                const matrix = operators.get(id);
+                if (!matrix) return;
+                expanded.push({
+                  id: product.id ? `${product.id}x${id}` : id,
+                  matrix: product.matrix.clone().multiply(matrix)
+                });
+              });
+            });
+            return expanded;
+          }, [{ id: '', matrix: new THREE.Matrix4() }]);
+        
+        const chains = new Set();
+        (row.asym_id_list || '').split(',').forEach(id => {
+          const labelID = id.trim();
+          if (labelID) {
+            chains.add(chainMap.get(labelID) || labelID);
+          }
+        });
+        
+        assembly.generators.push({
+          chains: Array.from(chains),
+          operators: generatorOperators
+        });
+      });
+    } catch (error) {
+      console.warn('Error parsing mmCIF assembly categories', error);
+    }
+  }
+  
+  /**
+   * Map label_asym_id chain identifiers to auth_asym_id
+   * @private
+   * @param {Map<string, Object>} categories - Parsed categories
+   * @returns {Map<string, string>} Label chain id to author chain id
+   */
+  _getLabelToAuthChainMap(categories) {
+    const chainMap = new Map();
+    const atomSite = categories.get('atom_site');
+    if (!atomSite) return chainMap;
+    
+    // Read the two columns directly rather than building row objects
+    const labelIndex = atomSite.fields.indexOf('label_asym_id');
+    const authIndex = atomSite.fields.indexOf('auth_asym_id');
+    if (labelIndex < 0 || authIndex < 0) return chainMap;
+    
+    atomSite.rows.forEach(row => {
+      if (!chainMap.has(row[labelIndex])) {
+        chainMap.set(row[labelIndex], row[authIndex]);
+      }
+    });
+    
+    return chainMap;
+  }
+  
+  /**
+   * Parse an operator expression such as "1", "1,2,5", "(1-60)" or
+   * "(X0)(1-60)" into groups of operator ids
+   * @private
+   * @param {string} expression - pdbx_struct_assembly_gen.oper_expression
+   * @returns {Array<Array<string>>} Operator ids per group, multiplied in written order
+   */
+  _parseOperatorExpression(expression) {
+    const groups = expression.includes('(') ?
+      (expression.match(/\(([^)]*)\)/g) || []).map(group => group.slice(1, -1)) :
+      [expression];
+    
+    return groups.map(group => {
+      const ids = [];
+      
+      group.split(',').forEach(part => {
+        const item = part.trim();
+        const range = item.match(/^(\d+)-(\d+)$/);
+        
+        if (range) {
+          for (let id = parseInt(range[1]); id <= parseInt(range[2]); id++) {
+            ids.push(String(id));
+          }
+        } else if (item) {
+          ids.push(item);
+        }
+      });
+      
+      return ids;
+    });
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * MOL2Parser.js - Parser for Tripos MOL2 files
+ * Reads the MOLECULE, ATOM and BOND sections of each molecule, with SYBYL
+ * atom types, substructure (residue) names and partial charges.
+ */
+
+import { SmallMoleculeParser } from './SmallMoleculeParser.js';
+
+// Bond order for each SYBYL bond type; 'nc' (not connected) is skipped
+const BOND_TYPES = {
+  1: { order: 1, isAromatic: false },
+  2: { order: 2, isAromatic: false },
+  3: { order: 3, isAromatic: false },
+  am: { order: 1, isAromatic: false },
+  ar: { order: 1, isAromatic: true },
+  du: { order: 1, isAromatic: false },
+  un: { order: 1, isAromatic: false }
+};
+
+export class MOL2Parser extends SmallMoleculeParser {
+  /**
+   * Read the molecules of a MOL2 file
+   * @protected
+   * @param {string} text - Text content of the file
+   * @returns {Array<Object>} Molecules
+   */
+  _readMolecules(text) {
+    const molecules = [];
+    const lines = text.split(/\r?\n/);
+    let molecule = null;
+    let section = null;
+    let sectionLine = 0;
+    
+    // File atom ids of the current molecule, mapped to atom indices
+    let atomIndices = null;
+    
+    lines.forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      
+      if (trimmed.startsWith('@<TRIPOS>')) {
+        section = trimmed.substring(9).toUpperCase();
+        sectionLine = 0;
+        
+        if (section === 'MOLECULE') {
+          molecule = { name: '', properties: {}, atoms: [], bonds: [] };
+          atomIndices = new Map();
+          molecules.push(molecule);
+        }
+        return;
+      }
+      
+      if (!molecule) return;
+      sectionLine++;
+      
+      switch (section) {
+        case 'MOLECULE':
+          if (sectionLine === 1) molecule.name = trimmed;
+          if (sectionLine === 4) molecule.properties.chargeType = trimmed;
+          break;
+        
+        case 'ATOM':
+          this._readAtom(trimmed, molecule, atomIndices);
+          break;
+        
+        case 'BOND':
+          this._readBond(trimmed, molecule, atomIndices);
+          break;
+      }
+    });
+    
+    return molecules;
+  }
+  
+  /**
+   * Read an ATOM line: atom_id atom_name x y z atom_type [subst_id [subst_name [charge]]]
+   * @private
+   * @param {string} line - Trimmed line
+   * @param {Object} molecule - Molecule to fill
+   * @param {Map} atomIndices - File atom ids mapped to atom indices
+   */
+  _readAtom(line, molecule, atomIndices) {
+    const fields = line.split(/\s+/);
+    
+    if (fields.length < 6) {
+      console.warn(`Skipping short MOL2 atom line: ${line}`);
+      return;
+    }
+    
+    const name = fields[1];
+    const atomType = fields[5];
+    const typeElement = atomType.split('.')[0];
+    
+    // Lone pairs are not atoms
+    if (typeElement.toUpperCase() === 'LP') return;
+    
+    // Dummy atoms carry their element only in the name
+    const element = typeElement.toUpperCase() === 'DU' ?
+      this._guessElementFromName(name.toUpperCase()) : typeElement;
+    
+    const atom = {
+      name,
+      element,
+      x: parseFloat(fields[2]) || 0,
+      y: parseFloat(fields[3]) || 0,
+      z: parseFloat(fields[4]) || 0
+    };
+    
+    // Substructure names such as ALA12 or LIG1 hold the residue name and number
+    if (fields.length > 7 && fields[7] !== '****') {
+      const match = fields[7].match(/^([A-Za-z]+?)(-?\d+)$/);
+      atom.resName = (match ? match[1] : fields[7]).toUpperCase().substring(0, 3);
+      atom.resSeq = match ? parseInt(match[2]) : parseInt(fields[6]) || 1;
+    }
+    
+    if (fields.length > 8) {
+      const charge = parseFloat(fields[8]);
+      if (!isNaN(charge)) atom.charge = charge;
+    }
+    
+    atomIndices.set(fields[0], molecule.atoms.length);
+    molecule.atoms.push(atom);
+  }
+  
+  /**
+   * Read a BOND line: bond_id origin_atom_id target_atom_id bond_type
+   * @private
+   * @param {string} line - Trimmed line
+   * @param {Object} molecule - Molecule to fill
+   * @param {Map} atomIndices - File atom ids mapped to atom indices
+   */
+  _readBond(line, molecule, atomIndices) {
+    const fields = line.split(/\s+/);
+    const bondType = BOND_TYPES[(fields[3] || '').toLowerCase()];
+    const index1 = atomIndices.get(fields[1]);
+    const index2 = atomIndices.get(fields[2]);
+    
+    // Bonds to lone pairs and 'nc' bonds are dropped
+    if (!bondType || index1 === undefined || index2 === undefined || index1 === index2) return;
+    
+    molecule.bonds.push({
+      index1,
+      index2,
+      order: bondType.order,
+      isAromatic: bondType.isAromatic
+    });
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * NucleicAcids.js - Nucleotide bases and base pairing
+ * Identifies the base of a nucleotide and the atoms that orient it, and
+ * finds Watson-Crick and G-U wobble pairs from their hydrogen bond distances
+ */
+
+import { CONFIG } from '../config.js';
+import { SpatialGrid } from './SpatialGrid.js';
+
+// Base of each standard nucleotide, RNA and DNA names
+const BASES = {
+  A: 'A', DA: 'A',
+  C: 'C', DC: 'C',
+  G: 'G', DG: 'G',
+  T: 'T', DT: 'T',
+  U: 'U', DU: 'U'
+};
+
+// Purines join the sugar through N9 and pair through N1; pyrimidines
+// join through N1 and pair through N3
+const PURINES = new Set(['A', 'G']);
+
+// Hydrogen-bonded atom pairs (purine atom, pyrimidine atom) of each pair
+const PAIR_BONDS = {
+  'A-T': [['N1', 'N3'], ['N6', 'O4']],
+  'A-U': [['N1', 'N3'], ['N6', 'O4']],
+  'G-C': [['N1', 'N3'], ['O6', 'N4'], ['N2', 'O2']],
+  'G-U': [['O6', 'N3'], ['N1', 'O2']]
+};
+
+// Longest donor-acceptor distance counted as a hydrogen bond (Angstroms)
+const HBOND_DISTANCE = 3.5;
+
+export class NucleicAcids {
+  /**
+   * Get the base of a nucleotide
+   * @param {string} resName - Residue name (e.g. 'G', 'DT')
+   * @returns {string|null} 'A', 'C', 'G', 'T' or 'U', or null for other residues
+   */
+  static getBase(resName) {
+    return BASES[resName] || null;
+  }
+  
+  /**
+   * Get the color of a nucleotide in the 'nucleotide' scheme
+   * @param {string} resName - Residue name
+   * @returns {string} Color from CONFIG.VISUALIZATION.NUCLEOTIDE_COLORS
+   */
+  static getColor(resName) {
+    const colors = CONFIG.VISUALIZATION.NUCLEOTIDE_COLORS;
+    return colors[NucleicAcids.getBase(resName)] || colors.DEFAULT;
+  }
+  
+  /**
+   * Get the atoms that place a base
+   * @param {Object} residue - Nucleotide residue ({ name, atoms })
+   * @returns {Object|null} Atoms { glycosidic, pairing, ring } (the ring atom
+   *   C5 spans the base plane with the other two), or null if the residue is
+   *   not a standard nucleotide or misses one of them
+   */
+  static getBaseAtoms(residue) {
+    const base = NucleicAcids.getBase(residue.name);
+    if (!base) return null;
+    
+    const purine = PURINES.has(base);
+    const glycosidic = NucleicAcids._findAtom(residue, purine ? 'N9' : 'N1');
+    const pairing = NucleicAcids._findAtom(residue, purine ? 'N1' : 'N3');
+    const ring = NucleicAcids._findAtom(residue, 'C5');
+    
+    return glycosidic && pairing && ring ? { glycosidic, pairing, ring } : null;
+  }
+  
+  /**
+   * Find the canonical and wobble base pairs. A purine and a pyrimidine pair
+   * when at least two of the hydrogen bonds of their pair type are within
+   * bonding distance; each base pairs at most once, with its best partner.
+   * @param {Array<Object>} residues - Residues ({ name, atoms })
+   * @returns {Map<Object, Object>} Partner of each paired residue
+   */
+  static findBasePairs(residues) {
+    const purines = [];
+    const pyrimidines = [];
+    
+    residues.forEach(residue => {
+      const base = NucleicAcids.getBase(residue.name);
+      if (!base) return;
+      
+      const atom = NucleicAcids._findAtom(residue, 'N3');
+      if (PURINES.has(base)) {
+        purines.push(residue);
+      } else if (atom) {
+        pyrimidines.push({ x: atom.position.x, y: atom.position.y, z: atom.position.z, residue, base });
+      }
+    });
+    
+    const candidates = [];
+    
+    if (purines.length > 0 && pyrimidines.length > 0) {
+      // Pyrimidine N3 lies within a few Angstroms of the partner's N1 or O6
+      const searchRadius = HBOND_DISTANCE + 1.5;
+      const grid = new SpatialGrid(pyrimidines, searchRadius);
+      
+      purines.forEach(purine => {
+        const anchor = NucleicAcids._findAtom(purine, 'N1');
+        if (!anchor) return;
+        
+        const purineBase = NucleicAcids.getBase(purine.name);
+        
+        grid.forEachWithin(anchor.position, searchRadius, index => {
+          const { residue, base } = pyrimidines[index];
+          const bonds = PAIR_BONDS[`${purineBase}-${base}`];
+          if (!bonds) return;
+          
+          let count = 0;
+          let total = 0;
+          
+          bonds.forEach(([purineAtom, pyrimidineAtom]) => {
+            const a = NucleicAcids._findAtom(purine, purineAtom);
+            const b = NucleicAcids._findAtom(residue, pyrimidineAtom);
+            if (!a || !b) return;
+            
+            const distance = a.position.distanceTo(b.position);
+            if (distance <= HBOND_DISTANCE) {
+              count++;
+              total += distance;
+            }
+          });
+          
+          if (count >= 2) {
+            candidates.push({ purine, pyrimidine: residue, count, total });
+          }
+        });
+      });
+    }
+    
+    // Most hydrogen bonds first, then the shortest
+    candidates.sort((a, b) => b.count - a.count || a.total - b.total);
+    
+    const partners = new Map();
+    candidates.forEach(({ purine, pyrimidine }) => {
+      if (partners.has(purine) || partners.has(pyrimidine)) return;
+      
+      partners.set(purine, pyrimidine);
+      partners.set(pyrimidine, purine);
+    });
+    
+    return partners;
+  }
+  
+  /**
+   * Find an atom of a residue in the selected conformer
+   * @private
+   * @param {Object} residue - Residue
+   * @param {string} name - Atom name
+   * @returns {Object|undefined} Atom
+   */
+  static _findAtom(residue, name) {
+    return residue.atoms.find(a => a.name === name && a.isActiveConformer !== false);
+  }
+}
@@ -1,11 +1,48 @@
 /**
  * PDBParser.js - Parser for Protein Data Bank (PDB) file format
  * Extracts atom coordinates, bonds, secondary structure, and other information
- * from standard PDB format files.
+ * from standard PDB format files. Also the parsing core shared by the other
+ * structure formats: their parsers extend this class and reuse its atom
+ * handling and post-processing, so every format returns the same data model.
  */
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
 import { CONFIG } from '../config.js';
+import { DSSP } from './DSSP.js';
+import { BondCalculator } from './BondCalculator.js';
+import { Confidence } from './Confidence.js';
+
+/**
+ * Parsed structure, as returned by every structure parser
+ * @typedef {Object} Structure
+ * @property {Array<Object>} atoms - Atoms of the first model, in file order. Each has
+ *   id, name, altLoc, resName, chainID, resSeq, iCode, x, y, z, position (THREE.Vector3),
+ *   occupancy, tempFactor, element, formalCharge, type, isHetAtm, isAminoAcid,
+ *   isNucleicAcid, isLigand, isSolvent, radius, color, residueId and isActiveConformer
+ * @property {Array<Object>} bonds - Bonds ({ atomIndex1, atomIndex2, type, distance,
+ *   isAromatic, isPeptideBond, isDisulfide })
+ * @property {Array<Object>} hbonds - Backbone hydrogen bonds ({ donorIndex, acceptorIndex, distance })
+ * @property {Set<string>} chains - Chain identifiers
+ * @property {Array<string>} chainList - Sorted chain identifiers
+ * @property {Map<string, Object>} residues - Residues by residueId ({ id, name, sequence,
+ *   chainID, atoms, secondaryStructure, dsspCode })
+ * @property {Array<Object>} residueList - Residues sorted by chain and sequence number
+ * @property {Object<string, Array<Object>>} residuesByChain - Sorted residues of each chain
+ * @property {Array<Object>} helices - HELIX records or their mmCIF equivalent
+ * @property {Array<Object>} sheets - SHEET records or their mmCIF equivalent
+ * @property {Array<Object>} links - SSBOND and LINK records ({ atom1, atom2, isDisulfide })
+ * @property {Array<Object>} models - Coordinate sets ({ serial, coordinates }), with
+ *   coordinates a Float32Array of x, y, z per atom; always at least one
+ * @property {Array<string>} altLocs - Alternate location identifiers in use
+ * @property {Array<Object>} assemblies - Biological assemblies ({ id, details, generators }),
+ *   each generator holding chains and operators ({ id, matrix: THREE.Matrix4 })
+ * @property {Object|null} crystal - Unit cell ({ a, b, c, alpha, beta, gamma, spaceGroup, z })
+ * @property {Object} header - Classification, deposition date and id code
+ * @property {Object} metadata - Title, authors, remarks, resolution and similar, and
+ *   isPredicted for models of structure predictors, whose B-factors are pLDDT
+ * @property {THREE.Box3} boundingBox - Bounds of the atoms, padded by 2 angstroms
+ * @property {THREE.Vector3} centerOfMass - Centroid of the atoms
+ */
 
 export class PDBParser {
   /**
@@ -17,12 +54,17 @@ export class PDBParser {
       ATOM: 'ATOM',      // Standard atom records
       HETATM: 'HETATM',  // Non-standard atoms (ligands, water, etc.)
       CONECT: 'CONECT',  // Bond connectivity information
+      SSBOND: 'SSBOND',  // Disulfide bonds
+      LINK: 'LINK',      // Covalent links between residues
       HELIX: 'HELIX',    // Alpha helix secondary structure
       SHEET: 'SHEET',    // Beta sheet secondary structure
       HEADER: 'HEADER',  // File header info
       TITLE: 'TITLE',    // Molecule title
       AUTHOR: 'AUTHOR',  // Authors/creators
-      REMARK: 'REMARK'   // General remarks
+      REMARK: 'REMARK',  // General remarks
+      MODEL: 'MODEL',    // Start of a model in multi-model files
+      CRYST1: 'CRYST1',  // Unit cell and space group
+      PARENT: 'PARENT'   // Templates of a predicted model (AlphaFold, OpenFold output)
     };
     
     // Standard amino acid residues
@@ -52,32 +94,47 @@ export class PDBParser {
     // Default values
     this.defaultElementRadius = 1.0;
     this.defaultElementColor = CONFIG.VISUALIZATION.ELEMENT_COLORS.DEFAULT;
+    
+    // Chain of atoms with a blank chain identifier
+    this.defaultChainID = 'A';
+    
+    // Distance-based bond perception
+    this.bondCalculator = new BondCalculator();
+    
+    // Progress callback of the running parse
+    this.onProgress = null;
   }
   
   /**
    * Parse PDB file content
    * @param {string} pdbText - Text content of a PDB file
-   * @returns {Object} Parsed PDB data
+   * @param {Object} [options] - Parse options
+   * @param {Function} [options.onProgress] - Called with (progress 0-1, status)
+   * @returns {Structure} Parsed PDB data
    */
-  parse(pdbText) {
+  parse(pdbText, options = {}) {
+    this.onProgress = options.onProgress || null;
+    
     // Split the file into lines for processing
     const lines = pdbText.split(/\r?\n/);
     
     // Initialize the result object
-    const result = {
-      atoms: [],
-      bonds: [],
-      header: {},
-      helices: [],
-      sheets: [],
-      metadata: {},
-      chains: new Set(),
-      residues: new Map(),
-      boundingBox: null
-    };
+    const result = this._createResult();
+    
+    // CONECT records refer to atoms by serial number
+    this._atomIndexBySerial = null;
+    
+    // Atom records take most of the parsing time
+    const progressInterval = 5000;
     
     // Process each line
-    for (const line of lines) {
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      
+      if (i % progressInterval === 0) {
+        this._reportProgress(0.6 * i / lines.length, 'Parsing atoms');
+      }
+      
       if (!line.trim()) continue; // Skip empty lines
       
       // Extract record type (first 6 characters, trimmed)
@@ -87,13 +144,30 @@ export class PDBParser {
       switch (recordType) {
         case this.recordTypes.ATOM:
         case this.recordTypes.HETATM:
-          this._parseAtomRecord(line, recordType, result);
+          // Atoms after the first model only carry coordinates
+          if (result.models.length > 1) {
+            this._parseModelAtomRecord(line, result);
+          } else {
+            this._parseAtomRecord(line, recordType, result);
+          }
+          break;
+          
+        case this.recordTypes.MODEL:
+          this._parseModelRecord(line, result);
           break;
           
         case this.recordTypes.CONECT:
           this._parseConectRecord(line, result);
           break;
           
+        case this.recordTypes.SSBOND:
+          this._parseSsbondRecord(line, result);
+          break;
+          
+        case this.recordTypes.LINK:
+          this._parseLinkRecord(line, result);
+          break;
+          
         case this.recordTypes.HELIX:
           this._parseHelixRecord(line, result);
           break;
@@ -117,15 +191,76 @@ export class PDBParser {
         case this.recordTypes.REMARK:
           this._parseRemarkRecord(line, result);
           break;
+          
+        case this.recordTypes.CRYST1:
+          this._parseCryst1Record(line, result);
+          break;
+          
+        case this.recordTypes.PARENT:
+          result.metadata.isPredicted = true;
+          break;
       }
     }
     
     // Post-processing steps
+    this._postProcess(result);
     
-    // Calculate bonds if CONECT records were insufficient
-    if (result.bonds.length === 0) {
-      this._calculateBonds(result);
+    this._atomIndexBySerial = null;
+    this.onProgress = null;
+    
+    return result;
+  }
+  
+  /**
+   * Create an empty result object
+   * @protected
+   * @returns {Object} Result to fill while parsing
+   */
+  _createResult() {
+    return {
+      atoms: [],
+      bonds: [],
+      header: {},
+      helices: [],
+      sheets: [],
+      metadata: {},
+      chains: new Set(),
+      residues: new Map(),
+      models: [],
+      links: [],
+      assemblies: [],
+      crystal: null,
+      boundingBox: null
+    };
+  }
+  
+  /**
+   * Report parsing progress to the callback of the running parse
+   * @protected
+   * @param {number} progress - Parsing progress (0-1)
+   * @param {string} status - Current stage
+   */
+  _reportProgress(progress, status) {
+    if (this.onProgress) {
+      this.onProgress(progress, status);
     }
+  }
+  
+  /**
+   * Run the post-processing steps shared by every structure format
+   * @protected
+   * @param {Object} result - Result object to update
+   */
+  _postProcess(result) {
+    // Store the coordinates of the first (or only) model
+    this._finalizeModels(result);
+    
+    // Pick the default conformer of residues with alternate locations
+    this._assignConformers(result);
+    
+    // Assign bonds from residue templates, links and CONECT records
+    this._reportProgress(0.6, 'Assigning bonds');
+    this._calculateBonds(result);
     
     // Calculate hydrogen bonds for secondary structures
     this._calculateHydrogenBonds(result);
@@ -136,17 +271,36 @@ export class PDBParser {
     // Identify unique chains and residues
     this._identifyChains(result);
     
-    // Calculate secondary structure if not defined
-    if (result.helices.length === 0 && result.sheets.length === 0) {
-      this._assignSecondaryStructure(result);
-    }
+    // Assign secondary structure from the file, or calculate it
+    this._reportProgress(0.85, 'Assigning secondary structure');
+    this._assignSecondaryStructure(result);
     
-    return result;
+    // Calculate the center of mass
+    this._calculateCenterOfMass(result);
+    
+    // Recognize predicted models by the predictor named in the header
+    this._detectPredictedModel(result);
+  }
+  
+  /**
+   * Flag models of structure predictors, named in the title, classification
+   * or remarks, unless the format already flagged the model
+   * @protected
+   * @param {Object} result - Result object to update
+   */
+  _detectPredictedModel(result) {
+    if (result.metadata.isPredicted) return;
+    
+    const remarks = Object.values(result.metadata.remarks || {})
+      .reduce((lines, remark) => lines.concat(remark), []);
+    const texts = [result.metadata.title, result.header.classification].concat(remarks);
+    
+    result.metadata.isPredicted = texts.some(text => Confidence.mentionsPredictor(text));
   }
   
   /**
    * Parse ATOM or HETATM record
-   * @private
+   * @protected
    * @param {string} line - PDB file line
    * @param {string} recordType - Record type (ATOM or HETATM)
    * @param {Object} result - Result object to update
@@ -155,14 +309,20 @@ export class PDBParser {
     // Parse according to PDB format specification
     // See: https://www.wwpdb.org/documentation/file-format-content/format33/sect9.html
     
+    // Records without all three coordinates cannot be placed
+    if (line.length < 54) {
+      console.warn(`Skipping short atom record: ${line}`);
+      return;
+    }
+    
     try {
       const atom = {
-        id: parseInt(line.substring(6, 11).trim()),
+        id: parseInt(line.substring(6, 11).trim()) || 0,
         name: line.substring(12, 16).trim(),
         altLoc: line.substring(16, 17).trim(),
         resName: line.substring(17, 20).trim(),
-        chainID: line.substring(21, 22).trim(),
-        resSeq: parseInt(line.substring(22, 26).trim()),
+        chainID: this._readChainID(line, 21),
+        resSeq: parseInt(line.substring(22, 26).trim()) || 0,
         iCode: line.substring(26, 27).trim(),
         x: parseFloat(line.substring(30, 38).trim()),
         y: parseFloat(line.substring(38, 46).trim()),
@@ -173,6 +333,19 @@ export class PDBParser {
         isHetAtm: recordType === this.recordTypes.HETATM
       };
       
+      // Keep atoms with unreadable coordinates at the origin so the
+      // atom numbering stays intact
+      if (isNaN(atom.x) || isNaN(atom.y) || isNaN(atom.z)) {
+        console.warn(`Invalid atom coordinates: ${line}`);
+        atom.x = 0.0;
+        atom.y = 0.0;
+        atom.z = 0.0;
+      }
+      
+      // Short lines leave out occupancy and temperature factor
+      if (isNaN(atom.occupancy)) atom.occupancy = 1.0;
+      if (isNaN(atom.tempFactor)) atom.tempFactor = 0.0;
+      
       // Extract element symbol (columns 77-78)
       if (line.length >= 78) {
         atom.element = line.substring(76, 78).trim();
@@ -198,53 +371,229 @@ export class PDBParser {
         atom.formalCharge = 0;
       }
       
-      // Categorize atom type
-      atom.isAminoAcid = this.aminoAcids.has(atom.resName);
-      atom.isNucleicAcid = this.nucleicAcids.has(atom.resName);
-      atom.isLigand = !atom.isAminoAcid && !atom.isNucleicAcid && this.commonLigands.has(atom.resName);
-      atom.isSolvent = atom.resName === 'HOH' || atom.resName === 'WAT';
-      
-      // Get vdW radius and color from element
-      atom.radius = this.elementRadii[atom.element] || this.defaultElementRadius;
-      atom.color = CONFIG.VISUALIZATION.ELEMENT_COLORS[atom.element] || this.defaultElementColor;
-      
-      // Create a unique residue identifier
-      atom.residueId = `${atom.chainID}:${atom.resName}:${atom.resSeq}:${atom.iCode}`;
-      
-      // Create a unique chain identifier
-      atom.chainIdentifier = atom.chainID;
+      this._addAtom(atom, result);
+    } catch (error) {
+      console.warn(`Error parsing atom record: ${line}`, error);
+    }
+  }
+  
+  /**
+   * Complete a freshly parsed atom and add it to the result
+   * @protected
+   * @param {Object} atom - Atom with its raw record fields filled in
+   * @param {Object} result - Result object to update
+   */
+  _addAtom(atom, result) {
+    // Categorize atom type
+    atom.isAminoAcid = this.aminoAcids.has(atom.resName);
+    atom.isNucleicAcid = this.nucleicAcids.has(atom.resName);
+    atom.isLigand = !atom.isAminoAcid && !atom.isNucleicAcid && this.commonLigands.has(atom.resName);
+    atom.isSolvent = atom.resName === 'HOH' || atom.resName === 'WAT';
+    
+    // Get vdW radius and color from element
+    atom.radius = this.elementRadii[atom.element] || this.defaultElementRadius;
+    atom.color = CONFIG.VISUALIZATION.ELEMENT_COLORS[atom.element] || this.defaultElementColor;
+    
+    // Create a unique residue identifier
+    atom.residueId = `${atom.chainID}:${atom.resName}:${atom.resSeq}:${atom.iCode}`;
+    
+    // Create a unique chain identifier
+    atom.chainIdentifier = atom.chainID;
+    
+    // Create position vector
+    atom.position = new THREE.Vector3(atom.x, atom.y, atom.z);
+    
+    // Add to result
+    result.atoms.push(atom);
+    
+    // Track chains
+    result.chains.add(atom.chainID);
+    
+    // Track residues
+    if (!result.residues.has(atom.residueId)) {
+      result.residues.set(atom.residueId, {
+        id: atom.residueId,
+        name: atom.resName,
+        sequence: atom.resSeq,
+        chainID: atom.chainID,
+        atoms: []
+      });
+    }
+    
+    // Add atom to its residue
+    result.residues.get(atom.residueId).atoms.push(atom);
+  }
+  
+  /**
+   * Parse MODEL record
+   * @private
+   * @param {string} line - PDB file line
+   * @param {Object} result - Result object to update
+   */
+  _parseModelRecord(line, result) {
+    const serial = parseInt(line.substring(10, 14).trim()) || result.models.length + 1;
+    this._beginModel(serial, result);
+  }
+  
+  /**
+   * Parse an ATOM or HETATM record belonging to a model after the first
+   * @protected
+   * @param {string} line - PDB file line
+   * @param {Object} result - Result object to update
+   */
+  _parseModelAtomRecord(line, result) {
+    try {
+      this._setModelAtomCoordinates(
+        this._readChainID(line, 21),
+        parseInt(line.substring(22, 26).trim()) || 0,
+        line.substring(26, 27).trim(),
+        line.substring(12, 16).trim(),
+        line.substring(16, 17).trim(),
+        parseFloat(line.substring(30, 38).trim()),
+        parseFloat(line.substring(38, 46).trim()),
+        parseFloat(line.substring(46, 54).trim()),
+        result
+      );
+    } catch (error) {
+      console.warn(`Error parsing model atom record: ${line}`, error);
+    }
+  }
+  
+  /**
+   * Start a new model (coordinate set)
+   * @protected
+   * @param {number} serial - Model serial number
+   * @param {Object} result - Result object to update
+   */
+  _beginModel(serial, result) {
+    // The first model defines the topology and fills result.atoms
+    if (result.models.length === 0) {
+      result.models.push({ serial, coordinates: null });
+      return;
+    }
+    
+    if (!result.models[0].coordinates) {
+      result.models[0].coordinates = this._getCoordinates(result.atoms);
       
-      // Skip alternate locations other than 'A' or ' '
-      if (atom.altLoc !== 'A' && atom.altLoc !== ' ' && atom.altLoc !== '') {
+      // Index topology atoms so later models can be matched against them
+      this._modelAtomIndex = new Map();
+      result.atoms.forEach((atom, index) => {
+        this._modelAtomIndex.set(
+          this._getModelAtomKey(atom.chainID, atom.resSeq, atom.iCode, atom.name, atom.altLoc),
+          index
+        );
+      });
+    }
+    
+    // Atoms missing from a later model keep their first-model position
+    result.models.push({
+      serial,
+      coordinates: result.models[0].coordinates.slice()
+    });
+  }
+  
+  /**
+   * Store the position of one atom in the current (non-first) model
+   * @protected
+   * @param {string} chainID - Chain identifier
+   * @param {number} resSeq - Residue sequence number
+   * @param {string} iCode - Insertion code
+   * @param {string} name - Atom name
+   * @param {string} altLoc - Alternate location indicator
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Object} result - Result object to update
+   */
+  _setModelAtomCoordinates(chainID, resSeq, iCode, name, altLoc, x, y, z, result) {
+    const index = this._modelAtomIndex.get(this._getModelAtomKey(chainID, resSeq, iCode, name, altLoc));
+    
+    if (index === undefined || isNaN(x) || isNaN(y) || isNaN(z)) {
+      return;
+    }
+    
+    const coordinates = result.models[result.models.length - 1].coordinates;
+    coordinates[index * 3] = x;
+    coordinates[index * 3 + 1] = y;
+    coordinates[index * 3 + 2] = z;
+  }
+  
+  /**
+   * Make sure the result has at least one model with coordinates
+   * @private
+   * @param {Object} result - Result object to update
+   */
+  _finalizeModels(result) {
+    if (result.models.length === 0) {
+      result.models.push({ serial: 1, coordinates: null });
+    }
+    
+    if (!result.models[0].coordinates) {
+      result.models[0].coordinates = this._getCoordinates(result.atoms);
+    }
+    
+    this._modelAtomIndex = null;
+  }
+  
+  /**
+   * Build a key that identifies an atom across models
+   * @private
+   * @param {string} chainID - Chain identifier
+   * @param {number} resSeq - Residue sequence number
+   * @param {string} iCode - Insertion code
+   * @param {string} name - Atom name
+   * @param {string} altLoc - Alternate location indicator
+   * @returns {string} Atom key
+   */
+  _getModelAtomKey(chainID, resSeq, iCode, name, altLoc) {
+    return `${chainID}:${resSeq}:${iCode}:${name}:${altLoc}`;
+  }
+  
+  /**
+   * Collect the alternate locations and mark the default conformer.
+   * Atoms without an altLoc are always active; in residues with alternate
+   * locations the first one listed (normally 'A') is active.
+   * @private
+   * @param {Object} result - Result object to update
+   */
+  _assignConformers(result) {
+    const altLocs = new Set();
+    const defaultAltLocs = new Map();
+    
+    result.atoms.forEach(atom => {
+      if (!atom.altLoc) {
+        atom.isActiveConformer = true;
         return;
       }
       
-      // Create position vector
-      atom.position = new THREE.Vector3(atom.x, atom.y, atom.z);
-      
-      // Add to result
-      result.atoms.push(atom);
-      
-      // Track chains
-      result.chains.add(atom.chainID);
+      altLocs.add(atom.altLoc);
       
-      // Track residues
-      if (!result.residues.has(atom.residueId)) {
-        result.residues.set(atom.residueId, {
-          id: atom.residueId,
-          name: atom.resName,
-          sequence: atom.resSeq,
-          chainID: atom.chainID,
-          atoms: []
-        });
+      if (!defaultAltLocs.has(atom.residueId)) {
+        defaultAltLocs.set(atom.residueId, atom.altLoc);
       }
       
-      // Add atom to its residue
-      result.residues.get(atom.residueId).atoms.push(atom);
-      
-    } catch (error) {
-      console.warn(`Error parsing atom record: ${line}`, error);
-    }
+      atom.isActiveConformer = atom.altLoc === defaultAltLocs.get(atom.residueId);
+    });
+    
+    result.altLocs = Array.from(altLocs).sort();
+  }
+  
+  /**
+   * Pack atom positions into a flat coordinate array
+   * @private
+   * @param {Array} atoms - Array of atoms
+   * @returns {Float32Array} Coordinates as x, y, z triples
+   */
+  _getCoordinates(atoms) {
+    const coordinates = new Float32Array(atoms.length * 3);
+    
+    atoms.forEach((atom, index) => {
+      coordinates[index * 3] = atom.x;
+      coordinates[index * 3 + 1] = atom.y;
+      coordinates[index * 3 + 2] = atom.z;
+    });
+    
+    return coordinates;
   }
   
   /**
@@ -268,38 +617,42 @@ export class PDBParser {
         
         if (line.length >= end) {
           const serialStr = line.substring(start, end).trim();
-          if (serialStr) {
-            bondedSerials.push(parseInt(serialStr));
+          const serial = parseInt(serialStr);
+          if (serial > 0) {
+            bondedSerials.push(serial);
           }
         }
       }
       
+      // Index the atoms by serial number on the first CONECT record
+      if (!this._atomIndexBySerial) {
+        this._atomIndexBySerial = new Map();
+        result.atoms.forEach((atom, index) => {
+          if (!this._atomIndexBySerial.has(atom.id)) {
+            this._atomIndexBySerial.set(atom.id, index);
+          }
+        });
+      }
+      
       // Find the atom with this serial number
-      const atomIndex = result.atoms.findIndex(atom => atom.id === atomSerial);
+      const atomIndex = this._atomIndexBySerial.get(atomSerial);
       
-      if (atomIndex === -1) {
+      if (atomIndex === undefined) {
         return; // Atom not found
       }
       
-      // Add bonds
+      // Add bonds; each bond is usually listed from both ends, and the
+      // duplicates are dropped when the bonds are assigned
       for (const bondedSerial of bondedSerials) {
-        const bondedIndex = result.atoms.findIndex(atom => atom.id === bondedSerial);
+        const bondedIndex = this._atomIndexBySerial.get(bondedSerial);
         
-        if (bondedIndex !== -1) {
-          // Ensure we don't add duplicate bonds
-          const bondExists = result.bonds.some(bond => 
-            (bond.atomIndex1 === atomIndex && bond.atomIndex2 === bondedIndex) || 
-            (bond.atomIndex1 === bondedIndex && bond.atomIndex2 === atomIndex)
-          );
-          
-          if (!bondExists) {
-            result.bonds.push({
-              atomIndex1: atomIndex,
-              atomIndex2: bondedIndex,
-              type: 1, // Single bond by default
-              isConjugated: false // Set to true later if needed
-            });
-          }
+        if (bondedIndex !== undefined && bondedIndex !== atomIndex) {
+          result.bonds.push({
+            atomIndex1: atomIndex,
+            atomIndex2: bondedIndex,
+            type: 1, // Single bond by default
+            isConjugated: false // Set to true later if needed
+          });
         }
       }
     } catch (error) {
@@ -307,6 +660,90 @@ export class PDBParser {
     }
   }
   
+  /**
+   * Parse SSBOND record for a disulfide bond
+   * @private
+   * @param {string} line - PDB file line
+   * @param {Object} result - Result object to update
+   */
+  _parseSsbondRecord(line, result) {
+    try {
+      // Skip disulfides to a symmetry mate
+      if (!this._isSameSymmetry(line)) return;
+      
+      result.links.push({
+        atom1: {
+          name: 'SG',
+          altLoc: '',
+          resName: line.substring(11, 14).trim(),
+          chainID: this._readChainID(line, 15),
+          resSeq: parseInt(line.substring(17, 21).trim()) || 0,
+          iCode: line.substring(21, 22).trim()
+        },
+        atom2: {
+          name: 'SG',
+          altLoc: '',
+          resName: line.substring(25, 28).trim(),
+          chainID: this._readChainID(line, 29),
+          resSeq: parseInt(line.substring(31, 35).trim()) || 0,
+          iCode: line.substring(35, 36).trim()
+        },
+        isDisulfide: true
+      });
+    } catch (error) {
+      console.warn(`Error parsing SSBOND record: ${line}`, error);
+    }
+  }
+  
+  /**
+   * Parse LINK record for a covalent link between residues
+   * @private
+   * @param {string} line - PDB file line
+   * @param {Object} result - Result object to update
+   */
+  _parseLinkRecord(line, result) {
+    try {
+      // Skip links to a symmetry mate
+      if (!this._isSameSymmetry(line)) return;
+      
+      result.links.push({
+        atom1: {
+          name: line.substring(12, 16).trim(),
+          altLoc: line.substring(16, 17).trim(),
+          resName: line.substring(17, 20).trim(),
+          chainID: this._readChainID(line, 21),
+          resSeq: parseInt(line.substring(22, 26).trim()) || 0,
+          iCode: line.substring(26, 27).trim()
+        },
+        atom2: {
+          name: line.substring(42, 46).trim(),
+          altLoc: line.substring(46, 47).trim(),
+          resName: line.substring(47, 50).trim(),
+          chainID: this._readChainID(line, 51),
+          resSeq: parseInt(line.substring(52, 56).trim()) || 0,
+          iCode: line.substring(56, 57).trim()
+        },
+        isDisulfide: false
+      });
+    } catch (error) {
+      console.warn(`Error parsing LINK record: ${line}`, error);
+    }
+  }
+  
+  /**
+   * Check that both partners of an SSBOND or LINK record use the same
+   * symmetry operator (columns 60-65 and 67-72)
+   * @private
+   * @param {string} line - PDB file line
+   * @returns {boolean} True if the bond lies within one copy of the molecule
+   */
+  _isSameSymmetry(line) {
+    const symmetry1 = line.substring(59, 65).trim();
+    const symmetry2 = line.substring(66, 72).trim();
+    
+    return !symmetry1 || !symmetry2 || symmetry1 === symmetry2;
+  }
+  
   /**
    * Parse HELIX record for secondary structure
    * @private
@@ -319,11 +756,11 @@ export class PDBParser {
         serialNumber: parseInt(line.substring(7, 10).trim()),
         id: line.substring(11, 14).trim(),
         startResName: line.substring(15, 18).trim(),
-        startChainID: line.substring(19, 20).trim(),
+        startChainID: this._readChainID(line, 19),
         startResSeq: parseInt(line.substring(21, 25).trim()),
         startICode: line.substring(25, 26).trim(),
         endResName: line.substring(27, 30).trim(),
-        endChainID: line.substring(31, 32).trim(),
+        endChainID: this._readChainID(line, 31),
         endResSeq: parseInt(line.substring(33, 37).trim()),
         endICode: line.substring(37, 38).trim(),
         helixClass: parseInt(line.substring(38, 40).trim() || "1"),
@@ -350,11 +787,11 @@ export class PDBParser {
         id: line.substring(11, 14).trim(),
         numStrands: parseInt(line.substring(14, 16).trim()),
         startResName: line.substring(17, 20).trim(),
-        startChainID: line.substring(21, 22).trim(),
+        startChainID: this._readChainID(line, 21),
         startResSeq: parseInt(line.substring(22, 26).trim()),
         startICode: line.substring(26, 27).trim(),
         endResName: line.substring(28, 31).trim(),
-        endChainID: line.substring(32, 33).trim(),
+        endChainID: this._readChainID(line, 32),
         endResSeq: parseInt(line.substring(33, 37).trim()),
         endICode: line.substring(37, 38).trim(),
         sense: parseInt(line.substring(38, 40).trim() || "0")
@@ -409,7 +846,7 @@ export class PDBParser {
    */
   _parseTitleRecord(line, result) {
     try {
-      const continuation = parseInt(line.substring(8, 10).trim() || "1");
+      const continuation = parseInt(line.substring(8, 10).trim()) || 1;
       const title = line.substring(10).trim();
       
       if (!result.metadata.fullTitle) {
@@ -419,8 +856,10 @@ export class PDBParser {
       // Store title parts in order
       result.metadata.fullTitle[continuation - 1] = title;
       
-      // Join all title parts
-      result.metadata.title = result.metadata.fullTitle.join(' ').trim();
+      // Join all title parts, skipping missing continuation lines
+      result.metadata.title = result.metadata.fullTitle
+        .filter(part => part !== undefined)
+        .join(' ').trim();
     } catch (error) {
       console.warn(`Error parsing TITLE record: ${line}`, error);
     }
@@ -434,7 +873,7 @@ export class PDBParser {
    */
   _parseAuthorRecord(line, result) {
     try {
-      const continuation = parseInt(line.substring(8, 10).trim() || "1");
+      const continuation = parseInt(line.substring(8, 10).trim()) || 1;
       const authorText = line.substring(10).trim();
       
       if (!result.metadata.authors) {
@@ -444,13 +883,47 @@ export class PDBParser {
       // Store author parts in order
       result.metadata.authors[continuation - 1] = authorText;
       
-      // Join all author parts
-      result.metadata.author = result.metadata.authors.join(' ').trim();
+      // Join all author parts, skipping missing continuation lines
+      result.metadata.author = result.metadata.authors
+        .filter(part => part !== undefined)
+        .join(' ').trim();
     } catch (error) {
       console.warn(`Error parsing AUTHOR record: ${line}`, error);
     }
   }
   
+  /**
+   * Parse CRYST1 record (unit cell and space group)
+   * @private
+   * @param {string} line - PDB file line
+   * @param {Object} result - Result object to update
+   */
+  _parseCryst1Record(line, result) {
+    try {
+      const cell = {
+        a: parseFloat(line.substring(6, 15)),
+        b: parseFloat(line.substring(15, 24)),
+        c: parseFloat(line.substring(24, 33)),
+        alpha: parseFloat(line.substring(33, 40)),
+        beta: parseFloat(line.substring(40, 47)),
+        gamma: parseFloat(line.substring(47, 54)),
+        spaceGroup: line.substring(55, 66).trim(),
+        z: parseInt(line.substring(66, 70).trim()) || 1
+      };
+      
+      if ([cell.a, cell.b, cell.c, cell.alpha, cell.beta, cell.gamma].some(isNaN)) {
+        throw new Error('Invalid cell parameters');
+      }
+      
+      // NMR and EM entries carry a 1 x 1 x 1 placeholder cell
+      if (cell.a === 1 && cell.b === 1 && cell.c === 1) return;
+      
+      result.crystal = cell;
+    } catch (error) {
+      console.warn(`Error parsing CRYST1 record: ${line}`, error);
+    }
+  }
+  
   /**
    * Parse REMARK record
    * @private
@@ -482,6 +955,9 @@ export class PDBParser {
             result.metadata.resolution = parseFloat(resMatch[1]);
           }
         }
+      } else if (remarkNum === 350) {
+        // Biological assemblies
+        this._parseBiomtRemark(remarkText, result);
       }
     } catch (error) {
       console.warn(`Error parsing REMARK record: ${line}`, error);
@@ -489,239 +965,94 @@ export class PDBParser {
   }
   
   /**
-   * Calculate bonds based on distance criteria when CONECT records aren't available
+   * Parse a REMARK 350 line into biological assemblies.
+   * Each assembly holds generators: a list of chains and the BIOMT
+   * operators applied to them.
    * @private
+   * @param {string} remarkText - Text of the remark after the remark number
    * @param {Object} result - Result object to update
    */
-  _calculateBonds(result) {
-    const atoms = result.atoms;
-    const bonds = result.bonds;
-    
-    // Bond distance thresholds (Å)
-    const bondDistThresholds = {
-      // General bond distances between common elements
-      "C-C": 1.9,   // Carbon-Carbon
-      "C-N": 1.8,   // Carbon-Nitrogen
-      "C-O": 1.7,   // Carbon-Oxygen
-      "C-S": 2.0,   // Carbon-Sulfur
-      "N-N": 1.8,   // Nitrogen-Nitrogen
-      "N-O": 1.7,   // Nitrogen-Oxygen
-      "O-O": 1.6,   // Oxygen-Oxygen
-      "S-S": 2.2,   // Sulfur-Sulfur
-      "C-H": 1.3,   // Carbon-Hydrogen
-      "N-H": 1.3,   // Nitrogen-Hydrogen
-      "O-H": 1.3,   // Oxygen-Hydrogen
-      "S-H": 1.4,   // Sulfur-Hydrogen
-      default: 2.0   // Default threshold for other combinations
-    };
+  _parseBiomtRemark(remarkText, result) {
+    // A new biomolecule starts a new assembly
+    const biomolecule = remarkText.match(/^BIOMOLECULE:\s*(\S+)/);
+    if (biomolecule) {
+      result.assemblies.push({ id: biomolecule[1], details: '', generators: [] });
+      return;
+    }
     
-    const getBondThreshold = (elem1, elem2) => {
-      // Standardize elements to uppercase
-      elem1 = elem1.toUpperCase();
-      elem2 = elem2.toUpperCase();
-      
-      // Ensure alphabetical order for consistent key lookup
-      if (elem1 > elem2) [elem1, elem2] = [elem2, elem1];
-      
-      const key = `${elem1}-${elem2}`;
-      return bondDistThresholds[key] || bondDistThresholds.default;
-    };
+    const assembly = result.assemblies[result.assemblies.length - 1];
+    if (!assembly) return;
     
-    // Process residues for backbone bonds
-    const residueMap = new Map();
-    atoms.forEach((atom, index) => {
-      // Group atoms by residue
-      const residueKey = `${atom.chainID}_${atom.resSeq}_${atom.resName}`;
-      if (!residueMap.has(residueKey)) {
-        residueMap.set(residueKey, []);
+    const details = remarkText.match(/^(AUTHOR DETERMINED BIOLOGICAL UNIT|SOFTWARE DETERMINED QUATERNARY STRUCTURE):\s*(.*)$/);
+    if (details) {
+      // Prefer the author's description over the software's
+      if (!assembly.details || details[1].startsWith('AUTHOR')) {
+        assembly.details = details[2].trim();
       }
-      residueMap.get(residueKey).push({ atom, index });
-    });
+      return;
+    }
     
-    // Process each residue to find internal bonds
-    residueMap.forEach((atomsInResidue, residueKey) => {
-      const atomMap = new Map();
+    // Chain lists may continue over several lines
+    const chains = remarkText.match(/^(APPLY THE FOLLOWING TO CHAINS|AND CHAINS):(.*)$/);
+    if (chains) {
+      const chainIDs = chains[2].split(',').map(id => id.trim()).filter(id => id);
+      const current = assembly.generators[assembly.generators.length - 1];
       
-      // Create a map of atom names to indices for this residue
-      atomsInResidue.forEach(({ atom, index }) => {
-        atomMap.set(atom.name, index);
-      });
-      
-      // Add standard backbone bonds for amino acids
-      if (atomsInResidue.length > 0 && 
-          this.aminoAcids.has(atomsInResidue[0].atom.resName)) {
-        
-        // Add N-CA bond
-        if (atomMap.has('N') && atomMap.has('CA')) {
-          bonds.push({
-            atomIndex1: atomMap.get('N'),
-            atomIndex2: atomMap.get('CA'),
-            type: 1
-          });
-        }
-        
-        // Add CA-C bond
-        if (atomMap.has('CA') && atomMap.has('C')) {
-          bonds.push({
-            atomIndex1: atomMap.get('CA'),
-            atomIndex2: atomMap.get('C'),
-            type: 1
-          });
-        }
-        
-        // Add C-O bond
-        if (atomMap.has('C') && atomMap.has('O')) {
-          bonds.push({
-            atomIndex1: atomMap.get('C'),
-            atomIndex2: atomMap.get('O'),
-            type: 1
-          });
-        }
-        
-        // Add CA-CB bond (if CB exists)
-        if (atomMap.has('CA') && atomMap.has('CB')) {
-          bonds.push({
-            atomIndex1: atomMap.get('CA'),
-            atomIndex2: atomMap.get('CB'),
-            type: 1
-          });
-        }
+      if (chains[1] === 'AND CHAINS' && current && current.operators.length === 0) {
+        current.chains.push(...chainIDs);
+      } else {
+        assembly.generators.push({ chains: chainIDs, operators: [] });
       }
+      return;
+    }
+    
+    // BIOMTn lines give row n of a 3x4 operator
+    const biomt = remarkText.match(/^BIOMT([123])\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)/);
+    if (biomt) {
+      const row = parseInt(biomt[1]) - 1;
+      const values = biomt.slice(3, 7).map(parseFloat);
       
-      // Add bonds within the residue based on distance
-      for (let i = 0; i < atomsInResidue.length; i++) {
-        const atom1 = atomsInResidue[i].atom;
-        const index1 = atomsInResidue[i].index;
-        
-        for (let j = i + 1; j < atomsInResidue.length; j++) {
-          const atom2 = atomsInResidue[j].atom;
-          const index2 = atomsInResidue[j].index;
-          
-          // Skip backbone bonds (already added above)
-          if (atom1.isAminoAcid && 
-              ((atom1.name === 'N' && atom2.name === 'CA') ||
-               (atom1.name === 'CA' && atom2.name === 'C') ||
-               (atom1.name === 'C' && atom2.name === 'O') ||
-               (atom1.name === 'CA' && atom2.name === 'CB'))) {
-            continue;
-          }
-          
-          if (atom2.isAminoAcid && 
-              ((atom2.name === 'N' && atom1.name === 'CA') ||
-               (atom2.name === 'CA' && atom1.name === 'C') ||
-               (atom2.name === 'C' && atom1.name === 'O') ||
-               (atom2.name === 'CA' && atom1.name === 'CB'))) {
-            continue;
-          }
-          
-          // Calculate distance
-          const distance = atom1.position.distanceTo(atom2.position);
-          
-          // Get threshold based on elements
-          const threshold = getBondThreshold(atom1.element, atom2.element);
-          
-          // Create bond if distance is within threshold
-          if (distance <= threshold) {
-            bonds.push({
-              atomIndex1: index1,
-              atomIndex2: index2,
-              type: 1, // Assume single bond
-              distance: distance
-            });
-          }
-        }
+      // Operators without a chain list apply to every chain
+      if (assembly.generators.length === 0) {
+        assembly.generators.push({ chains: [], operators: [] });
       }
-    });
-    
-    // Add peptide bonds between residues
-    const sortedResidues = Array.from(residueMap.keys()).sort();
-    
-    for (let i = 0; i < sortedResidues.length - 1; i++) {
-      const currentKey = sortedResidues[i];
-      const nextKey = sortedResidues[i + 1];
       
-      // Extract chain and resSeq from keys
-      const [currentChain, currentResSeq] = currentKey.split('_');
-      const [nextChain, nextResSeq] = nextKey.split('_');
+      const generator = assembly.generators[assembly.generators.length - 1];
+      let operator = generator.operators[generator.operators.length - 1];
       
-      // Only connect if same chain and sequential residue numbers
-      if (currentChain === nextChain && 
-          parseInt(nextResSeq) === parseInt(currentResSeq) + 1) {
-        
-        const currentResidue = residueMap.get(currentKey);
-        const nextResidue = residueMap.get(nextKey);
-        
-        // Find C atom in current residue
-        const cAtom = currentResidue.find(a => a.atom.name === 'C');
-        
-        // Find N atom in next residue
-        const nAtom = nextResidue.find(a => a.atom.name === 'N');
-        
-        // Create peptide bond
-        if (cAtom && nAtom) {
-          bonds.push({
-            atomIndex1: cAtom.index,
-            atomIndex2: nAtom.index,
-            type: 1,
-            isPeptideBond: true
-          });
-        }
+      if (row === 0 || !operator) {
+        operator = { id: biomt[2], matrix: new THREE.Matrix4() };
+        generator.operators.push(operator);
       }
+      
+      // Matrix4 elements are stored column-major
+      values.forEach((value, column) => {
+        operator.matrix.elements[column * 4 + row] = value;
+      });
     }
   }
   
+  /**
+   * Assign bonds from residue templates and SSBOND/LINK records, keeping
+   * CONECT bonds; residues without a template are bonded by distance
+   * @protected
+   * @param {Object} result - Result object to update
+   */
+  _calculateBonds(result) {
+    result.bonds = this.bondCalculator.calculateTemplateBonds(result.atoms, {
+      links: result.links,
+      bonds: result.bonds
+    });
+  }
+  
   /**
    * Calculate hydrogen bonds for secondary structure
    * @private
    * @param {Object} result - Result object to update
    */
   _calculateHydrogenBonds(result) {
-    // This is a simplified version; a more accurate calculation would
-    // use energy terms and geometric criteria
-    
-    result.hbonds = [];
-    
-    const atoms = result.atoms;
-    
-    // Find potential hydrogen bond donors (N-H) and acceptors (O, N)
-    const donors = [];
-    const acceptors = [];
-    
-    atoms.forEach((atom, index) => {
-      if (atom.element === 'N' && atom.isAminoAcid) {
-        // Nitrogen atoms in amino acids can be donors
-        donors.push({ atom, index });
-      }
-      
-      if ((atom.element === 'O' || atom.element === 'N') && atom.isAminoAcid) {
-        // Oxygen and some nitrogen atoms can be acceptors
-        acceptors.push({ atom, index });
-      }
-    });
-    
-    // Distance threshold for hydrogen bonds (in angstroms)
-    const hbondThreshold = 3.5;
-    
-    // Check distances between all potential donors and acceptors
-    for (const donor of donors) {
-      for (const acceptor of acceptors) {
-        // Skip self and immediate neighbors (i, i+1, i+2)
-        if (donor.atom.chainID === acceptor.atom.chainID &&
-            Math.abs(donor.atom.resSeq - acceptor.atom.resSeq) <= 2) {
-          continue;
-        }
-        
-        const distance = donor.atom.position.distanceTo(acceptor.atom.position);
-        
-        if (distance <= hbondThreshold) {
-          result.hbonds.push({
-            donorIndex: donor.index,
-            acceptorIndex: acceptor.index,
-            distance: distance
-          });
-        }
-      }
-    }
+    // Distance-only criterion; DSSP uses the full energy term
+    result.hbonds = this.bondCalculator.calculateHydrogenBonds(result.atoms);
   }
   
   /**
@@ -782,39 +1113,85 @@ export class PDBParser {
   }
   
   /**
-   * Assign secondary structure when not defined in PDB
+   * Assign secondary structure to residues. HELIX/SHEET records are used
+   * when present; otherwise it is calculated with DSSP.
    * @private
    * @param {Object} result - Result object to update
    */
   _assignSecondaryStructure(result) {
-    // This is a very simplified version of secondary structure assignment
-    // A real implementation would analyze hydrogen bonding patterns
+    if (result.helices.length === 0 && result.sheets.length === 0) {
+      new DSSP().assign(result.residueList);
+      return;
+    }
     
     // For each residue, assign as coil by default
     result.residueList.forEach(residue => {
       residue.secondaryStructure = 'coil';
+      residue.dsspCode = '-';
     });
     
-    // Analyze hydrogen bonds to identify helices and sheets
-    // This would be a complex algorithm in practice
+    // DSSP code for each PDB helix class (1 = right-handed alpha,
+    // 3 = right-handed pi, 5 = right-handed 3-10)
+    const helixCodes = { 1: 'H', 3: 'I', 5: 'G' };
     
-    // For demonstration, we'll assign some fake secondary structure
-    // to the first few residues of each chain
-    result.chainList.forEach(chainID => {
-      const chainResidues = result.residuesByChain[chainID];
-      
-      if (chainResidues.length >= 10) {
-        // Assign the first 8 residues as helix
-        for (let i = 0; i < 8 && i < chainResidues.length; i++) {
-          chainResidues[i].secondaryStructure = 'helix';
-        }
-        
-        // Assign the next 5 residues as sheet if available
-        for (let i = 8; i < 13 && i < chainResidues.length; i++) {
-          chainResidues[i].secondaryStructure = 'sheet';
-        }
-      }
+    result.helices.forEach(helix => {
+      this._getResiduesInRange(result, helix).forEach(residue => {
+        residue.secondaryStructure = 'helix';
+        residue.dsspCode = helixCodes[helix.helixClass] || 'H';
+      });
+    });
+    
+    result.sheets.forEach(sheet => {
+      this._getResiduesInRange(result, sheet).forEach(residue => {
+        residue.secondaryStructure = 'sheet';
+        residue.dsspCode = 'E';
+      });
+    });
+  }
+  
+  /**
+   * Get the residues covered by a HELIX or SHEET record
+   * @private
+   * @param {Object} result - Result object
+   * @param {Object} range - Record with start/end chain IDs and sequence numbers
+   * @returns {Array} Residues in the range
+   */
+  _getResiduesInRange(result, range) {
+    const chainResidues = result.residuesByChain[range.startChainID] || [];
+    
+    return chainResidues.filter(residue =>
+      residue.sequence >= range.startResSeq && residue.sequence <= range.endResSeq
+    );
+  }
+  
+  /**
+   * Read a one-character chain identifier, using the default chain for blanks
+   * @private
+   * @param {string} line - PDB file line
+   * @param {number} column - Zero-based column of the chain identifier
+   * @returns {string} Chain identifier
+   */
+  _readChainID(line, column) {
+    return line.charAt(column).trim() || this.defaultChainID;
+  }
+  
+  /**
+   * Calculate the center of mass (centroid) of the atoms
+   * @private
+   * @param {Object} result - Result object to update
+   */
+  _calculateCenterOfMass(result) {
+    const center = new THREE.Vector3();
+    
+    result.atoms.forEach(atom => {
+      center.add(atom.position);
     });
+    
+    if (result.atoms.length > 0) {
+      center.divideScalar(result.atoms.length);
+    }
+    
+    result.centerOfMass = center;
   }
   
   /**
@@ -0,0 +1,111 @@
+/**
+ * PDBTrajectoryReader.js - Reader for multi-model PDB trajectories
+ * Frames are MODEL/ENDMDL blocks or, as some MD tools write them, blocks
+ * ended by END records. Indexing only scans for the record names; the
+ * coordinate columns of a frame are parsed when it is read.
+ */
+
+import { TrajectoryReader } from './TrajectoryReader.js';
+
+// Bytes scanned at a time while indexing
+const CHUNK_SIZE = 1 << 20;
+
+export class PDBTrajectoryReader extends TrajectoryReader {
+  /**
+   * Find the byte range of each frame
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _index() {
+    // Single-byte decoding keeps string offsets equal to byte offsets
+    const decoder = new TextDecoder('latin1');
+    const modelStarts = [];
+    const endOffsets = [];
+    const atomOffsets = [];
+    let offset = 0;
+    
+    while (offset < this.source.size) {
+      const view = await this._read(offset, CHUNK_SIZE);
+      const text = decoder.decode(view);
+      const atEnd = offset + view.byteLength >= this.source.size;
+      
+      // Only complete lines are scanned; the rest starts the next chunk
+      let scanned = atEnd ? text.length : text.lastIndexOf('\n') + 1;
+      if (scanned === 0) scanned = text.length;
+      
+      let lineStart = 0;
+      while (lineStart < scanned) {
+        let lineEnd = text.indexOf('\n', lineStart);
+        if (lineEnd === -1 || lineEnd > scanned) lineEnd = scanned;
+        
+        const record = text.substring(lineStart, Math.min(lineStart + 6, lineEnd)).trimEnd();
+        if (record === 'MODEL') {
+          modelStarts.push(offset + lineStart);
+        } else if (record === 'END') {
+          endOffsets.push(offset + lineEnd + 1);
+        } else if (record === 'ATOM' || record === 'HETATM') {
+          atomOffsets.push(offset + lineStart);
+        }
+        
+        lineStart = lineEnd + 1;
+      }
+      
+      offset += scanned;
+    }
+    
+    // Frames start at MODEL records, or else follow END records
+    const starts = modelStarts.length > 0 ? modelStarts : [0, ...endOffsets];
+    const frames = [];
+    let atom = 0;
+    
+    starts.forEach((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1] : this.source.size;
+      
+      while (atom < atomOffsets.length && atomOffsets[atom] < start) atom++;
+      const first = atom;
+      while (atom < atomOffsets.length && atomOffsets[atom] < end) atom++;
+      
+      // Blocks without atoms, such as a header before the first END, are skipped
+      if (atom > first) {
+        frames.push({ start, end, atomCount: atom - first });
+      }
+    });
+    
+    if (frames.length > 0) {
+      this.atomCount = frames[0].atomCount;
+      
+      const mismatch = frames.findIndex(frame => frame.atomCount !== this.atomCount);
+      if (mismatch !== -1) {
+        throw new Error(`PDB trajectory frame ${mismatch + 1} has ${frames[mismatch].atomCount} atoms instead of ${this.atomCount}`);
+      }
+    }
+    
+    this.frames = frames;
+    this.frameCount = frames.length;
+  }
+  
+  /**
+   * Parse the coordinates of one frame
+   * @protected
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Float32Array>} Coordinates in Angstroms
+   */
+  async _decodeFrame(index) {
+    const frame = this.frames[index];
+    const view = await this._read(frame.start, frame.end - frame.start);
+    const lines = new TextDecoder('latin1').decode(view).split('\n');
+    const coordinates = new Float32Array(this.atomCount * 3);
+    let atom = 0;
+    
+    for (const line of lines) {
+      if (!line.startsWith('ATOM') && !line.startsWith('HETATM')) continue;
+      
+      coordinates[atom * 3] = parseFloat(line.substring(30, 38));
+      coordinates[atom * 3 + 1] = parseFloat(line.substring(38, 46));
+      coordinates[atom * 3 + 2] = parseFloat(line.substring(46, 54));
+      atom++;
+    }
+    
+    return coordinates;
+  }
+}
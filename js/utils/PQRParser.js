@@ -0,0 +1,119 @@
+/**
+ * PQRParser.js - Parser for PQR files (PDB2PQR, APBS)
+ * PQR atom records are whitespace-separated PDB records whose occupancy and
+ * temperature factor columns hold the atomic charge (e) and radius (Angstroms).
+ * Both are stored on the atoms; the radius replaces the element radius and
+ * is flagged by hasFileRadius.
+ */
+
+import { PDBParser } from './PDBParser.js';
+
+export class PQRParser extends PDBParser {
+  /**
+   * Parse a PQR ATOM or HETATM record
+   * @protected
+   * @param {string} line - PQR file line
+   * @param {string} recordType - Record type (ATOM or HETATM)
+   * @param {Object} result - Result object to update
+   */
+  _parseAtomRecord(line, recordType, result) {
+    const fields = this._readFields(line);
+    
+    if (!fields) {
+      console.warn(`Skipping unreadable PQR atom record: ${line}`);
+      return;
+    }
+    
+    try {
+      const atom = {
+        id: fields.serial,
+        name: fields.name,
+        altLoc: '',
+        resName: fields.resName,
+        chainID: fields.chainID,
+        resSeq: fields.resSeq,
+        iCode: fields.iCode,
+        x: fields.x,
+        y: fields.y,
+        z: fields.z,
+        occupancy: 1.0,
+        tempFactor: 0.0,
+        element: this._guessElementFromName(fields.name.toUpperCase()).toUpperCase(),
+        formalCharge: 0,
+        type: recordType,
+        isHetAtm: recordType === this.recordTypes.HETATM
+      };
+      
+      this._addAtom(atom, result);
+      
+      // The file's radius wins over the element radius set by _addAtom
+      atom.charge = fields.charge;
+      if (fields.radius > 0) {
+        atom.radius = fields.radius;
+        atom.hasFileRadius = true;
+      }
+    } catch (error) {
+      console.warn(`Error parsing PQR atom record: ${line}`, error);
+    }
+  }
+  
+  /**
+   * Parse a PQR ATOM or HETATM record belonging to a model after the first
+   * @protected
+   * @param {string} line - PQR file line
+   * @param {Object} result - Result object to update
+   */
+  _parseModelAtomRecord(line, result) {
+    const fields = this._readFields(line);
+    if (!fields) return;
+    
+    this._setModelAtomCoordinates(
+      fields.chainID,
+      fields.resSeq,
+      fields.iCode,
+      fields.name,
+      '',
+      fields.x,
+      fields.y,
+      fields.z,
+      result
+    );
+  }
+  
+  /**
+   * Split a PQR atom record into its fields:
+   * record serial name resName [chainID] resSeq x y z charge radius
+   * @private
+   * @param {string} line - PQR file line
+   * @returns {Object|null} Record fields, or null if the record is unreadable
+   */
+  _readFields(line) {
+    const fields = line.trim().split(/\s+/);
+    
+    // The residue number is followed by the five numeric columns; the
+    // chain identifier is optional
+    if (fields.length < 10) return null;
+    
+    const numbers = fields.slice(-5).map(value => parseFloat(value));
+    if (numbers.some(value => isNaN(value))) return null;
+    
+    const residueFields = fields.slice(4, -5);
+    const resSeqField = residueFields[residueFields.length - 1];
+    const match = resSeqField && resSeqField.match(/^(-?\d+)([A-Za-z]?)$/);
+    if (!match) return null;
+    
+    return {
+      serial: parseInt(fields[1]) || 0,
+      name: fields[2],
+      resName: fields[3],
+      chainID: residueFields.length > 1 ? residueFields[0] : this.defaultChainID,
+      resSeq: parseInt(match[1]),
+      iCode: match[2],
+      x: numbers[0],
+      y: numbers[1],
+      z: numbers[2],
+      charge: numbers[3],
+      radius: numbers[4]
+    };
+  }
+}
@@ -0,0 +1,281 @@
+/**
+ * ResidueProperties.js - Numeric per-residue properties and their colors
+ * Holds the built-in hydrophobicity scales and user-supplied values such as
+ * conservation scores, and maps values to colors through a gradient.
+ * Color schemes are named after the scale ('kyte-doolittle', 'eisenberg') or
+ * the property ('property:<name>').
+ */
+
+import { CONFIG } from '../config.js';
+
+// Hydrophobicity scales, with the range their gradient spans
+const HYDROPHOBICITY_SCALES = {
+  // Kyte & Doolittle (1982)
+  'kyte-doolittle': {
+    min: -4.5,
+    max: 4.5,
+    values: {
+      ALA: 1.8, ARG: -4.5, ASN: -3.5, ASP: -3.5, CYS: 2.5,
+      GLN: -3.5, GLU: -3.5, GLY: -0.4, HIS: -3.2, ILE: 4.5,
+      LEU: 3.8, LYS: -3.9, MET: 1.9, PHE: 2.8, PRO: -1.6,
+      SER: -0.8, THR: -0.7, TRP: -0.9, TYR: -1.3, VAL: 4.2
+    }
+  },
+  // Eisenberg consensus scale (1984)
+  'eisenberg': {
+    min: -1.5,
+    max: 1.5,
+    values: {
+      ALA: 0.62, ARG: -2.53, ASN: -0.78, ASP: -0.90, CYS: 0.29,
+      GLN: -0.85, GLU: -0.74, GLY: 0.48, HIS: -0.40, ILE: 1.38,
+      LEU: 1.06, LYS: -1.50, MET: 0.64, PHE: 1.19, PRO: 0.12,
+      SER: -0.18, THR: -0.05, TRP: 0.81, TYR: 0.26, VAL: 1.08
+    }
+  }
+};
+
+// Modified residues scored like their parent amino acid
+const PARENT_RESIDUES = {
+  MSE: 'MET',
+  HIP: 'HIS',
+  HID: 'HIS',
+  HIE: 'HIS',
+  CYX: 'CYS'
+};
+
+// Prefix of the color schemes of user properties
+const PROPERTY_PREFIX = 'property:';
+
+export class ResidueProperties {
+  /**
+   * Create an empty property store
+   */
+  constructor() {
+    this.properties = new Map();
+  }
+  
+  /**
+   * Get the names of the built-in hydrophobicity color schemes
+   * @returns {Array<string>} Scheme names
+   */
+  static getHydrophobicityScales() {
+    return Object.keys(HYDROPHOBICITY_SCALES);
+  }
+  
+  /**
+   * Get the color scheme that colors by a property
+   * @param {string} name - Property name
+   * @returns {string} Scheme name
+   */
+  static getScheme(name) {
+    return `${PROPERTY_PREFIX}${name}`;
+  }
+  
+  /**
+   * Parse a per-residue side file. Each line holds a residue and a value,
+   * separated by whitespace, commas or semicolons; the value is the last
+   * field. The residue is written as "chain resSeq", "chain:resSeq" or just
+   * "resSeq" (any chain), optionally followed by the residue name, and
+   * resSeq may carry an insertion code (e.g. "52A"). Blank lines, '#'
+   * comments and lines without a numeric value (headers) are skipped.
+   * @param {string} text - File content
+   * @returns {Map<string, number>} Values by residue key
+   */
+  static parse(text) {
+    const values = new Map();
+    const isResSeq = token => /^-?\d+[A-Za-z]?$/.test(token);
+    
+    text.split(/\r?\n/).forEach(line => {
+      const content = line.replace(/#.*/, '').trim();
+      if (!content) return;
+      
+      const tokens = content.split(/[\s,;]+/);
+      const value = parseFloat(tokens[tokens.length - 1]);
+      if (tokens.length < 2 || Number.isNaN(value)) return;
+      
+      let key;
+      if (tokens[0].includes(':')) {
+        key = tokens[0];
+      } else if (tokens.length >= 3 && !isResSeq(tokens[0]) && isResSeq(tokens[1])) {
+        key = `${tokens[0]}:${tokens[1]}`;
+      } else if (isResSeq(tokens[0])) {
+        key = tokens[0];
+      } else {
+        return;
+      }
+      
+      values.set(key, value);
+    });
+    
+    return values;
+  }
+  
+  /**
+   * Get the colors of a gradient
+   * @param {string|Array<string|number>} gradient - Gradient name from
+   *   CONFIG.VISUALIZATION.RESIDUE_PROPERTIES.GRADIENTS (e.g. 'conservation',
+   *   'blue-white-red') or a list of colors from low to high
+   * @returns {Array<string|number>} Colors
+   */
+  static getGradient(gradient) {
+    if (Array.isArray(gradient)) return gradient;
+    
+    const gradients = CONFIG.VISUALIZATION.RESIDUE_PROPERTIES.GRADIENTS;
+    const colors = gradients[String(gradient).toUpperCase().replace(/-/g, '_')];
+    
+    if (!colors) {
+      throw new Error(`Unknown gradient: ${gradient}`);
+    }
+    
+    return colors;
+  }
+  
+  /**
+   * Interpolate a gradient
+   * @param {Array<string|number>} colors - Gradient colors ('#RRGGBB' or 0xRRGGBB)
+   * @param {number} t - Position from 0 to 1
+   * @returns {number} Color as 0xRRGGBB
+   */
+  static interpolate(colors, t) {
+    const last = colors.length - 1;
+    const position = Math.max(0, Math.min(1, t)) * last;
+    const index = Math.max(0, Math.min(Math.floor(position), last - 1));
+    const fraction = position - index;
+    
+    const from = ResidueProperties._toRGB(colors[index]);
+    const to = ResidueProperties._toRGB(colors[Math.min(index + 1, last)]);
+    
+    return from.reduce((color, channel, i) => {
+      const value = Math.round(channel + (to[i] - channel) * fraction);
+      return (color << 8) | value;
+    }, 0);
+  }
+  
+  /**
+   * Split a color into channels
+   * @private
+   * @param {string|number} color - '#RRGGBB' or 0xRRGGBB
+   * @returns {Array<number>} Red, green and blue (0-255)
+   */
+  static _toRGB(color) {
+    const value = typeof color === 'number' ? color : parseInt(String(color).replace('#', ''), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  }
+  
+  /**
+   * Attach a property, replacing one of the same name
+   * @param {string} name - Property name (e.g. 'conservation')
+   * @param {Map<string, number>|Object<string, number>} values - Values by
+   *   residue ID (as in atom.residueId), "chain:resSeq" or "resSeq"
+   * @param {Object} [options] - Display options
+   * @param {string|Array<string|number>} [options.gradient] - Gradient (see getGradient)
+   * @param {number} [options.min] - Value at the low end of the gradient (default: the smallest value)
+   * @param {number} [options.max] - Value at the high end of the gradient (default: the largest value)
+   * @returns {Object} The property ({ name, values, gradient, min, max })
+   */
+  set(name, values, options = {}) {
+    const map = values instanceof Map ? new Map(values) : new Map(Object.entries(values));
+    
+    if (map.size === 0) {
+      throw new Error(`Property ${name} has no values`);
+    }
+    
+    const numbers = Array.from(map.values());
+    const property = {
+      name,
+      values: map,
+      gradient: ResidueProperties.getGradient(options.gradient || CONFIG.VISUALIZATION.RESIDUE_PROPERTIES.DEFAULT_GRADIENT),
+      min: options.min !== undefined ? options.min : Math.min(...numbers),
+      max: options.max !== undefined ? options.max : Math.max(...numbers)
+    };
+    
+    this.properties.set(name, property);
+    return property;
+  }
+  
+  /**
+   * Get a property
+   * @param {string} name - Property name
+   * @returns {Object|null} The property, or null if there is none of that name
+   */
+  get(name) {
+    return this.properties.get(name) || null;
+  }
+  
+  /**
+   * Get the names of the attached properties
+   * @returns {Array<string>} Property names
+   */
+  getNames() {
+    return Array.from(this.properties.keys());
+  }
+  
+  /**
+   * Remove a property
+   * @param {string} name - Property name
+   * @returns {boolean} True if the property existed
+   */
+  remove(name) {
+    return this.properties.delete(name);
+  }
+  
+  /**
+   * Check whether a color scheme is one of these properties or scales
+   * @param {string} scheme - Color scheme name
+   * @returns {boolean} True if getColor() handles the scheme
+   */
+  handles(scheme) {
+    if (HYDROPHOBICITY_SCALES[scheme]) return true;
+    
+    return typeof scheme === 'string' && scheme.startsWith(PROPERTY_PREFIX) &&
+      this.properties.has(scheme.slice(PROPERTY_PREFIX.length));
+  }
+  
+  /**
+   * Get the value of a residue in a scale or property
+   * @param {string} scheme - Color scheme name
+   * @param {Object} residue - Residue ({ id, name, sequence, chainID })
+   * @returns {number|null} Value, or null if the residue has none
+   */
+  getValue(scheme, residue) {
+    const scale = HYDROPHOBICITY_SCALES[scheme];
+    if (scale) {
+      const value = scale.values[PARENT_RESIDUES[residue.name] || residue.name];
+      return value !== undefined ? value : null;
+    }
+    
+    const property = this.get(scheme.slice(PROPERTY_PREFIX.length));
+    if (!property) return null;
+    
+    // Most to least specific key
+    const insertionCode = String(residue.id).split(':')[3] || '';
+    const keys = [residue.id, `${residue.chainID}:${residue.sequence}${insertionCode}`, `${residue.sequence}${insertionCode}`];
+    
+    for (const key of keys) {
+      if (property.values.has(key)) return property.values.get(key);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the color of a residue in a scale or property
+   * @param {string} scheme - Color scheme name (see handles())
+   * @param {Object} residue - Residue ({ id, name, sequence, chainID })
+   * @returns {number|string} Color; residues without a value get the missing-value color
+   */
+  getColor(scheme, residue) {
+    const value = residue ? this.getValue(scheme, residue) : null;
+    
+    if (value === null) {
+      return CONFIG.VISUALIZATION.RESIDUE_PROPERTIES.MISSING_COLOR;
+    }
+    
+    const scale = HYDROPHOBICITY_SCALES[scheme];
+    const range = scale || this.get(scheme.slice(PROPERTY_PREFIX.length));
+    const gradient = scale ? CONFIG.VISUALIZATION.RESIDUE_PROPERTIES.GRADIENTS.HYDROPHOBICITY : range.gradient;
+    const t = range.max > range.min ? (value - range.min) / (range.max - range.min) : 0.5;
+    
+    return ResidueProperties.interpolate(gradient, t);
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * ResidueTemplates.js - Bond templates for standard residues
+ * Intra-residue bonds and bond orders of the standard amino acids and
+ * nucleotides, plus the atoms that link consecutive residues of a polymer
+ */
+
+// Bonds are written as "ATOM1-ATOM2" (single), "ATOM1=ATOM2" (double),
+// "ATOM1#ATOM2" (triple) or "ATOM1:ATOM2" (aromatic)
+const AMINO_ACID_BACKBONE = 'N-CA CA-C C=O C-OXT';
+
+const AMINO_ACID_SIDE_CHAINS = {
+  ALA: 'CA-CB',
+  ARG: 'CA-CB CB-CG CG-CD CD-NE NE-CZ CZ-NH1 CZ=NH2',
+  ASN: 'CA-CB CB-CG CG=OD1 CG-ND2',
+  ASP: 'CA-CB CB-CG CG=OD1 CG-OD2',
+  CYS: 'CA-CB CB-SG',
+  GLN: 'CA-CB CB-CG CG-CD CD=OE1 CD-NE2',
+  GLU: 'CA-CB CB-CG CG-CD CD=OE1 CD-OE2',
+  GLY: '',
+  HIS: 'CA-CB CB-CG CG:ND1 ND1:CE1 CE1:NE2 NE2:CD2 CD2:CG',
+  ILE: 'CA-CB CB-CG1 CB-CG2 CG1-CD1',
+  LEU: 'CA-CB CB-CG CG-CD1 CG-CD2',
+  LYS: 'CA-CB CB-CG CG-CD CD-CE CE-NZ',
+  MET: 'CA-CB CB-CG CG-SD SD-CE',
+  MSE: 'CA-CB CB-CG CG-SE SE-CE',
+  PHE: 'CA-CB CB-CG CG:CD1 CD1:CE1 CE1:CZ CZ:CE2 CE2:CD2 CD2:CG',
+  PRO: 'CA-CB CB-CG CG-CD CD-N',
+  SER: 'CA-CB CB-OG',
+  THR: 'CA-CB CB-OG1 CB-CG2',
+  TRP: 'CA-CB CB-CG CG:CD1 CD1:NE1 NE1:CE2 CE2:CD2 CD2:CG ' +
+    'CE2:CZ2 CZ2:CH2 CH2:CZ3 CZ3:CE3 CE3:CD2',
+  TYR: 'CA-CB CB-CG CG:CD1 CD1:CE1 CE1:CZ CZ:CE2 CE2:CD2 CD2:CG CZ-OH',
+  VAL: 'CA-CB CB-CG1 CB-CG2'
+};
+
+// Phosphate and sugar, with both current and legacy phosphate oxygen names
+const NUCLEOTIDE_BACKBONE = "P-OP3 P=OP1 P-OP2 P-O3P P=O1P P-O2P P-O5' " +
+  "O5'-C5' C5'-C4' C4'-O4' C4'-C3' C3'-O3' C3'-C2' C2'-O2' C2'-C1' C1'-O4'";
+
+const NUCLEOTIDE_BASES = {
+  adenine: "C1'-N9 N9:C8 C8:N7 N7:C5 C5:C6 C6-N6 C6:N1 N1:C2 C2:N3 N3:C4 C4:C5 C4:N9",
+  guanine: "C1'-N9 N9:C8 C8:N7 N7:C5 C5:C6 C6=O6 C6:N1 N1:C2 C2-N2 C2:N3 N3:C4 C4:C5 C4:N9",
+  cytosine: "C1'-N1 N1:C2 C2=O2 C2:N3 N3:C4 C4-N4 C4:C5 C5:C6 C6:N1",
+  uracil: "C1'-N1 N1:C2 C2=O2 C2:N3 N3:C4 C4=O4 C4:C5 C5:C6 C6:N1",
+  thymine: "C1'-N1 N1:C2 C2=O2 C2:N3 N3:C4 C4=O4 C4:C5 C5:C6 C6:N1 C5-C7 C5-C5M"
+};
+
+const NUCLEOTIDES = {
+  A: 'adenine', DA: 'adenine',
+  G: 'guanine', DG: 'guanine',
+  C: 'cytosine', DC: 'cytosine',
+  U: 'uracil', DU: 'uracil',
+  T: 'thymine', DT: 'thymine'
+};
+
+// Bond symbols and the order they stand for
+const BOND_SYMBOLS = {
+  '-': { order: 1, isAromatic: false },
+  '=': { order: 2, isAromatic: false },
+  '#': { order: 3, isAromatic: false },
+  ':': { order: 1, isAromatic: true }
+};
+
+export class ResidueTemplates {
+  /**
+   * Create the template dictionary
+   */
+  constructor() {
+    this.templates = new Map();
+    
+    Object.entries(AMINO_ACID_SIDE_CHAINS).forEach(([name, sideChain]) => {
+      this.templates.set(name, this._createTemplate(`${AMINO_ACID_BACKBONE} ${sideChain}`));
+    });
+    
+    Object.entries(NUCLEOTIDES).forEach(([name, base]) => {
+      this.templates.set(name, this._createTemplate(`${NUCLEOTIDE_BACKBONE} ${NUCLEOTIDE_BASES[base]}`));
+    });
+    
+    // Atoms that link a residue to the next one in the chain: atom1 of
+    // the first residue bonds to atom2 of the next
+    this.polymerLinks = [
+      { atom1: 'C', atom2: 'N', isPeptideBond: true },
+      { atom1: "O3'", atom2: 'P', isPeptideBond: false }
+    ];
+  }
+  
+  /**
+   * Build a template from its bond list
+   * @private
+   * @param {string} definition - Space-separated bonds
+   * @returns {Object} Template ({ bonds, atomNames })
+   */
+  _createTemplate(definition) {
+    const bonds = [];
+    const atomNames = new Set();
+    
+    definition.split(/\s+/).filter(Boolean).forEach(entry => {
+      const match = entry.match(/^([^-=#:]+)([-=#:])([^-=#:]+)$/);
+      if (!match) return;
+      
+      const [, atom1, symbol, atom2] = match;
+      bonds.push({ atom1, atom2, ...BOND_SYMBOLS[symbol] });
+      atomNames.add(atom1);
+      atomNames.add(atom2);
+    });
+    
+    return { bonds, atomNames };
+  }
+  
+  /**
+   * Get the template of a residue
+   * @param {string} resName - Residue name
+   * @returns {Object|null} Template ({ bonds, atomNames }), or null if unknown
+   */
+  getTemplate(resName) {
+    return this.templates.get(resName) || null;
+  }
+  
+  /**
+   * Check whether a residue has a template
+   * @param {string} resName - Residue name
+   * @returns {boolean} True if the residue is known
+   */
+  hasTemplate(resName) {
+    return this.templates.has(resName);
+  }
+  
+  /**
+   * Get the links between consecutive residues of a polymer
+   * (peptide and phosphodiester bonds)
+   * @returns {Array} Links ({ atom1, atom2, isPeptideBond })
+   */
+  getPolymerLinks() {
+    return this.polymerLinks;
+  }
+}
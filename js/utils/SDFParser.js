@@ -0,0 +1,251 @@
+/**
+ * SDFParser.js - Parser for MDL molfiles and SD files (V2000 and V3000)
+ * Reads the atom and bond blocks, formal charges (including M  CHG lines)
+ * and the data items that follow each record of an SD file.
+ */
+
+import { SmallMoleculeParser } from './SmallMoleculeParser.js';
+
+// Formal charge for each V2000 atom block charge code (4 is a doublet radical)
+const V2000_CHARGES = { 1: 3, 2: 2, 3: 1, 4: 0, 5: -1, 6: -2, 7: -3 };
+
+export class SDFParser extends SmallMoleculeParser {
+  /**
+   * Read the records of an SD file (a single molfile is one record)
+   * @protected
+   * @param {string} text - Text content of the file
+   * @returns {Array<Object>} Molecules
+   */
+  _readMolecules(text) {
+    const molecules = [];
+    const lines = text.split(/\r?\n/);
+    let start = 0;
+    
+    for (let i = 0; i <= lines.length; i++) {
+      if (i < lines.length && lines[i].trim() !== '$$$$') continue;
+      
+      const record = lines.slice(start, i);
+      start = i + 1;
+      
+      if (record.some(line => line.trim())) {
+        try {
+          molecules.push(this._readRecord(record));
+        } catch (error) {
+          console.warn(`Skipping unreadable SD record ${molecules.length + 1}:`, error);
+        }
+      }
+    }
+    
+    return molecules;
+  }
+  
+  /**
+   * Read one molfile and its data items
+   * @private
+   * @param {Array<string>} lines - Lines of the record
+   * @returns {Object} Molecule
+   */
+  _readRecord(lines) {
+    if (lines.length < 4) {
+      throw new Error('Molfile is too short');
+    }
+    
+    const molecule = {
+      name: lines[0].trim(),
+      properties: {},
+      atoms: [],
+      bonds: []
+    };
+    
+    const countsLine = lines[3];
+    const end = countsLine.includes('V3000') ?
+      this._readV3000(lines, molecule) :
+      this._readV2000(lines, molecule);
+    
+    this._nameAtoms(molecule.atoms);
+    this._readDataItems(lines, end, molecule);
+    
+    return molecule;
+  }
+  
+  /**
+   * Read a V2000 connection table
+   * @private
+   * @param {Array<string>} lines - Lines of the record
+   * @param {Object} molecule - Molecule to fill
+   * @returns {number} Index of the line after M  END
+   */
+  _readV2000(lines, molecule) {
+    const countsLine = lines[3];
+    const atomCount = parseInt(countsLine.substring(0, 3)) || 0;
+    const bondCount = parseInt(countsLine.substring(3, 6)) || 0;
+    
+    if (lines.length < 4 + atomCount + bondCount) {
+      throw new Error('Molfile ends inside its atom or bond block');
+    }
+    
+    for (let i = 0; i < atomCount; i++) {
+      const line = lines[4 + i];
+      const chargeCode = parseInt(line.substring(36, 39)) || 0;
+      
+      molecule.atoms.push({
+        element: line.substring(31, 34).trim(),
+        x: parseFloat(line.substring(0, 10)) || 0,
+        y: parseFloat(line.substring(10, 20)) || 0,
+        z: parseFloat(line.substring(20, 30)) || 0,
+        formalCharge: V2000_CHARGES[chargeCode] || 0
+      });
+    }
+    
+    for (let i = 0; i < bondCount; i++) {
+      const line = lines[4 + atomCount + i];
+      this._addBond(
+        molecule,
+        parseInt(line.substring(0, 3)),
+        parseInt(line.substring(3, 6)),
+        parseInt(line.substring(6, 9))
+      );
+    }
+    
+    // Properties block; a charge property replaces all atom block charges
+    let index = 4 + atomCount + bondCount;
+    let chargesReset = false;
+    
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.startsWith('M  END')) return index + 1;
+      
+      if (line.startsWith('M  CHG')) {
+        if (!chargesReset) {
+          molecule.atoms.forEach(atom => { atom.formalCharge = 0; });
+          chargesReset = true;
+        }
+        
+        const values = line.substring(9).trim().split(/\s+/).map(value => parseInt(value));
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          const atom = molecule.atoms[values[i] - 1];
+          if (atom) atom.formalCharge = values[i + 1] || 0;
+        }
+      }
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Read a V3000 connection table
+   * @private
+   * @param {Array<string>} lines - Lines of the record
+   * @param {Object} molecule - Molecule to fill
+   * @returns {number} Index of the line after M  END
+   */
+  _readV3000(lines, molecule) {
+    // Atom numbers of the file, which need not be consecutive
+    const atomIndices = new Map();
+    let block = null;
+    let pending = '';
+    let index = 4;
+    
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.startsWith('M  END')) return index + 1;
+      if (!line.startsWith('M  V30 ')) continue;
+      
+      // A trailing dash continues the entry on the next line
+      const content = pending + line.substring(7);
+      if (content.endsWith('-')) {
+        pending = content.slice(0, -1);
+        continue;
+      }
+      pending = '';
+      
+      const fields = content.trim().split(/\s+/);
+      
+      if (fields[0] === 'BEGIN' || fields[0] === 'END') {
+        block = fields[0] === 'BEGIN' ? fields[1] : null;
+        continue;
+      }
+      
+      if (block === 'ATOM') {
+        const charge = fields.slice(6).find(field => field.startsWith('CHG='));
+        
+        atomIndices.set(fields[0], molecule.atoms.length);
+        molecule.atoms.push({
+          element: fields[1],
+          x: parseFloat(fields[2]) || 0,
+          y: parseFloat(fields[3]) || 0,
+          z: parseFloat(fields[4]) || 0,
+          formalCharge: charge ? parseInt(charge.substring(4)) || 0 : 0
+        });
+      } else if (block === 'BOND') {
+        const index1 = atomIndices.get(fields[2]);
+        const index2 = atomIndices.get(fields[3]);
+        
+        if (index1 !== undefined && index2 !== undefined) {
+          this._addBond(molecule, index1 + 1, index2 + 1, parseInt(fields[1]));
+        }
+      }
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Add a bond given by one-based atom numbers and an MDL bond type
+   * @private
+   * @param {Object} molecule - Molecule to fill
+   * @param {number} atom1 - First atom number
+   * @param {number} atom2 - Second atom number
+   * @param {number} bondType - 1-3 single to triple, 4 aromatic; query types 5-8 count as single
+   */
+  _addBond(molecule, atom1, atom2, bondType) {
+    if (!(atom1 >= 1 && atom1 <= molecule.atoms.length) ||
+        !(atom2 >= 1 && atom2 <= molecule.atoms.length) || atom1 === atom2) {
+      console.warn(`Skipping bond between unknown atoms ${atom1} and ${atom2}`);
+      return;
+    }
+    
+    molecule.bonds.push({
+      index1: atom1 - 1,
+      index2: atom2 - 1,
+      order: bondType >= 1 && bondType <= 3 ? bondType : 1,
+      isAromatic: bondType === 4
+    });
+  }
+  
+  /**
+   * Read the data items (> <NAME> followed by value lines) after the connection table
+   * @private
+   * @param {Array<string>} lines - Lines of the record
+   * @param {number} start - Index of the first line after M  END
+   * @param {Object} molecule - Molecule to fill
+   */
+  _readDataItems(lines, start, molecule) {
+    let name = null;
+    let values = [];
+    
+    const flush = () => {
+      if (name !== null) {
+        molecule.properties[name] = values.join('\n');
+      }
+      name = null;
+      values = [];
+    };
+    
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i];
+      
+      if (line.startsWith('>')) {
+        flush();
+        const match = line.match(/<([^>]*)>/);
+        name = match ? match[1] : line.substring(1).trim();
+      } else if (!line.trim()) {
+        flush();
+      } else if (name !== null) {
+        values.push(line);
+      }
+    }
+    
+    flush();
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * SmallMoleculeParser.js - Base class for small-molecule formats
+ * Turns the molecules read by a format (SDF/MOL, MOL2, XYZ) into the same
+ * data model as PDBParser.parse(), keeping the bond orders given in the file.
+ * Records with the same atoms in the same order (docking poses, XYZ frames)
+ * become models; other records become separate residues.
+ */
+
+import { PDBParser } from './PDBParser.js';
+
+export class SmallMoleculeParser extends PDBParser {
+  /**
+   * Create a new small-molecule parser
+   */
+  constructor() {
+    super();
+    
+    // PDB residue name for unnamed molecules (unknown ligand)
+    this.defaultResName = 'UNL';
+  }
+  
+  /**
+   * Parse small-molecule file content
+   * @param {string} text - Text content of the file
+   * @param {Object} [options] - Parse options
+   * @param {Function} [options.onProgress] - Called with (progress 0-1, status)
+   * @returns {Structure} Parsed structure data (same shape as PDBParser.parse())
+   */
+  parse(text, options = {}) {
+    this.onProgress = options.onProgress || null;
+    
+    this._reportProgress(0, 'Parsing atoms');
+    const molecules = this._readMolecules(text).filter(molecule => molecule.atoms.length > 0);
+    
+    const result = this._createResult();
+    
+    if (molecules.length > 0) {
+      result.metadata.title = molecules[0].name || '';
+      result.metadata.molecules = molecules.map(molecule => ({
+        name: molecule.name || '',
+        properties: molecule.properties || {}
+      }));
+    }
+    
+    if (molecules.length > 1 && molecules.every(molecule => this._isSameTopology(molecules[0], molecule))) {
+      // Poses or frames of one molecule
+      this._addMolecule(molecules[0], 1, result);
+      
+      molecules.forEach((molecule, index) => {
+        this._beginModel(index + 1, result);
+        if (index === 0) return;
+        
+        const coordinates = result.models[index].coordinates;
+        molecule.atoms.forEach((atom, i) => {
+          coordinates[i * 3] = atom.x;
+          coordinates[i * 3 + 1] = atom.y;
+          coordinates[i * 3 + 2] = atom.z;
+        });
+      });
+    } else {
+      molecules.forEach((molecule, index) => this._addMolecule(molecule, index + 1, result));
+    }
+    
+    this._postProcess(result);
+    
+    this.onProgress = null;
+    
+    return result;
+  }
+  
+  /**
+   * Read the molecules of a file; implemented by each format
+   * @protected
+   * @param {string} text - Text content of the file
+   * @returns {Array<Object>} Molecules ({ name, properties, atoms, bonds }). Atoms have
+   *   name, element, x, y, z and optionally formalCharge, charge, resName and resSeq;
+   *   bonds have index1, index2 (zero-based), order and isAromatic.
+   */
+  _readMolecules(text) {
+    throw new Error('SmallMoleculeParser subclasses must implement _readMolecules()');
+  }
+  
+  /**
+   * Add the atoms and bonds of a molecule to the result
+   * @private
+   * @param {Object} molecule - Molecule from _readMolecules()
+   * @param {number} resSeq - Residue number for atoms that have none
+   * @param {Object} result - Result object to update
+   */
+  _addMolecule(molecule, resSeq, result) {
+    const offset = result.atoms.length;
+    
+    molecule.atoms.forEach(source => {
+      const atom = {
+        id: result.atoms.length + 1,
+        name: source.name,
+        altLoc: '',
+        resName: source.resName || this.defaultResName,
+        chainID: this.defaultChainID,
+        resSeq: source.resSeq !== undefined ? source.resSeq : resSeq,
+        iCode: '',
+        x: source.x,
+        y: source.y,
+        z: source.z,
+        occupancy: 1.0,
+        tempFactor: 0.0,
+        element: source.element.toUpperCase(),
+        formalCharge: source.formalCharge || 0,
+        type: this.recordTypes.HETATM,
+        isHetAtm: true
+      };
+      
+      if (source.charge !== undefined) {
+        atom.charge = source.charge;
+      }
+      
+      this._addAtom(atom, result);
+      
+      // Anything that is not a polymer residue or water counts as a ligand
+      atom.isLigand = !atom.isAminoAcid && !atom.isNucleicAcid && !atom.isSolvent;
+    });
+    
+    molecule.bonds.forEach(bond => {
+      const bondData = {
+        atomIndex1: offset + bond.index1,
+        atomIndex2: offset + bond.index2,
+        type: bond.order
+      };
+      
+      if (bond.isAromatic) {
+        bondData.isAromatic = true;
+      }
+      
+      result.bonds.push(bondData);
+    });
+  }
+  
+  /**
+   * Check whether two molecules have the same atoms in the same order
+   * @private
+   * @param {Object} molecule1 - First molecule
+   * @param {Object} molecule2 - Second molecule
+   * @returns {boolean} True if the second can be a model of the first
+   */
+  _isSameTopology(molecule1, molecule2) {
+    return molecule1.atoms.length === molecule2.atoms.length &&
+      molecule1.atoms.every((atom, i) => atom.element.toUpperCase() === molecule2.atoms[i].element.toUpperCase());
+  }
+  
+  /**
+   * Keep the bonds given in the file; files without bonds (XYZ) are
+   * bonded by distance
+   * @protected
+   * @param {Object} result - Result object to update
+   */
+  _calculateBonds(result) {
+    if (result.bonds.length === 0) {
+      result.bonds = this.bondCalculator.calculateBonds(result.atoms);
+    }
+  }
+  
+  /**
+   * Name atoms by element and a running number (C1, C2, O1, ...)
+   * @protected
+   * @param {Array<Object>} atoms - Atoms with an element but no name
+   */
+  _nameAtoms(atoms) {
+    const counts = {};
+    
+    atoms.forEach(atom => {
+      const element = atom.element.toUpperCase();
+      counts[element] = (counts[element] || 0) + 1;
+      atom.name = `${element}${counts[element]}`;
+    });
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * SpatialGrid.js - Uniform grid (cell list) for neighbor searches
+ * Buckets points into cubic cells so that all points within a distance
+ * can be found by visiting a few neighboring cells, in close to linear time
+ */
+
+export class SpatialGrid {
+  /**
+   * Build a grid over a set of points
+   * @param {Array<Object>} points - Points with x, y and z (e.g. THREE.Vector3)
+   * @param {number} cellSize - Edge length of a cell; usually the search distance
+   * @param {Object} [options] - Grid options
+   * @param {number} [options.maxCellsPerPoint=8] - Cell budget per point; the
+   *   cell size grows for sparse point sets so memory stays proportional to the points
+   */
+  constructor(points, cellSize, options = {}) {
+    this.points = points;
+    this.count = points.length;
+    
+    const maxCellsPerPoint = options.maxCellsPerPoint || 8;
+    
+    // Bounds of the points
+    this.min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    
+    for (let i = 0; i < this.count; i++) {
+      const point = points[i];
+      if (point.x < this.min.x) this.min.x = point.x;
+      if (point.y < this.min.y) this.min.y = point.y;
+      if (point.z < this.min.z) this.min.z = point.z;
+      if (point.x > max.x) max.x = point.x;
+      if (point.y > max.y) max.y = point.y;
+      if (point.z > max.z) max.z = point.z;
+    }
+    
+    if (this.count === 0) {
+      this.min = { x: 0, y: 0, z: 0 };
+      max.x = max.y = max.z = 0;
+    }
+    
+    // Grow the cells until the grid fits the budget
+    const maxCells = Math.max(64, this.count * maxCellsPerPoint);
+    let size = Math.max(cellSize, 1e-3);
+    
+    for (;;) {
+      this.nx = Math.floor((max.x - this.min.x) / size) + 1;
+      this.ny = Math.floor((max.y - this.min.y) / size) + 1;
+      this.nz = Math.floor((max.z - this.min.z) / size) + 1;
+      
+      if (this.nx * this.ny * this.nz <= maxCells) break;
+      size *= 1.26; // Roughly halves the cell count
+    }
+    
+    this.cellSize = size;
+    
+    // Counting sort of the points by cell
+    const cellCount = this.nx * this.ny * this.nz;
+    const cellOfPoint = new Uint32Array(this.count);
+    this.cellStart = new Uint32Array(cellCount + 1);
+    
+    for (let i = 0; i < this.count; i++) {
+      const point = points[i];
+      const cell = this._cellIndex(
+        this._cellCoordinate(point.x, this.min.x, this.nx),
+        this._cellCoordinate(point.y, this.min.y, this.ny),
+        this._cellCoordinate(point.z, this.min.z, this.nz)
+      );
+      cellOfPoint[i] = cell;
+      this.cellStart[cell + 1]++;
+    }
+    
+    for (let cell = 0; cell < cellCount; cell++) {
+      this.cellStart[cell + 1] += this.cellStart[cell];
+    }
+    
+    const offsets = this.cellStart.slice(0, cellCount);
+    this.cellItems = new Uint32Array(this.count);
+    
+    for (let i = 0; i < this.count; i++) {
+      this.cellItems[offsets[cellOfPoint[i]]++] = i;
+    }
+  }
+  
+  /**
+   * Get the cell coordinate of a value along one axis, clamped to the grid
+   * @private
+   * @param {number} value - Coordinate
+   * @param {number} min - Grid origin along the axis
+   * @param {number} cells - Number of cells along the axis
+   * @returns {number} Cell coordinate
+   */
+  _cellCoordinate(value, min, cells) {
+    const coordinate = Math.floor((value - min) / this.cellSize);
+    return coordinate < 0 ? 0 : (coordinate >= cells ? cells - 1 : coordinate);
+  }
+  
+  /**
+   * Get the linear index of a cell
+   * @private
+   * @param {number} i - Cell x coordinate
+   * @param {number} j - Cell y coordinate
+   * @param {number} k - Cell z coordinate
+   * @returns {number} Cell index
+   */
+  _cellIndex(i, j, k) {
+    return (k * this.ny + j) * this.nx + i;
+  }
+  
+  /**
+   * Visit every point within a distance of a position
+   * @param {Object} position - Position with x, y and z
+   * @param {number} radius - Search distance
+   * @param {Function} callback - Called with (index, distanceSquared); return
+   *   true to stop the search
+   * @returns {boolean} True if the callback stopped the search
+   */
+  forEachWithin(position, radius, callback) {
+    if (this.count === 0) return false;
+    
+    const radiusSq = radius * radius;
+    
+    const iMin = this._cellCoordinate(position.x - radius, this.min.x, this.nx);
+    const iMax = this._cellCoordinate(position.x + radius, this.min.x, this.nx);
+    const jMin = this._cellCoordinate(position.y - radius, this.min.y, this.ny);
+    const jMax = this._cellCoordinate(position.y + radius, this.min.y, this.ny);
+    const kMin = this._cellCoordinate(position.z - radius, this.min.z, this.nz);
+    const kMax = this._cellCoordinate(position.z + radius, this.min.z, this.nz);
+    
+    for (let k = kMin; k <= kMax; k++) {
+      for (let j = jMin; j <= jMax; j++) {
+        for (let i = iMin; i <= iMax; i++) {
+          const cell = this._cellIndex(i, j, k);
+          const end = this.cellStart[cell + 1];
+          
+          for (let n = this.cellStart[cell]; n < end; n++) {
+            const index = this.cellItems[n];
+            const point = this.points[index];
+            const dx = point.x - position.x;
+            const dy = point.y - position.y;
+            const dz = point.z - position.z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            
+            if (distanceSq <= radiusSq && callback(index, distanceSq)) {
+              return true;
+            }
+          }
+        }
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Visit every pair of points within a distance of each other, once
+   * @param {number} radius - Pair distance
+   * @param {Function} callback - Called with (index1, index2, distanceSquared), index1 < index2
+   */
+  forEachPair(radius, callback) {
+    for (let index1 = 0; index1 < this.count; index1++) {
+      this.forEachWithin(this.points[index1], radius, (index2, distanceSq) => {
+        if (index2 > index1) {
+          callback(index1, index2, distanceSq);
+        }
+      });
+    }
+  }
+}
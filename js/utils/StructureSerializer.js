@@ -0,0 +1,128 @@
+/**
+ * StructureSerializer.js - Packs parsed structures for transfer between threads
+ * Moves atom coordinates and bonds into transferable typed arrays and
+ * rebuilds the THREE.js objects that structured cloning cannot carry
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+
+// Bond flags packed into one byte per bond
+const BOND_FLAGS = ['isAromatic', 'isPeptideBond', 'isDisulfide', 'isConjugated'];
+
+export class StructureSerializer {
+  /**
+   * Pack a parsed structure for postMessage. The structure is modified:
+   * atom positions and bonds are moved into typed arrays.
+   * @param {Object} result - Parsed structure (from PDBLoader or MMCIFParser)
+   * @returns {Object} Message payload ({ payload, transfer })
+   */
+  serialize(result) {
+    const atoms = result.atoms;
+    const bonds = result.bonds || [];
+    
+    // Atom positions; the atoms themselves are cloned without them
+    const positions = new Float64Array(atoms.length * 3);
+    atoms.forEach((atom, i) => {
+      positions[i * 3] = atom.position.x;
+      positions[i * 3 + 1] = atom.position.y;
+      positions[i * 3 + 2] = atom.position.z;
+      delete atom.position;
+    });
+    
+    // Bonds as index pairs, orders, flags and distances (NaN if unknown)
+    const bondIndices = new Uint32Array(bonds.length * 2);
+    const bondTypes = new Uint8Array(bonds.length);
+    const bondFlags = new Uint8Array(bonds.length);
+    const bondDistances = new Float32Array(bonds.length);
+    
+    bonds.forEach((bond, i) => {
+      bondIndices[i * 2] = bond.atomIndex1;
+      bondIndices[i * 2 + 1] = bond.atomIndex2;
+      bondTypes[i] = bond.type || 1;
+      bondDistances[i] = bond.distance === undefined ? NaN : bond.distance;
+      
+      BOND_FLAGS.forEach((flag, bit) => {
+        if (bond[flag]) bondFlags[i] |= 1 << bit;
+      });
+    });
+    
+    const payload = Object.assign({}, result, {
+      bonds: { indices: bondIndices, types: bondTypes, flags: bondFlags, distances: bondDistances },
+      positions,
+      boundingBox: result.boundingBox ? result.boundingBox.min.toArray().concat(result.boundingBox.max.toArray()) : null,
+      centerOfMass: result.centerOfMass ? result.centerOfMass.toArray() : null,
+      assemblies: (result.assemblies || []).map(assembly => Object.assign({}, assembly, {
+        generators: assembly.generators.map(generator => Object.assign({}, generator, {
+          operators: generator.operators.map(operator => Object.assign({}, operator, {
+            matrix: operator.matrix.toArray()
+          }))
+        }))
+      }))
+    });
+    
+    // Each buffer may only be listed once
+    const transfer = new Set([
+      positions.buffer, bondIndices.buffer, bondTypes.buffer, bondFlags.buffer, bondDistances.buffer
+    ]);
+    (result.models || []).forEach(model => {
+      if (model.coordinates && model.coordinates.buffer) {
+        transfer.add(model.coordinates.buffer);
+      }
+    });
+    
+    return { payload, transfer: Array.from(transfer) };
+  }
+  
+  /**
+   * Rebuild a parsed structure from a serialized payload
+   * @param {Object} payload - Payload from serialize()
+   * @returns {Object} Parsed structure, as returned by the synchronous parsers
+   */
+  deserialize(payload) {
+    const result = Object.assign({}, payload);
+    const { positions } = payload;
+    delete result.positions;
+    
+    result.atoms.forEach((atom, i) => {
+      atom.position = new THREE.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    });
+    
+    const { indices, types, flags, distances } = payload.bonds;
+    result.bonds = new Array(types.length);
+    
+    for (let i = 0; i < types.length; i++) {
+      const bond = { atomIndex1: indices[i * 2], atomIndex2: indices[i * 2 + 1], type: types[i] };
+      
+      if (!Number.isNaN(distances[i])) {
+        bond.distance = distances[i];
+      }
+      
+      BOND_FLAGS.forEach((flag, bit) => {
+        if (flags[i] & (1 << bit)) bond[flag] = true;
+      });
+      
+      result.bonds[i] = bond;
+    }
+    
+    if (payload.boundingBox) {
+      result.boundingBox = new THREE.Box3(
+        new THREE.Vector3().fromArray(payload.boundingBox, 0),
+        new THREE.Vector3().fromArray(payload.boundingBox, 3)
+      );
+    }
+    
+    if (payload.centerOfMass) {
+      result.centerOfMass = new THREE.Vector3().fromArray(payload.centerOfMass);
+    }
+    
+    result.assemblies.forEach(assembly => {
+      assembly.generators.forEach(generator => {
+        generator.operators.forEach(operator => {
+          operator.matrix = new THREE.Matrix4().fromArray(operator.matrix);
+        });
+      });
+    });
+    
+    return result;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Superposition.js - Least-squares superposition of coordinate sets
+ * Finds the rotation that best fits a subset of atoms onto a reference with
+ * Horn's quaternion method (the largest eigenvector of a 4x4 matrix built
+ * from the cross-covariance) and applies it to whole coordinate arrays
+ */
+
+export class Superposition {
+  /**
+   * Create a superposition onto reference coordinates
+   * @param {Float32Array} reference - Reference coordinates as x, y, z triples
+   * @param {Array<number>} indices - Atoms to fit on (e.g. the C-alpha atoms)
+   */
+  constructor(reference, indices) {
+    if (indices.length < 3) {
+      throw new Error('Superposition needs at least three atoms');
+    }
+    
+    this.indices = indices;
+    this.referenceCenter = this._getCenter(reference);
+    
+    // Centered reference positions of the fitted atoms
+    this.reference = new Float64Array(indices.length * 3);
+    indices.forEach((atom, i) => {
+      for (let axis = 0; axis < 3; axis++) {
+        this.reference[i * 3 + axis] = reference[atom * 3 + axis] - this.referenceCenter[axis];
+      }
+    });
+  }
+  
+  /**
+   * Superimpose coordinates on the reference, in place
+   * @param {Float32Array} coordinates - Coordinates to move
+   * @returns {number} RMSD of the fitted atoms after superposition, in Angstroms
+   */
+  fit(coordinates) {
+    const center = this._getCenter(coordinates);
+    const rotation = this._getRotation(coordinates, center);
+    const count = coordinates.length / 3;
+    
+    for (let i = 0; i < count; i++) {
+      const x = coordinates[i * 3] - center[0];
+      const y = coordinates[i * 3 + 1] - center[1];
+      const z = coordinates[i * 3 + 2] - center[2];
+      
+      for (let axis = 0; axis < 3; axis++) {
+        coordinates[i * 3 + axis] = rotation[axis * 3] * x + rotation[axis * 3 + 1] * y +
+          rotation[axis * 3 + 2] * z + this.referenceCenter[axis];
+      }
+    }
+    
+    return this._getRMSD(coordinates);
+  }
+  
+  /**
+   * Centroid of the fitted atoms
+   * @private
+   * @param {Float32Array} coordinates - Coordinates
+   * @returns {Array<number>} Centroid
+   */
+  _getCenter(coordinates) {
+    const center = [0, 0, 0];
+    
+    this.indices.forEach(atom => {
+      center[0] += coordinates[atom * 3];
+      center[1] += coordinates[atom * 3 + 1];
+      center[2] += coordinates[atom * 3 + 2];
+    });
+    
+    return center.map(value => value / this.indices.length);
+  }
+  
+  /**
+   * Optimal rotation of the fitted atoms onto the reference
+   * @private
+   * @param {Float32Array} coordinates - Coordinates to fit
+   * @param {Array<number>} center - Their centroid
+   * @returns {Array<number>} Rotation matrix, row-major
+   */
+  _getRotation(coordinates, center) {
+    // Cross-covariance S[a][b] = sum of mobile a times reference b
+    const s = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+    
+    this.indices.forEach((atom, i) => {
+      for (let a = 0; a < 3; a++) {
+        const mobile = coordinates[atom * 3 + a] - center[a];
+        
+        for (let b = 0; b < 3; b++) {
+          s[a * 3 + b] += mobile * this.reference[i * 3 + b];
+        }
+      }
+    });
+    
+    const [sxx, sxy, sxz, syx, syy, syz, szx, szy, szz] = s;
+    const n = [
+      [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+      [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+      [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+      [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+    ];
+    
+    const [w, x, y, z] = this._getLargestEigenvector(n);
+    
+    return [
+      w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y),
+      2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x),
+      2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z
+    ];
+  }
+  
+  /**
+   * Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix, by
+   * Jacobi rotations
+   * @private
+   * @param {Array<Array<number>>} matrix - Symmetric matrix (modified)
+   * @returns {Array<number>} Unit eigenvector
+   */
+  _getLargestEigenvector(matrix) {
+    const a = matrix;
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+    
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let offDiagonal = 0;
+      for (let p = 0; p < 3; p++) {
+        for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+      }
+      if (offDiagonal < 1e-22) break;
+      
+      for (let p = 0; p < 3; p++) {
+        for (let q = p + 1; q < 4; q++) {
+          if (Math.abs(a[p][q]) < 1e-30) continue;
+          
+          // Rotation angle that zeroes a[p][q]
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const sn = t * c;
+          
+          for (let k = 0; k < 4; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - sn * akq;
+            a[k][q] = sn * akp + c * akq;
+          }
+          
+          for (let k = 0; k < 4; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - sn * aqk;
+            a[q][k] = sn * apk + c * aqk;
+          }
+          
+          for (let k = 0; k < 4; k++) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - sn * vkq;
+            v[k][q] = sn * vkp + c * vkq;
+          }
+        }
+      }
+    }
+    
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (a[i][i] > a[largest][largest]) largest = i;
+    }
+    
+    const vector = v.map(row => row[largest]);
+    const length = Math.hypot(...vector) || 1;
+    return vector.map(value => value / length);
+  }
+  
+  /**
+   * Root mean square deviation of the fitted atoms from the reference
+   * @private
+   * @param {Float32Array} coordinates - Superimposed coordinates
+   * @returns {number} RMSD
+   */
+  _getRMSD(coordinates) {
+    let sum = 0;
+    
+    this.indices.forEach((atom, i) => {
+      for (let axis = 0; axis < 3; axis++) {
+        const d = coordinates[atom * 3 + axis] - this.referenceCenter[axis] - this.reference[i * 3 + axis];
+        sum += d * d;
+      }
+    });
+    
+    return Math.sqrt(sum / this.indices.length);
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * SurfaceBuilder.js - Molecular surface geometry from atom spheres
+ * Builds van der Waals, solvent-accessible and solvent-excluded surfaces as
+ * the zero level of a signed distance field on a grid sized to a point
+ * budget. The solvent-excluded field comes from a Euclidean distance
+ * transform of the solvent-accessible region.
+ * Has no THREE.js dependency so it can run in a Web Worker.
+ */
+
+import { MarchingCubes } from './MarchingCubes.js';
+
+// Supported surface types
+const SURFACE_TYPES = ['vdw', 'sas', 'ses'];
+
+export class SurfaceBuilder {
+  /**
+   * Create a new surface builder
+   * @param {Object} [options] - Surface options
+   * @param {string} [options.type='ses'] - 'vdw' (van der Waals), 'sas'
+   *   (solvent-accessible) or 'ses' (solvent-excluded)
+   * @param {number} [options.probeRadius=1.4] - Solvent probe radius
+   * @param {number} [options.resolution=0.6] - Finest grid spacing in angstroms
+   * @param {number} [options.smoothing=0] - Number of box-blur passes over the field
+   * @param {number} [options.maxGridPoints=2000000] - Grid point budget; the
+   *   spacing grows for large structures so the grid stays within it
+   */
+  constructor(options = {}) {
+    this.type = options.type || 'ses';
+    this.probeRadius = options.probeRadius !== undefined ? options.probeRadius : 1.4;
+    this.resolution = options.resolution || 0.6;
+    this.smoothing = options.smoothing || 0;
+    this.maxGridPoints = options.maxGridPoints || 2000000;
+    
+    if (!SURFACE_TYPES.includes(this.type)) {
+      throw new Error(`Unknown surface type: ${this.type}`);
+    }
+    
+    this.marchingCubes = new MarchingCubes();
+  }
+  
+  /**
+   * Build the surface of a set of atoms
+   * @param {Float32Array} positions - Atom positions as x, y, z triples
+   * @param {Float32Array} radii - Atom radii
+   * @returns {Object} Indexed triangle mesh ({ positions, normals, indices })
+   */
+  build(positions, radii) {
+    const expansion = this.type === 'vdw' ? 0 : this.probeRadius;
+    const grid = this._createGrid(positions, radii, expansion);
+    
+    let field;
+    if (this.type === 'ses') {
+      field = this._computeExcludedField(positions, radii, grid);
+    } else {
+      field = this._computeSphereField(positions, radii, expansion, grid).field;
+    }
+    
+    for (let i = 0; i < this.smoothing; i++) {
+      this._blur(field, grid.dims);
+    }
+    
+    return this.marchingCubes.polygonize(field, grid, 0);
+  }
+  
+  /**
+   * Create a grid enclosing the expanded atom spheres, as fine as the
+   * resolution allows within the point budget
+   * @private
+   * @param {Float32Array} positions - Atom positions
+   * @param {Float32Array} radii - Atom radii
+   * @param {number} expansion - Distance added to each radius
+   * @returns {Object} Grid ({ dims, origin, spacing })
+   */
+  _createGrid(positions, radii, expansion) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let maxRadius = 0;
+    
+    for (let i = 0; i < radii.length; i++) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = positions[i * 3 + axis];
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
+      }
+      maxRadius = Math.max(maxRadius, radii[i]);
+    }
+    
+    if (radii.length === 0) {
+      min.fill(0);
+      max.fill(0);
+    }
+    
+    const reach = maxRadius + expansion;
+    const layout = (spacing) => {
+      // Room for the largest sphere plus two empty layers of cells
+      const padding = reach + 2 * spacing;
+      const origin = min.map(value => value - padding);
+      const dims = max.map((value, axis) => Math.ceil((value + padding - origin[axis]) / spacing) + 1);
+      return { dims, origin, spacing };
+    };
+    
+    // Start from the spacing that fits the budget, then widen it until the grid does
+    const volume = max.reduce((product, value, axis) => product * (value - min[axis] + 2 * reach), 1);
+    let grid = layout(Math.max(this.resolution, Math.cbrt(volume / this.maxGridPoints)));
+    
+    while (grid.dims[0] * grid.dims[1] * grid.dims[2] > this.maxGridPoints) {
+      grid = layout(grid.spacing * 1.05);
+    }
+    
+    return grid;
+  }
+  
+  /**
+   * Signed distance to the union of the atom spheres, positive inside.
+   * Values are exact within a band around the surface and clamped beyond it.
+   * @private
+   * @param {Float32Array} positions - Atom positions
+   * @param {Float32Array} radii - Atom radii
+   * @param {number} expansion - Distance added to each radius
+   * @param {Object} grid - Grid from _createGrid
+   * @returns {Object} Field and, per grid point, the atom whose sphere is
+   *   nearest ({ field, nearest }; -1 beyond the band)
+   */
+  _computeSphereField(positions, radii, expansion, grid) {
+    const [nx, ny, nz] = grid.dims;
+    const { origin, spacing } = grid;
+    const band = 2 * spacing;
+    const field = new Float32Array(nx * ny * nz).fill(-band);
+    const nearest = new Int32Array(nx * ny * nz).fill(-1);
+    
+    for (let a = 0; a < radii.length; a++) {
+      const x = positions[a * 3];
+      const y = positions[a * 3 + 1];
+      const z = positions[a * 3 + 2];
+      const radius = radii[a] + expansion;
+      const cutoff = radius + band;
+      
+      const iMin = Math.max(0, Math.floor((x - cutoff - origin[0]) / spacing));
+      const iMax = Math.min(nx - 1, Math.ceil((x + cutoff - origin[0]) / spacing));
+      const jMin = Math.max(0, Math.floor((y - cutoff - origin[1]) / spacing));
+      const jMax = Math.min(ny - 1, Math.ceil((y + cutoff - origin[1]) / spacing));
+      const kMin = Math.max(0, Math.floor((z - cutoff - origin[2]) / spacing));
+      const kMax = Math.min(nz - 1, Math.ceil((z + cutoff - origin[2]) / spacing));
+      
+      for (let k = kMin; k <= kMax; k++) {
+        const dz = origin[2] + k * spacing - z;
+        
+        for (let j = jMin; j <= jMax; j++) {
+          const dy = origin[1] + j * spacing - y;
+          const row = (k * ny + j) * nx;
+          
+          for (let i = iMin; i <= iMax; i++) {
+            const dx = origin[0] + i * spacing - x;
+            const value = radius - Math.sqrt(dx * dx + dy * dy + dz * dz);
+            
+            if (value > field[row + i]) {
+              field[row + i] = value;
+              nearest[row + i] = a;
+            }
+          }
+        }
+      }
+    }
+    
+    return { field, nearest };
+  }
+  
+  /**
+   * Signed distance to the solvent-excluded surface, positive inside.
+   * A point lies inside when no probe sphere outside the solvent-accessible
+   * region reaches it, i.e. when it is more than a probe radius from that
+   * region's boundary. The distance is taken from a distance transform seeded
+   * with exact boundary points just outside the region.
+   * @private
+   * @param {Float32Array} positions - Atom positions
+   * @param {Float32Array} radii - Atom radii
+   * @param {Object} grid - Grid from _createGrid
+   * @returns {Float32Array} Field values
+   */
+  _computeExcludedField(positions, radii, grid) {
+    const [nx, ny, nz] = grid.dims;
+    const { origin, spacing } = grid;
+    const probe = this.probeRadius;
+    const { field, nearest } = this._computeSphereField(positions, radii, probe, grid);
+    const count = nx * ny * nz;
+    
+    // Seed the transform with outside points next to the accessible region,
+    // each standing for the nearest point on the region's boundary
+    const distances = new Float32Array(count).fill(Infinity);
+    const features = new Int32Array(count).fill(-1);
+    const seeds = [];
+    const strides = [1, nx, nx * ny];
+    
+    for (let k = 0; k < nz; k++) {
+      for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+          const index = i + j * nx + k * nx * ny;
+          if (field[index] > 0 || nearest[index] === -1) continue;
+          
+          const coordinates = [i, j, k];
+          const touchesInside = [0, 1, 2].some(axis =>
+            (coordinates[axis] > 0 && field[index - strides[axis]] > 0) ||
+            (coordinates[axis] < grid.dims[axis] - 1 && field[index + strides[axis]] > 0));
+          if (!touchesInside) continue;
+          
+          // The nearest boundary point lies on the sphere of the nearest atom
+          const atom = nearest[index];
+          const radius = radii[atom] + probe;
+          const dx = origin[0] + i * spacing - positions[atom * 3];
+          const dy = origin[1] + j * spacing - positions[atom * 3 + 1];
+          const dz = origin[2] + k * spacing - positions[atom * 3 + 2];
+          const scale = radius / (Math.sqrt(dx * dx + dy * dy + dz * dz) || 1);
+          
+          distances[index] = 0;
+          features[index] = seeds.length / 3;
+          seeds.push(
+            positions[atom * 3] + dx * scale,
+            positions[atom * 3 + 1] + dy * scale,
+            positions[atom * 3 + 2] + dz * scale
+          );
+        }
+      }
+    }
+    
+    this._distanceTransform(distances, features, grid.dims);
+    
+    // Nearest boundary point among the features of a point and its neighbors
+    const boundaryDistance = (index, x, y, z, coordinates) => {
+      let best = Infinity;
+      
+      for (let n = -1; n < 6; n++) {
+        let neighbor = index;
+        
+        if (n >= 0) {
+          const axis = n >> 1;
+          const step = n & 1 ? 1 : -1;
+          const coordinate = coordinates[axis] + step;
+          if (coordinate < 0 || coordinate >= grid.dims[axis]) continue;
+          neighbor = index + step * strides[axis];
+        }
+        
+        const feature = features[neighbor];
+        if (feature === -1) continue;
+        
+        const dx = x - seeds[feature * 3];
+        const dy = y - seeds[feature * 3 + 1];
+        const dz = z - seeds[feature * 3 + 2];
+        best = Math.min(best, dx * dx + dy * dy + dz * dz);
+      }
+      
+      return Math.sqrt(best);
+    };
+    
+    const coordinates = [0, 0, 0];
+    
+    for (let k = 0; k < nz; k++) {
+      for (let j = 0; j < ny; j++) {
+        for (let i = 0; i < nx; i++) {
+          const index = i + j * nx + k * nx * ny;
+          
+          // Outside the accessible region: at least a probe radius outside the surface
+          if (field[index] <= 0) {
+            field[index] -= probe;
+            continue;
+          }
+          
+          // Points far inside keep their transform distance
+          const gridDistance = Math.sqrt(distances[index]) * spacing;
+          if (gridDistance > probe + 2 * spacing) {
+            field[index] = gridDistance - probe;
+            continue;
+          }
+          
+          coordinates[0] = i;
+          coordinates[1] = j;
+          coordinates[2] = k;
+          field[index] = boundaryDistance(
+            index,
+            origin[0] + i * spacing,
+            origin[1] + j * spacing,
+            origin[2] + k * spacing,
+            coordinates
+          ) - probe;
+        }
+      }
+    }
+    
+    return field;
+  }
+  
+  /**
+   * Exact squared Euclidean distance transform (Felzenszwalb & Huttenlocher),
+   * one axis at a time, carrying the seed each distance was measured to
+   * @private
+   * @param {Float32Array} distances - 0 at seeds and Infinity elsewhere; replaced
+   *   by squared distances in grid units
+   * @param {Int32Array} features - Seed number at seeds and -1 elsewhere; replaced
+   *   by the nearest seed's number
+   * @param {Array<number>} dims - Grid dimensions
+   */
+  _distanceTransform(distances, features, dims) {
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const longest = Math.max(...dims);
+    const line = new Float64Array(longest);
+    const lineFeatures = new Int32Array(longest);
+    const parabolas = new Int32Array(longest);
+    const bounds = new Float64Array(longest + 1);
+    
+    for (let axis = 0; axis < 3; axis++) {
+      const size = dims[axis];
+      const stride = strides[axis];
+      const [a1, a2] = [0, 1, 2].filter(other => other !== axis);
+      
+      for (let v = 0; v < dims[a2]; v++) {
+        for (let u = 0; u < dims[a1]; u++) {
+          const start = u * strides[a1] + v * strides[a2];
+          
+          for (let q = 0; q < size; q++) {
+            line[q] = distances[start + q * stride];
+            lineFeatures[q] = features[start + q * stride];
+          }
+          
+          // Lower envelope of the parabolas rooted at the finite samples
+          let k = -1;
+          for (let q = 0; q < size; q++) {
+            if (line[q] === Infinity) continue;
+            
+            if (k < 0) {
+              k = 0;
+              parabolas[0] = q;
+              bounds[0] = -Infinity;
+              bounds[1] = Infinity;
+              continue;
+            }
+            
+            let s;
+            while (true) {
+              const p = parabolas[k];
+              s = ((line[q] + q * q) - (line[p] + p * p)) / (2 * (q - p));
+              if (s > bounds[k] || k === 0) break;
+              k--;
+            }
+            
+            if (s <= bounds[k]) {
+              // Only possible for k === 0: the new parabola replaces the first
+              parabolas[0] = q;
+              bounds[1] = Infinity;
+              continue;
+            }
+            
+            k++;
+            parabolas[k] = q;
+            bounds[k] = s;
+            bounds[k + 1] = Infinity;
+          }
+          
+          if (k < 0) continue;
+          
+          k = 0;
+          for (let q = 0; q < size; q++) {
+            while (bounds[k + 1] < q) k++;
+            
+            const p = parabolas[k];
+            distances[start + q * stride] = (q - p) * (q - p) + line[p];
+            features[start + q * stride] = lineFeatures[p];
+          }
+        }
+      }
+    }
+  }
+  
+  /**
+   * Smooth the field in place with a 3x3x3 box blur, one axis at a time
+   * @private
+   * @param {Float32Array} field - Field values
+   * @param {Array<number>} dims - Grid dimensions
+   */
+  _blur(field, dims) {
+    const strides = [1, dims[0], dims[0] * dims[1]];
+    const source = new Float32Array(field.length);
+    
+    for (let axis = 0; axis < 3; axis++) {
+      source.set(field);
+      const stride = strides[axis];
+      const size = dims[axis];
+      
+      for (let index = 0; index < field.length; index++) {
+        const coordinate = Math.floor(index / stride) % size;
+        let sum = source[index];
+        let count = 1;
+        
+        if (coordinate > 0) {
+          sum += source[index - stride];
+          count++;
+        }
+        if (coordinate < size - 1) {
+          sum += source[index + stride];
+          count++;
+        }
+        
+        field[index] = sum / count;
+      }
+    }
+  }
+}
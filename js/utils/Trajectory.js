@@ -0,0 +1,179 @@
+/**
+ * Trajectory.js - Frames of an MD trajectory over a topology structure
+ * Decodes frames from a TrajectoryReader on demand and keeps the most
+ * recently used ones, so only a window of a long run is in memory.
+ * Frames can be superimposed on the first by their C-alpha atoms.
+ */
+
+import { Superposition } from './Superposition.js';
+import { CONFIG } from '../config.js';
+
+export class Trajectory {
+  /**
+   * Create a trajectory
+   * @param {TrajectoryReader} reader - Opened reader
+   * @param {Object} [options] - Trajectory options
+   * @param {string} [options.name] - File name or URL
+   * @param {number} [options.cacheSize] - Decoded frames kept in memory
+   */
+  constructor(reader, options = {}) {
+    this.reader = reader;
+    this.name = options.name || null;
+    this.frameCount = reader.frameCount;
+    this.atomCount = reader.atomCount;
+    this.timeStep = reader.timeStep;
+    
+    // Decoded frames by index, least recently used first
+    this.cache = new Map();
+    this.cacheSize = Math.max(2, options.cacheSize || CONFIG.TRAJECTORY.CACHE_SIZE);
+    
+    // Decodes in progress by frame index
+    this.pending = new Map();
+    
+    // C-alpha superposition onto the first frame, when enabled
+    this.alignIndices = [];
+    this.superposition = null;
+    this.align = false;
+  }
+  
+  /**
+   * Set the atoms that frames are superimposed on
+   * @param {Array<Object>} atoms - Topology atoms, in file order
+   */
+  setTopology(atoms) {
+    this.alignIndices = [];
+    atoms.forEach((atom, i) => {
+      if (atom.name === 'CA' && atom.isAminoAcid) this.alignIndices.push(i);
+    });
+  }
+  
+  /**
+   * Turn superposition on the first frame on or off
+   * @param {boolean} enabled - Whether to superimpose frames
+   * @returns {Promise<boolean>} Whether alignment is on; it stays off without
+   *   at least three C-alpha atoms
+   */
+  async setAlignment(enabled) {
+    if (enabled && !this.superposition) {
+      if (this.alignIndices.length < 3) {
+        console.warn('Trajectory alignment needs at least three C-alpha atoms');
+        enabled = false;
+      } else {
+        this.superposition = new Superposition(await this.reader.readFrame(0), this.alignIndices);
+      }
+    }
+    
+    if (enabled !== this.align) {
+      this.align = enabled;
+      this.cache.clear();
+      this.pending.clear();
+    }
+    
+    return this.align;
+  }
+  
+  /**
+   * Get the coordinates of a frame, decoding it if needed
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Float32Array>} Coordinates in Angstroms as x, y, z triples
+   */
+  async getFrame(index) {
+    const cached = this.getCachedFrame(index);
+    if (cached) return cached;
+    
+    if (this.pending.has(index)) {
+      return this.pending.get(index);
+    }
+    
+    const align = this.align;
+    const decode = this.reader.readFrame(index).then(coordinates => {
+      if (align && this.superposition) {
+        this.superposition.fit(coordinates);
+      }
+      
+      // Alignment may have changed while the frame was decoded
+      if (align === this.align) {
+        this._store(index, coordinates);
+      }
+      
+      return coordinates;
+    }).finally(() => {
+      if (this.pending.get(index) === decode) this.pending.delete(index);
+    });
+    
+    this.pending.set(index, decode);
+    return decode;
+  }
+  
+  /**
+   * Get a frame only if it is already decoded
+   * @param {number} index - Zero-based frame index
+   * @returns {Float32Array|null} Coordinates, or null
+   */
+  getCachedFrame(index) {
+    const coordinates = this.cache.get(index);
+    if (!coordinates) return null;
+    
+    // Mark as most recently used
+    this.cache.delete(index);
+    this.cache.set(index, coordinates);
+    return coordinates;
+  }
+  
+  /**
+   * Start decoding frames ahead of playback
+   * @param {number} index - First frame to decode
+   * @param {number} count - Number of frames, wrapping around the end
+   */
+  prefetch(index, count) {
+    count = Math.min(count, this.cacheSize - 1, this.frameCount);
+    
+    for (let i = 0; i < count; i++) {
+      const frame = (index + i) % this.frameCount;
+      
+      if (!this.cache.has(frame) && !this.pending.has(frame)) {
+        this.getFrame(frame).catch(error => console.warn(`Error reading trajectory frame ${frame}:`, error));
+      }
+    }
+  }
+  
+  /**
+   * Blend two frames linearly
+   * @param {Float32Array} from - Coordinates at t = 0
+   * @param {Float32Array} to - Coordinates at t = 1
+   * @param {number} t - Blend factor between 0 and 1
+   * @param {Float32Array} [target] - Array to write to
+   * @returns {Float32Array} Blended coordinates
+   */
+  static interpolate(from, to, t, target = new Float32Array(from.length)) {
+    for (let i = 0; i < from.length; i++) {
+      target[i] = from[i] + (to[i] - from[i]) * t;
+    }
+    
+    return target;
+  }
+  
+  /**
+   * Add a frame to the cache, dropping the least recently used ones
+   * @private
+   * @param {number} index - Frame index
+   * @param {Float32Array} coordinates - Coordinates
+   */
+  _store(index, coordinates) {
+    this.cache.delete(index);
+    this.cache.set(index, coordinates);
+    
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+  
+  /**
+   * Release decoded frames
+   */
+  dispose() {
+    this.cache.clear();
+    this.pending.clear();
+    this.superposition = null;
+  }
+}
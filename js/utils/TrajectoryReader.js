@@ -0,0 +1,127 @@
+/**
+ * TrajectoryReader.js - Base class for trajectory file readers
+ * Readers index the frames of a file when opened and decode a frame only
+ * when it is asked for. The file is read through a source, which is either
+ * an ArrayBuffer or a Blob (File) read in slices, so long trajectories do
+ * not have to be loaded into memory.
+ */
+
+// Bytes read ahead of each request while indexing or decoding
+const BLOCK_SIZE = 1 << 20;
+
+export class TrajectoryReader {
+  /**
+   * Create a reader
+   * @param {Object} source - File access ({ size, read(offset, length) }),
+   *   see fromBuffer() and fromBlob()
+   */
+  constructor(source) {
+    this.source = source;
+    
+    // Filled in by open()
+    this.frameCount = 0;
+    this.atomCount = 0;
+    
+    // Picoseconds between frames, if the file records it
+    this.timeStep = null;
+    
+    // Last block read, reused by nearby reads
+    this.block = null;
+    this.blockOffset = 0;
+  }
+  
+  /**
+   * Create a source over file content held in memory
+   * @param {ArrayBuffer} buffer - File content
+   * @returns {Object} Source ({ size, read })
+   */
+  static fromBuffer(buffer) {
+    return {
+      size: buffer.byteLength,
+      read: async (offset, length) => buffer.slice(offset, offset + length)
+    };
+  }
+  
+  /**
+   * Create a source that reads a Blob or File in slices
+   * @param {Blob} blob - File
+   * @returns {Object} Source ({ size, read })
+   */
+  static fromBlob(blob) {
+    return {
+      size: blob.size,
+      read: (offset, length) => blob.slice(offset, offset + length).arrayBuffer()
+    };
+  }
+  
+  /**
+   * Index the frames of the file
+   * @returns {Promise<TrajectoryReader>} This reader
+   */
+  async open() {
+    await this._index();
+    
+    if (this.frameCount === 0) {
+      throw new Error('The trajectory holds no frames');
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Decode the coordinates of a frame
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Float32Array>} Coordinates in Angstroms as x, y, z triples
+   */
+  async readFrame(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.frameCount) {
+      throw new Error(`Invalid trajectory frame: ${index}`);
+    }
+    
+    return this._decodeFrame(index);
+  }
+  
+  /**
+   * Find the frames of the file; implemented by each format
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _index() {
+    throw new Error('TrajectoryReader subclasses must implement _index()');
+  }
+  
+  /**
+   * Decode one frame; implemented by each format
+   * @protected
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Float32Array>} Coordinates in Angstroms
+   */
+  async _decodeFrame(index) {
+    throw new Error('TrajectoryReader subclasses must implement _decodeFrame()');
+  }
+  
+  /**
+   * Read a byte range of the file
+   * @protected
+   * @param {number} offset - Byte offset
+   * @param {number} length - Number of bytes; fewer are returned at the end of the file
+   * @returns {Promise<DataView>} View of the bytes
+   */
+  async _read(offset, length) {
+    length = Math.max(0, Math.min(length, this.source.size - offset));
+    
+    // Serve small reads from the cached block, refilling it as needed
+    if (length <= BLOCK_SIZE) {
+      const block = this.block;
+      
+      if (!block || offset < this.blockOffset || offset + length > this.blockOffset + block.byteLength) {
+        this.block = await this.source.read(offset, Math.min(BLOCK_SIZE, this.source.size - offset));
+        this.blockOffset = offset;
+      }
+      
+      return new DataView(this.block, offset - this.blockOffset, length);
+    }
+    
+    return new DataView(await this.source.read(offset, length));
+  }
+}
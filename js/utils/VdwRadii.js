@@ -0,0 +1,25 @@
+/**
+ * VdwRadii.js - Van der Waals radii of atoms
+ * Spacefill spheres and molecular surfaces are sized by these radii: the
+ * radius read from the file where there is one (PQR), else the element
+ * radius from CONFIG.VISUALIZATION.SPACEFILL. The radius the parsers store
+ * on each atom is a covalent radius and is not used here.
+ */
+
+import { CONFIG } from '../config.js';
+
+export class VdwRadii {
+  /**
+   * Get the van der Waals radius of an atom
+   * @param {Object} atom - Atom with element, and radius when hasFileRadius is set
+   * @returns {number} Radius in Angstroms
+   */
+  static getRadius(atom) {
+    if (atom.hasFileRadius) {
+      return atom.radius;
+    }
+    
+    const config = CONFIG.VISUALIZATION.SPACEFILL;
+    return config.RADII[atom.element] || config.DEFAULT_RADIUS;
+  }
+}
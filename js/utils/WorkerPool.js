@@ -0,0 +1,210 @@
+/**
+ * WorkerPool.js - Pool of module Web Workers for CPU-intensive tasks
+ * Queues tasks, hands them to idle workers and relays their progress and
+ * results back as promises
+ */
+
+export class WorkerPool {
+  /**
+   * Create a new worker pool (workers are started on first use)
+   * @param {Object} options - Pool options
+   * @param {string|URL} options.url - URL of the worker module script
+   * @param {number} [options.size] - Maximum number of workers; defaults to
+   *   the number of logical cores less one, between 1 and 4
+   */
+  constructor(options) {
+    this.url = options.url;
+    
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    this.size = options.size || Math.min(4, Math.max(1, cores - 1));
+    
+    // Started workers and those waiting for a task
+    this.workers = [];
+    this.idleWorkers = [];
+    
+    // Tasks waiting for a worker
+    this.queue = [];
+    
+    // Running tasks by id
+    this.tasks = new Map();
+    this.nextTaskId = 1;
+  }
+  
+  /**
+   * Check whether module workers can be used in this environment
+   * @returns {boolean} True if workers are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+  
+  /**
+   * Run a task on a worker
+   * @param {string} task - Task name understood by the worker script
+   * @param {*} data - Task input (structured-cloneable)
+   * @param {Object} [options] - Task options
+   * @param {Array<Transferable>} [options.transfer] - Buffers to transfer to the worker
+   * @param {Function} [options.onProgress] - Called with (progress 0-1, status)
+   * @returns {Promise<*>} Promise resolving to the task result. Errors thrown by
+   *   the task are passed on; failures of the worker itself (it could not start,
+   *   crashed or was terminated) have isWorkerError set, so the caller can fall
+   *   back to running the task on the main thread.
+   */
+  run(task, data, options = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextTaskId++,
+        task,
+        data,
+        transfer: options.transfer || [],
+        onProgress: options.onProgress || null,
+        resolve,
+        reject
+      };
+      
+      const worker = this._acquireWorker();
+      if (worker) {
+        this._dispatch(worker, job);
+      } else {
+        this.queue.push(job);
+      }
+    });
+  }
+  
+  /**
+   * Get an idle worker, starting a new one if the pool is not full
+   * @private
+   * @returns {Worker|null} Worker, or null if all are busy
+   */
+  _acquireWorker() {
+    if (this.idleWorkers.length > 0) {
+      return this.idleWorkers.pop();
+    }
+    
+    if (this.workers.length < this.size) {
+      const worker = new Worker(this.url, { type: 'module' });
+      worker.onmessage = (event) => this._handleMessage(worker, event.data);
+      worker.onerror = (event) => this._handleError(worker, event);
+      this.workers.push(worker);
+      return worker;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Send a task to a worker
+   * @private
+   * @param {Worker} worker - Worker to use
+   * @param {Object} job - Queued task
+   */
+  _dispatch(worker, job) {
+    job.worker = worker;
+    this.tasks.set(job.id, job);
+    
+    try {
+      worker.postMessage({ id: job.id, task: job.task, data: job.data }, job.transfer);
+    } catch (error) {
+      this.tasks.delete(job.id);
+      error.isWorkerError = true;
+      job.reject(error);
+      this._release(worker);
+    }
+  }
+  
+  /**
+   * Handle a message from a worker
+   * @private
+   * @param {Worker} worker - Worker that sent the message
+   * @param {Object} message - Message ({ id, type, ... })
+   */
+  _handleMessage(worker, message) {
+    const job = this.tasks.get(message.id);
+    if (!job) return;
+    
+    switch (message.type) {
+      case 'progress':
+        if (job.onProgress) {
+          job.onProgress(message.progress, message.status);
+        }
+        return;
+      
+      case 'result':
+        this.tasks.delete(job.id);
+        job.resolve(message.result);
+        break;
+      
+      case 'error':
+        this.tasks.delete(job.id);
+        job.reject(new Error(message.error));
+        break;
+      
+      default:
+        return;
+    }
+    
+    this._release(worker);
+  }
+  
+  /**
+   * Handle an uncaught error in a worker (e.g. a failed module import):
+   * fail its task and replace the worker
+   * @private
+   * @param {Worker} worker - Worker that failed
+   * @param {ErrorEvent} event - Error event
+   */
+  _handleError(worker, event) {
+    if (event.preventDefault) event.preventDefault();
+    
+    const error = new Error(event.message || 'Worker failed');
+    error.isWorkerError = true;
+    
+    this.tasks.forEach(job => {
+      if (job.worker === worker) {
+        this.tasks.delete(job.id);
+        job.reject(error);
+      }
+    });
+    
+    worker.terminate();
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
+    
+    // Give queued tasks a fresh worker
+    const next = this.queue.length > 0 ? this._acquireWorker() : null;
+    if (next) {
+      this._dispatch(next, this.queue.shift());
+    }
+  }
+  
+  /**
+   * Return a worker to the pool, or give it the next queued task
+   * @private
+   * @param {Worker} worker - Worker that finished
+   */
+  _release(worker) {
+    if (this.queue.length > 0) {
+      this._dispatch(worker, this.queue.shift());
+    } else {
+      this.idleWorkers.push(worker);
+    }
+  }
+  
+  /**
+   * Stop all workers and fail unfinished tasks
+   */
+  terminate() {
+    const error = new Error('Worker pool terminated');
+    error.isWorkerError = true;
+    
+    this.tasks.forEach(job => job.reject(error));
+    this.queue.forEach(job => job.reject(error));
+    
+    this.workers.forEach(worker => worker.terminate());
+    
+    this.tasks.clear();
+    this.queue = [];
+    this.workers = [];
+    this.idleWorkers = [];
+  }
+}
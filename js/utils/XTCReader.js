@@ -0,0 +1,342 @@
+/**
+ * XTCReader.js - Reader for GROMACS XTC trajectories
+ * XTC frames are big-endian XDR records holding coordinates in nanometers,
+ * packed with the xdr3dfcoord compression of the xdrfile library: integer
+ * coordinates at a fixed precision, written with a varying number of bits
+ * and as small differences between consecutive atoms.
+ */
+
+import { TrajectoryReader } from './TrajectoryReader.js';
+
+// Frame header marker
+const XTC_MAGIC = 1995;
+
+// Header bytes before the compressed data (see _index)
+const HEADER_SIZE = 92;
+
+// Number ranges for the small-difference encoding, indexed by bit size
+const MAGIC_INTS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 8, 10, 12, 16, 20, 25, 32, 40, 50, 64,
+  80, 101, 128, 161, 203, 256, 322, 406, 512, 645, 812, 1024, 1290,
+  1625, 2048, 2580, 3250, 4096, 5060, 6501, 8192, 10321, 13003,
+  16384, 20642, 26007, 32768, 41285, 52015, 65536, 82570, 104031,
+  131072, 165140, 208063, 262144, 330280, 416127, 524287, 660561,
+  832255, 1048576, 1321122, 1664510, 2097152, 2642245, 3329021,
+  4194304, 5284491, 6658042, 8388607, 10568983, 13316085, 16777216
+];
+const FIRST_INDEX = 9;
+
+export class XTCReader extends TrajectoryReader {
+  /**
+   * Walk the frame headers to find where each frame starts
+   * @protected
+   * @returns {Promise<void>}
+   */
+  async _index() {
+    this.frameOffsets = [];
+    this.frameTimes = [];
+    
+    let offset = 0;
+    
+    while (offset + 56 <= this.source.size) {
+      // magic, natoms, step, time, box (9 floats), natoms again, then for
+      // more than 9 atoms: precision, minint (3), maxint (3), smallidx, byte count
+      const header = await this._read(offset, HEADER_SIZE);
+      
+      if (header.getInt32(0) !== XTC_MAGIC) {
+        if (this.frameOffsets.length === 0) {
+          throw new Error('Invalid XTC file: missing frame header');
+        }
+        
+        console.warn(`XTC file ends with unreadable data after ${this.frameOffsets.length} frames`);
+        break;
+      }
+      
+      const atomCount = header.getInt32(4);
+      if (this.frameOffsets.length === 0) {
+        this.atomCount = atomCount;
+      } else if (atomCount !== this.atomCount) {
+        throw new Error(`XTC frame ${this.frameOffsets.length + 1} has ${atomCount} atoms instead of ${this.atomCount}`);
+      }
+      
+      let size;
+      if (atomCount <= 9) {
+        size = 56 + atomCount * 12;
+      } else {
+        if (header.byteLength < HEADER_SIZE) break;
+        size = HEADER_SIZE + Math.ceil(header.getInt32(88) / 4) * 4;
+      }
+      
+      // A partly written last frame is left out
+      if (offset + size > this.source.size) {
+        console.warn('XTC file ends inside a frame');
+        break;
+      }
+      
+      this.frameOffsets.push(offset);
+      this.frameTimes.push(header.getFloat32(12));
+      offset += size;
+    }
+    
+    this.frameCount = this.frameOffsets.length;
+    
+    if (this.frameCount > 1) {
+      this.timeStep = this.frameTimes[1] - this.frameTimes[0];
+    }
+  }
+  
+  /**
+   * Decode one frame
+   * @protected
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Float32Array>} Coordinates in Angstroms
+   */
+  async _decodeFrame(index) {
+    const offset = this.frameOffsets[index];
+    const end = index + 1 < this.frameCount ? this.frameOffsets[index + 1] : this.source.size;
+    const view = await this._read(offset, end - offset);
+    const count = this.atomCount;
+    const coordinates = new Float32Array(count * 3);
+    
+    // Nanometers to Angstroms
+    if (count <= 9) {
+      for (let i = 0; i < count * 3; i++) {
+        coordinates[i] = view.getFloat32(56 + i * 4) * 10;
+      }
+      return coordinates;
+    }
+    
+    const scale = 10 / view.getFloat32(56);
+    const minInt = [view.getInt32(60), view.getInt32(64), view.getInt32(68)];
+    const maxInt = [view.getInt32(72), view.getInt32(76), view.getInt32(80)];
+    let smallIndex = view.getInt32(84);
+    const byteCount = view.getInt32(88);
+    
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + HEADER_SIZE, byteCount);
+    const bits = { bytes, position: 0, lastBits: 0, lastByte: 0 };
+    
+    const sizeInt = [0, 1, 2].map(axis => maxInt[axis] - minInt[axis] + 1);
+    let bitSize = 0;
+    let bitSizeInt = null;
+    
+    // Very large ranges are stored one coordinate at a time
+    if (sizeInt.some(size => size > 0xffffff)) {
+      bitSizeInt = sizeInt.map(size => this._sizeOfInt(size));
+    } else {
+      bitSize = this._sizeOfInts(sizeInt);
+    }
+    
+    let smaller = MAGIC_INTS[Math.max(FIRST_INDEX, smallIndex - 1)] >> 1;
+    let smallNum = MAGIC_INTS[smallIndex] >> 1;
+    let sizeSmall = [MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex]];
+    
+    const thisCoord = [0, 0, 0];
+    const prevCoord = [0, 0, 0];
+    let atom = 0;
+    let output = 0;
+    let run = 0;
+    
+    const write = (coord) => {
+      if (output < coordinates.length) {
+        coordinates[output++] = coord[0] * scale;
+        coordinates[output++] = coord[1] * scale;
+        coordinates[output++] = coord[2] * scale;
+      }
+    };
+    
+    while (atom < count) {
+      if (bitSizeInt) {
+        for (let axis = 0; axis < 3; axis++) {
+          thisCoord[axis] = this._receiveBits(bits, bitSizeInt[axis]);
+        }
+      } else {
+        this._receiveInts(bits, bitSize, sizeInt, thisCoord);
+      }
+      
+      atom++;
+      for (let axis = 0; axis < 3; axis++) {
+        thisCoord[axis] += minInt[axis];
+        prevCoord[axis] = thisCoord[axis];
+      }
+      
+      // A run of atoms coded as small differences may follow
+      let isSmaller = 0;
+      if (this._receiveBits(bits, 1) === 1) {
+        run = this._receiveBits(bits, 5);
+        isSmaller = run % 3;
+        run -= isSmaller;
+        isSmaller--;
+      }
+      
+      if (run > 0) {
+        for (let k = 0; k < run; k += 3) {
+          this._receiveInts(bits, smallIndex, sizeSmall, thisCoord);
+          atom++;
+          
+          for (let axis = 0; axis < 3; axis++) {
+            thisCoord[axis] += prevCoord[axis] - smallNum;
+          }
+          
+          if (k === 0) {
+            // The first two atoms of a run are swapped, which packs waters better
+            for (let axis = 0; axis < 3; axis++) {
+              const swap = thisCoord[axis];
+              thisCoord[axis] = prevCoord[axis];
+              prevCoord[axis] = swap;
+            }
+            write(prevCoord);
+          } else {
+            for (let axis = 0; axis < 3; axis++) {
+              prevCoord[axis] = thisCoord[axis];
+            }
+          }
+          
+          write(thisCoord);
+        }
+      } else {
+        write(thisCoord);
+      }
+      
+      smallIndex += isSmaller;
+      if (isSmaller < 0) {
+        smallNum = smaller;
+        smaller = smallIndex > FIRST_INDEX ? MAGIC_INTS[smallIndex - 1] >> 1 : 0;
+      } else if (isSmaller > 0) {
+        smaller = smallNum;
+        smallNum = MAGIC_INTS[smallIndex] >> 1;
+      }
+      
+      sizeSmall = [MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex], MAGIC_INTS[smallIndex]];
+    }
+    
+    return coordinates;
+  }
+  
+  /**
+   * Read an unsigned integer of a number of bits
+   * @private
+   * @param {Object} bits - Bit reader state ({ bytes, position, lastBits, lastByte })
+   * @param {number} count - Number of bits (up to 32)
+   * @returns {number} Value
+   */
+  _receiveBits(bits, count) {
+    const mask = count >= 32 ? 0xffffffff : (1 << count) - 1;
+    const bytes = bits.bytes;
+    let num = 0;
+    
+    if (bits.position + Math.ceil(count / 8) > bytes.length + 1) {
+      throw new Error('Invalid XTC frame: compressed data ends early');
+    }
+    
+    while (count >= 8) {
+      bits.lastByte = ((bits.lastByte << 8) | bytes[bits.position++]) & 0xffff;
+      num |= (bits.lastByte >>> bits.lastBits) << (count - 8);
+      count -= 8;
+    }
+    
+    if (count > 0) {
+      if (bits.lastBits < count) {
+        bits.lastBits += 8;
+        bits.lastByte = ((bits.lastByte << 8) | bytes[bits.position++]) & 0xffff;
+      }
+      
+      bits.lastBits -= count;
+      num |= (bits.lastByte >>> bits.lastBits) & ((1 << count) - 1);
+    }
+    
+    return (num & mask) >>> 0;
+  }
+  
+  /**
+   * Read three integers packed together into a number of bits
+   * @private
+   * @param {Object} bits - Bit reader state
+   * @param {number} bitCount - Bits used by the packed value
+   * @param {Array<number>} sizes - Range of each integer
+   * @param {Array<number>} target - Receives the integers
+   */
+  _receiveInts(bits, bitCount, sizes, target) {
+    const bytes = [0, 0, 0, 0];
+    let byteCount = 0;
+    
+    while (bitCount > 8) {
+      bytes[byteCount++] = this._receiveBits(bits, 8);
+      bitCount -= 8;
+    }
+    
+    if (bitCount > 0) {
+      bytes[byteCount++] = this._receiveBits(bits, bitCount);
+    }
+    
+    // Peel off the last two integers by long division of the byte string
+    for (let i = 2; i > 0; i--) {
+      let num = 0;
+      
+      for (let j = byteCount - 1; j >= 0; j--) {
+        num = num * 256 + bytes[j];
+        const quotient = Math.floor(num / sizes[i]);
+        bytes[j] = quotient;
+        num -= quotient * sizes[i];
+      }
+      
+      target[i] = num;
+    }
+    
+    target[0] = bytes[0] + bytes[1] * 256 + bytes[2] * 65536 + (bytes[3] || 0) * 16777216;
+  }
+  
+  /**
+   * Number of bits needed for integers below a size
+   * @private
+   * @param {number} size - Range
+   * @returns {number} Bit count
+   */
+  _sizeOfInt(size) {
+    let num = 1;
+    let bitCount = 0;
+    
+    while (size >= num && bitCount < 32) {
+      bitCount++;
+      num *= 2;
+    }
+    
+    return bitCount;
+  }
+  
+  /**
+   * Number of bits needed for three integers packed together
+   * @private
+   * @param {Array<number>} sizes - Range of each integer
+   * @returns {number} Bit count
+   */
+  _sizeOfInts(sizes) {
+    const bytes = [1];
+    
+    // Multiply out the product of the sizes as a little-endian byte string
+    sizes.forEach(size => {
+      let carry = 0;
+      
+      for (let i = 0; i < bytes.length; i++) {
+        carry += bytes[i] * size;
+        bytes[i] = carry % 256;
+        carry = Math.floor(carry / 256);
+      }
+      
+      while (carry !== 0) {
+        bytes.push(carry % 256);
+        carry = Math.floor(carry / 256);
+      }
+    });
+    
+    let num = 1;
+    let bitCount = 0;
+    const top = bytes[bytes.length - 1];
+    
+    while (top >= num) {
+      bitCount++;
+      num *= 2;
+    }
+    
+    return bitCount + (bytes.length - 1) * 8;
+  }
+}
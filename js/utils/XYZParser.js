@@ -0,0 +1,65 @@
+/**
+ * XYZParser.js - Parser for plain XYZ coordinate files
+ * Each frame is an atom count, a comment line and one "element x y z" line
+ * per atom. Frames of the same atoms become models; bonds are perceived
+ * from distances.
+ */
+
+import { SmallMoleculeParser } from './SmallMoleculeParser.js';
+
+export class XYZParser extends SmallMoleculeParser {
+  /**
+   * Read the frames of an XYZ file
+   * @protected
+   * @param {string} text - Text content of the file
+   * @returns {Array<Object>} Molecules, one per frame
+   */
+  _readMolecules(text) {
+    const molecules = [];
+    const lines = text.split(/\r?\n/);
+    let index = 0;
+    
+    while (index < lines.length) {
+      if (!lines[index].trim()) {
+        index++;
+        continue;
+      }
+      
+      const atomCount = parseInt(lines[index].trim());
+      if (!(atomCount > 0)) {
+        console.warn(`Expected an atom count on XYZ line ${index + 1}: ${lines[index]}`);
+        break;
+      }
+      
+      const molecule = {
+        name: (lines[index + 1] || '').trim(),
+        properties: {},
+        atoms: [],
+        bonds: []
+      };
+      
+      for (let i = 0; i < atomCount; i++) {
+        const line = lines[index + 2 + i];
+        const fields = line ? line.trim().split(/\s+/) : [];
+        
+        if (fields.length < 4) {
+          console.warn(`XYZ frame ${molecules.length + 1} ends after ${i} of ${atomCount} atoms`);
+          break;
+        }
+        
+        molecule.atoms.push({
+          element: fields[0].replace(/[^A-Za-z]/g, '') || 'X',
+          x: parseFloat(fields[1]) || 0,
+          y: parseFloat(fields[2]) || 0,
+          z: parseFloat(fields[3]) || 0
+        });
+      }
+      
+      this._nameAtoms(molecule.atoms);
+      molecules.push(molecule);
+      index += 2 + atomCount;
+    }
+    
+    return molecules;
+  }
+}
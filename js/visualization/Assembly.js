@@ -0,0 +1,229 @@
+/**
+ * Assembly.js - Biological assembly display
+ * Repeats a visualization of the asymmetric unit under the symmetry operators
+ * of an assembly, sharing its geometries and materials through instancing
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+
+export class Assembly {
+  /**
+   * Create a new assembly display
+   * @param {Object} options - Assembly options
+   * @param {Object} options.assembly - Assembly from the parser ({ id, details, generators })
+   * @param {Array} options.atoms - Atoms of the asymmetric unit
+   * @param {THREE.Vector3} options.centerOfMass - Offset the visualizations subtract from atom positions
+   */
+  constructor(options) {
+    this.assembly = options.assembly;
+    this.atoms = options.atoms || [];
+    this.centerOfMass = options.centerOfMass || new THREE.Vector3();
+    
+    // Create group for the instanced copies
+    this.object = new THREE.Group();
+    this.object.name = `Assembly_${this.assembly.id}`;
+    
+    // Track meshes
+    this.meshes = [];
+    
+    // Bounds of the whole assembly, relative to the center of mass
+    this.boundingBox = new THREE.Box3();
+  }
+  
+  /**
+   * Get the number of operators in the assembly
+   * @returns {number} Operator count
+   */
+  getOperatorCount() {
+    return this.assembly.generators.reduce((sum, generator) => sum + generator.operators.length, 0);
+  }
+  
+  /**
+   * Build the assembly from a visualization of the asymmetric unit.
+   * Every mesh becomes one InstancedMesh holding a copy per operator, so
+   * the number of draw calls does not grow with the size of the assembly.
+   * @param {THREE.Object3D} source - Visualization object to repeat
+   */
+  create(source) {
+    this.dispose();
+    
+    const generators = this._getGenerators();
+    
+    // Mesh transforms relative to the visualization object
+    source.updateMatrixWorld(true);
+    const sourceInverse = source.matrixWorld.clone().invert();
+    
+    source.traverse(child => {
+      if (!child.isMesh || !this._isVisible(child, source)) return;
+      
+      const local = sourceInverse.clone().multiply(child.matrixWorld);
+      const mesh = this._createInstancedMesh(child, local, generators);
+      
+      if (mesh) {
+        this.object.add(mesh);
+        this.meshes.push(mesh);
+      }
+    });
+    
+    this._calculateBoundingBox(generators);
+  }
+  
+  /**
+   * Convert the operators of each generator to the centered frame
+   * used by the visualizations
+   * @private
+   * @returns {Array} Generators with a chain set (null for all chains) and matrices
+   */
+  _getGenerators() {
+    const center = this.centerOfMass;
+    const toOriginal = new THREE.Matrix4().makeTranslation(center.x, center.y, center.z);
+    const toCentered = new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z);
+    
+    return this.assembly.generators.map(generator => ({
+      chains: generator.chains.length > 0 ? new Set(generator.chains) : null,
+      matrices: generator.operators.map(operator =>
+        toCentered.clone().multiply(operator.matrix).multiply(toOriginal)
+      )
+    }));
+  }
+  
+  /**
+   * Create an instanced copy of a mesh for every operator that applies to it
+   * @private
+   * @param {THREE.Mesh} mesh - Source mesh (may itself be instanced)
+   * @param {THREE.Matrix4} local - Mesh transform relative to the visualization
+   * @param {Array} generators - Generators from _getGenerators
+   * @returns {THREE.InstancedMesh|null} Instanced mesh, or null if no operator applies
+   */
+  _createInstancedMesh(mesh, local, generators) {
+    const baseCount = mesh.isInstancedMesh ? mesh.count : 1;
+    
+    // Pairs of operator matrix and source instance to draw
+    const entries = [];
+    generators.forEach(generator => {
+      for (let i = 0; i < baseCount; i++) {
+        const chainID = this._getChainID(mesh, i);
+        
+        // Meshes of unknown chain are repeated by every generator
+        if (generator.chains && chainID !== null && !generator.chains.has(chainID)) continue;
+        
+        generator.matrices.forEach(matrix => entries.push({ matrix, index: i }));
+      }
+    });
+    
+    if (entries.length === 0) return null;
+    
+    const instanced = new THREE.InstancedMesh(mesh.geometry, mesh.material, entries.length);
+    const instanceMatrix = new THREE.Matrix4();
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    
+    entries.forEach((entry, i) => {
+      if (mesh.isInstancedMesh) {
+        mesh.getMatrixAt(entry.index, instanceMatrix);
+      } else {
+        instanceMatrix.identity();
+      }
+      
+      matrix.multiplyMatrices(entry.matrix, local).multiply(instanceMatrix);
+      instanced.setMatrixAt(i, matrix);
+      
+      if (mesh.instanceColor) {
+        mesh.getColorAt(entry.index, color);
+        instanced.setColorAt(i, color);
+      }
+    });
+    
+    instanced.instanceMatrix.needsUpdate = true;
+    if (instanced.instanceColor) {
+      instanced.instanceColor.needsUpdate = true;
+    }
+    
+    // Copies lie far outside the bounds of the shared geometry
+    instanced.frustumCulled = false;
+    instanced.castShadow = mesh.castShadow;
+    instanced.receiveShadow = mesh.receiveShadow;
+    instanced.name = `${mesh.name || 'Mesh'}_Assembly`;
+    
+    return instanced;
+  }
+  
+  /**
+   * Get the chain of a mesh, or of one instance of an instanced mesh
+   * @private
+   * @param {THREE.Mesh} mesh - Mesh created by a visualization
+   * @param {number} index - Instance index
+   * @returns {string|null} Chain identifier, or null if unknown
+   */
+  _getChainID(mesh, index) {
+    const data = mesh.userData;
+    
+    if (data.chainID !== undefined) {
+      return data.chainID;
+    }
+    
+    const atom = data.atom || (data.atoms && data.atoms[mesh.isInstancedMesh ? index : 0]);
+    if (atom) {
+      return atom.chainID;
+    }
+    
+    const bond = data.bond || (data.bonds && data.bonds[index]);
+    if (bond && this.atoms[bond.atomIndex1]) {
+      return this.atoms[bond.atomIndex1].chainID;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check that a mesh and its parents below the source are visible
+   * @private
+   * @param {THREE.Object3D} object - Object to check
+   * @param {THREE.Object3D} source - Visualization object
+   * @returns {boolean} True if visible
+   */
+  _isVisible(object, source) {
+    for (let current = object; current && current !== source; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Calculate the bounds of the assembly from the transformed atoms
+   * @private
+   * @param {Array} generators - Generators from _getGenerators
+   */
+  _calculateBoundingBox(generators) {
+    this.boundingBox.makeEmpty();
+    const point = new THREE.Vector3();
+    
+    generators.forEach(generator => {
+      const atoms = generator.chains ?
+        this.atoms.filter(atom => generator.chains.has(atom.chainID)) :
+        this.atoms;
+      
+      generator.matrices.forEach(matrix => {
+        atoms.forEach(atom => {
+          point.copy(atom.position).sub(this.centerOfMass).applyMatrix4(matrix);
+          this.boundingBox.expandByPoint(point);
+        });
+      });
+    });
+  }
+  
+  /**
+   * Dispose of resources. Geometries and materials belong to the source
+   * visualization and are left alone.
+   */
+  dispose() {
+    this.meshes.forEach(mesh => {
+      this.object.remove(mesh);
+      mesh.dispose();
+    });
+    
+    this.meshes = [];
+    this.boundingBox.makeEmpty();
+  }
+}
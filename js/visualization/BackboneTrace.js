@@ -0,0 +1,87 @@
+/**
+ * BackboneTrace.js - Backbone trace protein visualization style
+ * Represents each chain by its C-alpha atoms (phosphorus atoms for nucleic
+ * acids), joined by sticks between consecutive residues
+ */
+
+import { CONFIG } from '../config.js';
+import { NucleicAcids } from '../utils/NucleicAcids.js';
+import { Licorice } from './Licorice.js';
+
+export class BackboneTrace extends Licorice {
+  /**
+   * Create a new backbone trace visualization
+   * @param {Object} options - Visualization options
+   * @param {Object} options.proteinModel - Protein model to visualize
+   * @param {string} options.colorScheme - Color scheme to use
+   * @param {Object} options.shader - Shader to apply
+   */
+  constructor(options) {
+    const config = CONFIG.VISUALIZATION.TRACE;
+    super({ ...options, radius: options.radius !== undefined ? options.radius : config.RADIUS });
+    
+    this.object.name = 'BackboneTrace';
+    
+    // Longest steps between consecutive trace atoms; longer ones are breaks
+    this.maxCADistance = config.MAX_CA_DISTANCE;
+    this.maxPDistance = config.MAX_P_DISTANCE;
+    
+    // Full model the trace is taken from
+    this.sourceModel = options.proteinModel;
+  }
+  
+  /**
+   * Create the visualization from the trace of the current conformers
+   * @returns {Promise<THREE.Group>} Promise that resolves to the visualization object
+   */
+  async create() {
+    if (!this.isCreating && this.sourceModel && this.sourceModel.atoms) {
+      this.proteinModel = this._createTraceModel(this.sourceModel);
+    }
+    
+    return super.create();
+  }
+  
+  /**
+   * Build a model holding only the trace atoms, with virtual bonds between
+   * consecutive ones of a chain. Everything else (center, colors) is read
+   * through to the full model.
+   * @private
+   * @param {Object} model - Full protein model
+   * @returns {Object} Trace model
+   */
+  _createTraceModel(model) {
+    const atoms = model.atoms.filter(atom => atom.isActiveConformer !== false && this._isTraceAtom(atom));
+    const bonds = [];
+    
+    for (let i = 1; i < atoms.length; i++) {
+      const previous = atoms[i - 1];
+      const atom = atoms[i];
+      if (previous.chainID !== atom.chainID || previous.name !== atom.name) continue;
+      
+      const maxDistance = atom.name === 'P' ? this.maxPDistance : this.maxCADistance;
+      if (previous.position.distanceTo(atom.position) <= maxDistance) {
+        bonds.push({ atomIndex1: i - 1, atomIndex2: i, type: 1 });
+      }
+    }
+    
+    const trace = Object.create(model);
+    trace.atoms = atoms;
+    trace.bonds = bonds;
+    
+    return trace;
+  }
+  
+  /**
+   * Check whether an atom is the C-alpha of an amino acid or the phosphorus
+   * of a nucleotide
+   * @private
+   * @param {Object} atom - Atom
+   * @returns {boolean} True for trace atoms
+   */
+  _isTraceAtom(atom) {
+    if (atom.name === 'CA') return atom.element === 'C';
+    if (atom.name === 'P') return NucleicAcids.getBase(atom.resName) !== null;
+    return false;
+  }
+}
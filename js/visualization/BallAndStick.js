@@ -26,8 +26,21 @@ export class BallAndStick {
     this.atomScale = this.config.ATOM_SCALE * 0.8; // Reduce atom size
     this.bondScale = this.config.BOND_SCALE * 0.8; // Reduce bond size
     this.segmentCount = Math.min(8, this.config.SEGMENT_COUNT); // Force lower polygon count
+    this.sphereDetail = 1; // Icosahedron subdivisions of the atom spheres
     this.showHydrogens = false; // Always hide hydrogens for performance
     
+    // Alternate conformers that are not selected are drawn see-through
+    this.ghostConformers = options.ghostConformers !== undefined ?
+      options.ghostConformers : this.config.GHOST_CONFORMERS;
+    this.ghostOpacity = this.config.GHOST_OPACITY;
+    
+    // Draw double, triple and aromatic bonds with several cylinders
+    this.showBondOrders = options.showBondOrders !== undefined ?
+      options.showBondOrders : this.config.SHOW_BOND_ORDERS;
+    
+    // Bonded neighbors of each atom, used to place multiple bond cylinders
+    this.bondNeighbors = null;
+    
     // Create group for this visualization
     this.object = new THREE.Group();
     this.object.name = 'BallAndStick';
@@ -37,9 +50,12 @@ export class BallAndStick {
     this.atomsGroup.name = 'Atoms';
     this.bondsGroup = new THREE.Group();
     this.bondsGroup.name = 'Bonds';
+    this.ghostGroup = new THREE.Group();
+    this.ghostGroup.name = 'GhostConformers';
     
     this.object.add(this.atomsGroup);
     this.object.add(this.bondsGroup);
+    this.object.add(this.ghostGroup);
     
     // Track created meshes
     this.atomMeshes = [];
@@ -103,6 +119,11 @@ export class BallAndStick {
           }
         }
         
+        // Add the non-selected alternate conformers
+        if (this.ghostConformers) {
+          this._createGhostConformers();
+        }
+        
         // Apply initial effect strength
         this.updateEffectStrength(this.effectStrength);
         
@@ -133,7 +154,7 @@ export class BallAndStick {
       // Use icosahedron for better performance at low polygon counts
       this.sharedGeometries.sphere = new THREE.IcosahedronGeometry(
         1.0, // Base radius of 1, will be scaled per atom
-        1    // Low detail level (0 or 1 for best performance)
+        this.sphereDetail // Low detail level (0 or 1 for best performance)
       );
       
       // Create cylinder geometry for bonds (reused for all bonds)
@@ -146,15 +167,14 @@ export class BallAndStick {
         false // Not open-ended
       );
       
-      // Rotate cylinder to align with Y axis
-      this.sharedGeometries.cylinder.rotateX(Math.PI / 2);
+      // CylinderGeometry is already aligned with the Y axis, which the bond
+      // transforms orient along the bond and scale to its length
     } catch (error) {
       console.error('Error creating shared geometries:', error);
       
       // Create truly minimal backup geometries
       this.sharedGeometries.sphere = new THREE.IcosahedronGeometry(1.0, 0);
       this.sharedGeometries.cylinder = new THREE.CylinderGeometry(1.0, 1.0, 1.0, 4, 1);
-      this.sharedGeometries.cylinder.rotateX(Math.PI / 2);
     }
   }
   
@@ -172,53 +192,54 @@ export class BallAndStick {
       
       console.log(`Creating low-resolution visualization with stride ${stride} (${Math.floor(atoms.length / stride)} atoms)`);
       
-      // Group atoms by element for batch creation and shared materials
-      const elementGroups = {};
+      // Group atoms by color for batch creation and shared materials
+      const colorGroups = {};
       
       // Select atoms with stride for better distribution
       for (let i = 0; i < atoms.length; i += stride) {
         const atom = atoms[i];
         if (!atom) continue;
         
-        // Skip hydrogens
-        if (atom.element === 'H') continue;
+        // Skip hydrogens and non-selected conformers
+        if (atom.element === 'H' || atom.isActiveConformer === false) continue;
         
-        // Group by element
-        if (!elementGroups[atom.element]) {
-          elementGroups[atom.element] = [];
+        // Group by color
+        const key = this._getAtomGroupKey(atom);
+        if (!colorGroups[key]) {
+          colorGroups[key] = [];
         }
-        elementGroups[atom.element].push(atom);
+        colorGroups[key].push(atom);
       }
       
-      // Process each element group in batches
+      // Process each color group in batches
       const BATCH_SIZE = 500;
       let totalProcessed = 0;
       
       const processNextBatch = () => {
-        // Get next element to process
-        const elements = Object.keys(elementGroups);
-        if (elements.length === 0) {
+        // Get next color group to process
+        const keys = Object.keys(colorGroups);
+        if (keys.length === 0) {
           // All done, process some bonds
           this._addRepresentativeBonds(atoms, stride * 2); // Use larger stride for bonds
           resolve();
           return;
         }
         
-        const element = elements[0];
-        const atomsToProcess = elementGroups[element].splice(0, BATCH_SIZE);
+        const key = keys[0];
+        const atomsToProcess = colorGroups[key].splice(0, BATCH_SIZE);
         
-        if (elementGroups[element].length === 0) {
-          delete elementGroups[element];
+        if (colorGroups[key].length === 0) {
+          delete colorGroups[key];
         }
         
-        // Create a material for this element
+        // Create a material for this color
         const color = this.proteinModel.getAtomColor(atomsToProcess[0], this.colorScheme);
         const material = this._createSimpleMaterial(color);
         
         // Create atoms for this batch
         atomsToProcess.forEach(atom => {
           // Calculate atom radius based on element
-          const radius = atom.radius * this.atomScale;
+          const radius = this._getAtomRadius(atom);
           
           // Create mesh
           const mesh = new THREE.Mesh(
@@ -236,6 +257,9 @@ export class BallAndStick {
             atom.position.z - this.proteinModel.centerOfMass.z
           );
           
+          // Keep the source atom so positions can be updated later
+          mesh.userData.atom = atom;
+          
           // Add to atoms group
           this.atomsGroup.add(mesh);
           this.atomMeshes.push(mesh);
@@ -267,6 +291,7 @@ export class BallAndStick {
     
     // Create a simple bond material
     const bondMaterial = this._createSimpleMaterial(new THREE.Color(0x808080));
+    const materialCache = {};
     
     // Process a subset of bonds
     for (let i = 0; i < bonds.length; i += bondStride) {
@@ -282,40 +307,20 @@ export class BallAndStick {
       // Skip bonds involving hydrogen
       if (atom1.element === 'H' || atom2.element === 'H') continue;
       
-      // Get positions
-      const pos1 = new THREE.Vector3(
-        atom1.position.x - this.proteinModel.centerOfMass.x,
-        atom1.position.y - this.proteinModel.centerOfMass.y,
-        atom1.position.z - this.proteinModel.centerOfMass.z
-      );
-      
-      const pos2 = new THREE.Vector3(
-        atom2.position.x - this.proteinModel.centerOfMass.x,
-        atom2.position.y - this.proteinModel.centerOfMass.y,
-        atom2.position.z - this.proteinModel.centerOfMass.z
-      );
-      
-      // Calculate bond properties
-      const bondVector = pos2.clone().sub(pos1);
-      const bondLength = bondVector.length();
-      const bondCenter = pos1.clone().add(pos2).multiplyScalar(0.5);
-      
-      // Create bond mesh
-      const mesh = new THREE.Mesh(this.sharedGeometries.cylinder, bondMaterial);
+      // Skip bonds of non-selected conformers
+      if (atom1.isActiveConformer === false || atom2.isActiveConformer === false) continue;
       
-      // Position and scale
-      mesh.position.copy(bondCenter);
-      mesh.scale.set(this.bondScale, bondLength, this.bondScale);
-      
-      // Orient along bond direction
-      const direction = bondVector.normalize();
-      const quaternion = new THREE.Quaternion();
-      quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
-      mesh.quaternion.copy(quaternion);
-      
-      // Add to bonds group
-      this.bondsGroup.add(mesh);
-      this.bondMeshes.push(mesh);
+      // One mesh per cylinder of the bond
+      this._getBondSticks(bond).forEach(stick => {
+        const mesh = new THREE.Mesh(this.sharedGeometries.cylinder, this._getStickMaterial(stick, bondMaterial, materialCache));
+        this._getStickTransform(stick, mesh.position, mesh.quaternion, mesh.scale);
+        mesh.userData.bond = bond;
+        mesh.userData.stick = stick;
+        
+        // Add to bonds group
+        this.bondsGroup.add(mesh);
+        this.bondMeshes.push(mesh);
+      });
       
       // Limit the number of bonds
       if (this.bondMeshes.length >= this.MAX_BONDS) {
@@ -334,19 +339,19 @@ export class BallAndStick {
       const atoms = this.proteinModel.atoms;
       const bonds = this.proteinModel.bonds;
       
-      // Skip hydrogens
-      const filteredAtoms = atoms.filter(atom => atom.element !== 'H');
+      // Skip hydrogens and non-selected conformers
+      const filteredAtoms = atoms.filter(atom => atom.element !== 'H' && atom.isActiveConformer !== false);
       
       console.log(`Creating instanced visualization for ${filteredAtoms.length} non-hydrogen atoms`);
       
-      // Group atoms by element for efficient rendering
-      const atomsByElement = {};
+      // Group atoms by color for efficient rendering
+      const atomsByColor = {};
       filteredAtoms.forEach(atom => {
-        const element = atom.element;
-        if (!atomsByElement[element]) {
-          atomsByElement[element] = [];
+        const key = this._getAtomGroupKey(atom);
+        if (!atomsByColor[key]) {
+          atomsByColor[key] = [];
         }
-        atomsByElement[element].push(atom);
+        atomsByColor[key].push(atom);
       });
       
       // Process atom groups in manageable chunks
@@ -356,30 +361,30 @@ export class BallAndStick {
       let totalAtoms = 0;
       const MAX_TOTAL_ATOMS = this.MAX_ATOMS;
       
-      // Process each element type
+      // Process each color group
       const processNextElement = () => {
-        const elements = Object.keys(atomsByElement);
-        if (elements.length === 0 || totalAtoms >= MAX_TOTAL_ATOMS) {
+        const keys = Object.keys(atomsByColor);
+        if (keys.length === 0 || totalAtoms >= MAX_TOTAL_ATOMS) {
           // Now process bonds
           this._createBondChunks(bonds, atoms, resolve);
           return;
         }
         
-        const element = elements[0];
-        const elementAtoms = atomsByElement[element];
-        delete atomsByElement[element];
+        const key = keys[0];
+        const groupAtoms = atomsByColor[key];
+        delete atomsByColor[key];
         
-        // Get color for this element
-        const color = this.proteinModel.getAtomColor(elementAtoms[0], this.colorScheme);
+        // Get color for this group
+        const color = this.proteinModel.getAtomColor(groupAtoms[0], this.colorScheme);
         
         // Get number of chunks needed
-        const numChunks = Math.ceil(elementAtoms.length / CHUNK_SIZE);
+        const numChunks = Math.ceil(groupAtoms.length / CHUNK_SIZE);
         
         // Process chunks
         for (let i = 0; i < numChunks; i++) {
           const startIdx = i * CHUNK_SIZE;
-          const endIdx = Math.min((i + 1) * CHUNK_SIZE, elementAtoms.length);
-          const chunkAtoms = elementAtoms.slice(startIdx, endIdx);
+          const endIdx = Math.min((i + 1) * CHUNK_SIZE, groupAtoms.length);
+          const chunkAtoms = groupAtoms.slice(startIdx, endIdx);
           
           if (totalAtoms + chunkAtoms.length > MAX_TOTAL_ATOMS) {
             // Hit the atom limit, move to bonds
@@ -399,7 +404,7 @@ export class BallAndStick {
               chunkAtoms.length
             );
             
-            instancedMesh.name = `Atoms_${element}_${i}`;
+            instancedMesh.name = `Atoms_${key}_${i}`;
             instancedMesh.castShadow = false;
             instancedMesh.receiveShadow = false;
             
@@ -408,7 +413,7 @@ export class BallAndStick {
             
             chunkAtoms.forEach((atom, idx) => {
               // Calculate scale based on element
-              const scale = atom.radius * this.atomScale;
+              const scale = this._getAtomRadius(atom);
               
               // Set position and scale
               matrix.makeScale(scale, scale, scale);
@@ -423,6 +428,7 @@ export class BallAndStick {
             
             // Update instance matrices
             instancedMesh.instanceMatrix.needsUpdate = true;
+            instancedMesh.userData.atoms = chunkAtoms;
             
             // Add to atoms group
             this.atomsGroup.add(instancedMesh);
@@ -430,18 +436,18 @@ export class BallAndStick {
             
             totalAtoms += chunkAtoms.length;
           } catch (error) {
-            console.error(`Error creating instanced chunk for ${element}:`, error);
+            console.error(`Error creating instanced chunk for ${key}:`, error);
             // Try non-instanced fallback if instancing fails
             this._createNonInstancedChunk(chunkAtoms, color);
             totalAtoms += chunkAtoms.length;
           }
         }
         
-        // Process next element on next frame to avoid blocking
+        // Process next group on next frame to avoid blocking
         setTimeout(processNextElement, 0);
       };
       
-      // Start processing elements
+      // Start processing groups
       processNextElement();
     });
   }
@@ -454,11 +460,12 @@ export class BallAndStick {
    * @param {Function} resolve - Promise resolve function
    */
   _createBondChunks(bonds, atoms, resolve) {
-    // Filter bonds to skip hydrogen bonds
+    // Filter bonds to skip hydrogen bonds and non-selected conformers
     const filteredBonds = bonds.filter(bond => {
       const atom1 = atoms[bond.atomIndex1];
       const atom2 = atoms[bond.atomIndex2];
-      return atom1 && atom2 && atom1.element !== 'H' && atom2.element !== 'H';
+      return atom1 && atom2 && atom1.element !== 'H' && atom2.element !== 'H' &&
+        atom1.isActiveConformer !== false && atom2.isActiveConformer !== false;
     });
     
     console.log(`Creating instanced visualization for ${filteredBonds.length} bonds`);
@@ -474,9 +481,15 @@ export class BallAndStick {
       bondsToRender.push(filteredBonds[i]);
     }
     
+    // Cylinders to draw (several per double, triple or aromatic bond)
+    const sticks = [];
+    bondsToRender.forEach(bond => {
+      this._getBondSticks(bond).forEach(stick => sticks.push(stick));
+    });
+    
     // Process bonds in chunks
     const BOND_CHUNK_SIZE = 500;
-    const numBondChunks = Math.ceil(bondsToRender.length / BOND_CHUNK_SIZE);
+    const numBondChunks = Math.ceil(sticks.length / BOND_CHUNK_SIZE);
     
     let processedChunks = 0;
     
@@ -488,71 +501,54 @@ export class BallAndStick {
       }
       
       const startIdx = processedChunks * BOND_CHUNK_SIZE;
-      const endIdx = Math.min((processedChunks + 1) * BOND_CHUNK_SIZE, bondsToRender.length);
-      const chunkBonds = bondsToRender.slice(startIdx, endIdx);
+      const endIdx = Math.min((processedChunks + 1) * BOND_CHUNK_SIZE, sticks.length);
+      const chunkSticks = sticks.slice(startIdx, endIdx);
       
       try {
+        // Sticks colored by their atoms tint a white material per instance
+        const stickColors = chunkSticks.map(stick => this._getStickColor(stick));
+        const colored = stickColors.some(Boolean);
+        
         // Create one instanced mesh for this chunk of bonds
         const bondInstancedMesh = new THREE.InstancedMesh(
           this.sharedGeometries.cylinder,
-          this._createSimpleMaterial(new THREE.Color(0x808080)),
-          chunkBonds.length
+          this._createSimpleMaterial(new THREE.Color(colored ? 0xffffff : 0x808080)),
+          chunkSticks.length
         );
         
         bondInstancedMesh.name = `Bonds_${processedChunks}`;
         bondInstancedMesh.castShadow = false;
         bondInstancedMesh.receiveShadow = false;
         
-        // Set instance matrices and colors
+        // Set instance matrices
         const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
         const quaternion = new THREE.Quaternion();
-        const up = new THREE.Vector3(0, 1, 0);
+        const scale = new THREE.Vector3();
         
-        chunkBonds.forEach((bond, idx) => {
-          const atom1 = atoms[bond.atomIndex1];
-          const atom2 = atoms[bond.atomIndex2];
+        chunkSticks.forEach((stick, idx) => {
+          const atom1 = atoms[stick.bond.atomIndex1];
+          const atom2 = atoms[stick.bond.atomIndex2];
           
           if (!atom1 || !atom2) return;
           
-          // Get positions
-          const pos1 = new THREE.Vector3(
-            atom1.position.x - this.proteinModel.centerOfMass.x,
-            atom1.position.y - this.proteinModel.centerOfMass.y,
-            atom1.position.z - this.proteinModel.centerOfMass.z
-          );
-          
-          const pos2 = new THREE.Vector3(
-            atom2.position.x - this.proteinModel.centerOfMass.x,
-            atom2.position.y - this.proteinModel.centerOfMass.y,
-            atom2.position.z - this.proteinModel.centerOfMass.z
-          );
-          
-          // Calculate bond properties
-          const bondVector = pos2.clone().sub(pos1);
-          const bondLength = bondVector.length();
-          const bondCenter = pos1.clone().add(pos2).multiplyScalar(0.5);
+          const bondLength = this._getStickTransform(stick, position, quaternion, scale);
           
           // Skip if bond is too long (probably an error)
           if (bondLength > 10) return;
           
-          // Create direction vector
-          const direction = bondVector.normalize();
-          
-          // Calculate rotation to align with bond direction
-          quaternion.setFromUnitVectors(up, direction);
-          
-          // Set transform
-          matrix.compose(
-            bondCenter,
-            quaternion,
-            new THREE.Vector3(this.bondScale, bondLength, this.bondScale)
-          );
-          
+          matrix.compose(position, quaternion, scale);
           bondInstancedMesh.setMatrixAt(idx, matrix);
+          
+          if (colored) {
+            bondInstancedMesh.setColorAt(idx, stickColors[idx] || new THREE.Color(0x808080));
+          }
         });
         
         // Update instance matrices
         bondInstancedMesh.instanceMatrix.needsUpdate = true;
+        bondInstancedMesh.userData.bonds = chunkSticks.map(stick => stick.bond);
+        bondInstancedMesh.userData.sticks = chunkSticks;
         
         // Add to bonds group
         this.bondsGroup.add(bondInstancedMesh);
@@ -594,7 +590,7 @@ export class BallAndStick {
     // Create meshes
     subset.forEach(atom => {
       // Calculate atom radius
-      const radius = atom.radius * this.atomScale;
+      const radius = this._getAtomRadius(atom);
       
       // Create mesh
       const mesh = new THREE.Mesh(
@@ -611,6 +607,7 @@ export class BallAndStick {
         atom.position.y - this.proteinModel.centerOfMass.y,
         atom.position.z - this.proteinModel.centerOfMass.z
       );
+      mesh.userData.atom = atom;
       
       // Add to group
       this.atomsGroup.add(mesh);
@@ -628,8 +625,8 @@ export class BallAndStick {
       const atoms = this.proteinModel.atoms;
       const bonds = this.proteinModel.bonds;
       
-      // Skip hydrogens
-      const filteredAtoms = atoms.filter(atom => atom.element !== 'H');
+      // Skip hydrogens and non-selected conformers
+      const filteredAtoms = atoms.filter(atom => atom.element !== 'H' && atom.isActiveConformer !== false);
       
       console.log(`Creating standard visualization for ${filteredAtoms.length} non-hydrogen atoms`);
       
@@ -648,54 +645,54 @@ export class BallAndStick {
         }
       }
       
-      // Group atoms by element for batch creation
-      const elementGroups = {};
+      // Group atoms by color for batch creation
+      const colorGroups = {};
       
       atomsToProcess.forEach(atom => {
-        const element = atom.element;
-        if (!elementGroups[element]) {
-          elementGroups[element] = [];
+        const key = this._getAtomGroupKey(atom);
+        if (!colorGroups[key]) {
+          colorGroups[key] = [];
         }
-        elementGroups[element].push(atom);
+        colorGroups[key].push(atom);
       });
       
-      // Process element groups in batches
+      // Process color groups in batches
       const BATCH_SIZE = 200;
       let totalProcessed = 0;
       const materialCache = {};
       
       const processNextBatch = () => {
-        // Get next element to process
-        const elements = Object.keys(elementGroups);
-        if (elements.length === 0 || totalProcessed >= this.MAX_ATOMS) {
+        // Get next color group to process
+        const keys = Object.keys(colorGroups);
+        if (keys.length === 0 || totalProcessed >= this.MAX_ATOMS) {
           // All done, process some bonds
           this._addRepresentativeBonds(atoms, Math.max(2, Math.ceil(bonds.length / this.MAX_BONDS)));
           resolve();
           return;
         }
         
-        const element = elements[0];
-        const atomsToProcess = elementGroups[element].splice(0, BATCH_SIZE);
+        const key = keys[0];
+        const atomsToProcess = colorGroups[key].splice(0, BATCH_SIZE);
         
-        if (elementGroups[element].length === 0) {
-          delete elementGroups[element];
+        if (colorGroups[key].length === 0) {
+          delete colorGroups[key];
         }
         
-        // Get or create material for this element
+        // Get or create material for this color
         let material;
         
-        if (materialCache[element]) {
-          material = materialCache[element];
+        if (materialCache[key]) {
+          material = materialCache[key];
         } else {
           const color = this.proteinModel.getAtomColor(atomsToProcess[0], this.colorScheme);
           material = this._createSimpleMaterial(color);
-          materialCache[element] = material;
+          materialCache[key] = material;
         }
         
         // Create atoms for this batch
         atomsToProcess.forEach(atom => {
           // Calculate atom radius based on element
-          const radius = atom.radius * this.atomScale;
+          const radius = this._getAtomRadius(atom);
           
           // Create mesh
           const mesh = new THREE.Mesh(
@@ -716,6 +713,7 @@ export class BallAndStick {
           // Disable shadows for better performance
           mesh.castShadow = false;
           mesh.receiveShadow = false;
+          mesh.userData.atom = atom;
           
           // Add to atoms group
           this.atomsGroup.add(mesh);
@@ -758,14 +756,14 @@ export class BallAndStick {
         const atom = atoms[i];
         if (!atom) continue;
         
-        // Skip hydrogen
-        if (atom.element === 'H') continue;
+        // Skip hydrogen and non-selected conformers
+        if (atom.element === 'H' || atom.isActiveConformer === false) continue;
         
         // Create mesh
         const mesh = new THREE.Mesh(lowPolySphere, material);
         
         // Scale by radius
-        const radius = atom.radius * this.atomScale;
+        const radius = this._getAtomRadius(atom);
         mesh.scale.set(radius, radius, radius);
         
         // Position
@@ -774,6 +772,7 @@ export class BallAndStick {
           atom.position.y - this.proteinModel.centerOfMass.y,
           atom.position.z - this.proteinModel.centerOfMass.z
         );
+        mesh.userData.atom = atom;
         
         // Add to atoms group
         this.atomsGroup.add(mesh);
@@ -800,6 +799,138 @@ export class BallAndStick {
     }
   }
   
+  /**
+   * Draw the non-selected alternate conformers at reduced opacity
+   * @private
+   */
+  _createGhostConformers() {
+    const atoms = this.proteinModel.atoms;
+    const ghostAtoms = atoms.filter(atom => atom.isActiveConformer === false && atom.element !== 'H');
+    
+    if (ghostAtoms.length === 0) return;
+    
+    console.log(`Creating ghosted visualization for ${ghostAtoms.length} alternate conformer atoms`);
+    
+    // Atoms, sharing one material per color
+    const materialCache = {};
+    
+    ghostAtoms.slice(0, this.MAX_ATOMS).forEach(atom => {
+      const key = this._getAtomGroupKey(atom);
+      if (!materialCache[key]) {
+        const color = this.proteinModel.getAtomColor(atom, this.colorScheme);
+        materialCache[key] = this._createGhostMaterial(color);
+      }
+      
+      const mesh = new THREE.Mesh(this.sharedGeometries.sphere, materialCache[key]);
+      const radius = this._getAtomRadius(atom);
+      mesh.scale.set(radius, radius, radius);
+      mesh.position.copy(atom.position).sub(this.proteinModel.centerOfMass);
+      mesh.userData.atom = atom;
+      
+      this.ghostGroup.add(mesh);
+      this.atomMeshes.push(mesh);
+    });
+    
+    // Bonds touching at least one ghosted atom
+    const bondMaterial = this._createGhostMaterial(new THREE.Color(0x808080));
+    
+    this.proteinModel.bonds.forEach(bond => {
+      const atom1 = atoms[bond.atomIndex1];
+      const atom2 = atoms[bond.atomIndex2];
+      
+      if (!atom1 || !atom2) return;
+      if (atom1.element === 'H' || atom2.element === 'H') return;
+      if (atom1.isActiveConformer !== false && atom2.isActiveConformer !== false) return;
+      
+      this._getBondSticks(bond).forEach(stick => {
+        const mesh = new THREE.Mesh(this.sharedGeometries.cylinder, bondMaterial);
+        this._getStickTransform(stick, mesh.position, mesh.quaternion, mesh.scale);
+        mesh.userData.bond = bond;
+        mesh.userData.stick = stick;
+        
+        this.ghostGroup.add(mesh);
+        this.bondMeshes.push(mesh);
+      });
+    });
+  }
+  
+  /**
+   * Create a see-through material for ghosted conformers
+   * @private
+   * @param {THREE.Color} color - Color for the material
+   * @returns {THREE.Material} Material
+   */
+  _createGhostMaterial(color) {
+    return new THREE.MeshLambertMaterial({
+      color: color,
+      flatShading: true,
+      transparent: true,
+      opacity: this.ghostOpacity,
+      depthWrite: false
+    });
+  }
+  
+  /**
+   * Rebuild after the selected alternate conformers changed
+   * @returns {Promise<THREE.Group>} Promise that resolves to the visualization object
+   */
+  updateConformers() {
+    this.dispose();
+    return this.create();
+  }
+  
+  /**
+   * Get the drawn radius of an atom
+   * @protected
+   * @param {Object} atom - Atom
+   * @returns {number} Sphere radius in Angstroms
+   */
+  _getAtomRadius(atom) {
+    return atom.radius * this.atomScale;
+  }
+  
+  /**
+   * Get the key by which atoms are grouped into meshes that share a material:
+   * their color in the current scheme, so per-atom and per-residue schemes
+   * (and faded low-confidence residues) keep their colors
+   * @protected
+   * @param {Object} atom - Atom
+   * @returns {string} Color as a hex string
+   */
+  _getAtomGroupKey(atom) {
+    return this.proteinModel.getAtomColor(atom, this.colorScheme).getHexString();
+  }
+  
+  /**
+   * Get the color of one cylinder of a bond
+   * @protected
+   * @param {Object} stick - Stick from _getBondSticks
+   * @returns {THREE.Color|null} Color, or null for the default bond gray
+   */
+  _getStickColor(stick) {
+    return null;
+  }
+  
+  /**
+   * Get the material of a single bond cylinder mesh
+   * @private
+   * @param {Object} stick - Stick from _getBondSticks
+   * @param {THREE.Material} defaultMaterial - Material of uncolored sticks
+   * @param {Object} materialCache - Materials by color, shared between sticks
+   * @returns {THREE.Material} Material
+   */
+  _getStickMaterial(stick, defaultMaterial, materialCache) {
+    const color = this._getStickColor(stick);
+    if (!color) return defaultMaterial;
+    
+    const key = color.getHexString();
+    if (!materialCache[key]) {
+      materialCache[key] = this._createSimpleMaterial(color);
+    }
+    
+    return materialCache[key];
+  }
+  
   /**
    * Create a simple material for better performance
    * @private
@@ -843,7 +974,7 @@ export class BallAndStick {
   
   /**
    * Determine if instancing should be used
-   * @private
+   * @protected
    * @returns {boolean} True if instancing should be used
    */
   _shouldUseInstancing() {
@@ -860,73 +991,243 @@ export class BallAndStick {
   }
   
   /**
-   * Update the color scheme
+   * Update the color scheme. Atoms are grouped by color, so the meshes are
+   * rebuilt.
    * @param {string} colorScheme - New color scheme
+   * @param {boolean} [force=false] - Rebuild even if the scheme is unchanged
+   *   (its colors changed, e.g. new values of a residue property)
+   * @returns {Promise<THREE.Group>|undefined} Promise of the rebuilt object
    */
-  updateColorScheme(colorScheme) {
-    if (this.colorScheme === colorScheme) return;
+  updateColorScheme(colorScheme, force = false) {
+    if (this.colorScheme === colorScheme && !force) return;
     
     this.colorScheme = colorScheme;
     
-    // Don't recreate - too expensive. Just update material colors where possible.
+    this.dispose();
+    return this.create();
+  }
+  
+  /**
+   * Move atoms and bonds to the current atom positions without rebuilding
+   * (used when switching between models)
+   */
+  updatePositions() {
+    const atoms = this.proteinModel.atoms;
+    const center = this.proteinModel.centerOfMass;
+    
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    
     try {
-      // Get atoms by element
-      const atomsByElement = {};
-      this.proteinModel.atoms.forEach(atom => {
-        if (atom.element !== 'H') {
-          if (!atomsByElement[atom.element]) {
-            atomsByElement[atom.element] = [];
-          }
-          atomsByElement[atom.element].push(atom);
+      // Update atoms
+      this.atomMeshes.forEach(mesh => {
+        if (mesh.isInstancedMesh && mesh.userData.atoms) {
+          mesh.userData.atoms.forEach((atom, idx) => {
+            mesh.getMatrixAt(idx, matrix);
+            matrix.setPosition(
+              atom.position.x - center.x,
+              atom.position.y - center.y,
+              atom.position.z - center.z
+            );
+            mesh.setMatrixAt(idx, matrix);
+          });
+          mesh.instanceMatrix.needsUpdate = true;
+        } else if (mesh.userData.atom) {
+          mesh.position.copy(mesh.userData.atom.position).sub(center);
         }
       });
       
-      // Update materials for atom meshes
-      this.atomMeshes.forEach(mesh => {
-        if (mesh.isInstancedMesh) {
-          // Try to determine element
-          const elementMatch = mesh.name.match(/Atoms_(\w+)_/);
-          if (elementMatch && elementMatch[1]) {
-            const element = elementMatch[1];
-            if (atomsByElement[element] && atomsByElement[element].length > 0) {
-              const color = this.proteinModel.getAtomColor(atomsByElement[element][0], this.colorScheme);
-              if (mesh.material) {
-                mesh.material.color = color;
-              }
-            }
-          }
-        } else if (mesh.isMesh && mesh.parent === this.atomsGroup) {
-          // Find closest atom to this mesh
-          const pos = mesh.position.clone().add(this.proteinModel.centerOfMass);
-          let closest = null;
-          let minDist = Infinity;
-          
-          // Only check a sample of atoms for performance
-          for (const element in atomsByElement) {
-            const atoms = atomsByElement[element];
-            for (let i = 0; i < Math.min(atoms.length, 100); i++) {
-              const atom = atoms[i];
-              const dist = pos.distanceToSquared(atom.position);
-              if (dist < minDist) {
-                minDist = dist;
-                closest = atom;
-              }
+      // Update bonds
+      this.bondMeshes.forEach(mesh => {
+        if (mesh.isInstancedMesh && mesh.userData.sticks) {
+          mesh.userData.sticks.forEach((stick, idx) => {
+            const atom1 = atoms[stick.bond.atomIndex1];
+            const atom2 = atoms[stick.bond.atomIndex2];
+            if (!atom1 || !atom2) return;
+            
+            const bondLength = this._getStickTransform(stick, position, quaternion, scale);
+            
+            // Hide bonds stretched beyond a plausible length
+            if (bondLength > 10) {
+              scale.set(0, 0, 0);
             }
-          }
+            
+            matrix.compose(position, quaternion, scale);
+            mesh.setMatrixAt(idx, matrix);
+          });
+          mesh.instanceMatrix.needsUpdate = true;
+        } else if (mesh.userData.stick) {
+          const atom1 = atoms[mesh.userData.bond.atomIndex1];
+          const atom2 = atoms[mesh.userData.bond.atomIndex2];
+          if (!atom1 || !atom2) return;
           
-          if (closest) {
-            const color = this.proteinModel.getAtomColor(closest, this.colorScheme);
-            if (mesh.material) {
-              mesh.material.color = color;
-            }
-          }
+          this._getStickTransform(mesh.userData.stick, mesh.position, mesh.quaternion, mesh.scale);
         }
       });
     } catch (error) {
-      console.warn('Error updating color scheme:', error);
+      console.warn('Error updating atom positions:', error);
     }
   }
   
+  /**
+   * Calculate the center and orientation of a bond between two atoms
+   * @private
+   * @param {Object} atom1 - First atom
+   * @param {Object} atom2 - Second atom
+   * @param {THREE.Vector3} position - Receives the bond center
+   * @param {THREE.Quaternion} quaternion - Receives the bond orientation
+   * @returns {number} Bond length
+   */
+  _getBondTransform(atom1, atom2, position, quaternion) {
+    const direction = new THREE.Vector3().subVectors(atom2.position, atom1.position);
+    const bondLength = direction.length();
+    
+    position.addVectors(atom1.position, atom2.position)
+      .multiplyScalar(0.5)
+      .sub(this.proteinModel.centerOfMass);
+    
+    if (bondLength > 0) {
+      quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.divideScalar(bondLength));
+    }
+    
+    return bondLength;
+  }  
+  /**
+   * Get the cylinders drawn for a bond: one for a single bond, two or three
+   * thinner parallel ones for double and triple bonds, and a short inner
+   * one alongside aromatic bonds
+   * @protected
+   * @param {Object} bond - Bond
+   * @returns {Array} Sticks ({ bond, offset, radius, length, shift }); offset
+   *   and radius are in units of the bond radius, length and the optional
+   *   shift from the bond center (towards the second atom) fractions of the bond
+   */
+  _getBondSticks(bond) {
+    if (this.showBondOrders) {
+      if (bond.isAromatic) {
+        return [
+          { bond, offset: 0, radius: 1, length: 1 },
+          { bond, offset: 2.5, radius: 0.5, length: 0.6 }
+        ];
+      }
+      
+      if (bond.type === 2) {
+        return [-1.1, 1.1].map(offset => ({ bond, offset, radius: 0.6, length: 1 }));
+      }
+      
+      if (bond.type === 3) {
+        return [-1.6, 0, 1.6].map(offset => ({ bond, offset, radius: 0.5, length: 1 }));
+      }
+    }
+    
+    return [{ bond, offset: 0, radius: 1, length: 1 }];
+  }
+  
+  /**
+   * Calculate the transform of one cylinder of a bond
+   * @private
+   * @param {Object} stick - Stick from _getBondSticks
+   * @param {THREE.Vector3} position - Receives the cylinder center
+   * @param {THREE.Quaternion} quaternion - Receives the cylinder orientation
+   * @param {THREE.Vector3} scale - Receives the cylinder scale
+   * @returns {number} Bond length
+   */
+  _getStickTransform(stick, position, quaternion, scale) {
+    const atoms = this.proteinModel.atoms;
+    const bondLength = this._getBondTransform(
+      atoms[stick.bond.atomIndex1], atoms[stick.bond.atomIndex2], position, quaternion
+    );
+    
+    if (stick.offset !== 0) {
+      position.addScaledVector(this._getBondNormal(stick.bond), stick.offset * this.bondScale);
+    }
+    
+    // Half bonds sit off the bond center
+    if (stick.shift) {
+      position.addScaledVector(new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion), stick.shift * bondLength);
+    }
+    
+    const radius = this.bondScale * stick.radius;
+    scale.set(radius, bondLength * stick.length, radius);
+    
+    return bondLength;
+  }
+  
+  /**
+   * Get the direction in which the cylinders of a multiple bond are spread:
+   * perpendicular to the bond, in the plane of a neighboring atom (for
+   * aromatic bonds, a ring neighbor, so the inner cylinder lies inside the ring)
+   * @private
+   * @param {Object} bond - Bond
+   * @returns {THREE.Vector3} Unit normal
+   */
+  _getBondNormal(bond) {
+    const atoms = this.proteinModel.atoms;
+    const position1 = atoms[bond.atomIndex1].position;
+    const position2 = atoms[bond.atomIndex2].position;
+    const direction = new THREE.Vector3().subVectors(position2, position1).normalize();
+    const normal = new THREE.Vector3();
+    
+    const neighbor = this._getPlaneNeighbor(bond);
+    if (neighbor) {
+      normal.subVectors(neighbor.position, position1);
+      normal.addScaledVector(direction, -normal.dot(direction));
+    }
+    
+    // Without a neighbor in a defined plane, any perpendicular will do
+    if (normal.lengthSq() < 1e-6) {
+      if (Math.abs(direction.x) < 0.9) {
+        normal.set(1, 0, 0);
+      } else {
+        normal.set(0, 1, 0);
+      }
+      normal.addScaledVector(direction, -normal.dot(direction));
+    }
+    
+    return normal.normalize();
+  }
+  
+  /**
+   * Find an atom bonded to either end of a bond that defines its plane
+   * @private
+   * @param {Object} bond - Bond
+   * @returns {Object|null} Neighboring atom
+   */
+  _getPlaneNeighbor(bond) {
+    const atoms = this.proteinModel.atoms;
+    
+    if (!this.bondNeighbors) {
+      this.bondNeighbors = new Map();
+      
+      this.proteinModel.bonds.forEach(other => {
+        [[other.atomIndex1, other.atomIndex2], [other.atomIndex2, other.atomIndex1]].forEach(([from, to]) => {
+          if (!this.bondNeighbors.has(from)) {
+            this.bondNeighbors.set(from, []);
+          }
+          this.bondNeighbors.get(from).push({ index: to, isAromatic: !!other.isAromatic });
+        });
+      });
+    }
+    
+    let fallback = null;
+    
+    for (const [index, partner] of [[bond.atomIndex1, bond.atomIndex2], [bond.atomIndex2, bond.atomIndex1]]) {
+      for (const neighbor of this.bondNeighbors.get(index) || []) {
+        const atom = atoms[neighbor.index];
+        if (neighbor.index === partner || !atom || atom.element === 'H' || atom.isActiveConformer === false) continue;
+        
+        // Ring neighbors of aromatic bonds take precedence
+        if (!bond.isAromatic || neighbor.isAromatic) return atom;
+        fallback = fallback || atom;
+      }
+    }
+    
+    return fallback;
+  }
+  
+  
   /**
    * Update the shader
    * @param {Object} shader - New shader
@@ -1041,5 +1342,6 @@ export class BallAndStick {
     // Clear groups
     this.atomsGroup.clear();
     this.bondsGroup.clear();
+    this.ghostGroup.clear();
   }
 }
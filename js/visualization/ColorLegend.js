@@ -0,0 +1,241 @@
+/**
+ * ColorLegend.js - Color bar legend over the viewport
+ * Draws a labeled color ramp (or discrete color bands) into a small overlay
+ * canvas, and the same legend into exported images
+ */
+
+export class ColorLegend {
+  /**
+   * Create a new color legend
+   * @param {Object} options - Legend options
+   * @param {string} options.title - Title above the bar (e.g. the quantity and unit)
+   * @param {Array<number|string>} options.colors - Ramp colors from minimum to maximum
+   * @param {number} options.min - Value at the start of the bar
+   * @param {number} options.max - Value at the end of the bar
+   * @param {Array<number>} [options.breaks] - Values between discrete color
+   *   bands; the bar then shows one band of equal width per color (one more
+   *   color than breaks), labeled at the band edges
+   * @param {boolean} [options.signed=true] - Prefix positive labels with '+'
+   */
+  constructor(options) {
+    this.title = options.title;
+    this.colors = options.colors;
+    this.min = options.min;
+    this.max = options.max;
+    this.breaks = options.breaks || null;
+    this.signed = options.signed !== undefined ? options.signed : true;
+    this.visible = false;
+    
+    // Layout in CSS pixels
+    this.barWidth = 160;
+    this.barHeight = 12;
+    this.padding = 8;
+    this.margin = 12;
+    this.font = '12px Arial';
+    this.lineHeight = 16;
+    
+    // Overlay canvas, added to a container by attach()
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'color-legend';
+    this.canvas.style.position = 'absolute';
+    this.canvas.style.right = `${this.margin}px`;
+    this.canvas.style.bottom = `${this.margin}px`;
+    this.canvas.style.pointerEvents = 'none';
+    this.canvas.style.display = 'none';
+  }
+  
+  /**
+   * Add the legend to a container positioned over the viewport
+   * @param {HTMLElement} container - Container element
+   */
+  attach(container) {
+    if (container.style.position !== 'absolute' && container.style.position !== 'relative') {
+      container.style.position = 'relative';
+    }
+    
+    container.appendChild(this.canvas);
+  }
+  
+  /**
+   * Set the values at the ends of the bar
+   * @param {number} min - Value at the start
+   * @param {number} max - Value at the end
+   */
+  setRange(min, max) {
+    this.min = min;
+    this.max = max;
+    this._render();
+  }
+  
+  /**
+   * Show or hide the legend
+   * @param {boolean} visible - Whether the legend is shown
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.canvas.style.display = visible ? 'block' : 'none';
+    if (visible) this._render();
+  }
+  
+  /**
+   * Size of the legend box
+   * @private
+   * @returns {Object} Width and height in CSS pixels
+   */
+  _getSize() {
+    return {
+      width: this.barWidth + 2 * this.padding,
+      height: this.barHeight + 2 * this.lineHeight + 2 * this.padding
+    };
+  }
+  
+  /**
+   * Redraw the overlay canvas
+   * @private
+   */
+  _render() {
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    const { width, height } = this._getSize();
+    
+    this.canvas.width = Math.ceil(width * ratio);
+    this.canvas.height = Math.ceil(height * ratio);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    
+    const context = this.canvas.getContext('2d');
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this._drawBox(context, 0, 0, ratio);
+  }
+  
+  /**
+   * Draw the legend into the bottom-right corner of an image
+   * @param {CanvasRenderingContext2D} context - Image context
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} [scale=1] - Image pixels per CSS pixel of the viewport
+   */
+  draw(context, width, height, scale = 1) {
+    const size = this._getSize();
+    const x = width - (size.width + this.margin) * scale;
+    const y = height - (size.height + this.margin) * scale;
+    
+    this._drawBox(context, x, y, scale);
+  }
+  
+  /**
+   * Draw the legend box at a position
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context
+   * @param {number} x - Left edge in pixels
+   * @param {number} y - Top edge in pixels
+   * @param {number} scale - Pixels per CSS pixel
+   */
+  _drawBox(context, x, y, scale) {
+    const { width, height } = this._getSize();
+    
+    context.save();
+    context.translate(x, y);
+    context.scale(scale, scale);
+    
+    // Background
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, width, height);
+    
+    // Title
+    context.font = this.font;
+    context.fillStyle = '#FFFFFF';
+    context.textBaseline = 'middle';
+    context.textAlign = 'center';
+    context.fillText(this.title, width / 2, this.padding + this.lineHeight / 2);
+    
+    const barTop = this.padding + this.lineHeight;
+    const labelY = barTop + this.barHeight + this.lineHeight / 2;
+    
+    if (this.breaks) {
+      this._drawBands(context, barTop, labelY);
+    } else {
+      this._drawRamp(context, barTop, labelY);
+    }
+    
+    context.restore();
+  }
+  
+  /**
+   * Draw a continuous color ramp, labeled at the ends and the middle
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context, in legend box units
+   * @param {number} barTop - Top of the bar
+   * @param {number} labelY - Middle of the label line
+   */
+  _drawRamp(context, barTop, labelY) {
+    const gradient = context.createLinearGradient(this.padding, 0, this.padding + this.barWidth, 0);
+    this.colors.forEach((color, i) => {
+      gradient.addColorStop(i / (this.colors.length - 1), this._toCSS(color));
+    });
+    context.fillStyle = gradient;
+    context.fillRect(this.padding, barTop, this.barWidth, this.barHeight);
+    
+    context.fillStyle = '#FFFFFF';
+    context.textAlign = 'left';
+    context.fillText(this._formatValue(this.min), this.padding, labelY);
+    context.textAlign = 'center';
+    context.fillText(this._formatValue((this.min + this.max) / 2), this.padding + this.barWidth / 2, labelY);
+    context.textAlign = 'right';
+    context.fillText(this._formatValue(this.max), this.padding + this.barWidth, labelY);
+  }
+  
+  /**
+   * Draw discrete color bands, labeled at their edges
+   * @private
+   * @param {CanvasRenderingContext2D} context - Drawing context, in legend box units
+   * @param {number} barTop - Top of the bar
+   * @param {number} labelY - Middle of the label line
+   */
+  _drawBands(context, barTop, labelY) {
+    const bandWidth = this.barWidth / this.colors.length;
+    
+    this.colors.forEach((color, i) => {
+      context.fillStyle = this._toCSS(color);
+      context.fillRect(this.padding + i * bandWidth, barTop, bandWidth, this.barHeight);
+    });
+    
+    const edges = [this.min].concat(this.breaks, [this.max]);
+    const last = edges.length - 1;
+    
+    context.fillStyle = '#FFFFFF';
+    edges.forEach((value, i) => {
+      context.textAlign = i === 0 ? 'left' : (i === last ? 'right' : 'center');
+      context.fillText(this._formatValue(value), this.padding + i * bandWidth, labelY);
+    });
+  }
+  
+  /**
+   * Format a value for a label
+   * @private
+   * @param {number} value - Value
+   * @returns {string} Label, signed when not zero (unless unsigned)
+   */
+  _formatValue(value) {
+    const text = String(parseFloat(value.toFixed(2)));
+    return this.signed && value > 0 ? `+${text}` : text;
+  }
+  
+  /**
+   * Convert a color to a CSS color string
+   * @private
+   * @param {number|string} color - Hex number or CSS color
+   * @returns {string} CSS color
+   */
+  _toCSS(color) {
+    return typeof color === 'number' ? `#${color.toString(16).padStart(6, '0')}` : color;
+  }
+  
+  /**
+   * Remove the legend from the page
+   */
+  dispose() {
+    if (this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Isosurface.js - Density map isosurface
+ * Contours a DensityMap at a level in standard deviations with marching
+ * cubes, like Surface does for atom densities, and draws it as a mesh or a
+ * see-through solid, optionally carved to the region around a set of atoms
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+import { CONFIG } from '../config.js';
+
+export class Isosurface {
+  /**
+   * Create a new isosurface
+   * @param {Object} options - Visualization options
+   * @param {DensityMap} options.map - Map to contour
+   * @param {THREE.Vector3} [options.centerOfMass] - Offset the visualizations subtract from atom positions
+   * @param {number} [options.level] - Contour level in standard deviations
+   * @param {string} [options.style] - 'mesh' or 'solid'
+   * @param {WorkerPool} [options.workerPool] - Pool to contour in; without one
+   *   the surface is built on the main thread
+   */
+  constructor(options) {
+    this.map = options.map;
+    this.centerOfMass = options.centerOfMass || new THREE.Vector3();
+    this.workerPool = options.workerPool || null;
+    
+    // Configuration
+    this.config = CONFIG.VISUALIZATION.DENSITY;
+    
+    this.level = options.level !== undefined ? options.level : this.config.LEVEL;
+    this.style = options.style || this.config.STYLE;
+    
+    // Atom positions ({ positions, radius }) the surface is carved around
+    this.carve = null;
+    
+    // Incremented by each build, so a slower earlier one is discarded
+    this.buildToken = 0;
+    
+    // Create group for this visualization
+    this.object = new THREE.Group();
+    this.object.name = 'Isosurface';
+    
+    this.mesh = null;
+  }
+  
+  /**
+   * Build the isosurface
+   * @returns {Promise<void>} Promise that resolves when the surface is built
+   */
+  async create() {
+    const token = ++this.buildToken;
+    const geometry = await this._buildGeometry();
+    
+    // A newer build replaced this one while it was running
+    if (token !== this.buildToken) {
+      geometry.dispose();
+      return;
+    }
+    
+    if (this.mesh) {
+      this.mesh.geometry.dispose();
+      this.mesh.geometry = geometry;
+      return;
+    }
+    
+    this.mesh = new THREE.Mesh(geometry, this._createMaterial());
+    this.mesh.name = 'IsosurfaceMesh';
+    
+    // Map coordinates are in the structure's frame
+    this.mesh.position.copy(this.centerOfMass).negate();
+    this.object.add(this.mesh);
+  }
+  
+  /**
+   * Contour at another level
+   * @param {number} level - Contour level in standard deviations
+   * @returns {Promise<void>} Promise that resolves when the surface is rebuilt
+   */
+  setLevel(level) {
+    this.level = level;
+    return this.create();
+  }
+  
+  /**
+   * Switch between mesh and solid rendering
+   * @param {string} style - 'mesh' or 'solid'
+   */
+  setStyle(style) {
+    this.style = style;
+    
+    if (this.mesh) {
+      this.mesh.material.dispose();
+      this.mesh.material = this._createMaterial();
+    }
+  }
+  
+  /**
+   * Keep only the surface within a distance of some atoms
+   * @param {Array<Object>|null} atoms - Atoms with a position, or null to show the whole map
+   * @param {number} [radius] - Distance in Angstroms
+   * @returns {Promise<void>} Promise that resolves when the surface is rebuilt
+   */
+  setCarve(atoms, radius = this.config.CARVE_RADIUS) {
+    if (atoms) {
+      const positions = new Float32Array(atoms.length * 3);
+      atoms.forEach((atom, i) => {
+        positions[i * 3] = atom.position.x;
+        positions[i * 3 + 1] = atom.position.y;
+        positions[i * 3 + 2] = atom.position.z;
+      });
+      
+      this.carve = { positions, radius };
+    } else {
+      this.carve = null;
+    }
+    
+    return this.create();
+  }
+  
+  /**
+   * Contour the map, in a worker when a pool is available
+   * @private
+   * @returns {Promise<THREE.BufferGeometry>} Surface geometry
+   */
+  async _buildGeometry() {
+    const level = this.map.getLevel(this.level);
+    const options = {
+      carve: this.carve,
+      maxGridSize: this.config.MAX_GRID_SIZE
+    };
+    let mesh = null;
+    
+    if (this.workerPool) {
+      try {
+        mesh = await this.workerPool.run('buildIsosurface', {
+          map: this.map.toObject(),
+          level,
+          options
+        });
+      } catch (error) {
+        if (!error.isWorkerError) throw error;
+        console.warn('Isosurface worker failed, contouring on the main thread:', error);
+      }
+    }
+    
+    if (!mesh) {
+      mesh = this.map.extractIsosurface(level, options);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(mesh.normals, 3));
+    geometry.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+    geometry.computeBoundingSphere();
+    
+    return geometry;
+  }
+  
+  /**
+   * Create the material for the current style
+   * @private
+   * @returns {THREE.Material} Material
+   */
+  _createMaterial() {
+    if (this.style === 'solid') {
+      return new THREE.MeshStandardMaterial({
+        color: this.config.COLOR,
+        roughness: 0.6,
+        metalness: 0.0,
+        transparent: true,
+        opacity: this.config.OPACITY,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+    }
+    
+    return new THREE.MeshBasicMaterial({
+      color: this.config.COLOR,
+      wireframe: true
+    });
+  }
+  
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    // Drop the result of a build that is still running
+    this.buildToken++;
+    
+    if (!this.mesh) return;
+    
+    this.object.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.mesh = null;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Licorice.js - Licorice protein visualization style
+ * Represents bonds as thick sticks, each half colored like the atom it
+ * starts from, with atoms as spheres of the same radius that round off
+ * the joints
+ */
+
+import { CONFIG } from '../config.js';
+import { BallAndStick } from './BallAndStick.js';
+
+export class Licorice extends BallAndStick {
+  /**
+   * Create a new licorice visualization
+   * @param {Object} options - Visualization options
+   * @param {Object} options.proteinModel - Protein model to visualize
+   * @param {string} options.colorScheme - Color scheme to use
+   * @param {Object} options.shader - Shader to apply
+   * @param {number} [options.radius] - Stick radius (default: CONFIG.VISUALIZATION.LICORICE.RADIUS)
+   */
+  constructor(options) {
+    super(options);
+    
+    this.object.name = 'Licorice';
+    
+    // Spheres and sticks share one radius
+    this.radius = options.radius !== undefined ? options.radius : CONFIG.VISUALIZATION.LICORICE.RADIUS;
+    this.bondScale = this.radius;
+    
+    // Bond orders would split the stick into thinner ones
+    this.showBondOrders = false;
+  }
+  
+  /**
+   * Get the radius of an atom, the same as that of the sticks
+   * @protected
+   * @param {Object} atom - Atom
+   * @returns {number} Sphere radius in Angstroms
+   */
+  _getAtomRadius(atom) {
+    return this.radius;
+  }
+  
+  /**
+   * Split each bond into two half sticks that meet at its center
+   * @protected
+   * @param {Object} bond - Bond
+   * @returns {Array} Sticks, the half at the first atom first
+   */
+  _getBondSticks(bond) {
+    return [
+      { bond, offset: 0, radius: 1, length: 0.5, shift: -0.25, atomIndex: bond.atomIndex1 },
+      { bond, offset: 0, radius: 1, length: 0.5, shift: 0.25, atomIndex: bond.atomIndex2 }
+    ];
+  }
+  
+  /**
+   * Color each half stick like its atom
+   * @protected
+   * @param {Object} stick - Stick from _getBondSticks
+   * @returns {THREE.Color} Color of the atom
+   */
+  _getStickColor(stick) {
+    return this.proteinModel.getAtomColor(this.proteinModel.atoms[stick.atomIndex], this.colorScheme);
+  }
+  
+  /**
+   * Use instancing wherever the hardware supports it; the standard path
+   * draws only a sample of the bonds, which would break the sticks
+   * @protected
+   * @returns {boolean} True if instancing should be used
+   */
+  _shouldUseInstancing() {
+    return Boolean(CONFIG.CAPABILITIES.instancedArrays);
+  }
+}
@@ -5,6 +5,11 @@
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
 import { CONFIG } from '../config.js';
+import { ResidueProperties } from '../utils/ResidueProperties.js';
+import { NucleicAcids } from '../utils/NucleicAcids.js';
+import { BFactors } from '../utils/BFactors.js';
+import { Confidence } from '../utils/Confidence.js';
+import { Electrostatics } from '../utils/Electrostatics.js';
 
 export class ProteinModel {
   /**
@@ -23,6 +28,7 @@ export class ProteinModel {
     this.chains = Array.from(this.pdbData.chains);
     this.residues = this.pdbData.residueList;
     this.boundingBox = this.pdbData.boundingBox;
+    this.altLocs = this.pdbData.altLocs || [];
     
     // Create group to hold all visualizations
     this.object = new THREE.Group();
@@ -34,6 +40,12 @@ export class ProteinModel {
     // Visualization containers
     this.activeVisualizations = [];
     
+    // Per-residue values for the hydrophobicity and property color schemes
+    this.residueProperties = new ResidueProperties();
+    
+    // B-factor range spanned by the 'bfactor' color scheme
+    this.bfactorRange = BFactors.getRange(this.atoms);
+    
     // Process data
     this._preprocessData();
   }
@@ -83,6 +95,10 @@ export class ProteinModel {
       this.atomsByChain[chainId] = this.atoms.filter(atom => atom.chainID === chainId);
     });
     
+    // Residue ID to residue and to its position in the residue list
+    this.residueMap = new Map(this.residues.map(residue => [residue.id, residue]));
+    this.residueIndex = new Map(this.residues.map((residue, index) => [residue.id, index]));
+    
     // Group atoms by residue
     this.atomsByResidue = {};
     this.residues.forEach(residue => {
@@ -174,6 +190,11 @@ export class ProteinModel {
   getAtomColor(atom, colorScheme) {
     let colorHex;
     
+    // Hydrophobicity scales and attached residue properties
+    if (this.residueProperties.handles(colorScheme)) {
+      return ProteinModel.getPropertyColor(this, atom, colorScheme);
+    }
+    
     switch (colorScheme) {
       case 'element':
         // Color by element type (CPK coloring)
@@ -219,15 +240,45 @@ export class ProteinModel {
         
       case 'rainbow':
         // Color based on sequence position (rainbow gradient)
-        const residue = this.residues.find(r => r.id === atom.residueId);
-        if (residue) {
-          const index = this.residues.indexOf(residue);
+        const index = this.residueIndex.get(atom.residueId);
+        if (index !== undefined) {
           const hue = (index / this.residues.length) * 360;
           return new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
         }
         colorHex = CONFIG.VISUALIZATION.ELEMENT_COLORS.DEFAULT;
         break;
         
+      case 'secondary':
+        // Color by secondary structure of the atom's residue
+        const ssColors = {
+          'helix': '#FF0000', // Red
+          'sheet': '#FFFF00', // Yellow
+          'coil': '#00FFFF'  // Cyan
+        };
+        const ssResidue = this.residueMap.get(atom.residueId);
+        colorHex = (ssResidue && ssColors[ssResidue.secondaryStructure]) || ssColors.coil;
+        break;
+        
+      case 'nucleotide':
+        // Color nucleic acids by base
+        colorHex = NucleicAcids.getColor(atom.resName);
+        break;
+        
+      case 'bfactor':
+        // Gradient over the B-factor range of the structure
+        colorHex = BFactors.getColor(atom.tempFactor, this.bfactorRange);
+        break;
+        
+      case 'plddt':
+        // Confidence band of a predicted model (pLDDT in the B-factor column)
+        colorHex = Confidence.getColor(atom.tempFactor);
+        break;
+        
+      case 'charge':
+        // Diverging ramp: partial charge (PQR, MOL2) or else formal charge
+        colorHex = Electrostatics.getChargeColor(atom);
+        break;
+        
       default:
         colorHex = CONFIG.VISUALIZATION.ELEMENT_COLORS.DEFAULT;
     }
@@ -235,6 +286,127 @@ export class ProteinModel {
     return new THREE.Color(colorHex);
   }
   
+  /**
+   * Get the color of an atom in a hydrophobicity or residue property scheme,
+   * from the properties of its model
+   * @param {Object} model - Model ({ residueProperties, residueMap })
+   * @param {Object} atom - Atom object
+   * @param {string} colorScheme - Color scheme name (see ResidueProperties.handles())
+   * @returns {THREE.Color} Color of the atom's residue
+   */
+  static getPropertyColor(model, atom, colorScheme) {
+    const residue = model.residueMap.get(atom.residueId);
+    return new THREE.Color(model.residueProperties.getColor(colorScheme, residue));
+  }
+  
+  /**
+   * Attach a numeric per-residue property, colored by the 'property:<name>'
+   * scheme; visualizations showing that scheme are recolored
+   * @param {string} name - Property name (e.g. 'conservation')
+   * @param {Map<string, number>|Object<string, number>} values - Values by
+   *   residue (see ResidueProperties.set())
+   * @param {Object} [options] - Gradient and range (see ResidueProperties.set())
+   * @returns {string} Color scheme of the property
+   */
+  setResidueProperty(name, values, options = {}) {
+    this.residueProperties.set(name, values, options);
+    
+    const scheme = ResidueProperties.getScheme(name);
+    this.activeVisualizations.forEach(vis => {
+      if (vis.colorScheme === scheme && vis.updateColorScheme) {
+        vis.updateColorScheme(scheme, true);
+      }
+    });
+    
+    return scheme;
+  }
+  
+  /**
+   * Remove a per-residue property
+   * @param {string} name - Property name
+   * @returns {boolean} True if the property existed
+   */
+  removeResidueProperty(name) {
+    return this.residueProperties.remove(name);
+  }
+  
+  /**
+   * Get the alternate location identifiers
+   * @param {string} [residueId] - Restrict to one residue
+   * @returns {Array<string>} Alternate locations (empty if there are none)
+   */
+  getAltLocs(residueId = null) {
+    if (!residueId) {
+      return this.altLocs;
+    }
+    
+    const altLocs = new Set();
+    this.getAtomsByResidue(residueId).forEach(atom => {
+      if (atom.altLoc) altLocs.add(atom.altLoc);
+    });
+    
+    return Array.from(altLocs).sort();
+  }
+  
+  /**
+   * Get the selected alternate location of a residue
+   * @param {string} residueId - Residue identifier
+   * @returns {string|null} Selected altLoc, or null if the residue has none
+   */
+  getAltLoc(residueId) {
+    const atom = this.getAtomsByResidue(residueId).find(a => a.altLoc && a.isActiveConformer);
+    return atom ? atom.altLoc : null;
+  }
+  
+  /**
+   * Select the alternate location to display, for one residue or globally.
+   * Residues that do not have the requested altLoc keep their current one.
+   * @param {string} altLoc - Alternate location identifier (e.g. 'B')
+   * @param {string} [residueId] - Residue identifier; all residues if omitted
+   * @returns {boolean} True if the selection changed
+   */
+  setAltLoc(altLoc, residueId = null) {
+    const changed = ProteinModel.selectAltLoc(this.residues, altLoc, residueId);
+    
+    if (changed) {
+      this.activeVisualizations.forEach(vis => {
+        if (vis.updateConformers) {
+          vis.updateConformers();
+        }
+      });
+    }
+    
+    return changed;
+  }
+  
+  /**
+   * Mark the atoms of an alternate location as the active conformer
+   * @param {Array} residues - Residues to update
+   * @param {string} altLoc - Alternate location identifier
+   * @param {string} [residueId] - Residue identifier; all residues if omitted
+   * @returns {boolean} True if any atom changed
+   */
+  static selectAltLoc(residues, altLoc, residueId = null) {
+    let changed = false;
+    
+    residues.forEach(residue => {
+      if (residueId && residue.id !== residueId) return;
+      
+      const conformerAtoms = residue.atoms.filter(atom => atom.altLoc);
+      if (!conformerAtoms.some(atom => atom.altLoc === altLoc)) return;
+      
+      conformerAtoms.forEach(atom => {
+        const isActive = atom.altLoc === altLoc;
+        if (atom.isActiveConformer !== isActive) {
+          atom.isActiveConformer = isActive;
+          changed = true;
+        }
+      });
+    });
+    
+    return changed;
+  }
+  
   /**
    * Get specific atoms based on selector function
    * @param {Function} selector - Function that takes an atom and returns boolean
@@ -0,0 +1,81 @@
+/**
+ * Putty.js - B-factor putty (sausage) visualization style
+ * Represents the backbone as a round tube along the ribbon spline whose
+ * radius follows the flexibility of each residue: its B-factor, or the
+ * pLDDT confidence of a predicted model
+ */
+
+import { CONFIG } from '../config.js';
+import { BFactors } from '../utils/BFactors.js';
+import { Ribbon } from './Ribbon.js';
+
+export class Putty extends Ribbon {
+  /**
+   * Create a new putty visualization
+   * @param {Object} options - Visualization options
+   * @param {Object} options.proteinModel - Protein model to visualize
+   * @param {string} options.colorScheme - Color scheme to use
+   * @param {Object} options.shader - Shader to apply
+   * @param {string} [options.source] - 'bfactor', or 'plddt' when the B-factor
+   *   column holds pLDDT (default: CONFIG.VISUALIZATION.PUTTY.SOURCE)
+   */
+  constructor(options) {
+    super(options);
+    
+    this.object.name = 'Putty';
+    
+    // Configuration
+    this.puttyConfig = CONFIG.VISUALIZATION.PUTTY;
+    
+    // Parameters
+    this.minRadius = this.puttyConfig.MIN_RADIUS;
+    this.maxRadius = this.puttyConfig.MAX_RADIUS;
+    this.source = options.source || this.puttyConfig.SOURCE;
+  }
+  
+  /**
+   * Build the geometry of a chain: one tube, capped at both ends, whose
+   * radius is interpolated between residues
+   * @protected
+   * @param {Object} ribbon - Chain ribbon ({ tracePoints })
+   * @returns {THREE.BufferGeometry} Geometry with vertex colors
+   */
+  _createChainGeometry({ tracePoints }) {
+    const frames = this._computeFrames(tracePoints);
+    const radii = tracePoints.map(point => this._getRadius(point.residue));
+    
+    const sections = frames.positions.map((position, k) => {
+      const residue = Math.min(Math.floor(k / this.subdivision), tracePoints.length - 2);
+      const fraction = k / this.subdivision - residue;
+      const diameter = 2 * (radii[residue] + (radii[residue + 1] - radii[residue]) * fraction);
+      
+      return { k, width: diameter, height: diameter, roundness: 1 };
+    });
+    
+    return this._createTubeGeometry(frames, sections, true, true);
+  }
+  
+  /**
+   * Get the tube radius of a residue. B-factors are scaled over the range of
+   * the residues of the structure; pLDDT over CONFIG.VISUALIZATION.PUTTY.PLDDT_RANGE, with
+   * confident residues thin. Residues without a value get the middle radius.
+   * @private
+   * @param {Object} residue - Residue
+   * @returns {number} Radius in Angstroms, between the minimum and maximum
+   */
+  _getRadius(residue) {
+    const value = BFactors.getResidueValue(residue);
+    let flexibility = 0.5;
+    
+    if (value !== null) {
+      if (this.source === 'plddt') {
+        const [low, high] = this.puttyConfig.PLDDT_RANGE;
+        flexibility = 1 - BFactors.normalize(value, { min: low, max: high });
+      } else {
+        flexibility = BFactors.normalize(value, this.bfactorRange);
+      }
+    }
+    
+    return this.minRadius + (this.maxRadius - this.minRadius) * flexibility;
+  }
+}
@@ -1,11 +1,15 @@
 /**
  * Ribbon.js - Ribbon/cartoon visualization style for proteins
- * Represents the protein backbone as a smooth ribbon with specialized
- * representations for secondary structure elements
+ * Represents the protein backbone as a cartoon swept along the CA trace and
+ * oriented by the peptide planes: flat strands ending in arrowheads, wide
+ * helical ribbons (or cylinders) and round coil tubes
  */
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
 import { CONFIG } from '../config.js';
+import { NucleicAcids } from '../utils/NucleicAcids.js';
+import { BFactors } from '../utils/BFactors.js';
+import { Confidence } from '../utils/Confidence.js';
 
 export class Ribbon {
   /**
@@ -30,28 +34,32 @@ export class Ribbon {
     this.curveSegments = this.config.CURVE_SEGMENTS;
     this.helixWidth = this.config.HELIX_WIDTH;
     this.sheetWidth = this.config.SHEET_WIDTH;
+    this.arrowWidth = this.config.ARROW_WIDTH;
     this.coilWidth = this.config.COIL_WIDTH;
+    this.helixMode = this.config.HELIX_MODE;
+    this.cylinderRadius = this.config.CYLINDER_RADIUS;
+    this.nucleicWidth = this.config.NUCLEIC_WIDTH;
+    this.baseMode = this.config.BASE_MODE;
+    this.baseWidth = this.config.BASE_WIDTH;
+    this.ladderRadius = this.config.LADDER_RADIUS;
+    this.maxCADistance = this.config.MAX_CA_DISTANCE;
+    this.maxPDistance = this.config.MAX_P_DISTANCE;
     
-    // Create group for this visualization
+    // Create group for this visualization, holding one mesh per chain
     this.object = new THREE.Group();
     this.object.name = 'Ribbon';
     
-    // Create separate groups for different secondary structures
-    this.helixGroup = new THREE.Group();
-    this.helixGroup.name = 'Helices';
-    
-    this.sheetGroup = new THREE.Group();
-    this.sheetGroup.name = 'Sheets';
+    // Track meshes
+    this.meshes = [];
     
-    this.coilGroup = new THREE.Group();
-    this.coilGroup.name = 'Coils';
+    // Trace points and segments per chain, kept for position updates
+    this.chainRibbons = [];
     
-    this.object.add(this.helixGroup);
-    this.object.add(this.sheetGroup);
-    this.object.add(this.coilGroup);
+    // Partner of each paired nucleotide
+    this.basePairs = new Map();
     
-    // Track meshes
-    this.meshes = [];
+    // Range of the residue B-factors, for the 'bfactor' color scheme
+    this.bfactorRange = null;
     
     // Effect strength
     this.effectStrength = 1.0;
@@ -67,6 +75,10 @@ export class Ribbon {
       const residues = this.proteinModel.residues;
       const chains = this.proteinModel.chains;
       
+      this.chainRibbons = [];
+      this.basePairs = NucleicAcids.findBasePairs(residues);
+      this.bfactorRange = BFactors.getResidueRange(residues);
+      
       // Process each chain separately
       chains.forEach(chainId => {
         const chainResidues = residues.filter(r => r.chainID === chainId);
@@ -74,14 +86,24 @@ export class Ribbon {
         // Skip chains with too few residues
         if (chainResidues.length < 3) return;
         
-        // Get trace points
+        // Get trace points, cut at chain breaks (gaps in the model or
+        // residues left out), and draw a ribbon for each piece
         const tracePoints = this._getBackboneTrace(chainResidues);
         
-        // Skip if insufficient trace points
-        if (tracePoints.length < 3) return;
+        this._splitAtBreaks(tracePoints, this.maxCADistance).forEach(piece => {
+          if (piece.length >= 3) {
+            this._createChainRibbon(chainId, chainResidues, piece);
+          }
+        });
+        
+        // DNA and RNA are traced separately, through their phosphates
+        const nucleicPoints = this._getNucleicTrace(chainResidues);
         
-        // Draw chain ribbon
-        this._createChainRibbon(chainId, chainResidues, tracePoints);
+        this._splitAtBreaks(nucleicPoints, this.maxPDistance).forEach(piece => {
+          if (piece.length >= 3) {
+            this._createChainRibbon(chainId, chainResidues, piece);
+          }
+        });
       });
       
       // Apply initial effect strength
@@ -105,8 +127,8 @@ export class Ribbon {
       // Skip non-amino acid residues
       if (!residue.atoms.some(a => a.isAminoAcid)) return;
       
-      // Find the CA atom
-      const caAtom = residue.atoms.find(a => a.name === 'CA');
+      // Find the CA atom of the selected conformer
+      const caAtom = residue.atoms.find(a => a.name === 'CA' && a.isActiveConformer !== false);
       
       if (caAtom) {
         // Create a trace point
@@ -117,6 +139,9 @@ export class Ribbon {
             caAtom.position.z - this.proteinModel.centerOfMass.z
           ),
           residue: residue,
+          atom: caAtom,
+          // The carbonyl oxygen orients the ribbon in the peptide plane
+          oxygen: residue.atoms.find(a => a.name === 'O' && a.isActiveConformer !== false) || null,
           secondaryStructure: residue.secondaryStructure || 'coil',
           color: this._getResidueColor(residue)
         });
@@ -127,12 +152,101 @@ export class Ribbon {
   }
   
   /**
-   * Get color for a residue based on the selected color scheme
+   * Get nucleic acid trace points from residues, through the phosphorus
+   * atoms (or the 5' sugar atoms of a nucleotide without phosphate)
+   * @private
+   * @param {Array} residues - Array of residues
+   * @returns {Array} Array of trace points
+   */
+  _getNucleicTrace(residues) {
+    const center = this.proteinModel.centerOfMass;
+    const tracePoints = [];
+    
+    residues.forEach(residue => {
+      if (!residue.atoms.some(a => a.isNucleicAcid)) return;
+      
+      const atom = ['P', "O5'", "C5'"]
+        .map(name => residue.atoms.find(a => a.name === name && a.isActiveConformer !== false))
+        .find(Boolean);
+      
+      if (atom) {
+        tracePoints.push({
+          position: new THREE.Vector3(
+            atom.position.x - center.x,
+            atom.position.y - center.y,
+            atom.position.z - center.z
+          ),
+          residue: residue,
+          atom: atom,
+          oxygen: null,
+          base: NucleicAcids.getBaseAtoms(residue),
+          secondaryStructure: 'nucleic',
+          color: this._getResidueColor(residue)
+        });
+      }
+    });
+    
+    return tracePoints;
+  }
+  
+  /**
+   * Cut a trace where consecutive points are too far apart to be bonded
+   * @private
+   * @param {Array} tracePoints - Trace points of a chain
+   * @param {number} maxDistance - Longest step within one piece
+   * @returns {Array<Array>} Pieces of the trace, in order
+   */
+  _splitAtBreaks(tracePoints, maxDistance) {
+    const pieces = [];
+    let piece = [];
+    
+    tracePoints.forEach((point, i) => {
+      if (i > 0 && point.atom.position.distanceTo(tracePoints[i - 1].atom.position) > maxDistance) {
+        pieces.push(piece);
+        piece = [];
+      }
+      
+      piece.push(point);
+    });
+    
+    if (piece.length > 0) {
+      pieces.push(piece);
+    }
+    
+    return pieces;
+  }
+  
+  /**
+   * Get color for a residue, faded for a low-confidence residue of a
+   * predicted model when those are faded
    * @private
    * @param {Object} residue - Residue object
    * @returns {THREE.Color} Color for the residue
    */
   _getResidueColor(residue) {
+    const color = this._getSchemeColor(residue);
+    const confidence = this.proteinModel.confidence;
+    
+    if (confidence && confidence.mode === 'fade' && Confidence.isLow(residue, confidence.threshold)) {
+      color.setHex(Confidence.fade(color.getHex()));
+    }
+    
+    return color;
+  }
+  
+  /**
+   * Get color for a residue based on the selected color scheme
+   * @private
+   * @param {Object} residue - Residue object
+   * @returns {THREE.Color} Color for the residue
+   */
+  _getSchemeColor(residue) {
+    // Hydrophobicity scales and attached residue properties
+    const properties = this.proteinModel.residueProperties;
+    if (properties && properties.handles(this.colorScheme)) {
+      return new THREE.Color(properties.getColor(this.colorScheme, residue));
+    }
+    
     switch (this.colorScheme) {
       case 'rainbow':
         // Color based on sequence position (rainbow gradient)
@@ -174,6 +288,18 @@ export class Ribbon {
         
         return new THREE.Color(residueColors[residue.name] || residueColors.default);
         
+      case 'nucleotide':
+        // Color by base
+        return new THREE.Color(NucleicAcids.getColor(residue.name));
+        
+      case 'bfactor':
+        // Color by the mean B-factor of the residue
+        return new THREE.Color(BFactors.getColor(BFactors.getResidueValue(residue), this.bfactorRange));
+        
+      case 'plddt':
+        // Color by the confidence band of the mean pLDDT of the residue
+        return new THREE.Color(Confidence.getColor(BFactors.getResidueValue(residue)));
+        
       case 'secondary':
         // Color by secondary structure
         const ssColors = {
@@ -197,15 +323,9 @@ export class Ribbon {
    * @param {string} chainId - Chain identifier
    * @param {Array} residues - Array of residues in the chain
    * @param {Array} tracePoints - Array of trace points
+   * @returns {Object} Chain ribbon ({ chainId, tracePoints, segments, mesh })
    */
   _createChainRibbon(chainId, residues, tracePoints) {
-    // Create a smooth curve through the trace points
-    const curve = this._createSplineCurve(tracePoints);
-    
-    // Divide the curve into segments
-    const points = curve.getPoints(tracePoints.length * this.subdivision);
-    
-    // Create ribbon geometry
     const segments = [];
     
     // Current structure type
@@ -231,68 +351,209 @@ export class Ribbon {
     }
     
     // Add the final segment
-    if (currentStart < tracePoints.length - 1) {
-      segments.push({
-        start: currentStart,
-        end: tracePoints.length - 1,
-        type: currentStructure || 'coil'
-      });
-    }
+    segments.push({
+      start: currentStart,
+      end: tracePoints.length - 1,
+      type: currentStructure || 'coil'
+    });
+    
+    const ribbon = { chainId, tracePoints, segments };
+    this.chainRibbons.push(ribbon);
+    
+    // One mesh for the whole chain, colored per vertex
+    const material = this._createMaterial(new THREE.Color(0xffffff), true);
+    const mesh = new THREE.Mesh(this._createChainGeometry(ribbon), material);
+    mesh.name = `Chain ${chainId}`;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.chainID = chainId;
     
-    // Process each segment
-    segments.forEach(segment => {
-      // Get width based on secondary structure
-      let width;
-      switch (segment.type) {
-        case 'helix':
-          width = this.helixWidth;
-          break;
-        case 'sheet':
-          width = this.sheetWidth;
-          break;
-        default:
-          width = this.coilWidth;
+    ribbon.mesh = mesh;
+    this.object.add(mesh);
+    this.meshes.push(mesh);
+    
+    return ribbon;
+  }
+  
+  /**
+   * Build the merged geometry of a chain: its segments and, for nucleic
+   * acids, the bases
+   * @protected
+   * @param {Object} ribbon - Chain ribbon ({ tracePoints, segments })
+   * @returns {THREE.BufferGeometry} Geometry with vertex colors
+   */
+  _createChainGeometry(ribbon) {
+    const parts = this._createSegmentGeometries(ribbon).map(geometry => ({ geometry }));
+    
+    return this._mergeGeometries(parts.concat(this._getBaseParts(ribbon.tracePoints)));
+  }
+  
+  /**
+   * Build the geometry of each segment of a chain. Segments are cut from one
+   * tube that runs along the whole chain, so neighbours share their boundary
+   * cross-section and join without gaps.
+   * @private
+   * @param {Object} ribbon - Chain ribbon ({ tracePoints, segments })
+   * @returns {Array<THREE.BufferGeometry>} Geometry per segment, with vertex colors
+   */
+  _createSegmentGeometries({ tracePoints, segments }) {
+    const frames = this._computeFrames(tracePoints);
+    const last = frames.positions.length - 1;
+    const half = Math.floor(this.subdivision / 2);
+    const cylinders = this.helixMode === 'cylinder';
+    
+    // Cross-section halfway between a residue and the next
+    const boundary = residue => Math.min(last, Math.max(0, residue * this.subdivision + half));
+    const isCylinder = segment => cylinders && segment !== undefined && segment.type === 'helix';
+    
+    return segments.map((segment, i) => {
+      if (isCylinder(segment)) {
+        return this._createCylinder(tracePoints.slice(segment.start, segment.end + 1));
       }
       
-      // Calculate the segment points
-      const segStart = segment.start * this.subdivision;
-      const segEnd = (segment.end + 1) * this.subdivision;
-      const segPoints = points.slice(segStart, segEnd);
-      
-      // Create the segment
-      const segmentMesh = this._createSegmentMesh(
-        segPoints,
-        width,
-        tracePoints.slice(segment.start, segment.end + 1),
-        segment.type
-      );
+      const from = boundary(segment.start - 1);
+      const to = boundary(segment.end);
+      
+      // Close the tube at the chain ends and where it meets a cylinder
+      const capStart = from === 0 || isCylinder(segments[i - 1]);
+      const capEnd = to === last || isCylinder(segments[i + 1]);
+      
+      return this._createTubeGeometry(frames, this._getSegmentSections(segment, from, to), capStart, capEnd);
+    });
+  }
+  
+  /**
+   * Get the control points of the spline. Strands are smoothed so that
+   * their pleat does not make the sheet ribbons zigzag.
+   * @private
+   * @param {Array} tracePoints - Array of trace points
+   * @returns {Array<THREE.Vector3>} Control points
+   */
+  _getControlPoints(tracePoints) {
+    return tracePoints.map((point, i) => {
+      const previous = tracePoints[i - 1];
+      const next = tracePoints[i + 1];
       
-      // Add to the appropriate group
-      switch (segment.type) {
-        case 'helix':
-          this.helixGroup.add(segmentMesh);
-          break;
-        case 'sheet':
-          this.sheetGroup.add(segmentMesh);
-          break;
-        default:
-          this.coilGroup.add(segmentMesh);
+      if (point.secondaryStructure === 'sheet' && previous && next &&
+          previous.secondaryStructure === 'sheet' && next.secondaryStructure === 'sheet') {
+        return point.position.clone().multiplyScalar(2)
+          .add(previous.position)
+          .add(next.position)
+          .multiplyScalar(0.25);
       }
       
-      this.meshes.push(segmentMesh);
+      return point.position.clone();
     });
   }
   
   /**
-   * Create a spline curve through trace points
+   * Get the width direction of the ribbon at each residue: the CA->O
+   * direction, which lies in the peptide plane, made perpendicular to the
+   * trace and flipped where needed so that it does not twist by 180 degrees
+   * from one residue to the next
    * @private
    * @param {Array} tracePoints - Array of trace points
-   * @returns {THREE.CatmullRomCurve3} Spline curve
+   * @param {THREE.Curve} curve - Spline through the trace
+   * @returns {Array<THREE.Vector3>} Unit vector per residue
    */
-  _createSplineCurve(tracePoints) {
-    // Extract positions
-    const positions = tracePoints.map(p => p.position);
+  _getGuideVectors(tracePoints, curve) {
+    const center = this.proteinModel.centerOfMass;
+    const last = tracePoints.length - 1;
+    const guides = [];
+    
+    tracePoints.forEach((point, i) => {
+      const tangent = curve.getTangent(i / last);
+      const guide = new THREE.Vector3();
+      
+      if (point.oxygen) {
+        guide.copy(point.oxygen.position).sub(center).sub(point.position);
+      } else {
+        // CA-only models: perpendicular to the bend of the trace
+        const j = Math.min(Math.max(i, 1), last - 1);
+        const bend = tracePoints[j - 1].position.clone()
+          .add(tracePoints[j + 1].position)
+          .addScaledVector(tracePoints[j].position, -2);
+        guide.crossVectors(tangent, bend);
+      }
+      
+      guide.addScaledVector(tangent, -guide.dot(tangent));
+      
+      if (guide.lengthSq() < 1e-6) {
+        guide.copy(i > 0 ? guides[i - 1] : this._getPerpendicular(tangent));
+        guide.addScaledVector(tangent, -guide.dot(tangent));
+      }
+      
+      guide.normalize();
+      
+      if (i > 0 && guide.dot(guides[i - 1]) < 0) {
+        guide.negate();
+      }
+      
+      guides.push(guide);
+    });
+    
+    return guides;
+  }
+  
+  /**
+   * Get a unit vector perpendicular to another
+   * @private
+   * @param {THREE.Vector3} vector - Unit vector
+   * @returns {THREE.Vector3} Perpendicular unit vector
+   */
+  _getPerpendicular(vector) {
+    const axis = Math.abs(vector.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    return axis.cross(vector).normalize();
+  }
+  
+  /**
+   * Sample the trace: position and orientation frame at each cross-section,
+   * with this.subdivision cross-sections per residue. Cross-section
+   * k * this.subdivision lies on residue k.
+   * @private
+   * @param {Array} tracePoints - Array of trace points
+   * @returns {Object} Arrays of positions, tangents, sides (width direction),
+   *   normals (thickness direction) and colors, blended between residues
+   */
+  _computeFrames(tracePoints) {
+    const curve = this._createSplineCurve(this._getControlPoints(tracePoints));
+    const guides = this._getGuideVectors(tracePoints, curve);
+    const count = (tracePoints.length - 1) * this.subdivision + 1;
+    const frames = { positions: [], tangents: [], sides: [], normals: [], colors: [] };
+    
+    for (let k = 0; k < count; k++) {
+      const t = k / (count - 1);
+      const residue = Math.min(Math.floor(k / this.subdivision), tracePoints.length - 2);
+      const fraction = k / this.subdivision - residue;
+      
+      const tangent = curve.getTangent(t);
+      const side = guides[residue].clone().lerp(guides[residue + 1], fraction);
+      side.addScaledVector(tangent, -side.dot(tangent));
+      
+      if (side.lengthSq() < 1e-6) {
+        side.copy(k > 0 ? frames.sides[k - 1] : this._getPerpendicular(tangent));
+        side.addScaledVector(tangent, -side.dot(tangent));
+      }
+      
+      side.normalize();
+      
+      frames.positions.push(curve.getPoint(t));
+      frames.tangents.push(tangent);
+      frames.sides.push(side);
+      frames.normals.push(new THREE.Vector3().crossVectors(tangent, side));
+      frames.colors.push(tracePoints[residue].color.clone().lerp(tracePoints[residue + 1].color, fraction));
+    }
     
+    return frames;
+  }
+  
+  /**
+   * Create a spline curve through trace points
+   * @private
+   * @param {Array<THREE.Vector3>} positions - Control points
+   * @returns {THREE.CatmullRomCurve3} Spline curve
+   */
+  _createSplineCurve(positions) {
     // Create a spline curve
     const curve = new THREE.CatmullRomCurve3(
       positions,
@@ -305,118 +566,437 @@ export class Ribbon {
   }
   
   /**
-   * Create a mesh for a segment of the ribbon
+   * Get the cross-section shape of a secondary structure type
    * @private
-   * @param {Array} points - Array of points along the curve
-   * @param {number} width - Width of the ribbon
-   * @param {Array} tracePoints - Original trace points for this segment
-   * @param {string} type - Segment type (helix, sheet, coil)
-   * @returns {THREE.Mesh} Segment mesh
-   */
-  _createSegmentMesh(points, width, tracePoints, type) {
-    // Create geometry
-    let geometry;
-    
-    if (type === 'helix') {
-      // Create a tube geometry for helices
-      geometry = this._createHelix(points, width);
-    } else {
-      // Create a ribbon geometry for sheets and coils
-      geometry = this._createRibbon(points, width);
+   * @param {string} type - Secondary structure type, or 'arrow' for the
+   *   base of a strand arrowhead
+   * @returns {Object} Width and height in Angstroms, and roundness (1 for an
+   *   ellipse, towards 0 for a rectangle)
+   */
+  _getProfile(type) {
+    switch (type) {
+      case 'helix':
+        return { width: this.helixWidth, height: this.thickness, roundness: 0.5 };
+      case 'sheet':
+        return { width: this.sheetWidth, height: this.thickness, roundness: 0.2 };
+      case 'arrow':
+        return { width: this.arrowWidth, height: this.thickness, roundness: 0.2 };
+      case 'nucleic':
+        return { width: this.nucleicWidth, height: this.nucleicWidth, roundness: 1 };
+      default:
+        return { width: this.coilWidth, height: this.coilWidth, roundness: 1 };
     }
+  }
+  
+  /**
+   * Interpolate between two cross-section shapes
+   * @private
+   * @param {Object} from - Shape at t = 0
+   * @param {Object} to - Shape at t = 1
+   * @param {number} t - Position between the shapes
+   * @returns {Object} Shape
+   */
+  _blendProfiles(from, to, t) {
+    return {
+      width: from.width + (to.width - from.width) * t,
+      height: from.height + (to.height - from.height) * t,
+      roundness: from.roundness + (to.roundness - from.roundness) * t
+    };
+  }
+  
+  /**
+   * Get the cross-sections of a segment. Helices and strands widen from the
+   * coil tube over half a residue; strands end in an arrowhead one residue
+   * long that narrows back to the coil.
+   * @private
+   * @param {Object} segment - Segment ({ type })
+   * @param {number} from - First cross-section
+   * @param {number} to - Last cross-section
+   * @returns {Array<Object>} Cross-sections ({ k, width, height, roundness,
+   *   facing }); facing is -1 or 1 for sections whose normals point back or
+   *   forward along the trace
+   */
+  _getSegmentSections(segment, from, to) {
+    const coil = this._getProfile('coil');
+    const sections = [];
     
-    // Create material based on color scheme
-    const colors = tracePoints.map(p => p.color);
+    if (segment.type !== 'helix' && segment.type !== 'sheet') {
+      const tube = this._getProfile(segment.type);
+      for (let k = from; k <= to; k++) {
+        sections.push({ k, ...tube });
+      }
+      return sections;
+    }
     
-    // Use average color for now 
-    // (a more sophisticated approach would use vertex colors)
-    const color = colors.reduce((avg, c) => avg.add(c), new THREE.Color())
-      .multiplyScalar(1 / colors.length);
+    const profile = this._getProfile(segment.type);
+    const arrow = this._getProfile('arrow');
+    const taper = Math.max(1, this.subdivision / 2);
+    const arrowStart = segment.type === 'sheet' ? Math.max(from, to - this.subdivision) : Infinity;
     
-    const material = this._createMaterial(color);
+    for (let k = from; k <= to; k++) {
+      if (k < arrowStart) {
+        const t = Math.min(1, (k - from) / taper, (to - k) / taper);
+        sections.push({ k, ...this._blendProfiles(coil, profile, t * t * (3 - 2 * t)) });
+      } else if (k === arrowStart) {
+        // Flat back face of the arrowhead
+        const t = Math.min(1, (k - from) / taper);
+        const body = this._blendProfiles(coil, profile, t * t * (3 - 2 * t));
+        
+        sections.push(
+          { k, ...body },
+          { k, ...body, facing: -1 },
+          { k, ...arrow, facing: -1 },
+          { k, ...arrow }
+        );
+      } else {
+        sections.push({ k, ...this._blendProfiles(arrow, coil, (k - arrowStart) / (to - arrowStart)) });
+      }
+    }
     
-    // Create mesh
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
+    return sections;
+  }
+  
+  /**
+   * Sweep cross-sections along the trace
+   * @private
+   * @param {Object} frames - Trace frames (see _computeFrames)
+   * @param {Array<Object>} sections - Cross-sections (see _getSegmentSections)
+   * @param {boolean} capStart - Close the first end
+   * @param {boolean} capEnd - Close the last end
+   * @returns {THREE.BufferGeometry} Segment geometry
+   */
+  _createTubeGeometry(frames, sections, capStart, capEnd) {
+    const radial = this.curveSegments;
+    const rings = sections.slice();
+    
+    if (capStart) rings.unshift({ ...sections[0], facing: -1 });
+    if (capEnd) rings.push({ ...sections[sections.length - 1], facing: 1 });
+    
+    const vertexCount = rings.length * radial + (capStart ? 1 : 0) + (capEnd ? 1 : 0);
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const indices = [];
+    
+    const position = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    let color = null;
+    let vertex = 0;
+    
+    const addVertex = () => {
+      position.toArray(positions, vertex * 3);
+      normal.toArray(normals, vertex * 3);
+      color.toArray(colors, vertex * 3);
+      return vertex++;
+    };
+    
+    rings.forEach((ring, r) => {
+      const center = frames.positions[ring.k];
+      const side = frames.sides[ring.k];
+      const up = frames.normals[ring.k];
+      color = frames.colors[ring.k];
+      
+      for (let j = 0; j < radial; j++) {
+        const angle = (j / radial) * Math.PI * 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        // Superellipse: an ellipse at roundness 1, a rectangle towards 0
+        position.copy(center)
+          .addScaledVector(side, ring.width / 2 * Math.sign(cos) * Math.pow(Math.abs(cos), ring.roundness))
+          .addScaledVector(up, ring.height / 2 * Math.sign(sin) * Math.pow(Math.abs(sin), ring.roundness));
+        
+        if (ring.facing) {
+          normal.copy(frames.tangents[ring.k]).multiplyScalar(ring.facing);
+        } else {
+          normal.copy(side).multiplyScalar(Math.sign(cos) * Math.pow(Math.abs(cos), 2 - ring.roundness) / ring.width)
+            .addScaledVector(up, Math.sign(sin) * Math.pow(Math.abs(sin), 2 - ring.roundness) / ring.height)
+            .normalize();
+        }
+        
+        addVertex();
+      }
+      
+      if (r === 0) return;
+      
+      const previous = (r - 1) * radial;
+      const current = r * radial;
+      
+      for (let j = 0; j < radial; j++) {
+        const next = (j + 1) % radial;
+        indices.push(previous + j, previous + next, current + j);
+        indices.push(previous + next, current + next, current + j);
+      }
+    });
     
-    return mesh;
+    if (capStart) {
+      const k = sections[0].k;
+      position.copy(frames.positions[k]);
+      normal.copy(frames.tangents[k]).negate();
+      color = frames.colors[k];
+      const center = addVertex();
+      
+      for (let j = 0; j < radial; j++) {
+        indices.push(center, (j + 1) % radial, j);
+      }
+    }
+    
+    if (capEnd) {
+      const k = sections[sections.length - 1].k;
+      const ring = (rings.length - 1) * radial;
+      position.copy(frames.positions[k]);
+      normal.copy(frames.tangents[k]);
+      color = frames.colors[k];
+      const center = addVertex();
+      
+      for (let j = 0; j < radial; j++) {
+        indices.push(center, ring + j, ring + (j + 1) % radial);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
+    
+    return geometry;
   }
   
   /**
-   * Create a ribbon geometry
+   * Create a cylinder along the axis of a helix
    * @private
-   * @param {Array} points - Array of points along the curve
-   * @param {number} width - Width of the ribbon
-   * @returns {THREE.BufferGeometry} Ribbon geometry
+   * @param {Array} tracePoints - Trace points of the helix
+   * @returns {THREE.BufferGeometry} Cylinder geometry, colored from the first
+   *   to the last residue along its axis
    */
-  _createRibbon(points, width) {
-    if (points.length < 2) {
-      return new THREE.BufferGeometry();
+  _createCylinder(tracePoints) {
+    const positions = tracePoints.map(p => p.position);
+    const turn = Math.min(4, positions.length);
+    const average = points => points
+      .reduce((sum, p) => sum.add(p), new THREE.Vector3())
+      .multiplyScalar(1 / points.length);
+    
+    // CA atoms averaged over one turn lie on the axis
+    const start = average(positions.slice(0, turn));
+    const end = average(positions.slice(positions.length - turn));
+    const axis = end.clone().sub(start).normalize();
+    
+    // Reach the first and last residues (1.5 Angstrom rise per residue)
+    const extension = (turn - 1) * 1.5 / 2;
+    
+    start.addScaledVector(axis, -extension);
+    end.addScaledVector(axis, extension);
+    
+    const geometry = this._createRod(start, end, this.cylinderRadius);
+    const position = geometry.attributes.position;
+    const colors = new Float32Array(position.count * 3);
+    const length = start.distanceTo(end);
+    const point = new THREE.Vector3();
+    const color = new THREE.Color();
+    const last = tracePoints.length - 1;
+    
+    for (let i = 0; i < position.count; i++) {
+      point.fromBufferAttribute(position, i).sub(start);
+      
+      const t = length > 0 ? Math.max(0, Math.min(1, point.dot(axis) / length)) * last : 0;
+      const residue = Math.min(Math.floor(t), Math.max(last - 1, 0));
+      
+      color.copy(tracePoints[residue].color)
+        .lerp(tracePoints[Math.min(residue + 1, last)].color, t - residue)
+        .toArray(colors, i * 3);
     }
     
-    // Create a path for the ribbon
-    const path = new THREE.CatmullRomCurve3(points);
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+  }
+  
+  /**
+   * Build the slabs or ladder rungs of the bases. Each points from the
+   * backbone across the base to its pairing edge; a paired base reaches the
+   * middle of the pair, so the two partners meet.
+   * @private
+   * @param {Array} tracePoints - Trace points; only complete nucleotide
+   *   bases get geometry
+   * @returns {Array<Object>} Geometries and their colors ({ geometry, color })
+   */
+  _getBaseParts(tracePoints) {
+    const center = this.proteinModel.centerOfMass;
+    const local = atom => new THREE.Vector3().copy(atom.position).sub(center);
+    const parts = [];
     
-    // Create ribbon geometry
-    const geometry = new THREE.TubeGeometry(
-      path,
-      points.length * 2, // tubularSegments
-      width * this.thickness / 2, // radius
-      this.curveSegments, // radialSegments
-      false // closed
-    );
+    tracePoints.forEach(point => {
+      if (!point.base) return;
+      
+      const glycosidic = local(point.base.glycosidic);
+      const target = local(point.base.pairing);
+      
+      const partner = this.basePairs.get(point.residue);
+      const partnerAtoms = partner ? NucleicAcids.getBaseAtoms(partner) : null;
+      if (partnerAtoms) {
+        target.add(local(partnerAtoms.pairing)).multiplyScalar(0.5);
+      }
+      
+      if (this.baseMode === 'ladder') {
+        parts.push({ geometry: this._createRod(point.position, target, this.ladderRadius), color: point.color });
+        return;
+      }
+      
+      // Slab in the base plane, joined to the backbone by a rod
+      const normal = new THREE.Vector3().subVectors(target, glycosidic)
+        .cross(local(point.base.ring).sub(glycosidic));
+      
+      parts.push(
+        { geometry: this._createRod(point.position, glycosidic, this.ladderRadius), color: point.color },
+        { geometry: this._createSlab(glycosidic, target, normal), color: point.color }
+      );
+    });
+    
+    return parts;
+  }
+  
+  /**
+   * Create a rod between two points
+   * @private
+   * @param {THREE.Vector3} from - Start of the axis
+   * @param {THREE.Vector3} to - End of the axis
+   * @param {number} radius - Rod radius
+   * @returns {THREE.BufferGeometry} Rod geometry
+   */
+  _createRod(from, to, radius) {
+    const axis = new THREE.Vector3().subVectors(to, from);
+    const length = axis.length();
+    
+    if (length > 1e-6) {
+      axis.divideScalar(length);
+    } else {
+      axis.set(0, 1, 0);
+    }
+    
+    const geometry = new THREE.CylinderGeometry(radius, radius, length, this.curveSegments, 1, false);
+    
+    geometry.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis));
+    geometry.translate((from.x + to.x) / 2, (from.y + to.y) / 2, (from.z + to.z) / 2);
     
     return geometry;
   }
   
   /**
-   * Create a helix geometry
+   * Create a flat box from one point to another
    * @private
-   * @param {Array} points - Array of points along the curve
-   * @param {number} width - Width of the helix
-   * @returns {THREE.BufferGeometry} Helix geometry
+   * @param {THREE.Vector3} from - Start of the box
+   * @param {THREE.Vector3} to - End of the box
+   * @param {THREE.Vector3} normal - Direction of the box's thickness
+   * @returns {THREE.BufferGeometry} Box geometry
    */
-  _createHelix(points, width) {
-    if (points.length < 2) {
-      return new THREE.BufferGeometry();
+  _createSlab(from, to, normal) {
+    const axis = new THREE.Vector3().subVectors(to, from);
+    const length = axis.length();
+    axis.normalize();
+    
+    const up = normal.clone().addScaledVector(axis, -normal.dot(axis));
+    if (up.lengthSq() < 1e-6) {
+      up.copy(this._getPerpendicular(axis));
     }
+    up.normalize();
     
-    // Create a path for the helix
-    const path = new THREE.CatmullRomCurve3(points);
+    const side = new THREE.Vector3().crossVectors(axis, up);
+    const middle = new THREE.Vector3().addVectors(from, to).multiplyScalar(0.5);
     
-    // Create helix geometry
-    const geometry = new THREE.TubeGeometry(
-      path,
-      points.length * 2, // tubularSegments
-      width * this.thickness / 2, // radius
-      this.curveSegments, // radialSegments
-      false // closed
-    );
+    const geometry = new THREE.BoxGeometry(this.baseWidth, length, this.thickness);
+    geometry.applyMatrix4(new THREE.Matrix4().makeBasis(side, axis, up).setPosition(middle));
     
     return geometry;
   }
   
+  /**
+   * Merge indexed geometries into one
+   * @private
+   * @param {Array<Object>} parts - Geometries ({ geometry, color }); each keeps
+   *   its own vertex colors or, without them, takes the single color. The
+   *   geometries are disposed.
+   * @returns {THREE.BufferGeometry} Merged geometry
+   */
+  _mergeGeometries(parts) {
+    let vertexCount = 0;
+    let indexCount = 0;
+    
+    parts.forEach(({ geometry }) => {
+      vertexCount += geometry.attributes.position.count;
+      indexCount += geometry.index.count;
+    });
+    
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const indices = new Uint32Array(indexCount);
+    let vertex = 0;
+    let index = 0;
+    
+    parts.forEach(({ geometry, color }) => {
+      const count = geometry.attributes.position.count;
+      const source = geometry.index.array;
+      
+      positions.set(geometry.attributes.position.array, vertex * 3);
+      normals.set(geometry.attributes.normal.array, vertex * 3);
+      
+      if (geometry.attributes.color) {
+        colors.set(geometry.attributes.color.array, vertex * 3);
+      } else {
+        for (let i = 0; i < count; i++) {
+          color.toArray(colors, (vertex + i) * 3);
+        }
+      }
+      
+      for (let i = 0; i < source.length; i++) {
+        indices[index++] = source[i] + vertex;
+      }
+      
+      vertex += count;
+      geometry.dispose();
+    });
+    
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    merged.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    merged.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    merged.setIndex(new THREE.BufferAttribute(indices, 1));
+    
+    return merged;
+  }
+  
   /**
    * Create a material for the ribbon
    * @private
    * @param {THREE.Color} color - Color for the material
+   * @param {boolean} [vertexColors=false] - Multiply by the geometry's vertex colors
    * @returns {THREE.Material} Material
    */
-  _createMaterial(color) {
+  _createMaterial(color, vertexColors = false) {
     if (this.shader && this.shader.getMaterial) {
       // Use shader manager's material
-      return this.shader.getMaterial({
+      const material = this.shader.getMaterial({
         color: color,
+        vertexColors: vertexColors,
         roughness: 0.4,
         metalness: 0.3,
         side: THREE.DoubleSide
       });
+      
+      // Shaders that cache their materials or drop options get a copy
+      if (vertexColors && !material.vertexColors) {
+        const copy = material.clone();
+        copy.vertexColors = true;
+        return copy;
+      }
+      
+      return material;
     }
     
     // Fallback to standard material
     return new THREE.MeshStandardMaterial({
       color: color,
+      vertexColors: vertexColors,
       roughness: 0.4,
       metalness: 0.3,
       side: THREE.DoubleSide
@@ -426,6 +1006,7 @@ export class Ribbon {
   /**
    * Update the color scheme
    * @param {string} colorScheme - New color scheme
+   * @returns {Promise<void>} Promise that resolves when the ribbon is rebuilt
    */
   updateColorScheme(colorScheme) {
     this.colorScheme = colorScheme;
@@ -433,9 +1014,69 @@ export class Ribbon {
     // Remove existing visualization and recreate
     this._disposeGeometry();
     
-    this.helixGroup.clear();
-    this.sheetGroup.clear();
-    this.coilGroup.clear();
+    this.object.clear();
+    
+    this.meshes = [];
+    
+    return this.create();
+  }
+  
+  /**
+   * Move the ribbon to the current backbone positions without recreating
+   * meshes (used when switching between models)
+   */
+  updatePositions() {
+    const center = this.proteinModel.centerOfMass;
+    
+    this.chainRibbons.forEach(ribbon => {
+      ribbon.tracePoints.forEach(point => {
+        point.position.copy(point.atom.position).sub(center);
+      });
+      
+      this._copyGeometry(this._createChainGeometry(ribbon), ribbon.mesh);
+    });
+  }
+  
+  /**
+   * Copy vertex data into a mesh's existing buffers
+   * @private
+   * @param {THREE.BufferGeometry} source - Freshly computed geometry
+   * @param {THREE.Mesh} mesh - Mesh to update
+   */
+  _copyGeometry(source, mesh) {
+    const target = mesh.geometry;
+    
+    // Topology only matches if the segment kept its vertex count
+    const sameLayout = ['position', 'normal'].every(name =>
+      source.attributes[name] && target.attributes[name] &&
+      source.attributes[name].array.length === target.attributes[name].array.length
+    );
+    
+    if (!sameLayout) {
+      target.dispose();
+      mesh.geometry = source;
+      return;
+    }
+    
+    ['position', 'normal'].forEach(name => {
+      target.attributes[name].array.set(source.attributes[name].array);
+      target.attributes[name].needsUpdate = true;
+    });
+    
+    target.computeBoundingSphere();
+    if (target.boundingBox) {
+      target.computeBoundingBox();
+    }
+    source.dispose();
+  }
+  
+  /**
+   * Rebuild after the selected alternate conformers changed
+   */
+  updateConformers() {
+    this._disposeGeometry();
+    
+    this.object.clear();
     
     this.meshes = [];
     
@@ -452,9 +1093,7 @@ export class Ribbon {
     // Remove existing visualization and recreate
     this._disposeGeometry();
     
-    this.helixGroup.clear();
-    this.sheetGroup.clear();
-    this.coilGroup.clear();
+    this.object.clear();
     
     this.meshes = [];
     
@@ -0,0 +1,63 @@
+/**
+ * Spacefill.js - Space-filling (CPK) protein visualization style
+ * Represents every atom as a sphere of its van der Waals radius, without bonds
+ */
+
+import { CONFIG } from '../config.js';
+import { BallAndStick } from './BallAndStick.js';
+import { VdwRadii } from '../utils/VdwRadii.js';
+
+export class Spacefill extends BallAndStick {
+  /**
+   * Create a new spacefill visualization
+   * @param {Object} options - Visualization options
+   * @param {Object} options.proteinModel - Protein model to visualize
+   * @param {string} options.colorScheme - Color scheme to use
+   * @param {Object} options.shader - Shader to apply
+   */
+  constructor(options) {
+    super(options);
+    
+    this.object.name = 'Spacefill';
+    
+    // Configuration
+    this.spacefillConfig = CONFIG.VISUALIZATION.SPACEFILL;
+    
+    // Touching spheres hide their facets less than small balls do
+    this.sphereDetail = this.spacefillConfig.SPHERE_DETAIL;
+    
+    // Spheres are all there is to draw, so many more of them fit the budget
+    this.MAX_ATOMS = this.spacefillConfig.MAX_ATOMS;
+  }
+  
+  /**
+   * Get the van der Waals radius of an atom: the radius read from the file
+   * (PQR), else the element radius
+   * @protected
+   * @param {Object} atom - Atom
+   * @returns {number} Sphere radius in Angstroms
+   */
+  _getAtomRadius(atom) {
+    return VdwRadii.getRadius(atom);
+  }
+  
+  /**
+   * Spacefill draws no bonds
+   * @protected
+   * @param {Object} bond - Bond
+   * @returns {Array} No sticks
+   */
+  _getBondSticks(bond) {
+    return [];
+  }
+  
+  /**
+   * Use instancing wherever the hardware supports it, since spacefill
+   * models are drawn with thousands of identical spheres
+   * @protected
+   * @returns {boolean} True if instancing should be used
+   */
+  _shouldUseInstancing() {
+    return Boolean(CONFIG.CAPABILITIES.instancedArrays);
+  }
+}
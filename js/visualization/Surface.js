@@ -1,35 +1,52 @@
 /**
  * Surface.js - Molecular surface visualization
- * Generates and displays solvent-accessible surface or electron density isosurface
+ * Generates and displays the van der Waals, solvent-accessible or
+ * solvent-excluded surface of each chain, each vertex colored like the atom
+ * it covers or by the electrostatic potential there
  */
 
 import * as THREE from 'three';
-import { MarchingCubes } from 'https://cdn.jsdelivr.net/npm/three@0.150.1/examples/jsm/objects/MarchingCubes.js';
 import { CONFIG } from '../config.js';
+import { SurfaceBuilder } from '../utils/SurfaceBuilder.js';
+import { SpatialGrid } from '../utils/SpatialGrid.js';
+import { Electrostatics } from '../utils/Electrostatics.js';
+import { VdwRadii } from '../utils/VdwRadii.js';
 
 export class Surface {
   /**
    * Create a new surface visualization
    * @param {Object} options - Visualization options
    * @param {Object} options.proteinModel - Protein model to visualize
-   * @param {string} options.colorScheme - Color scheme to use
+   * @param {string} options.colorScheme - Color scheme to use; 'electrostatic'
+   *   colors by the electrostatic potential
    * @param {Object} options.shader - Shader to apply
+   * @param {string} [options.surfaceType] - 'vdw', 'sas' or 'ses'
+   * @param {number} [options.potentialRange] - Potential (kT/e) at which the
+   *   electrostatic colors saturate
+   * @param {WorkerPool} [options.workerPool] - Pool to build the surfaces in;
+   *   without one they are built on the main thread
    */
   constructor(options) {
     this.proteinModel = options.proteinModel;
     this.colorScheme = options.colorScheme || CONFIG.VISUALIZATION.DEFAULT_COLOR_SCHEME;
     this.shader = options.shader;
+    this.workerPool = options.workerPool || null;
     
     // Configuration
     this.config = CONFIG.VISUALIZATION.SURFACE;
     
     // Parameters
+    this.surfaceType = options.surfaceType || this.config.TYPE;
     this.probeRadius = this.config.PROBE_RADIUS;
     this.resolution = this.config.RESOLUTION;
-    this.isoValue = this.config.ISO_VALUE;
     this.smoothing = this.config.SMOOTHING;
     this.wireframe = this.config.WIREFRAME;
     
+    this._createBuilder();
+    
+    // Incremented by each build, so a slower earlier one is discarded
+    this.buildToken = 0;
+    
     // Create group for this visualization
     this.object = new THREE.Group();
     this.object.name = 'Surface';
@@ -49,6 +66,30 @@ export class Surface {
     
     // Effect strength
     this.effectStrength = 1.0;
+    
+    // Atoms whose part of the surface is painted in the highlight color
+    this.highlightAtoms = null;
+    this.highlightColor = new THREE.Color(this.config.HIGHLIGHT_COLOR);
+    
+    // Electrostatic coloring
+    this.electrostatics = CONFIG.VISUALIZATION.ELECTROSTATICS;
+    this.potentialRange = options.potentialRange || this.electrostatics.RANGE;
+  }
+  
+  /**
+   * Create the surface builder for the current settings
+   * @private
+   */
+  _createBuilder() {
+    // Surface builder settings, also sent to the worker
+    this.builderOptions = {
+      type: this.surfaceType,
+      probeRadius: this.probeRadius,
+      resolution: this.resolution,
+      smoothing: this.smoothing,
+      maxGridPoints: CONFIG.CAPABILITIES.isMobile ? this.config.MAX_GRID_POINTS_MOBILE : this.config.MAX_GRID_POINTS
+    };
+    this.builder = new SurfaceBuilder(this.builderOptions);
   }
   
   /**
@@ -56,208 +97,387 @@ export class Surface {
    * @returns {Promise<void>} Promise that resolves when visualization is created
    */
   async create() {
-    return new Promise(resolve => {
-      // Get protein data
-      const atoms = this.proteinModel.atoms;
-      const chains = this.proteinModel.chains;
-      
-      // Calculate bounds for grid
-      const boundingBox = this.proteinModel.boundingBox.clone();
-      
-      // Add padding
-      const padding = 5.0; // Angstroms
-      boundingBox.min.subScalar(padding);
-      boundingBox.max.addScalar(padding);
-      
-      // Calculate grid size
-      const size = new THREE.Vector3();
-      boundingBox.getSize(size);
-      
-      // Calculate grid resolution
-      const gridSize = Math.max(
-        Math.ceil(size.x / this.resolution),
-        Math.ceil(size.y / this.resolution),
-        Math.ceil(size.z / this.resolution)
-      );
-      
-      // Apply performance limits for mobile
-      const limitedGridSize = CONFIG.CAPABILITIES.isMobile ? 
-        Math.min(gridSize, 64) : 
-        Math.min(gridSize, 128);
-      
-      // Create material for the surface
-      const surfaceMaterial = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        metalness: 0.0,
-        roughness: 0.5,
-        transparent: true,
-        opacity: 0.8,
-        side: THREE.DoubleSide
-      });
-      
-      // Create marching cubes for the surface
-      const marchingCubes = new MarchingCubes(
-        limitedGridSize,
-        surfaceMaterial,
-        false, // enableUvs
-        false  // enableColors
-      );
-      
-      // Position within bounding box
-      marchingCubes.position.copy(boundingBox.min);
-      
-      // Scale to fit bounding box
-      marchingCubes.scale.set(
-        size.x / limitedGridSize,
-        size.y / limitedGridSize,
-        size.z / limitedGridSize
-      );
-      
-      // Process each chain
-      chains.forEach(chainId => {
-        // Get atoms for this chain
-        const chainAtoms = this.proteinModel.getAtomsByChain(chainId);
-        
-        // Split into protein and ligand atoms
-        const proteinAtoms = chainAtoms.filter(atom => atom.isAminoAcid || atom.isNucleicAcid);
-        const ligandAtoms = chainAtoms.filter(atom => !atom.isAminoAcid && !atom.isNucleicAcid && !atom.isSolvent);
-        
-        // Create protein surface
-        if (proteinAtoms.length > 0) {
-          this._createSurface(
-            proteinAtoms,
-            marchingCubes, 
-            boundingBox, 
-            size, 
-            limitedGridSize, 
-            this.proteinsGroup
-          );
-        }
-        
-        // Create ligand surface if there are significant ligands
-        if (ligandAtoms.length > 5) {
-          this._createSurface(
-            ligandAtoms,
-            marchingCubes, 
-            boundingBox, 
-            size, 
-            limitedGridSize, 
-            this.ligandsGroup
-          );
-        }
-      });
+    const token = ++this.buildToken;
+    const parts = [];
+    
+    // Process each chain
+    this.proteinModel.chains.forEach(chainId => {
+      // Get atoms for this chain, leaving out non-selected conformers
+      const chainAtoms = this._getChainAtoms(chainId)
+        .filter(atom => atom.isActiveConformer !== false);
       
-      // Clean up
-      marchingCubes.dispose();
+      // Split into protein and ligand atoms
+      const proteinAtoms = chainAtoms.filter(atom => atom.isAminoAcid || atom.isNucleicAcid);
+      const ligandAtoms = chainAtoms.filter(atom => !atom.isAminoAcid && !atom.isNucleicAcid && !atom.isSolvent);
       
-      // Apply initial effect strength
-      this.updateEffectStrength(this.effectStrength);
+      // Create protein surface
+      if (proteinAtoms.length > 0) {
+        parts.push({ atoms: proteinAtoms, group: this.proteinsGroup });
+      }
       
-      resolve();
+      // Create ligand surface if there are significant ligands
+      if (ligandAtoms.length > 5) {
+        parts.push({ atoms: ligandAtoms, group: this.ligandsGroup });
+      }
     });
+    
+    // Build all surfaces at once, in parallel when workers are available
+    const geometries = await Promise.all(parts.map(part => this._buildSurfaceGeometry(part.atoms)));
+    
+    // A newer build replaced this one while it was running
+    if (token !== this.buildToken) {
+      geometries.forEach(geometry => geometry.dispose());
+      return;
+    }
+    
+    parts.forEach((part, i) => {
+      this._createSurface(part.atoms, geometries[i], part.group);
+    });
+    
+    // Apply initial effect strength
+    this.updateEffectStrength(this.effectStrength);
   }
   
   /**
-   * Create a surface for a set of atoms
+   * Get the atoms of a chain
+   * @private
+   * @param {string} chainId - Chain identifier
+   * @returns {Array} Atoms of the chain
+   */
+  _getChainAtoms(chainId) {
+    if (this.proteinModel.getAtomsByChain) {
+      return this.proteinModel.getAtomsByChain(chainId);
+    }
+    
+    return this.proteinModel.atoms.filter(atom => atom.chainID === chainId);
+  }
+  
+  /**
+   * Create a surface mesh for a set of atoms
    * @private
    * @param {Array} atoms - Array of atoms
-   * @param {MarchingCubes} marchingCubes - Marching cubes instance
-   * @param {THREE.Box3} boundingBox - Bounding box
-   * @param {THREE.Vector3} size - Size of the bounding box
-   * @param {number} gridSize - Grid size
+   * @param {THREE.BufferGeometry} surfaceGeometry - Surface geometry
    * @param {THREE.Group} group - Group to add the surface to
    */
-  _createSurface(atoms, marchingCubes, boundingBox, size, gridSize, group) {
-    // Reset marching cubes
-    marchingCubes.reset();
-    
-    // Add atoms to the grid
-    atoms.forEach(atom => {
-      // Convert atom position to grid coordinates
-      const gridPos = new THREE.Vector3(
-        atom.position.x - this.proteinModel.centerOfMass.x,
-        atom.position.y - this.proteinModel.centerOfMass.y,
-        atom.position.z - this.proteinModel.centerOfMass.z
-      );
-      
-      // Calculate grid position
-      const localPos = gridPos.clone().sub(boundingBox.min);
-      const x = (localPos.x / size.x) * gridSize;
-      const y = (localPos.y / size.y) * gridSize;
-      const z = (localPos.z / size.z) * gridSize;
-      
-      // Get atom radius (Angstroms) and strength
-      const radius = atom.radius + this.probeRadius;
-      const strength = 1.0;
-      
-      // Add to marching cubes
-      marchingCubes.addBall(x, y, z, strength, radius);
+  _createSurface(atoms, surfaceGeometry, group) {
+    // Colors come from the vertices
+    const material = this._createMaterial();
+    
+    // Create mesh
+    const surfaceMesh = new THREE.Mesh(surfaceGeometry, material);
+    surfaceMesh.castShadow = true;
+    surfaceMesh.receiveShadow = true;
+    
+    // Keep the atoms so the surface can be rebuilt for another model
+    surfaceMesh.userData.atoms = atoms;
+    
+    // Add to group
+    group.add(surfaceMesh);
+    
+    // Track for disposal
+    this.meshes.push(surfaceMesh);
+  }
+  
+  /**
+   * Pack the atom positions, relative to the center of mass, and van der
+   * Waals radii
+   * @private
+   * @param {Array} atoms - Array of atoms
+   * @returns {Object} Typed arrays ({ positions, radii })
+   */
+  _packAtoms(atoms) {
+    const center = this.proteinModel.centerOfMass;
+    const positions = new Float32Array(atoms.length * 3);
+    const radii = new Float32Array(atoms.length);
+    
+    atoms.forEach((atom, i) => {
+      positions[i * 3] = atom.position.x - center.x;
+      positions[i * 3 + 1] = atom.position.y - center.y;
+      positions[i * 3 + 2] = atom.position.z - center.z;
+      radii[i] = VdwRadii.getRadius(atom);
     });
     
-    // Apply smoothing if configured
-    for (let i = 0; i < this.smoothing; i++) {
-      marchingCubes.blur();
+    return { positions, radii };
+  }
+  
+  /**
+   * Compute the isosurface geometry for a set of atoms at their current
+   * positions, in a worker when a pool is available
+   * @private
+   * @param {Array} atoms - Array of atoms
+   * @returns {Promise<THREE.BufferGeometry>} Surface geometry
+   */
+  async _buildSurfaceGeometry(atoms) {
+    let mesh = null;
+    
+    if (this.workerPool) {
+      const { positions, radii } = this._packAtoms(atoms);
+      
+      try {
+        mesh = await this.workerPool.run('buildSurface', {
+          positions,
+          radii,
+          options: this.builderOptions
+        }, {
+          transfer: [positions.buffer, radii.buffer]
+        });
+      } catch (error) {
+        if (!error.isWorkerError) throw error;
+        console.warn('Surface worker failed, building on the main thread:', error);
+      }
+    }
+    
+    if (!mesh) {
+      const { positions, radii } = this._packAtoms(atoms);
+      mesh = this.builder.build(positions, radii);
     }
     
-    // Generate the surface mesh
-    // In this version of Three.js, we should use the MarchingCubes object directly
-    // as it is now a Mesh instance itself in Three.js
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(mesh.normals, 3));
+    geometry.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+    geometry.computeBoundingSphere();
     
-    // Force update the isosurface
-    marchingCubes.isolation = this.isoValue;
-    marchingCubes.update();
+    geometry.userData.vertexAtoms = this._findVertexAtoms(mesh.positions, atoms);
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(mesh.positions.length), 3));
     
-    // Clone the geometry from the MarchingCubes object
-    const surfaceGeometry = marchingCubes.geometry.clone();
+    if (this.colorScheme === 'electrostatic') {
+      geometry.userData.potential = await this._computePotential(mesh.positions);
+    }
     
-    // Fix geometry position
-    const positionAttribute = surfaceGeometry.getAttribute('position');
+    this._colorGeometry(geometry, atoms);
     
-    for (let i = 0; i < positionAttribute.count; i++) {
-      const x = positionAttribute.getX(i);
-      const y = positionAttribute.getY(i);
-      const z = positionAttribute.getZ(i);
+    return geometry;
+  }
+  
+  /**
+   * Evaluate the electrostatic potential of the whole structure at the
+   * surface vertices, in a worker when a pool is available
+   * @private
+   * @param {Float32Array} points - Vertex positions, relative to the center of mass
+   * @returns {Promise<Float32Array>} Potential at each vertex in kT/e
+   */
+  async _computePotential(points) {
+    const atoms = this.proteinModel.atoms.filter(atom => atom.isActiveConformer !== false);
+    const charges = Electrostatics.assignCharges(atoms);
+    const options = {
+      dielectric: this.electrostatics.DIELECTRIC,
+      ionicStrength: this.electrostatics.IONIC_STRENGTH,
+      temperature: this.electrostatics.TEMPERATURE,
+      cutoff: this.electrostatics.CUTOFF
+    };
+    
+    if (this.workerPool) {
+      // The geometry keeps the vertex positions, so the worker gets a copy
+      const vertices = points.slice();
+      const { positions } = this._packAtoms(atoms);
       
-      positionAttribute.setXYZ(
-        i,
-        x + boundingBox.min.x,
-        y + boundingBox.min.y,
-        z + boundingBox.min.z
-      );
+      try {
+        return await this.workerPool.run('computePotential', {
+          points: vertices,
+          positions,
+          charges,
+          options
+        }, {
+          transfer: [vertices.buffer, positions.buffer, charges.buffer]
+        });
+      } catch (error) {
+        if (!error.isWorkerError) throw error;
+        console.warn('Electrostatics worker failed, computing on the main thread:', error);
+      }
     }
     
-    positionAttribute.needsUpdate = true;
+    const { positions } = this._packAtoms(atoms);
+    return Electrostatics.computePotential(points, positions, Electrostatics.assignCharges(atoms), options);
+  }
+  
+  /**
+   * Find the atom under each vertex: the one whose sphere surface is nearest
+   * @private
+   * @param {Float32Array} positions - Vertex positions, relative to the center of mass
+   * @param {Array} atoms - Atoms the surface was built from
+   * @returns {Int32Array} Index into atoms for each vertex
+   */
+  _findVertexAtoms(positions, atoms) {
+    const center = this.proteinModel.centerOfMass;
+    const points = atoms.map(atom => ({
+      x: atom.position.x - center.x,
+      y: atom.position.y - center.y,
+      z: atom.position.z - center.z
+    }));
+    
+    // Vertices lie within a probe radius (plus grid error) of some atom sphere
+    const radii = atoms.map(atom => VdwRadii.getRadius(atom));
+    const maxRadius = radii.reduce((max, radius) => Math.max(max, radius), 0);
+    const reach = maxRadius + this.probeRadius + 1.0;
+    const grid = new SpatialGrid(points, reach);
+    
+    const vertexCount = positions.length / 3;
+    const vertexAtoms = new Int32Array(vertexCount);
+    const vertex = { x: 0, y: 0, z: 0 };
+    
+    for (let v = 0; v < vertexCount; v++) {
+      vertex.x = positions[v * 3];
+      vertex.y = positions[v * 3 + 1];
+      vertex.z = positions[v * 3 + 2];
+      
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      
+      // Widen the search for stray vertices rather than leave them uncolored
+      for (let radius = reach; nearestDistance === Infinity && radius < reach * 64; radius *= 2) {
+        grid.forEachWithin(vertex, radius, (index, distanceSq) => {
+          const distance = Math.sqrt(distanceSq) - radii[index];
+          if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = index;
+          }
+        });
+      }
+      
+      vertexAtoms[v] = nearest;
+    }
     
-    // Get color based on scheme
-    const color = this._getSurfaceColor(atoms);
+    return vertexAtoms;
+  }
+  
+  /**
+   * Write the vertex colors from the color scheme and the highlight
+   * @private
+   * @param {THREE.BufferGeometry} geometry - Surface geometry with a color attribute
+   * @param {Array} atoms - Atoms the surface was built from
+   */
+  _colorGeometry(geometry, atoms) {
+    const electrostatic = this.colorScheme === 'electrostatic';
+    
+    // Vertices over highlighted atoms, and all vertices for atom-based schemes,
+    // take the color of their atom
+    const atomColors = atoms.map(atom => {
+      if (this.highlightAtoms && this.highlightAtoms.has(atom)) {
+        return this.highlightColor;
+      }
+      
+      return electrostatic ? null : this.proteinModel.getAtomColor(atom, this.colorScheme);
+    });
     
-    // Create material
-    const material = this._createMaterial(color);
+    const vertexAtoms = geometry.userData.vertexAtoms;
+    const potential = geometry.userData.potential;
+    const colors = geometry.attributes.color;
+    const potentialColor = new THREE.Color();
     
-    // Create mesh
-    const surfaceMesh = new THREE.Mesh(surfaceGeometry, material);
-    surfaceMesh.castShadow = true;
-    surfaceMesh.receiveShadow = true;
+    for (let v = 0; v < vertexAtoms.length; v++) {
+      // Neutral until the potential is available
+      const color = atomColors[vertexAtoms[v]] ||
+        this._getPotentialColor(potential ? potential[v] : 0, potentialColor);
+      colors.setXYZ(v, color.r, color.g, color.b);
+    }
     
-    // Add to group
-    group.add(surfaceMesh);
+    colors.needsUpdate = true;
+  }
+  
+  /**
+   * Get the color of a potential on the diverging red-white-blue ramp
+   * @private
+   * @param {number} value - Potential in kT/e
+   * @param {THREE.Color} target - Color to write to
+   * @returns {THREE.Color} The target color
+   */
+  _getPotentialColor(value, target) {
+    const t = Math.max(-1, Math.min(1, value / this.potentialRange));
+    const end = t < 0 ? this.electrostatics.NEGATIVE_COLOR : this.electrostatics.POSITIVE_COLOR;
     
-    // Track for disposal
-    this.meshes.push(surfaceMesh);
+    return target.set(this.electrostatics.NEUTRAL_COLOR).lerp(new THREE.Color(end), Math.abs(t));
+  }
+  
+  /**
+   * Set the potential at which the electrostatic colors saturate
+   * @param {number} range - Potential in kT/e
+   */
+  setPotentialRange(range) {
+    this.potentialRange = range;
+    
+    if (this.colorScheme === 'electrostatic') {
+      this._recolor();
+    }
+  }
+  
+  /**
+   * Paint the part of the surface covering some atoms in a highlight color
+   * @param {Array|null} atoms - Atoms to highlight, or null to clear the highlight
+   * @param {THREE.Color|string|number} [color] - Highlight color
+   */
+  setHighlight(atoms, color = this.config.HIGHLIGHT_COLOR) {
+    this.highlightAtoms = atoms && atoms.length > 0 ? new Set(atoms) : null;
+    this.highlightColor = new THREE.Color(color);
+    
+    this._recolor();
   }
   
   /**
-   * Create a material for the surface
+   * Recolor the existing surfaces in place
+   * @private
+   */
+  _recolor() {
+    this.meshes.forEach(mesh => {
+      this._colorGeometry(mesh.geometry, mesh.userData.atoms);
+    });
+  }
+  
+  /**
+   * Recompute the surfaces for the current atom positions, keeping the
+   * existing meshes and materials (used when switching between models)
+   * @returns {Promise<void>} Promise that resolves when the surfaces are updated
+   */
+  async updatePositions() {
+    if (this.meshes.length === 0) return;
+    
+    const token = ++this.buildToken;
+    const meshes = this.meshes;
+    
+    try {
+      const geometries = await Promise.all(meshes.map(mesh => this._buildSurfaceGeometry(mesh.userData.atoms)));
+      
+      // Skip the result if another model was selected in the meantime
+      if (token !== this.buildToken) {
+        geometries.forEach(geometry => geometry.dispose());
+        return;
+      }
+      
+      meshes.forEach((mesh, i) => {
+        mesh.geometry.dispose();
+        mesh.geometry = geometries[i];
+      });
+    } catch (error) {
+      console.warn('Error updating surface positions:', error);
+    }
+  }
+  
+  /**
+   * Switch to another kind of surface, keeping the meshes and materials
+   * @param {string} surfaceType - 'vdw', 'sas' or 'ses'
+   * @returns {Promise<void>} Promise that resolves when the surfaces are rebuilt
+   */
+  setSurfaceType(surfaceType) {
+    this.surfaceType = surfaceType;
+    this._createBuilder();
+    
+    return this.updatePositions();
+  }
+  
+  /**
+   * Create a material for the surface, colored by its vertices
    * @private
-   * @param {THREE.Color} color - Color for the material
    * @returns {THREE.Material} Material
    */
-  _createMaterial(color) {
+  _createMaterial() {
+    const color = new THREE.Color(0xffffff);
+    
     // For the shader compatibility issues, create a more compatible approach
     if (this.shader && this.shader.type === 'toon') {
       // Use specific MeshToonMaterial for toon shader
       return new THREE.MeshToonMaterial({
         color: color,
+        vertexColors: true,
         transparent: true,
         opacity: 0.8,
         side: THREE.DoubleSide,
@@ -266,8 +486,9 @@ export class Surface {
     } else if (this.shader && this.shader.getMaterial) {
       // Use shader manager's material for other shader types
       try {
-        return this.shader.getMaterial({
+        const material = this.shader.getMaterial({
           color: color,
+          vertexColors: true,
           roughness: 0.7,
           metalness: 0.1,
           transparent: true,
@@ -275,11 +496,21 @@ export class Surface {
           side: THREE.DoubleSide,
           wireframe: this.wireframe
         });
+        
+        // Shaders that cache their materials or drop options get a copy
+        if (!material.vertexColors) {
+          const copy = material.clone();
+          copy.vertexColors = true;
+          return copy;
+        }
+        
+        return material;
       } catch (error) {
         console.warn("Error creating material with shader, falling back to standard material:", error);
         // Fallback to standard material on error
         return new THREE.MeshStandardMaterial({
           color: color,
+          vertexColors: true,
           roughness: 0.7,
           metalness: 0.1,
           transparent: true,
@@ -293,6 +524,7 @@ export class Surface {
     // Fallback to standard material
     return new THREE.MeshStandardMaterial({
       color: color,
+      vertexColors: true,
       roughness: 0.7,
       metalness: 0.1,
       transparent: true,
@@ -303,102 +535,34 @@ export class Surface {
   }
   
   /**
-   * Get color for a surface based on the selected color scheme
-   * @private
-   * @param {Array} atoms - Atoms in the surface
-   * @returns {THREE.Color} Color for the surface
+   * Update the color scheme
+   * @param {string} colorScheme - New color scheme
    */
-  _getSurfaceColor(atoms) {
-    const colors = [];
-    
-    switch (this.colorScheme) {
-      case 'element':
-        // Get average color of all atoms (weighted by radius)
-        let totalWeight = 0;
-        const avgColor = new THREE.Color();
-        
-        atoms.forEach(atom => {
-          const color = this.proteinModel.getAtomColor(atom, 'element');
-          const weight = atom.radius;
-          
-          avgColor.r += color.r * weight;
-          avgColor.g += color.g * weight;
-          avgColor.b += color.b * weight;
-          
-          totalWeight += weight;
-        });
-        
-        if (totalWeight > 0) {
-          avgColor.r /= totalWeight;
-          avgColor.g /= totalWeight;
-          avgColor.b /= totalWeight;
-        }
-        
-        return avgColor;
-        
-      case 'chain':
-        // Get chain color
-        if (atoms.length > 0) {
-          const chainId = atoms[0].chainID;
-          const chainIndex = this.proteinModel.chains.indexOf(chainId);
-          const hue = (chainIndex / this.proteinModel.chains.length) * 360;
-          return new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
-        }
-        return new THREE.Color(0x3498db);
-        
-      case 'residue':
-        // Get average color of residues
-        const residueIds = new Set();
-        atoms.forEach(atom => residueIds.add(atom.residueId));
-        
-        residueIds.forEach(id => {
-          const residue = this.proteinModel.residues.find(r => r.id === id);
-          if (residue && residue.atoms.length > 0) {
-            colors.push(this.proteinModel.getAtomColor(residue.atoms[0], 'residue'));
-          }
-        });
-        
-        if (colors.length > 0) {
-          const avgColor = colors.reduce((avg, c) => avg.add(c), new THREE.Color())
-            .multiplyScalar(1 / colors.length);
-          return avgColor;
-        }
-        return new THREE.Color(0x3498db);
-        
-      case 'rainbow':
-        // Average rainbow coloring across residues
-        const residues = [];
-        atoms.forEach(atom => {
-          const residue = this.proteinModel.residues.find(r => r.id === atom.residueId);
-          if (residue && !residues.includes(residue)) {
-            residues.push(residue);
-          }
-        });
-        
-        if (residues.length > 0) {
-          const avgIndex = residues.reduce((sum, r) => 
-            sum + this.proteinModel.residues.indexOf(r), 0
-          ) / residues.length;
-          
-          const hue = (avgIndex / this.proteinModel.residues.length) * 360;
-          return new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
+  async updateColorScheme(colorScheme) {
+    this.colorScheme = colorScheme;
+    
+    // The surface shape is unchanged, only its vertex colors; the potential
+    // is computed once per geometry
+    if (colorScheme === 'electrostatic') {
+      await Promise.all(this.meshes.map(async mesh => {
+        const geometry = mesh.geometry;
+        if (!geometry.userData.potential) {
+          geometry.userData.potential = await this._computePotential(geometry.attributes.position.array);
         }
-        return new THREE.Color(0x3498db);
-        
-      default:
-        // Default to hydrophobicity coloring
-        return new THREE.Color(0x3498db);
+      }));
+      
+      // Another scheme was chosen in the meantime
+      if (this.colorScheme !== colorScheme) return;
     }
+    
+    this._recolor();
   }
   
   /**
-   * Update the color scheme
-   * @param {string} colorScheme - New color scheme
+   * Rebuild after the selected alternate conformers changed
+   * @returns {Promise<void>} Promise that resolves when the surfaces are rebuilt
    */
-  updateColorScheme(colorScheme) {
-    this.colorScheme = colorScheme;
-    
-    // Remove existing visualization and recreate
+  updateConformers() {
     this._disposeGeometry();
     
     this.proteinsGroup.clear();
@@ -406,7 +570,7 @@ export class Surface {
     
     this.meshes = [];
     
-    this.create();
+    return this.create();
   }
   
   /**
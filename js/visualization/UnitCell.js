@@ -0,0 +1,83 @@
+/**
+ * UnitCell.js - Unit cell wireframe
+ * Draws the edges of a crystal's unit cell, with the a, b and c axes
+ * highlighted from the origin
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.150.1/build/three.module.js';
+import { CONFIG } from '../config.js';
+
+export class UnitCell {
+  /**
+   * Create a new unit cell wireframe
+   * @param {Object} options - Visualization options
+   * @param {Crystal} options.crystal - Crystal providing the cell geometry
+   * @param {THREE.Vector3} [options.centerOfMass] - Offset the visualizations subtract from atom positions
+   */
+  constructor(options) {
+    this.crystal = options.crystal;
+    this.centerOfMass = options.centerOfMass || new THREE.Vector3();
+    
+    // Configuration
+    this.config = CONFIG.VISUALIZATION.CRYSTAL;
+    
+    // Create group for this visualization
+    this.object = new THREE.Group();
+    this.object.name = 'UnitCell';
+    
+    this.lines = null;
+  }
+  
+  /**
+   * Create the wireframe
+   */
+  create() {
+    this.dispose();
+    
+    // Corners are indexed by fractional bits (x + 2y + 4z)
+    const corners = this.crystal.getCorners().map(corner => corner.sub(this.centerOfMass));
+    const edges = [
+      [0, 1], [0, 2], [0, 4], // a, b and c from the origin
+      [1, 3], [1, 5], [2, 3], [2, 6], [4, 5], [4, 6], [3, 7], [5, 7], [6, 7]
+    ];
+    
+    const cellColor = new THREE.Color(this.config.CELL_COLOR);
+    const axisColors = this.config.AXIS_COLORS.map(color => new THREE.Color(color));
+    
+    const positions = [];
+    const colors = [];
+    
+    edges.forEach(([start, end], index) => {
+      const color = index < 3 ? axisColors[index] : cellColor;
+      
+      positions.push(...corners[start].toArray(), ...corners[end].toArray());
+      colors.push(...color.toArray(), ...color.toArray());
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    
+    const material = new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: this.config.CELL_OPACITY < 1,
+      opacity: this.config.CELL_OPACITY
+    });
+    
+    this.lines = new THREE.LineSegments(geometry, material);
+    this.lines.name = 'UnitCellEdges';
+    this.object.add(this.lines);
+  }
+  
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    if (!this.lines) return;
+    
+    this.object.remove(this.lines);
+    this.lines.geometry.dispose();
+    this.lines.material.dispose();
+    this.lines = null;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * StructureWorker.js - Web Worker for structure parsing, surface building, map
+ * contouring and electrostatics
+ * Runs the tasks posted by WorkerPool off the main thread and sends the
+ * results back as transferable typed arrays
+ */
+
+import { PDBLoader } from '../loaders/PDBLoader.js';
+import { StructureSerializer } from '../utils/StructureSerializer.js';
+import { SurfaceBuilder } from '../utils/SurfaceBuilder.js';
+import { DensityMap } from '../utils/DensityMap.js';
+import { Electrostatics } from '../utils/Electrostatics.js';
+
+const serializer = new StructureSerializer();
+
+// Tasks by name; each returns { payload, transfer }
+const tasks = {
+  /**
+   * Parse a structure file, perceive its bonds and assign secondary structure
+   * @param {Object} data - Task input ({ buffer, name })
+   * @param {Function} reportProgress - Progress callback
+   * @returns {Object} Serialized structure
+   */
+  parseStructure(data, reportProgress) {
+    const text = new TextDecoder().decode(data.buffer);
+    const result = new PDBLoader().parse(text, data.name, reportProgress);
+    return serializer.serialize(result);
+  },
+  
+  /**
+   * Build a molecular surface mesh
+   * @param {Object} data - Task input ({ positions, radii, options })
+   * @returns {Object} Mesh ({ positions, normals, indices })
+   */
+  buildSurface(data) {
+    const mesh = new SurfaceBuilder(data.options).build(data.positions, data.radii);
+    return {
+      payload: mesh,
+      transfer: [mesh.positions.buffer, mesh.normals.buffer, mesh.indices.buffer]
+    };
+  },
+  
+  /**
+   * Contour a density map
+   * @param {Object} data - Task input ({ map, level, options })
+   * @returns {Object} Mesh ({ positions, normals, indices })
+   */
+  buildIsosurface(data) {
+    const mesh = DensityMap.fromObject(data.map).extractIsosurface(data.level, data.options);
+    return {
+      payload: mesh,
+      transfer: [mesh.positions.buffer, mesh.normals.buffer, mesh.indices.buffer]
+    };
+  },
+  
+  /**
+   * Evaluate the electrostatic potential at a set of points
+   * @param {Object} data - Task input ({ points, positions, charges, options })
+   * @returns {Object} Potential at each point in kT/e
+   */
+  computePotential(data) {
+    const potential = Electrostatics.computePotential(data.points, data.positions, data.charges, data.options);
+    return {
+      payload: potential,
+      transfer: [potential.buffer]
+    };
+  }
+};
+
+self.onmessage = (event) => {
+  const { id, task, data } = event.data;
+  
+  const reportProgress = (progress, status) => {
+    self.postMessage({ id, type: 'progress', progress, status });
+  };
+  
+  try {
+    if (!tasks[task]) {
+      throw new Error(`Unknown worker task: ${task}`);
+    }
+    
+    const { payload, transfer } = tasks[task](data, reportProgress);
+    self.postMessage({ id, type: 'result', result: payload }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+};
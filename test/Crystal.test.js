@@ -0,0 +1,34 @@
+/**
+ * Crystal.test.js - Unit cell and symmetry mates, checked on crambin (1CRN)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Crystal } from '../js/utils/Crystal.js';
+import { CRAMBIN, parseFile } from './helpers.js';
+
+// Symmetry mates of 1crn.pdb (P 1 21 1) in contact within 4 angstroms
+const MATES = ['1_545', '1_554', '1_556', '1_565', '2_545', '2_546', '2_555', '2_556', '2_646', '2_656'];
+
+test('converts between fractional and Cartesian coordinates', () => {
+  const crystal = new Crystal(CRAMBIN.crystal);
+  const point = new THREE.Vector3(0.25, 0.5, 0.75);
+  const back = point.clone().applyMatrix4(crystal.orthogonalization).applyMatrix4(crystal.fractionalization);
+  
+  assert.ok(back.distanceTo(point) < 1e-9);
+  assert.equal(crystal.getSymmetryOperators().length, CRAMBIN.crystal.z);
+});
+
+test('finds the symmetry mates in contact with the asymmetric unit', () => {
+  const structure = parseFile('data/examples/1crn.pdb');
+  const crystal = new Crystal(structure.crystal);
+  
+  assert.deepEqual(crystal.findSymmetryMates(structure.atoms, 4).map(mate => mate.id), MATES);
+  assert.deepEqual(crystal.findSymmetryMates(structure.atoms, 2), []);
+  
+  // A wider contact distance only adds mates
+  const wide = crystal.findSymmetryMates(structure.atoms, 10).map(mate => mate.id);
+  assert.equal(wide.length, 16);
+  MATES.forEach(id => assert.ok(wide.includes(id), id));
+});
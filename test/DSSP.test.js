@@ -0,0 +1,43 @@
+/**
+ * DSSP.test.js - Secondary structure assignment, checked on crambin (1CRN)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DSSP } from '../js/utils/DSSP.js';
+import { parseFile } from './helpers.js';
+
+// DSSP codes of 1crn.pdb: two helices, a two-stranded antiparallel sheet
+// and a 3-10 helix near the C terminus
+const CODES = '-EE-SSHHHHHHHHHHHTTT--HHHHHHHHS-EE-SSS---GGG--';
+
+/**
+ * Copy residues as a new chain, moved along x
+ * @param {Array} residues - Residues
+ * @param {string} chainID - Chain of the copy
+ * @param {number} offset - Shift in angstroms
+ * @returns {Array} Copied residues
+ */
+function copyChain(residues, chainID, offset) {
+  return residues.map(residue => ({
+    ...residue,
+    chainID,
+    atoms: residue.atoms.map(atom => ({ ...atom, position: atom.position.clone().setX(atom.position.x + offset) }))
+  }));
+}
+
+test('assigns the DSSP codes of 1crn.pdb', () => {
+  const residues = parseFile('data/examples/1crn.pdb').residueList;
+  
+  assert.equal(new DSSP().assign(residues).join(''), CODES);
+  assert.equal(residues[1].secondaryStructure, 'sheet');
+  assert.equal(residues[10].secondaryStructure, 'helix');
+  assert.equal(residues[17].secondaryStructure, 'coil');
+});
+
+test('assigns separated chains independently', () => {
+  const residues = parseFile('data/examples/1crn.pdb').residueList;
+  const codes = new DSSP().assign([...residues, ...copyChain(residues, 'B', 100)]);
+  
+  assert.equal(codes.join(''), CODES + CODES);
+});
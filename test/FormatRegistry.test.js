@@ -0,0 +1,59 @@
+/**
+ * FormatRegistry.test.js - Detection of structure formats from file names
+ * and content
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FormatRegistry } from '../js/utils/FormatRegistry.js';
+import { readText } from './helpers.js';
+
+const FIXTURES = {
+  pdb: 'data/examples/1crn.pdb',
+  mmcif: 'test/fixtures/1crn.cif',
+  pqr: 'test/fixtures/1crn.pqr',
+  sdf: 'test/fixtures/benzoate.sdf',
+  mol2: 'test/fixtures/benzoate.mol2',
+  xyz: 'test/fixtures/benzoate.xyz'
+};
+
+test('has a fixture for every built-in format', () => {
+  const registry = FormatRegistry.createDefault();
+  assert.deepEqual([...registry.formats.keys()].sort(), Object.keys(FIXTURES).sort());
+});
+
+test('detects every built-in format from the file extension', () => {
+  const registry = FormatRegistry.createDefault();
+  
+  Object.entries(FIXTURES).forEach(([name, path]) => {
+    assert.equal(registry.detect(readText(path), path.split('/').pop()).name, name);
+  });
+  
+  assert.equal(registry.detect('', 'https://files.rcsb.org/download/1CRN.cif?raw=1').name, 'mmcif');
+  assert.equal(registry.detect('', 'ligand.MOL').name, 'sdf');
+});
+
+test('detects formats from the content when the name does not tell', () => {
+  const registry = FormatRegistry.createDefault();
+  
+  // A PQR file without the PDB2PQR header reads as PDB
+  const expected = { ...Object.fromEntries(Object.keys(FIXTURES).map(name => [name, name])), pqr: 'pdb' };
+  
+  Object.entries(FIXTURES).forEach(([name, path]) => {
+    assert.equal(registry.detect(readText(path), 'download').name, expected[name]);
+  });
+  
+  const pdb2pqr = 'REMARK   1 PQR file generated by PDB2PQR (Version 3.6.1)\n' + readText(FIXTURES.pqr);
+  assert.equal(registry.detect(pdb2pqr).name, 'pqr');
+});
+
+test('plugs in new formats', () => {
+  const registry = FormatRegistry.createDefault();
+  const parser = { parse: () => ({ atoms: [] }) };
+  
+  registry.register('gro', { extensions: ['GRO'], createParser: () => parser });
+  
+  assert.equal(registry.detect('', 'conf.gro').name, 'gro');
+  assert.equal(registry.detect('', 'conf.gro').createParser(), parser);
+  assert.ok(registry.getExtensions().includes('gro'));
+});
@@ -0,0 +1,87 @@
+/**
+ * GzipDecoder.test.js - The JavaScript inflater, checked on zlib output
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync, constants } from 'node:zlib';
+import { GzipDecoder } from '../js/utils/GzipDecoder.js';
+import { PDBLoader } from '../js/loaders/PDBLoader.js';
+import { readBytes, assertCrambin } from './helpers.js';
+
+const PDB = readBytes('data/examples/1crn.pdb');
+
+/**
+ * Decompress with the JavaScript inflater only
+ * @param {Uint8Array} bytes - Gzip data
+ * @returns {Uint8Array} Content
+ */
+function inflate(bytes) {
+  return new Uint8Array(new GzipDecoder({ useNative: false }).decompressSync(bytes));
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} Concatenation
+ */
+function concat(parts) {
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+test('decompresses a zlib-compressed 1crn.pdb.gz at every compression level', () => {
+  [0, 1, 6, 9].forEach(level => {
+    const compressed = new Uint8Array(gzipSync(PDB, { level }));
+    assert.ok(GzipDecoder.isGzip(compressed));
+    assert.deepEqual(inflate(compressed), PDB, `level ${level}`);
+  });
+  
+  // Fixed Huffman codes only
+  const fixed = new Uint8Array(gzipSync(PDB, { strategy: constants.Z_FIXED }));
+  assert.deepEqual(inflate(fixed), PDB);
+});
+
+test('decompresses multi-member files to the concatenation of the members', () => {
+  const half = PDB.length >> 1;
+  const members = concat([
+    gzipSync(PDB.subarray(0, half)),
+    gzipSync(PDB.subarray(half), { level: 0 }),
+    new Uint8Array(16)
+  ]);
+  
+  assert.deepEqual(inflate(members), PDB);
+});
+
+test('hands out content in chunks while inflating', () => {
+  // Several windows of content, partly incompressible
+  let seed = 1;
+  const noise = Uint8Array.from({ length: 200000 }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) & 0xff);
+  const content = concat([PDB, noise, PDB, PDB, PDB]);
+  
+  const chunks = Array.from(new GzipDecoder().decompressChunks(new Uint8Array(gzipSync(content))));
+  
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 65536 + 258));
+  assert.deepEqual(concat(chunks), content);
+});
+
+test('rejects corrupt and truncated data', () => {
+  const compressed = new Uint8Array(gzipSync(PDB));
+  
+  const corrupt = compressed.slice();
+  corrupt[corrupt.length - 8] ^= 0xff;
+  assert.throws(() => inflate(corrupt), /checksum mismatch/);
+  
+  assert.throws(() => inflate(compressed.subarray(0, compressed.length >> 1)), /Invalid gzip data/);
+});
+
+test('loads a gzipped structure through the loader', async () => {
+  const loader = new PDBLoader();
+  loader.gzipDecoder = new GzipDecoder({ useNative: false });
+  
+  const compressed = new Uint8Array(gzipSync(PDB));
+  const content = await loader._decompress(compressed.buffer, '1crn.pdb.gz');
+  
+  assert.equal(content.name, '1crn.pdb');
+  assertCrambin(await loader._parseBuffer(content.buffer, content.name));
+});
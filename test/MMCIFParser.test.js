@@ -0,0 +1,38 @@
+/**
+ * MMCIFParser.test.js - Parsing of mmCIF files, checked against the PDB
+ * file of the same structure
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFile, assertCrambin } from './helpers.js';
+
+const PATH = 'test/fixtures/1crn.cif';
+
+test('reads atoms, residues, chains, bonds and secondary structure of 1crn.cif', () => {
+  assertCrambin(parseFile(PATH));
+});
+
+test('matches the PDB file atom for atom', () => {
+  const cif = parseFile(PATH);
+  const pdb = parseFile('data/examples/1crn.pdb');
+  
+  assert.deepEqual(cif.residueList.map(residue => residue.id), pdb.residueList.map(residue => residue.id));
+  
+  cif.atoms.forEach((atom, i) => {
+    const reference = pdb.atoms[i];
+    assert.equal(atom.name, reference.name);
+    assert.equal(atom.element, reference.element);
+    assert.equal(atom.tempFactor, reference.tempFactor);
+    assert.deepEqual(atom.position.toArray(), reference.position.toArray());
+  });
+  
+  assert.equal(cif.bonds.length, pdb.bonds.length);
+});
+
+test('reads the title and keywords of 1crn.cif', () => {
+  const structure = parseFile(PATH);
+  
+  assert.equal(structure.header.classification, 'PLANT PROTEIN');
+  assert.match(structure.metadata.title, /^WATER STRUCTURE OF A HYDROPHOBIC PROTEIN/);
+});
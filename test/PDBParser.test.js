@@ -0,0 +1,65 @@
+/**
+ * PDBParser.test.js - Parsing of PDB files, checked on crambin (1CRN)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDBParser } from '../js/utils/PDBParser.js';
+import { CRAMBIN, readText, parseFile, assertCrambin } from './helpers.js';
+
+const PATH = 'data/examples/1crn.pdb';
+
+test('reads atoms, residues, chains, bonds and secondary structure of 1crn.pdb', () => {
+  assertCrambin(parseFile(PATH));
+});
+
+test('reads the header, title and crystal of 1crn.pdb', () => {
+  const structure = parseFile(PATH);
+  
+  assert.equal(structure.header.classification, 'PLANT PROTEIN');
+  assert.equal(structure.header.idCode, '1CRN');
+  assert.match(structure.metadata.title, /^WATER STRUCTURE OF A HYDROPHOBIC PROTEIN .* CRYSTALS OF CRAMBIN$/);
+  assert.equal(structure.metadata.isPredicted, false);
+  assert.deepEqual(structure.crystal, CRAMBIN.crystal);
+});
+
+test('fills in the atom fields of the data model', () => {
+  const structure = parseFile(PATH);
+  const atom = structure.atoms[0];
+  
+  assert.equal(atom.name, 'N');
+  assert.equal(atom.resName, 'THR');
+  assert.equal(atom.chainID, 'A');
+  assert.equal(atom.resSeq, 1);
+  assert.equal(atom.element, 'N');
+  assert.equal(atom.tempFactor, 13.79);
+  assert.equal(atom.residueId, 'A:THR:1:');
+  assert.equal(atom.isAminoAcid, true);
+  assert.deepEqual(atom.position.toArray(), [17.047, 14.099, 3.625]);
+  
+  // Every atom belongs to exactly one residue
+  const residueAtoms = structure.residueList.reduce((count, residue) => count + residue.atoms.length, 0);
+  assert.equal(residueAtoms, CRAMBIN.atomCount);
+});
+
+test('bonds every residue to the next through a peptide bond', () => {
+  const structure = parseFile(PATH);
+  const peptideBonds = structure.bonds.filter(bond => bond.isPeptideBond);
+  
+  assert.equal(peptideBonds.length, CRAMBIN.residueCount - 1);
+  
+  structure.bonds.forEach(bond => {
+    const distance = structure.atoms[bond.atomIndex1].position.distanceTo(structure.atoms[bond.atomIndex2].position);
+    assert.ok(distance > 0.9 && distance < 2.2, `bond of ${distance.toFixed(2)} angstroms`);
+  });
+});
+
+test('gives the same structure through the loader and the parser', () => {
+  const text = readText(PATH);
+  const direct = new PDBParser().parse(text);
+  const loaded = parseFile(PATH);
+  
+  assert.equal(direct.atoms.length, loaded.atoms.length);
+  assert.equal(direct.bonds.length, loaded.bonds.length);
+  assert.deepEqual(direct.residueList.map(residue => residue.id), loaded.residueList.map(residue => residue.id));
+});
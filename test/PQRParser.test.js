@@ -0,0 +1,74 @@
+/**
+ * PQRParser.test.js - Parsing of PQR files, with charges and radii in place
+ * of occupancy and B-factor
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Electrostatics } from '../js/utils/Electrostatics.js';
+import { Spacefill } from '../js/visualization/Spacefill.js';
+import { CONFIG } from '../js/config.js';
+import { parseFile, assertCrambin, assertClose } from './helpers.js';
+
+const PATH = 'test/fixtures/1crn.pqr';
+
+test('reads atoms, residues, chains and bounds of 1crn.pqr', () => {
+  // PQR files keep no SSBOND, HELIX/SHEET or CRYST1 records
+  assertCrambin(parseFile(PATH), { records: false });
+});
+
+test('stores the charge and radius of each atom', () => {
+  const structure = parseFile(PATH);
+  const [nitrogen, alphaCarbon] = structure.atoms;
+  
+  assert.equal(nitrogen.charge, -0.4157);
+  assert.equal(nitrogen.radius, 1.55);
+  assert.equal(alphaCarbon.charge, 0.0337);
+  assert.equal(alphaCarbon.radius, 1.7);
+  
+  // The occupancy and B-factor columns are not read as such
+  assert.equal(nitrogen.tempFactor, 0);
+  assert.equal(nitrogen.occupancy, 1);
+  
+  const sulfur = structure.atoms.find(atom => atom.element === 'S');
+  assert.equal(sulfur.radius, 1.8);
+  assert.ok(structure.atoms.every(atom => atom.hasFileRadius));
+  
+  // 46 backbone charge sets (N, CA, C, O) and one OXT without charge
+  const total = structure.atoms.reduce((sum, atom) => sum + atom.charge, 0);
+  assertClose(total, 46 * (-0.4157 + 0.0337 + 0.5973 - 0.5679), 1e-6);
+});
+
+test('draws spacefill spheres at the radii of the file', () => {
+  const structure = parseFile(PATH);
+  const spacefill = new Spacefill({ proteinModel: structure, colorScheme: 'element' });
+  const [nitrogen] = structure.atoms;
+  
+  assert.equal(spacefill._getAtomRadius(nitrogen), 1.55);
+  
+  // A radius of the file wins over the element radius of the configuration
+  assert.equal(spacefill._getAtomRadius({ ...nitrogen, radius: 2.25 }), 2.25);
+  assert.equal(spacefill._getAtomRadius({ ...nitrogen, radius: 2.25, hasFileRadius: false }), 1.55);
+});
+
+test('assigns secondary structure without HELIX/SHEET records', () => {
+  const structure = parseFile(PATH);
+  
+  assert.ok(structure.residueList.every(residue => typeof residue.dsspCode === 'string'));
+  assert.ok(structure.residueList.filter(residue => residue.secondaryStructure === 'helix').length >= 15);
+});
+
+test('colors atoms by their charge on a red-white-blue ramp', () => {
+  const config = CONFIG.VISUALIZATION.CHARGE;
+  const [nitrogen, alphaCarbon] = parseFile(PATH).atoms;
+  
+  assert.equal(Electrostatics.getChargeColor({ charge: -config.RANGE }), config.NEGATIVE_COLOR);
+  assert.equal(Electrostatics.getChargeColor({ charge: 0 }), config.NEUTRAL_COLOR);
+  assert.equal(Electrostatics.getChargeColor({ charge: 2 * config.RANGE }), config.POSITIVE_COLOR);
+  
+  // Negative charges turn red, positive ones blue
+  const negative = Electrostatics.getChargeColor(nitrogen);
+  const positive = Electrostatics.getChargeColor(alphaCarbon);
+  assert.ok((negative & 0xff) < (negative >> 16));
+  assert.ok((positive >> 16) < (positive & 0xff));
+});
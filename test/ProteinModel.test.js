@@ -0,0 +1,81 @@
+/**
+ * ProteinModel.test.js - Residue property colors of crambin (1CRN) and the
+ * visualizations that show them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ProteinModel } from '../js/visualization/ProteinModel.js';
+import { BallAndStick } from '../js/visualization/BallAndStick.js';
+import { ResidueProperties } from '../js/utils/ResidueProperties.js';
+import { parseFile } from './helpers.js';
+
+/**
+ * Colors of the atom spheres of the first two residues
+ * @param {BallAndStick} visualization - Visualization
+ * @returns {Object<string, string>} Hex color by residue number
+ */
+function residueColors(visualization) {
+  const colors = {};
+  
+  visualization.atomMeshes.forEach(mesh => {
+    const atom = mesh.userData.atom;
+    if (atom && atom.resSeq <= 2) {
+      colors[atom.resSeq] = mesh.material.color.getHexString();
+    }
+  });
+  
+  return colors;
+}
+
+test('colors atoms by the residue property of their residue', () => {
+  const model = new ProteinModel({ pdbData: parseFile('data/examples/1crn.pdb'), scene: new THREE.Scene() });
+  const scheme = model.setResidueProperty('score', { 1: 0, 2: 1 });
+  const [first, second] = model.residues;
+  
+  assert.equal(scheme, ResidueProperties.getScheme('score'));
+  assert.equal(
+    model.getAtomColor(first.atoms[0], scheme).getHex(),
+    new THREE.Color(model.residueProperties.getColor(scheme, first)).getHex()
+  );
+  assert.notEqual(
+    model.getAtomColor(first.atoms[0], scheme).getHex(),
+    model.getAtomColor(second.atoms[0], scheme).getHex()
+  );
+});
+
+test('repaints a visualization showing a property when its values change', async () => {
+  const model = new ProteinModel({ pdbData: parseFile('data/examples/1crn.pdb'), scene: new THREE.Scene() });
+  const scheme = model.setResidueProperty('score', { 1: 0, 2: 1 });
+  const visualization = new BallAndStick({ proteinModel: model, colorScheme: scheme });
+  await visualization.create();
+  model.addVisualization(visualization);
+  
+  const before = residueColors(visualization);
+  assert.notEqual(before[1], before[2]);
+  
+  // Same scheme, swapped values
+  model.setResidueProperty('score', { 1: 1, 2: 0 });
+  await visualization.creationPromise;
+  
+  assert.deepEqual(residueColors(visualization), { 1: before[2], 2: before[1] });
+});
+
+test('colors the atoms of a viewer structure from its own residue properties', () => {
+  const structure = parseFile('data/examples/1crn.pdb');
+  const model = new ProteinModel({ pdbData: structure, scene: new THREE.Scene() });
+  const scheme = model.setResidueProperty('score', { 1: 0, 2: 1 });
+  
+  // The viewer keeps its structure as a plain object with the same fields
+  const viewerModel = {
+    residueMap: new Map(structure.residueList.map(residue => [residue.id, residue])),
+    residueProperties: new ResidueProperties()
+  };
+  viewerModel.residueProperties.set('score', { 1: 0, 2: 1 });
+  
+  structure.residueList[1].atoms.forEach(atom => {
+    assert.equal(ProteinModel.getPropertyColor(viewerModel, atom, scheme).getHex(), model.getAtomColor(atom, scheme).getHex());
+    assert.equal(ProteinModel.getPropertyColor(viewerModel, atom, 'kyte-doolittle').getHex(), model.getAtomColor(atom, 'kyte-doolittle').getHex());
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * SmallMoleculeParser.test.js - Parsing of SDF/MOL, MOL2 and XYZ files,
+ * checked on the same benzoate in each format
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Spacefill } from '../js/visualization/Spacefill.js';
+import { CONFIG } from '../js/config.js';
+import { parseFile, assertVector } from './helpers.js';
+
+const BENZOATE = {
+  atomCount: 9,
+  elements: ['C', 'C', 'C', 'C', 'C', 'C', 'C', 'O', 'O'],
+  boundingBox: { min: [-3.2124, -3.4, -2], max: [3.2124, 5.5, 2] },
+  centerOfMass: [0, 1.1, 0]
+};
+
+/**
+ * Check a parsed benzoate against the reference values
+ * @param {Structure} structure - Parsed structure
+ */
+function assertBenzoate(structure) {
+  assert.equal(structure.atoms.length, BENZOATE.atomCount);
+  assert.deepEqual(structure.atoms.map(atom => atom.element), BENZOATE.elements);
+  assert.equal(structure.residueList.length, 1);
+  assert.equal(structure.chainList.length, 1);
+  assert.equal(structure.bonds.length, 9);
+  assert.ok(structure.atoms.every(atom => atom.isLigand && atom.isHetAtm));
+  
+  assertVector(structure.boundingBox.min, BENZOATE.boundingBox.min);
+  assertVector(structure.boundingBox.max, BENZOATE.boundingBox.max);
+  assertVector(structure.centerOfMass, BENZOATE.centerOfMass);
+}
+
+/**
+ * Get the bonds of a structure as sorted [index1, index2, order] triples
+ * @param {Structure} structure - Parsed structure
+ * @returns {Array<Array<number>>} Bonds
+ */
+function getBondOrders(structure) {
+  return structure.bonds
+    .map(bond => [Math.min(bond.atomIndex1, bond.atomIndex2), Math.max(bond.atomIndex1, bond.atomIndex2), bond.type])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+test('reads benzoate.sdf with its bond orders and formal charge', () => {
+  const structure = parseFile('test/fixtures/benzoate.sdf');
+  assertBenzoate(structure);
+  
+  assert.equal(structure.metadata.title, 'benzoate');
+  assert.equal(structure.bonds.filter(bond => bond.isAromatic).length, 6);
+  assert.deepEqual(getBondOrders(structure).slice(6), [[5, 6, 1], [6, 7, 2], [6, 8, 1]]);
+  assert.equal(structure.atoms[8].formalCharge, -1);
+});
+
+test('reads benzoate.mol2 with its bond orders and partial charges', () => {
+  const structure = parseFile('test/fixtures/benzoate.mol2');
+  assertBenzoate(structure);
+  
+  assert.equal(structure.atoms[0].resName, 'BEZ');
+  assert.equal(structure.bonds.filter(bond => bond.isAromatic).length, 6);
+  assert.deepEqual(getBondOrders(structure).slice(6), [[5, 6, 1], [6, 7, 2], [6, 8, 1]]);
+  assert.equal(structure.atoms[0].charge, 0.05);
+  assert.equal(structure.atoms[8].charge, -0.5);
+});
+
+test('draws charged MOL2 atoms at their element van der Waals radius', () => {
+  const structure = parseFile('test/fixtures/benzoate.mol2');
+  const spacefill = new Spacefill({ proteinModel: structure, colorScheme: 'element' });
+  const radii = CONFIG.VISUALIZATION.SPACEFILL.RADII;
+  
+  // Partial charges come without a radius of the file
+  assert.ok(structure.atoms.every(atom => atom.charge !== undefined && !atom.hasFileRadius));
+  assert.equal(spacefill._getAtomRadius(structure.atoms[0]), radii.C);
+  assert.equal(spacefill._getAtomRadius(structure.atoms[8]), radii.O);
+});
+
+test('reads benzoate.xyz and perceives its bonds from distances', () => {
+  const structure = parseFile('test/fixtures/benzoate.xyz');
+  assertBenzoate(structure);
+  
+  // XYZ files carry no bond orders
+  assert.deepEqual(
+    getBondOrders(structure).map(([index1, index2]) => [index1, index2]),
+    [[0, 1], [0, 5], [1, 2], [2, 3], [3, 4], [4, 5], [5, 6], [6, 7], [6, 8]]
+  );
+});
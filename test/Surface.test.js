@@ -0,0 +1,83 @@
+/**
+ * Surface.test.js - Molecular surfaces of a parsed structure, checked against
+ * the van der Waals spheres of its atoms
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Surface } from '../js/visualization/Surface.js';
+import { ProteinModel } from '../js/visualization/ProteinModel.js';
+import { VdwRadii } from '../js/utils/VdwRadii.js';
+import { CONFIG } from '../js/config.js';
+import { parseFile } from './helpers.js';
+
+const PROBE = CONFIG.VISUALIZATION.SURFACE.PROBE_RADIUS;
+
+// Vertices may sink this far into a sphere; at the default 0.6 A spacing the
+// measured error is below 0.03 A
+const INSIDE = 0.05;
+
+/**
+ * Build the surface of crambin (1CRN)
+ * @param {string} type - 'vdw', 'sas' or 'ses'
+ * @returns {Promise<Array<number>>} Sorted distance of each vertex from the
+ *   nearest van der Waals sphere
+ */
+async function buildCrambin(type) {
+  const model = new ProteinModel({ pdbData: parseFile('data/examples/1crn.pdb'), scene: new THREE.Scene() });
+  const surface = new Surface({ proteinModel: model, colorScheme: 'element', surfaceType: type });
+  await surface.create();
+  
+  assert.equal(surface.meshes.length, 1);
+  const mesh = surface.meshes[0];
+  const positions = mesh.geometry.attributes.position.array;
+  const center = model.centerOfMass;
+  const spheres = mesh.userData.atoms.map(atom => ({
+    center: atom.position.clone().sub(center),
+    radius: VdwRadii.getRadius(atom)
+  }));
+  
+  const distances = [];
+  const vertex = new THREE.Vector3();
+  
+  for (let i = 0; i < positions.length; i += 3) {
+    vertex.fromArray(positions, i);
+    distances.push(Math.min(...spheres.map(sphere => vertex.distanceTo(sphere.center) - sphere.radius)));
+  }
+  
+  return distances.sort((a, b) => a - b);
+}
+
+/**
+ * Get a quantile of sorted values
+ * @param {Array<number>} values - Sorted values
+ * @param {number} q - Quantile from 0 to 1
+ * @returns {number} Value
+ */
+function quantile(values, q) {
+  return values[Math.floor(q * (values.length - 1))];
+}
+
+test('builds the van der Waals surface on the van der Waals radii', async () => {
+  const distances = await buildCrambin('vdw');
+  
+  // Creases between spheres cut corners; the rest lies on a sphere
+  assert.ok(distances[0] > -INSIDE, `vertex ${distances[0].toFixed(3)} A inside`);
+  assert.ok(quantile(distances, 0.95) < 0.1);
+});
+
+test('builds the solvent-accessible surface a probe radius out', async () => {
+  const distances = (await buildCrambin('sas')).map(distance => distance - PROBE);
+  
+  assert.ok(distances[0] > -INSIDE, `vertex ${distances[0].toFixed(3)} A inside`);
+  assert.ok(quantile(distances, 0.95) < 0.1);
+});
+
+test('builds the solvent-excluded surface outside the van der Waals spheres', async () => {
+  const distances = await buildCrambin('ses');
+  
+  // Contact patches lie on the spheres, re-entrant patches bridge the gaps
+  assert.ok(distances[0] > -INSIDE, `vertex ${distances[0].toFixed(3)} A inside`);
+  assert.ok(quantile(distances, 0.5) < PROBE);
+});
@@ -0,0 +1,107 @@
+/**
+ * SurfaceBuilder.test.js - Surfaces checked against analytic spheres and a sphere pair
+ * Tolerances are stated per grid spacing, a little above the measured error,
+ * so that changes to the grid, the field or the distance transform can't
+ * silently coarsen the surface
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SurfaceBuilder } from '../js/utils/SurfaceBuilder.js';
+
+const RADIUS = 1.7;
+const PROBE = 1.4;
+// Two spheres on the x axis, centres 4 angstroms apart
+const HALF_DISTANCE = 2;
+// The probe touching both spheres in the midplane leaves a neck of
+// sqrt((r + p)^2 - d^2) - p around the axis
+const NECK = Math.sqrt((RADIUS + PROBE) ** 2 - HALF_DISTANCE ** 2) - PROBE;
+
+// Largest allowed deviation from the analytic surface, by grid spacing:
+// sphere - vertex distance from a single sphere (vdw, sas and ses)
+// neck - mean SES neck radius of the sphere pair, which the grid overestimates
+const TOLERANCES = [
+  { spacing: 0.2, sphere: 0.01, ses: 0.04, neck: 0.15 },
+  { spacing: 0.4, sphere: 0.02, ses: 0.1, neck: 0.2 },
+  { spacing: 0.6, sphere: 0.04, ses: 0.12, neck: 0.35 }
+];
+
+/**
+ * Build a surface on an exact grid spacing
+ * @param {string} type - 'vdw', 'sas' or 'ses'
+ * @param {number} spacing - Grid spacing in angstroms
+ * @param {Array<number>} centers - Flat sphere centres
+ * @returns {Object} Mesh with positions, normals and indices
+ */
+function build(type, spacing, centers) {
+  const builder = new SurfaceBuilder({ type, probeRadius: PROBE, resolution: spacing, maxGridPoints: 1e8 });
+  const radii = new Float32Array(centers.length / 3).fill(RADIUS);
+  return builder.build(new Float32Array(centers), radii);
+}
+
+/**
+ * Largest deviation of the vertices from a sphere at the origin
+ * @param {Float32Array} positions - Flat vertex positions
+ * @param {number} radius - Sphere radius
+ * @returns {number} Largest |distance - radius|
+ */
+function sphereError(positions, radius) {
+  let max = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    const distance = Math.hypot(positions[i], positions[i + 1], positions[i + 2]);
+    max = Math.max(max, Math.abs(distance - radius));
+  }
+  return max;
+}
+
+/**
+ * Mean distance from the x axis where the mesh edges cross the plane x = 0
+ * @param {Object} mesh - Mesh with positions and indices
+ * @returns {number} Neck radius
+ */
+function neckRadius(mesh) {
+  const { positions, indices } = mesh;
+  let sum = 0;
+  let count = 0;
+  
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = indices[t + e] * 3;
+      const b = indices[t + (e + 1) % 3] * 3;
+      if ((positions[a] < 0) === (positions[b] < 0)) continue;
+      
+      const s = positions[a] / (positions[a] - positions[b]);
+      const y = positions[a + 1] + s * (positions[b + 1] - positions[a + 1]);
+      const z = positions[a + 2] + s * (positions[b + 2] - positions[a + 2]);
+      sum += Math.hypot(y, z);
+      count++;
+    }
+  }
+  
+  assert.ok(count > 0, 'the mesh crosses the midplane');
+  return sum / count;
+}
+
+TOLERANCES.forEach(({ spacing, sphere, ses, neck }) => {
+  test(`matches a single sphere at ${spacing} A spacing`, () => {
+    const vdw = build('vdw', spacing, [0, 0, 0]);
+    assert.ok(vdw.indices.length > 0);
+    assert.ok(sphereError(vdw.positions, RADIUS) <= sphere, 'vdw radius');
+    
+    const sas = build('sas', spacing, [0, 0, 0]);
+    assert.ok(sphereError(sas.positions, RADIUS + PROBE) <= sphere, 'sas radius');
+    
+    // A lone sphere has no crevice for the probe, so its SES is the vdw sphere
+    const single = build('ses', spacing, [0, 0, 0]);
+    assert.ok(sphereError(single.positions, RADIUS) <= ses, 'ses radius');
+  });
+  
+  test(`fills the neck of a sphere pair at ${spacing} A spacing`, () => {
+    const mesh = build('ses', spacing, [-HALF_DISTANCE, 0, 0, HALF_DISTANCE, 0, 0]);
+    const radius = neckRadius(mesh);
+    
+    // The spheres themselves are 0.6 A apart; the probe bridges them with a neck
+    assert.ok(radius > NECK - 0.05, `neck ${radius.toFixed(3)} below ${NECK.toFixed(3)}`);
+    assert.ok(radius - NECK <= neck, `neck ${radius.toFixed(3)} against ${NECK.toFixed(3)}`);
+  });
+});
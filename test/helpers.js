@@ -0,0 +1,143 @@
+/**
+ * helpers.js - Shared fixtures and assertions of the unit tests
+ * Reads fixture files and holds the reference values of crambin (1CRN),
+ * which several formats are checked against
+ */
+
+import { readFileSync } from 'node:fs';
+import assert from 'node:assert/strict';
+import { PDBLoader } from '../js/loaders/PDBLoader.js';
+
+/**
+ * Reference values of crambin, from data/examples/1crn.pdb
+ */
+export const CRAMBIN = {
+  atomCount: 327,
+  residueCount: 46,
+  chains: ['A'],
+  disulfides: [[3, 40], [4, 32], [16, 26]],
+  helices: [[7, 19], [23, 30]],
+  strands: [[1, 4], [32, 35]],
+  // Bounds of the atoms padded by 2 angstroms, and their centroid
+  boundingBox: { min: [-5.097, -2.516, -9.422], max: [26.284, 22.937, 21.58] },
+  centerOfMass: [9.26883, 9.78728, 6.96709],
+  crystal: { a: 40.96, b: 18.65, c: 22.52, alpha: 90, beta: 90.77, gamma: 90, spaceGroup: 'P 1 21 1', z: 2 }
+};
+
+/**
+ * Read a text file of the repository
+ * @param {string} path - Path relative to the repository root
+ * @returns {string} File content
+ */
+export function readText(path) {
+  return readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+}
+
+/**
+ * Read a binary file of the repository
+ * @param {string} path - Path relative to the repository root
+ * @returns {Uint8Array} File content
+ */
+export function readBytes(path) {
+  return new Uint8Array(readFileSync(new URL(`../${path}`, import.meta.url)));
+}
+
+/**
+ * Parse a file of the repository with the loader's format detection
+ * @param {string} path - Path relative to the repository root
+ * @returns {Structure} Parsed structure
+ */
+export function parseFile(path) {
+  return new PDBLoader().parse(readText(path), path.split('/').pop());
+}
+
+/**
+ * Assert that a number is within a tolerance of the expected value
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ * @param {number} [tolerance=1e-3] - Largest allowed difference
+ * @param {string} [message] - Failure message
+ */
+export function assertClose(actual, expected, tolerance = 1e-3, message = '') {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message} expected ${expected} ± ${tolerance}, got ${actual}`.trim()
+  );
+}
+
+/**
+ * Assert that a vector matches expected coordinates
+ * @param {THREE.Vector3} vector - Actual vector
+ * @param {Array<number>} expected - Expected [x, y, z]
+ * @param {number} [tolerance=1e-3] - Largest allowed difference per coordinate
+ */
+export function assertVector(vector, expected, tolerance = 1e-3) {
+  vector.toArray().forEach((value, i) => assertClose(value, expected[i], tolerance, 'xyz'[i]));
+}
+
+/**
+ * Get the residue ranges of a secondary structure type, in sequence numbers
+ * @param {Structure} structure - Parsed structure
+ * @param {string} type - 'helix' or 'sheet'
+ * @returns {Array<Array<number>>} [first, last] of each run of the type
+ */
+export function getRuns(structure, type) {
+  const runs = [];
+  let run = null;
+  
+  structure.residueList.forEach(residue => {
+    if (residue.secondaryStructure === type) {
+      if (run && run[1] === residue.sequence - 1) {
+        run[1] = residue.sequence;
+      } else {
+        run = [residue.sequence, residue.sequence];
+        runs.push(run);
+      }
+    } else {
+      run = null;
+    }
+  });
+  
+  return runs;
+}
+
+/**
+ * Get the residues joined by disulfide bonds
+ * @param {Structure} structure - Parsed structure
+ * @returns {Array<Array<number>>} Sequence numbers of each bonded pair, sorted
+ */
+export function getDisulfides(structure) {
+  return structure.bonds
+    .filter(bond => bond.isDisulfide)
+    .map(bond => [structure.atoms[bond.atomIndex1].resSeq, structure.atoms[bond.atomIndex2].resSeq].sort((a, b) => a - b))
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Check a parsed crambin against the reference values
+ * @param {Structure} structure - Parsed structure
+ * @param {Object} [options] - What the format carries
+ * @param {boolean} [options.records=true] - Whether the file has SSBOND,
+ *   HELIX/SHEET and CRYST1 (or the mmCIF equivalents)
+ */
+export function assertCrambin(structure, options = {}) {
+  const records = options.records !== false;
+  
+  assert.equal(structure.atoms.length, CRAMBIN.atomCount);
+  assert.equal(structure.residueList.length, CRAMBIN.residueCount);
+  assert.deepEqual(structure.chainList, CRAMBIN.chains);
+  assert.equal(structure.residuesByChain.A.length, CRAMBIN.residueCount);
+  
+  assertVector(structure.boundingBox.min, CRAMBIN.boundingBox.min);
+  assertVector(structure.boundingBox.max, CRAMBIN.boundingBox.max);
+  assertVector(structure.centerOfMass, CRAMBIN.centerOfMass);
+  
+  if (records) {
+    assert.deepEqual(getDisulfides(structure), CRAMBIN.disulfides);
+    assert.equal(structure.helices.length, CRAMBIN.helices.length);
+    assert.equal(structure.sheets.length, CRAMBIN.strands.length);
+    assert.deepEqual(getRuns(structure, 'helix'), CRAMBIN.helices);
+    assert.deepEqual(getRuns(structure, 'sheet'), CRAMBIN.strands);
+    assert.deepEqual(structure.crystal, CRAMBIN.crystal);
+  }
+}
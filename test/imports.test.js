@@ -0,0 +1,42 @@
+/**
+ * imports.test.js - Module specifiers of the code that runs in the structure worker
+ * Import maps do not apply inside module workers, so every module the
+ * worker reaches must import three.js by its full URL
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readText } from './helpers.js';
+
+/**
+ * Collect the modules a module imports, directly or indirectly
+ * @param {string} path - Module path relative to the repository root
+ * @param {Map<string, Array<string>>} [modules] - Specifiers by module path
+ * @returns {Map<string, Array<string>>} Specifiers by module path
+ */
+function collectImports(path, modules = new Map()) {
+  if (modules.has(path)) return modules;
+  
+  const specifiers = [...readText(path).matchAll(/^import .* from '([^']+)';/gm)].map(match => match[1]);
+  modules.set(path, specifiers);
+  
+  specifiers
+    .filter(specifier => specifier.startsWith('.'))
+    .forEach(specifier => {
+      const url = new URL(specifier, `file:///${path}`);
+      collectImports(url.pathname.slice(1), modules);
+    });
+  
+  return modules;
+}
+
+test('the structure worker imports no bare module specifiers', () => {
+  const modules = collectImports('js/workers/StructureWorker.js');
+  
+  assert.ok(modules.has('js/utils/PDBParser.js'));
+  modules.forEach((specifiers, path) => {
+    specifiers.forEach(specifier => {
+      assert.match(specifier, /^(\.|https:\/\/)/, `${path} imports '${specifier}'`);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * loader.js - Module resolution hook of the unit tests
+ * The browser modules import three.js from its CDN URL, which Node cannot
+ * load; the hook resolves that URL to the three package in node_modules
+ */
+
+const THREE_CDN = /^https:\/\/cdn\.jsdelivr\.net\/npm\/three@[\d.]+\/(.*)$/;
+
+/**
+ * Resolve a module specifier, mapping the three.js CDN to the installed package
+ * @param {string} specifier - Module specifier
+ * @param {Object} context - Resolution context
+ * @param {Function} nextResolve - Next resolver in the chain
+ * @returns {Promise<Object>} Resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const match = specifier.match(THREE_CDN);
+  
+  if (match) {
+    const path = match[1] === 'build/three.module.js' ? 'three' : `three/${match[1]}`;
+    return nextResolve(path, context);
+  }
+  
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,8 @@
+/**
+ * register.js - Installs the module resolution hook of loader.js
+ * Preloaded with `node --import ./test/register.js`
+ */
+
+import { register } from 'node:module';
+
+register('./loader.js', import.meta.url);